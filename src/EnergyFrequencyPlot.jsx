@@ -0,0 +1,398 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FileImage, Image as ImageIcon } from 'lucide-react';
+import { FREQUENCY_UNIT } from './physics';
+import {
+  buildSeries, plotDomain, tickDecimals, axisForRange, zoomRange, panRange,
+  WIDTH, HEIGHT, LEFT, RIGHT, TOP, BOTTOM
+} from './energyPlot';
+import { composeGraphSvg, svgToPng } from './imageExport';
+import { downloadFile } from './download';
+import { useI18n } from './I18nContext';
+import { useUnits } from './UnitsContext';
+
+const ZOOM_STEP = 1.2; // factor por paso de rueda
+const DRAG_THRESHOLD = 3; // px antes de considerar que se arrastra
+
+const IMAGE_FILENAME = 'efecto_fotoelectrico_grafica';
+
+// Nombre de la serie de datos en el idioma de la interfaz
+const datasetText = (s, t) => s.dataset || t('dataset.simulated');
+
+// Texto de la leyenda de una serie, en las unidades elegidas
+const legendText = (s, t, { label, show }) => [
+  t('graph.legend', { label: s.label, dataset: datasetText(s, t), count: s.points.length }),
+  s.workFunction !== null && `φ = ${show(s.workFunction, 'energy')} ${label('energy')}`,
+  s.thresholdFrequency !== null && `f₀ = ${show(s.thresholdFrequency, 'frequency', 2)} ${label('frequency')}`,
+  s.fit && t('graph.legendFit', {
+    planck: show(s.fit.planck, 'planck', 3),
+    planckUnit: label('planck'),
+    workFunction: show(s.fit.workFunction, 'energy', 3),
+    energyUnit: label('energy')
+  })
+].filter(Boolean).join(' · ');
+
+// Marca de un punto: círculo si es simulado, cuadrado si es importado; hueca
+// si está excluido del ajuste
+const PointMarker = ({ x, y, color, imported, excluded = false, selected = false, ...events }) => {
+  const style = {
+    fill: excluded ? 'white' : color,
+    stroke: selected ? '#111827' : excluded ? color : 'white',
+    strokeWidth: selected || excluded ? 2 : 1
+  };
+  const size = selected ? 6 : 4;
+  return imported ? (
+    <rect x={x - size} y={y - size} width={size * 2} height={size * 2} {...style} {...events} />
+  ) : (
+    <circle cx={x} cy={y} r={size} {...style} {...events} />
+  );
+};
+
+// Gráfica Ec frente a f con una serie por metal (y por archivo importado),
+// ejes ajustados a los datos, rectas de ajuste y frecuencias umbral. Se
+// amplía con la rueda o con dos dedos y se desplaza arrastrando; al pasar
+// sobre un punto se muestran sus valores y al pulsarlo se selecciona.
+const EnergyFrequencyPlot = ({ measurements, fits, materials, selectedId, onSelect, onToggleExcluded }) => {
+  const { t, errorText } = useI18n();
+  const units = useUnits();
+  const { label, show } = units;
+  const [view, setView] = useState(null); // null: vista automática
+  const [hover, setHover] = useState(null); // {m, series, x, y}
+  const [imageError, setImageError] = useState(null);
+  const svgRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+  const axesRef = useRef(null);
+
+  const series = measurements.length > 0 ? buildSeries(measurements, fits, materials) : [];
+  const domain = series.length > 0 ? plotDomain(series) : null;
+  const xAxis = view ? axisForRange(view.x[0], view.x[1], 10) : domain && domain.x;
+  const yAxis = view ? axisForRange(view.y[0], view.y[1], 8) : domain && domain.y;
+  axesRef.current = xAxis && { x: [xAxis.min, xAxis.max], y: [yAxis.min, yAxis.max] };
+
+  // Coordenadas del SVG a partir de las del puntero
+  const toSvg = (clientX, clientY) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: ((clientX - rect.left) * WIDTH) / (rect.width || WIDTH),
+      y: ((clientY - rect.top) * HEIGHT) / (rect.height || HEIGHT)
+    };
+  };
+
+  // Datos (f, Ec) de un punto del SVG con los ejes indicados
+  const toData = ({ x, y }, axes) => ({
+    f: axes.x[0] + ((x - LEFT) / (RIGHT - LEFT)) * (axes.x[1] - axes.x[0]),
+    e: axes.y[0] + ((BOTTOM - y) / (BOTTOM - TOP)) * (axes.y[1] - axes.y[0])
+  });
+
+  const zoomAt = (point, factor) => {
+    const axes = axesRef.current;
+    const center = toData(point, axes);
+    setView({ x: zoomRange(axes.x, center.f, factor), y: zoomRange(axes.y, center.e, factor) });
+  };
+
+  // La rueda se escucha sin modo pasivo para que no desplace la página
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      zoomAt(toSvg(e.clientX, e.clientY), e.deltaY < 0 ? 1 / ZOOM_STEP : ZOOM_STEP);
+    };
+    svg.addEventListener('wheel', onWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', onWheel);
+  });
+
+  if (measurements.length === 0) {
+    return (
+      <div className="h-[460px] flex items-center justify-center text-sm text-gray-500">
+        {t('graph.empty')}
+      </div>
+    );
+  }
+
+  const xScale = (f) => LEFT + ((f - xAxis.min) / (xAxis.max - xAxis.min)) * (RIGHT - LEFT);
+  const yScale = (e) => BOTTOM - ((e - yAxis.min) / (yAxis.max - yAxis.min)) * (BOTTOM - TOP);
+  const xDecimals = tickDecimals(xAxis.step);
+  const yDecimals = tickDecimals(yAxis.step);
+
+  // Arrastre con un puntero y zoom con dos (pantallas táctiles)
+  const onPointerDown = (e) => {
+    if (svgRef.current.setPointerCapture) svgRef.current.setPointerCapture(e.pointerId);
+    pointersRef.current.set(e.pointerId, toSvg(e.clientX, e.clientY));
+    gestureRef.current = {
+      axes: axesRef.current,
+      start: [...pointersRef.current.values()],
+      moved: false,
+      target: e.target.getAttribute('data-id')
+    };
+  };
+
+  const onPointerMove = (e) => {
+    const pointers = pointersRef.current;
+    const gesture = gestureRef.current;
+    if (!gesture || !pointers.has(e.pointerId)) return;
+    pointers.set(e.pointerId, toSvg(e.clientX, e.clientY));
+    const current = [...pointers.values()];
+    if (current.length === 1 && gesture.start.length === 1) {
+      const dx = current[0].x - gesture.start[0].x;
+      const dy = current[0].y - gesture.start[0].y;
+      if (!gesture.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      gesture.moved = true;
+      const { axes } = gesture;
+      setView({
+        x: panRange(axes.x, (-dx / (RIGHT - LEFT)) * (axes.x[1] - axes.x[0])),
+        y: panRange(axes.y, (dy / (BOTTOM - TOP)) * (axes.y[1] - axes.y[0]))
+      });
+    } else if (current.length === 2 && gesture.start.length === 2) {
+      const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) || 1;
+      const factor = distance(gesture.start[0], gesture.start[1]) / distance(current[0], current[1]);
+      const middle = { x: (gesture.start[0].x + gesture.start[1].x) / 2, y: (gesture.start[0].y + gesture.start[1].y) / 2 };
+      const center = toData(middle, gesture.axes);
+      gesture.moved = true;
+      setView({ x: zoomRange(gesture.axes.x, center.f, factor), y: zoomRange(gesture.axes.y, center.e, factor) });
+    }
+  };
+
+  const onPointerUp = (e) => {
+    const gesture = gestureRef.current;
+    pointersRef.current.delete(e.pointerId);
+    // Un clic (sin arrastrar) selecciona el punto, o anula la selección si
+    // fue sobre el fondo o sobre el punto ya seleccionado
+    if (gesture && !gesture.moved && e.type === 'pointerup') {
+      onSelect(gesture.target && gesture.target !== String(selectedId) ? gesture.target : null);
+    }
+    gestureRef.current = pointersRef.current.size > 0
+      ? { axes: axesRef.current, start: [...pointersRef.current.values()], moved: true }
+      : null;
+  };
+
+  // Documento SVG con título y leyenda, tal como se ve la gráfica
+  const figureSvg = () => {
+    const serializer = new XMLSerializer();
+    return composeGraphSvg({
+      markup: [...svgRef.current.childNodes].map(node => serializer.serializeToString(node)).join(''),
+      width: WIDTH,
+      height: HEIGHT,
+      title: t('graph.title'),
+      legend: series.map(s => ({ color: s.color, dashed: s.imported, square: s.imported, text: legendText(s, t, units) }))
+    });
+  };
+
+  const downloadSvg = () => {
+    downloadFile(figureSvg(), `${IMAGE_FILENAME}.svg`, 'image/svg+xml');
+  };
+
+  const downloadPng = async () => {
+    try {
+      setImageError(null);
+      downloadFile(await svgToPng(figureSvg()), `${IMAGE_FILENAME}.png`);
+    } catch (err) {
+      setImageError(errorText(err));
+    }
+  };
+
+  // Una marca de umbral por metal, aunque aparezca en varias series
+  const thresholds = [...new Map(series
+    .filter(s => s.thresholdFrequency !== null)
+    .map(s => [s.metal, s])).values()];
+  const selected = measurements.find(m => m.id === selectedId);
+
+  return (
+    <div className="flex flex-col items-center overflow-visible">
+      <div className="relative">
+        <svg
+          ref={svgRef}
+          width={WIDTH}
+          height={HEIGHT}
+          className="border rounded touch-none select-none cursor-move"
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerCancel={onPointerUp}
+        >
+          <defs>
+            <clipPath id="ef-plot-area">
+              <rect x={LEFT} y={TOP} width={RIGHT - LEFT} height={BOTTOM - TOP} />
+            </clipPath>
+          </defs>
+
+          {/* Rejilla y marcas del eje X */}
+          {xAxis.ticks.map(f => (
+            <g key={`ef-x-${f}`} pointerEvents="none">
+              <line x1={xScale(f)} y1={TOP} x2={xScale(f)} y2={BOTTOM} stroke="#E5E7EB" strokeWidth="1" />
+              <text x={xScale(f)} y={BOTTOM + 20} textAnchor="middle" fontSize="12" fill="#374151">
+                {show(f, 'frequency', xDecimals)}
+              </text>
+            </g>
+          ))}
+
+          {/* Rejilla y marcas del eje Y */}
+          {yAxis.ticks.map(e => (
+            <g key={`ef-y-${e}`} pointerEvents="none">
+              <line x1={LEFT} y1={yScale(e)} x2={RIGHT} y2={yScale(e)} stroke="#E5E7EB" strokeWidth="1" />
+              <text x={LEFT - 5} y={yScale(e) + 4} textAnchor="end" fontSize="12" fill="#374151">
+                {show(e, 'energy', yDecimals)}
+              </text>
+            </g>
+          ))}
+
+          {/* Ejes principales */}
+          <line x1={LEFT} y1={BOTTOM} x2={RIGHT} y2={BOTTOM} stroke="#374151" strokeWidth="2" />
+          <line x1={LEFT} y1={BOTTOM} x2={LEFT} y2={TOP} stroke="#374151" strokeWidth="2" />
+          {yAxis.min < 0 && yAxis.max > 0 && (
+            <line x1={LEFT} y1={yScale(0)} x2={RIGHT} y2={yScale(0)} stroke="#9CA3AF" strokeWidth="1" />
+          )}
+
+          {/* Etiquetas de los ejes */}
+          <text x={(LEFT + RIGHT) / 2} y="430" textAnchor="middle" fontSize="14" fill="#374151" fontWeight="bold">
+            {t('graph.xAxis', { unit: label('frequency') })}
+          </text>
+          <text x="20" y="200" textAnchor="middle" fontSize="14" fill="#374151" fontWeight="bold" transform="rotate(-90 20 210)">
+            Ec ({label('energy')})
+          </text>
+
+          <g clipPath="url(#ef-plot-area)">
+            {/* Frecuencias umbral sobre el eje X */}
+            {thresholds.map(s => {
+              const x = xScale(s.thresholdFrequency);
+              return (
+                <g key={`threshold-${s.metal}`} pointerEvents="none">
+                  <path d={`M ${x} ${BOTTOM} l -5 -9 l 10 0 z`} fill={s.color} />
+                  <text x={x} y={BOTTOM - 12} textAnchor="middle" fontSize="10" fill={s.color}>
+                    f₀ {s.metal}
+                  </text>
+                </g>
+              );
+            })}
+
+            {/* Rectas ajustadas (desde el umbral); discontinuas las importadas */}
+            {series.filter(s => s.fit).map(s => {
+              const energyAt = (f) => s.fit.planck * f * FREQUENCY_UNIT - s.fit.workFunction;
+              const fStart = Math.max(xAxis.min, s.fit.thresholdFrequency / FREQUENCY_UNIT);
+              if (fStart >= xAxis.max) return null;
+              return (
+                <line
+                  key={`fit-${s.key}`}
+                  x1={xScale(fStart)}
+                  y1={yScale(energyAt(fStart))}
+                  x2={xScale(xAxis.max)}
+                  y2={yScale(energyAt(xAxis.max))}
+                  stroke={s.color}
+                  strokeWidth="2"
+                  strokeDasharray={s.imported ? '6,3' : undefined}
+                  pointerEvents="none"
+                />
+              );
+            })}
+
+            {/* Barras de error de las frecuencias repetidas: media ± s/√n */}
+            {series.map(s => s.repeats.map(g => {
+              const x = xScale(g.frequency);
+              const yLow = yScale(g.mean - g.se);
+              const yHigh = yScale(g.mean + g.se);
+              return (
+                <g key={`error-${g.key}`} stroke={s.color} strokeWidth="1.5" pointerEvents="none">
+                  <line x1={x} y1={yLow} x2={x} y2={yHigh} />
+                  <line x1={x - 5} y1={yLow} x2={x + 5} y2={yLow} />
+                  <line x1={x - 5} y1={yHigh} x2={x + 5} y2={yHigh} />
+                  <line x1={x - 9} y1={yScale(g.mean)} x2={x + 9} y2={yScale(g.mean)} strokeWidth="2.5" />
+                </g>
+              );
+            }))}
+
+            {/* Puntos de cada serie */}
+            {series.map(s => (
+              <g key={`points-${s.key}`}>
+                {s.points.map(m => {
+                  const x = xScale(m.frequency);
+                  const y = yScale(parseFloat(m.kineticEnergy));
+                  return (
+                    <PointMarker
+                      key={m.id}
+                      x={x}
+                      y={y}
+                      color={s.color}
+                      imported={s.imported}
+                      excluded={m.excluded}
+                      selected={m.id === selectedId}
+                      data-id={m.id}
+                      className="cursor-pointer"
+                      onPointerEnter={() => setHover({ m, series: s, x, y })}
+                      onPointerLeave={() => setHover(null)}
+                    />
+                  );
+                })}
+              </g>
+            ))}
+          </g>
+        </svg>
+
+        {/* Valores del punto bajo el puntero */}
+        {hover && (
+          <div
+            className="absolute pointer-events-none bg-gray-800 text-white text-xs rounded px-2 py-1 whitespace-nowrap"
+            style={{ left: hover.x + 10, top: hover.y - 10, transform: hover.x > WIDTH / 2 ? 'translateX(calc(-100% - 20px))' : undefined }}
+          >
+            <div>
+              f = {show(hover.m.frequency, 'frequency')} {label('frequency')} · λ = {show(hover.m.wavelength, 'wavelength')} {label('wavelength')}
+            </div>
+            <div>Ec = {show(hover.m.kineticEnergy, 'energy')} {label('energy')}</div>
+            <div>
+              {hover.series.label} · {datasetText(hover.series, t)}{hover.m.excluded && ` · ${t('graph.excluded')}`}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-gray-600">
+        <span>{t('graph.hint')}</span>
+        {series.some(s => s.repeats.length > 0) && <span>{t('graph.errorBars')}</span>}
+        <button onClick={downloadSvg} className="flex items-center gap-1 text-blue-600 hover:underline" title={t('graph.downloadSvg')}>
+          <FileImage size={14} /> SVG
+        </button>
+        <button onClick={downloadPng} className="flex items-center gap-1 text-blue-600 hover:underline" title={t('graph.downloadPng')}>
+          <ImageIcon size={14} /> PNG
+        </button>
+        {view && (
+          <button onClick={() => setView(null)} className="text-blue-600 hover:underline">
+            {t('graph.resetView')}
+          </button>
+        )}
+        {selected && (
+          <>
+            <span className="text-gray-800">
+              {t('graph.selected', {
+                frequency: show(selected.frequency, 'frequency'),
+                frequencyUnit: label('frequency'),
+                energy: show(selected.kineticEnergy, 'energy'),
+                energyUnit: label('energy'),
+                metal: selected.metal
+              })}
+            </span>
+            <button onClick={() => onToggleExcluded(selected.id)} className="text-blue-600 hover:underline">
+              {selected.excluded ? t('graph.include') : t('graph.exclude')}
+            </button>
+          </>
+        )}
+      </div>
+
+      {imageError && <p className="text-xs text-red-600 mt-1">{imageError}</p>}
+
+      {/* Leyenda con la información de cada serie */}
+      <div className="mt-3 flex flex-col gap-1 text-xs text-gray-700">
+        {series.map(s => (
+          <div key={`legend-${s.key}`} className="flex items-center gap-2">
+            <svg width="28" height="10">
+              <line x1="0" y1="5" x2="28" y2="5" stroke={s.color} strokeWidth="2" strokeDasharray={s.imported ? '6,3' : undefined} />
+              <PointMarker x={14} y={5} color={s.color} imported={s.imported} />
+            </svg>
+            <span>{legendText(s, t, units)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default EnergyFrequencyPlot;
@@ -0,0 +1,127 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { buildHistogram, energyUpperBound, kineticEnergyDensity } from './energyDistribution';
+import { useI18n } from './I18nContext';
+import { useUnits } from './UnitsContext';
+
+const BIN_COUNT = 30;
+const REFRESH_INTERVAL = 250; // ms
+
+// Dimensiones del área de trazado
+const WIDTH = 650;
+const HEIGHT = 260;
+const LEFT = 50;
+const RIGHT = 630;
+const TOP = 15;
+const BOTTOM = 215;
+
+// Densidad teórica de la mezcla: cada componente del espectro aporta su
+// distribución normalizada, ponderada por el número de electrones que arranca
+const mixtureDensity = (emissionLines, maxEnergy, options, samples) => {
+  const density = new Array(samples + 1).fill(0);
+  emissionLines.forEach(({ maxKineticEnergy, weight }) => {
+    const values = density.map((_, i) => kineticEnergyDensity((i * maxEnergy) / samples, maxKineticEnergy, options));
+    const area = values.reduce((sum, v) => sum + v, 0) * (maxEnergy / samples);
+    if (area > 0) {
+      values.forEach((v, i) => { density[i] += (weight * v) / area; });
+    }
+  });
+  return density.map((value, i) => ({ ek: (i * maxEnergy) / samples, value }));
+};
+
+// Espectro de energías de los electrones emitidos. Consulta al motor a su
+// propio ritmo, de modo que sólo este panel se vuelve a renderizar.
+// emissionLines: [{ maxKineticEnergy, weight }] de las componentes de la luz
+// que superan el umbral; maxKineticEnergy es el máximo entre ellas.
+const EnergyHistogram = ({ engine, emissionLines, maxKineticEnergy, temperature, fermiEnergy }) => {
+  const { t, fmt } = useI18n();
+  const { label, show } = useUnits();
+  const [energies, setEnergies] = useState([]);
+
+  useEffect(() => {
+    const id = setInterval(() => {
+      setEnergies(engine.system.energies.slice());
+    }, REFRESH_INTERVAL);
+    return () => clearInterval(id);
+  }, [engine]);
+
+  const observedMax = energies.reduce((max, ek) => Math.max(max, ek), 0);
+  const maxEnergy = Math.max(energyUpperBound(maxKineticEnergy, temperature), observedMax, 0.1);
+  const { binWidth, counts } = buildHistogram(energies, BIN_COUNT, maxEnergy);
+
+  // Curva teórica escalada al número de electrones del histograma
+  const samples = 200;
+  const density = useMemo(
+    () => mixtureDensity(emissionLines, maxEnergy, { temperature, fermiEnergy }, samples),
+    [emissionLines, maxEnergy, temperature, fermiEnergy]
+  );
+  const area = density.reduce((sum, p) => sum + p.value, 0) * (maxEnergy / samples);
+  const expected = density.map(p => ({
+    ek: p.ek,
+    count: area > 0 ? (energies.length * binWidth * p.value) / area : 0
+  }));
+
+  const yMax = Math.max(1, ...counts, ...expected.map(p => p.count)) * 1.1;
+  const xScale = (ek) => LEFT + (ek / maxEnergy) * (RIGHT - LEFT);
+  const yScale = (count) => BOTTOM - (count / yMax) * (BOTTOM - TOP);
+  const xTicks = Array.from({ length: 6 }, (_, i) => (i * maxEnergy) / 5);
+
+  return (
+    <div className="flex flex-col items-center">
+      <svg width={WIDTH} height={HEIGHT} className="border rounded max-w-full" viewBox={`0 0 ${WIDTH} ${HEIGHT}`}>
+        {/* Barras del histograma */}
+        {counts.map((count, i) => (
+          <rect
+            key={`bin-${i}`}
+            x={xScale(i * binWidth) + 1}
+            y={yScale(count)}
+            width={Math.max(0, xScale(binWidth) - LEFT - 2)}
+            height={BOTTOM - yScale(count)}
+            fill="#93C5FD"
+          />
+        ))}
+
+        {/* Distribución teórica */}
+        <polyline
+          points={expected.map(p => `${xScale(p.ek)},${yScale(p.count)}`).join(' ')}
+          fill="none"
+          stroke="#1D4ED8"
+          strokeWidth="2"
+        />
+
+        {/* Ec,max */}
+        {maxKineticEnergy > 0 && (
+          <line
+            x1={xScale(maxKineticEnergy)}
+            y1={TOP}
+            x2={xScale(maxKineticEnergy)}
+            y2={BOTTOM}
+            stroke="#EF4444"
+            strokeWidth="2"
+            strokeDasharray="5,5"
+          />
+        )}
+
+        {/* Ejes */}
+        <line x1={LEFT} y1={BOTTOM} x2={RIGHT} y2={BOTTOM} stroke="#374151" strokeWidth="2" />
+        <line x1={LEFT} y1={BOTTOM} x2={LEFT} y2={TOP} stroke="#374151" strokeWidth="2" />
+        {xTicks.map((ek, i) => (
+          <text key={`hx-${i}`} x={xScale(ek)} y={BOTTOM + 18} textAnchor="middle" fontSize="12" fill="#374151">
+            {show(ek, 'energy', 2)}
+          </text>
+        ))}
+        <text x={(LEFT + RIGHT) / 2} y={HEIGHT - 5} textAnchor="middle" fontSize="13" fill="#374151" fontWeight="bold">
+          {t('histogram.xAxis', { unit: label('energy') })}
+        </text>
+        <text x="15" y={(TOP + BOTTOM) / 2} textAnchor="middle" fontSize="13" fill="#374151" fontWeight="bold" transform={`rotate(-90 15 ${(TOP + BOTTOM) / 2})`}>
+          {t('histogram.yAxis')}
+        </text>
+      </svg>
+      <div className="mt-2 text-xs text-gray-600">
+        {t('histogram.summary', { count: energies.length, max: show(maxKineticEnergy, 'energy', 3), unit: label('energy') })}
+        {temperature > 0 && ` · T = ${fmt(temperature)} K`}
+      </div>
+    </div>
+  );
+};
+
+export default EnergyHistogram;
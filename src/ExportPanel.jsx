@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import {
+  EXPORT_FORMATS,
+  DECIMAL_SEPARATORS,
+  FIELD_SEPARATORS,
+  DEFAULT_EXPORT_OPTIONS,
+  buildExport
+} from './dataExport';
+import { downloadFile } from './download';
+import { useI18n } from './I18nContext';
+import { useUnits } from './UnitsContext';
+
+// Opciones de exportación de las mediciones: formato, separadores del CSV
+// (coma decimal y punto y coma para Excel en español) y ajustes. Las
+// cabeceras se escriben en el idioma de la interfaz y las magnitudes en las
+// unidades elegidas.
+const ExportPanel = ({ measurements, instrument, fits }) => {
+  const { t, language, errorText } = useI18n();
+  const { units } = useUnits();
+  const [options, setOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+  const [error, setError] = useState(null);
+
+  const update = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setOptions(prev => ({ ...prev, [field]: value }));
+    setError(null);
+  };
+
+  const download = () => {
+    try {
+      const { content, filename, mime } = buildExport(measurements, instrument, { ...options, language, units }, fits);
+      downloadFile(content, filename, mime);
+    } catch (err) {
+      setError(errorText(err));
+    }
+  };
+
+  const selectClass = 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 mb-4 text-sm">
+      <h3 className="font-semibold text-gray-700 mb-2">{t('export.title')}</h3>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 items-end">
+        <label className="text-xs text-gray-600">
+          {t('export.format')}
+          <select value={options.format} onChange={update('format')} className={selectClass}>
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <option key={format} value={format}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {options.format !== 'json' && (
+          <label className="text-xs text-gray-600">
+            {t('export.decimal')}
+            <select value={options.decimal} onChange={update('decimal')} className={selectClass}>
+              {Object.entries(DECIMAL_SEPARATORS).map(([separator, key]) => (
+                <option key={separator} value={separator}>{t(`export.decimal.${key}`)}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {options.format === 'csv' && (
+          <label className="text-xs text-gray-600">
+            {t('export.delimiter')}
+            <select value={options.delimiter} onChange={update('delimiter')} className={selectClass}>
+              {Object.entries(FIELD_SEPARATORS).map(([separator, key]) => (
+                <option key={separator} value={separator}>{t(`export.delimiter.${key}`)}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label className="flex items-center gap-1 text-xs text-gray-600">
+          <input type="checkbox" checked={options.includeFits} onChange={update('includeFits')} />
+          {t('export.includeFits')}
+        </label>
+      </div>
+
+      <p className="text-xs text-gray-500 mt-2">
+        {t('export.help')}
+      </p>
+
+      <button
+        onClick={download}
+        disabled={measurements.length === 0}
+        className="flex items-center gap-1 mt-3 px-3 py-1 bg-green-500 hover:bg-green-600 text-white rounded disabled:opacity-50"
+      >
+        <Download size={14} /> {t('export.download')}
+      </button>
+
+      {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export default ExportPanel;
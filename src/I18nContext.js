@@ -0,0 +1,13 @@
+// Idioma de la interfaz compartido por todos los paneles.
+import { createContext, useContext } from 'react';
+import { createI18n, DEFAULT_LANGUAGE } from './i18n';
+
+// Sin proveedor, los componentes se muestran en el idioma por defecto
+export const I18nContext = createContext(createI18n(DEFAULT_LANGUAGE));
+
+/**
+ * Idioma actual con sus funciones de traducción (t), de formato de números
+ * (fmt) y de texto de los errores (errorText); ver createI18n.
+ * @returns {{language: string, t: Function, fmt: Function, errorText: Function}}
+ */
+export const useI18n = () => useContext(I18nContext);
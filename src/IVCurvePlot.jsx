@@ -0,0 +1,102 @@
+import React from 'react';
+import { useI18n } from './I18nContext';
+import { useUnits } from './UnitsContext';
+import { SERIES_COLORS, WIDTH, HEIGHT, LEFT, RIGHT, TOP, BOTTOM } from './energyPlot';
+
+const IVCurvePlot = ({ curves }) => {
+  const { t, fmt } = useI18n();
+  const { label, show } = useUnits();
+
+  if (curves.length === 0) {
+    return (
+      <div className="h-[500px] flex items-center justify-center text-sm text-gray-500">
+        {t('iv.empty')}
+      </div>
+    );
+  }
+
+  // Escalas a partir de los datos
+  const allPoints = curves.flatMap(curve => curve.points);
+  const vMin = Math.min(...allPoints.map(p => p.bias));
+  const vMax = Math.max(...allPoints.map(p => p.bias));
+  const iMax = Math.max(1, ...allPoints.map(p => p.current)) * 1.1;
+  const xScale = (v) => LEFT + ((v - vMin) / (vMax - vMin || 1)) * (RIGHT - LEFT);
+  const yScale = (i) => BOTTOM - (i / iMax) * (BOTTOM - TOP);
+
+  const xTicks = Array.from({ length: 11 }, (_, i) => vMin + (i * (vMax - vMin)) / 10);
+  const yTicks = Array.from({ length: 6 }, (_, i) => (i * iMax) / 5);
+
+  return (
+    <div className="h-[500px] flex flex-col items-center justify-center overflow-visible">
+      <svg width={WIDTH} height={HEIGHT} className="border rounded" viewBox={`0 0 ${WIDTH} ${HEIGHT}`}>
+        {/* Rejilla y marcas del eje X */}
+        {xTicks.map((v, i) => (
+          <g key={`iv-x-${i}`}>
+            <line x1={xScale(v)} y1={TOP} x2={xScale(v)} y2={BOTTOM} stroke="#E5E7EB" strokeWidth="1" />
+            <text x={xScale(v)} y={BOTTOM + 20} textAnchor="middle" fontSize="12" fill="#374151">
+              {fmt(v, 1)}
+            </text>
+          </g>
+        ))}
+
+        {/* Rejilla y marcas del eje Y */}
+        {yTicks.map((current, i) => (
+          <g key={`iv-y-${i}`}>
+            <line x1={LEFT} y1={yScale(current)} x2={RIGHT} y2={yScale(current)} stroke="#E5E7EB" strokeWidth="1" />
+            <text x={LEFT - 5} y={yScale(current) + 4} textAnchor="end" fontSize="12" fill="#374151">
+              {current.toFixed(0)}
+            </text>
+          </g>
+        ))}
+
+        {/* Ejes principales */}
+        <line x1={LEFT} y1={BOTTOM} x2={RIGHT} y2={BOTTOM} stroke="#374151" strokeWidth="2" />
+        <line x1={LEFT} y1={BOTTOM} x2={LEFT} y2={TOP} stroke="#374151" strokeWidth="2" />
+        {vMin < 0 && vMax > 0 && (
+          <line x1={xScale(0)} y1={BOTTOM} x2={xScale(0)} y2={TOP} stroke="#9CA3AF" strokeWidth="1" />
+        )}
+
+        {/* Etiquetas de los ejes */}
+        <text x={(LEFT + RIGHT) / 2} y="430" textAnchor="middle" fontSize="14" fill="#374151" fontWeight="bold">
+          {t('iv.xAxis')}
+        </text>
+        <text x="20" y="200" textAnchor="middle" fontSize="14" fill="#374151" fontWeight="bold" transform="rotate(-90 20 210)">
+          I (nA)
+        </text>
+
+        {/* Curvas y potencial de frenado */}
+        {curves.map((curve, i) => {
+          const color = SERIES_COLORS[i % SERIES_COLORS.length];
+          return (
+            <g key={curve.id}>
+              <polyline
+                points={curve.points.map(p => `${xScale(p.bias)},${yScale(p.current)}`).join(' ')}
+                fill="none"
+                stroke={color}
+                strokeWidth="2"
+              />
+              {curve.stoppingPotential !== null && (
+                <circle cx={xScale(-curve.stoppingPotential)} cy={BOTTOM} r="5" fill={color} stroke="white" strokeWidth="1" />
+              )}
+            </g>
+          );
+        })}
+      </svg>
+
+      {/* Leyenda */}
+      <div className="mt-4 flex flex-wrap gap-4 text-xs text-gray-700">
+        {curves.map((curve, i) => (
+          <div key={`legend-${curve.id}`} className="flex items-center gap-2">
+            <div className="w-4 h-1" style={{ backgroundColor: SERIES_COLORS[i % SERIES_COLORS.length] }} />
+            <span>
+              {curve.metal} · {show(curve.frequency, 'frequency', 1)} {label('frequency')} · {fmt(curve.intensity)}% ·
+              V₀ = {curve.stoppingPotential !== null ? `${fmt(curve.stoppingPotential, 2)} V` : '—'}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default IVCurvePlot;
@@ -0,0 +1,163 @@
+import React, { useRef, useState } from 'react';
+import { Upload, Trash2 } from 'lucide-react';
+import { X_QUANTITIES, Y_QUANTITIES, parseImportFile, guessMapping, mapImportedRows } from './dataImport';
+import { readFileAsText } from './download';
+import { messageError } from './i18n';
+import { useI18n } from './I18nContext';
+
+// Importación de mediciones externas como una serie aparte: se elige el
+// archivo, se revisa la asignación de columnas y se añaden las filas.
+// datasets es la lista de series importadas ({name, count}).
+const ImportPanel = ({ defaultMetal, datasets, onImport, onRemoveDataset }) => {
+  const { t, language, errorText } = useI18n();
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [dataset, setDataset] = useState('');
+  const [metal, setMetal] = useState(defaultMetal);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const openFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const parsed = parseImportFile(await readFileAsText(file), language);
+      setTable(parsed);
+      setMapping(guessMapping(parsed));
+      setDataset(file.name.replace(/\.[^.]+$/, ''));
+      setError(null);
+      setMessage(null);
+    } catch (err) {
+      setError(errorText(err));
+      setTable(null);
+    }
+  };
+
+  const updateMapping = (field) => (e) => setMapping(prev => ({ ...prev, [field]: e.target.value }));
+
+  const add = () => {
+    try {
+      const name = dataset.trim();
+      if (datasets.some(d => d.name === name)) {
+        throw messageError('import.exists', { name });
+      }
+      const { measurements, skipped } = mapImportedRows(table, mapping, { dataset: name, defaultMetal: metal.trim() });
+      onImport(measurements);
+      setTable(null);
+      setError(null);
+      setMessage(t('import.done', { name, count: measurements.length }) +
+        (skipped > 0 ? t('import.skipped', { count: skipped }) : ''));
+    } catch (err) {
+      setError(errorText(err));
+    }
+  };
+
+  const selectClass = 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm';
+  const columnOptions = (allowNone) => (
+    <>
+      {allowNone && <option value="">{t('import.sameForAll')}</option>}
+      {table.columns.map(column => <option key={column} value={column}>{column}</option>)}
+    </>
+  );
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 mb-4 text-sm">
+      <h3 className="font-semibold text-gray-700 mb-2">{t('import.title')}</h3>
+      <p className="text-xs text-gray-500 mb-2">
+        {t('import.help')}
+      </p>
+      <button
+        onClick={() => fileInputRef.current.click()}
+        className="flex items-center gap-1 px-3 py-1 bg-gray-500 hover:bg-gray-600 text-white rounded"
+      >
+        <Upload size={14} /> {t('import.choose')}
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".csv,.tsv,.txt,.json,text/csv,application/json"
+        onChange={openFile}
+        className="hidden"
+      />
+
+      {table && mapping && (
+        <div className="mt-3">
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+            <label className="text-xs text-gray-600">
+              {t('import.xColumn')}
+              <select value={mapping.x} onChange={updateMapping('x')} className={selectClass}>
+                {columnOptions(false)}
+              </select>
+            </label>
+            <label className="text-xs text-gray-600">
+              {t('import.xQuantity')}
+              <select value={mapping.xQuantity} onChange={updateMapping('xQuantity')} className={selectClass}>
+                {Object.keys(X_QUANTITIES).map(key => (
+                  <option key={key} value={key}>{t(`import.quantity.${key}`)}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-gray-600">
+              {t('import.name')}
+              <input value={dataset} onChange={(e) => setDataset(e.target.value)} className={selectClass} />
+            </label>
+            <label className="text-xs text-gray-600">
+              {t('import.yColumn')}
+              <select value={mapping.y} onChange={updateMapping('y')} className={selectClass}>
+                {columnOptions(false)}
+              </select>
+            </label>
+            <label className="text-xs text-gray-600">
+              {t('import.yQuantity')}
+              <select value={mapping.yQuantity} onChange={updateMapping('yQuantity')} className={selectClass}>
+                {Y_QUANTITIES.map(key => (
+                  <option key={key} value={key}>{t(`import.quantity.${key}`)}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-gray-600">
+              {t('import.metalColumn')}
+              <select value={mapping.metal} onChange={updateMapping('metal')} className={selectClass}>
+                {columnOptions(true)}
+              </select>
+            </label>
+            {!mapping.metal && (
+              <label className="text-xs text-gray-600">
+                {t('import.metal')}
+                <input value={metal} onChange={(e) => setMetal(e.target.value)} className={selectClass} />
+              </label>
+            )}
+          </div>
+          <div className="flex items-center gap-3 mt-2">
+            <button onClick={add} className="px-3 py-1 bg-blue-500 hover:bg-blue-600 text-white rounded">
+              {t('import.add', { count: table.rows.length })}
+            </button>
+            <button onClick={() => setTable(null)} className="text-xs text-gray-600 hover:underline">
+              {t('import.cancel')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {datasets.length > 0 && (
+        <ul className="mt-3 space-y-1">
+          {datasets.map(({ name, count }) => (
+            <li key={name} className="flex items-center gap-2 text-xs">
+              <span className="flex-1">{t('import.dataset', { name, count })}</span>
+              <button onClick={() => onRemoveDataset(name)} className="text-gray-500 hover:text-red-600" title={t('import.remove')}>
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+      {message && <p className="text-xs text-green-700 mt-2">{message}</p>}
+    </div>
+  );
+};
+
+export default ImportPanel;
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { DEFAULT_INSTRUMENT, validateInstrument, voltageUncertainty } from './instrument';
+import { useI18n } from './I18nContext';
+
+const RESOLUTIONS = [1, 0.1, 0.01, 0.001]; // V
+const RANGES = [2, 5, 10, 20]; // V
+
+// Configuración del voltímetro y del conocimiento de la frecuencia. Los campos
+// numéricos se editan como texto y sólo se aplican cuando la configuración
+// completa es válida.
+const InstrumentPanel = ({ settings, onChange }) => {
+  const { t, fmt, errorText } = useI18n();
+  const [form, setForm] = useState(() => ({
+    ...settings,
+    frequencyError: String(settings.frequencyError * 100)
+  }));
+  const [error, setError] = useState(null);
+
+  const update = (field, value) => {
+    const next = { ...form, [field]: value };
+    setForm(next);
+    try {
+      onChange(validateInstrument({ ...next, frequencyError: Number(next.frequencyError) / 100 }));
+      setError(null);
+    } catch (err) {
+      setError(errorText(err));
+    }
+  };
+
+  const reset = () => {
+    setForm({ ...DEFAULT_INSTRUMENT, frequencyError: String(DEFAULT_INSTRUMENT.frequencyError * 100) });
+    onChange(DEFAULT_INSTRUMENT);
+    setError(null);
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 mt-2 text-sm">
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-xs text-gray-600">
+          {t('instrument.resolution')}
+          <select value={form.resolution} onChange={(e) => update('resolution', e.target.value)} className={inputClass}>
+            {RESOLUTIONS.map(r => <option key={r} value={r}>{fmt(r)} V</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          {t('instrument.range')}
+          <select value={form.range} onChange={(e) => update('range', e.target.value)} className={inputClass}>
+            {RANGES.map(r => <option key={r} value={r}>± {r} V</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          {t('instrument.randomError')}
+          <input
+            type="number"
+            min="0"
+            step="0.005"
+            value={form.randomError}
+            onChange={(e) => update('randomError', e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          {t('instrument.systematicOffset')}
+          <input
+            type="number"
+            step="0.01"
+            value={form.systematicOffset}
+            onChange={(e) => update('systematicOffset', e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <label className="col-span-2 flex items-center gap-2 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={form.exactFrequency}
+            onChange={(e) => update('exactFrequency', e.target.checked)}
+          />
+          {t('instrument.exactFrequency')}
+        </label>
+        {!form.exactFrequency && (
+          <label className="text-xs text-gray-600">
+            {t('instrument.frequencyError')}
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={form.frequencyError}
+              onChange={(e) => update('frequencyError', e.target.value)}
+              className={inputClass}
+            />
+          </label>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between mt-2">
+        <p className="text-xs text-gray-500">
+          {t('instrument.uncertainty', { value: fmt(voltageUncertainty(settings), 4) })}
+          {settings.systematicOffset !== 0 && ` ${t('instrument.systematicNote')}`}
+        </p>
+        <button onClick={reset} className="text-xs text-blue-600 hover:underline">
+          {t('instrument.defaults')}
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export default InstrumentPanel;
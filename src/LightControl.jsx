@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+import {
+  LIGHT_INPUTS,
+  formatQuantity,
+  frequencyFromLightInput,
+  lightInputFromFrequency,
+  lightInputRange,
+  parseNumber,
+  toBaseUnit
+} from './units';
+import { useI18n } from './I18nContext';
+import { useUnits } from './UnitsContext';
+
+// Decimales del campo numérico en la unidad de referencia de cada magnitud
+const INPUT_DECIMALS = { frequency: 3, wavelength: 1, energy: 3 };
+
+// Luz de la fuente monocromática, controlada por frecuencia, longitud de onda
+// o energía del fotón con un deslizador y un campo para valores exactos. El
+// estado sigue siendo la frecuencia (×10¹⁴ Hz); el campo se escribe en la
+// unidad elegida y se aplica al salir de él o con Intro.
+const LightControl = ({ frequency, onChange, input, onInputChange, disabled }) => {
+  const { t, fmt } = useI18n();
+  const { units, label } = useUnits();
+  const value = lightInputFromFrequency(frequency, input);
+  const range = lightInputRange(input);
+  const text = fmt(formatQuantity(value, input, units, INPUT_DECIMALS[input]));
+  const [draft, setDraft] = useState(text);
+
+  useEffect(() => {
+    setDraft(text);
+  }, [text]);
+
+  const commit = () => {
+    const parsed = parseNumber(draft);
+    if (Number.isFinite(parsed)) {
+      onChange(frequencyFromLightInput(toBaseUnit(parsed, input, units), input));
+    }
+    setDraft(text);
+  };
+
+  // La longitud de onda crece hacia el infrarrojo
+  const bands = ['ir', 'visible', 'uv'];
+  if (input === 'wavelength') bands.reverse();
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <select
+          value={input}
+          onChange={(e) => onInputChange(e.target.value)}
+          disabled={disabled}
+          aria-label={t('light.input')}
+          className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+        >
+          {Object.keys(LIGHT_INPUTS).map(key => (
+            <option key={key} value={key}>{t(`light.input.${key}`)}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1 text-sm text-gray-600">
+          <input
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.target.blur();
+              if (e.key === 'Escape') setDraft(text);
+            }}
+            disabled={disabled}
+            inputMode="decimal"
+            aria-label={t('light.inputValue')}
+            className="w-28 px-2 py-1 border border-gray-300 rounded-md text-right"
+          />
+          {label(input)}
+        </label>
+      </div>
+      <input
+        type="range"
+        min={range.min}
+        max={range.max}
+        step={range.step}
+        value={value}
+        onChange={(e) => onChange(frequencyFromLightInput(parseFloat(e.target.value), input))}
+        disabled={disabled}
+        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+      />
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        {bands.map(band => <span key={band}>{t(`controls.${band}`)}</span>)}
+      </div>
+    </div>
+  );
+};
+
+export default LightControl;
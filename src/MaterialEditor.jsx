@@ -0,0 +1,188 @@
+import React, { useRef, useState } from 'react';
+import { Download, Upload, Trash2, Pencil } from 'lucide-react';
+import { validateMaterial, serializeMaterials, parseMaterials } from './materials';
+import { downloadFile, readFileAsText } from './download';
+import { useI18n } from './I18nContext';
+import { useUnits } from './UnitsContext';
+
+const EMPTY_FORM = {
+  symbol: '',
+  name: '',
+  workFunction: '',
+  fermiEnergy: '',
+  quantumEfficiency: '0.1',
+  color: '#A78BFA'
+};
+
+// Editor de materiales de cátodo definidos por el usuario
+const MaterialEditor = ({ materials, onChange }) => {
+  const { t, fmt, errorText } = useI18n();
+  const { show, label } = useUnits();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null); // símbolo en edición
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const submit = (e) => {
+    e.preventDefault();
+    let material;
+    try {
+      material = validateMaterial(form);
+    } catch (err) {
+      setError(errorText(err));
+      return;
+    }
+    if (material.symbol !== editing && materials[material.symbol]) {
+      setError(t('materials.exists', { symbol: material.symbol }));
+      return;
+    }
+
+    const { symbol, ...rest } = material;
+    const next = { ...materials };
+    if (editing) delete next[editing];
+    next[symbol] = { ...rest, custom: true };
+    onChange(next);
+    setForm(EMPTY_FORM);
+    setEditing(null);
+    setError(null);
+    setMessage(null);
+  };
+
+  const edit = (symbol) => {
+    const material = materials[symbol];
+    setForm({
+      symbol,
+      name: material.name,
+      workFunction: String(material.workFunction),
+      fermiEnergy: String(material.fermiEnergy),
+      quantumEfficiency: String(material.quantumEfficiency),
+      color: material.color
+    });
+    setEditing(symbol);
+    setError(null);
+  };
+
+  const remove = (symbol) => {
+    const next = { ...materials };
+    delete next[symbol];
+    onChange(next);
+    if (editing === symbol) {
+      setForm(EMPTY_FORM);
+      setEditing(null);
+    }
+  };
+
+  const exportMaterials = () => {
+    downloadFile(serializeMaterials(materials), 'materiales_fotoelectrico.json', 'application/json');
+  };
+
+  const importMaterials = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseMaterials(await readFileAsText(file));
+      onChange({ ...materials, ...imported });
+      setError(null);
+      setMessage(t('materials.imported', { count: Object.keys(imported).length }));
+    } catch (err) {
+      setError(errorText(err));
+      setMessage(null);
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 mt-2 text-sm">
+      <h3 className="font-semibold text-gray-700 mb-2">{t('materials.title')}</h3>
+
+      {Object.keys(materials).length === 0 ? (
+        <p className="text-xs text-gray-500 mb-2">{t('materials.none')}</p>
+      ) : (
+        <ul className="mb-3 space-y-1">
+          {Object.entries(materials).map(([symbol, material]) => (
+            <li key={symbol} className="flex items-center gap-2">
+              <span className="w-3 h-3 rounded-full border" style={{ backgroundColor: material.color }} />
+              <span className="flex-1">
+                {material.name} ({symbol}) – φ = {show(material.workFunction, 'energy')} {label('energy')}, η = {fmt(material.quantumEfficiency)}
+              </span>
+              <button onClick={() => edit(symbol)} className="text-gray-500 hover:text-blue-600" title={t('materials.edit')}>
+                <Pencil size={14} />
+              </button>
+              <button onClick={() => remove(symbol)} className="text-gray-500 hover:text-red-600" title={t('materials.delete')}>
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={submit} className="grid grid-cols-2 gap-2">
+        <label className="text-xs text-gray-600">
+          {t('materials.symbol')}
+          <input value={form.symbol} onChange={updateField('symbol')} className={inputClass} placeholder="Cs3Sb" />
+        </label>
+        <label className="text-xs text-gray-600">
+          {t('materials.name')}
+          <input value={form.name} onChange={updateField('name')} className={inputClass} placeholder={t('materials.namePlaceholder')} />
+        </label>
+        <label className="text-xs text-gray-600">
+          {t('materials.workFunction')}
+          <input type="number" step="0.01" value={form.workFunction} onChange={updateField('workFunction')} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          {t('materials.quantumEfficiency')}
+          <input type="number" step="0.01" min="0" max="1" value={form.quantumEfficiency} onChange={updateField('quantumEfficiency')} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          {t('materials.fermiEnergy')}
+          <input type="number" step="0.01" value={form.fermiEnergy} onChange={updateField('fermiEnergy')} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          {t('materials.color')}
+          <input type="color" value={form.color} onChange={updateField('color')} className="w-full h-8 border border-gray-300 rounded-md" />
+        </label>
+        <div className="col-span-2 flex gap-2">
+          <button type="submit" className="px-3 py-1 bg-blue-500 hover:bg-blue-600 text-white rounded">
+            {editing ? t('materials.save') : t('materials.add')}
+          </button>
+          {editing && (
+            <button
+              type="button"
+              onClick={() => { setForm(EMPTY_FORM); setEditing(null); setError(null); }}
+              className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded"
+            >
+              {t('materials.cancel')}
+            </button>
+          )}
+        </div>
+      </form>
+
+      <div className="flex gap-2 mt-3">
+        <button
+          onClick={exportMaterials}
+          disabled={Object.keys(materials).length === 0}
+          className="flex items-center gap-1 px-3 py-1 bg-green-500 hover:bg-green-600 text-white rounded disabled:opacity-50"
+        >
+          <Download size={14} /> {t('materials.export')}
+        </button>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          className="flex items-center gap-1 px-3 py-1 bg-gray-500 hover:bg-gray-600 text-white rounded"
+        >
+          <Upload size={14} /> {t('materials.import')}
+        </button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={importMaterials} className="hidden" />
+      </div>
+
+      {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+      {message && <p className="text-xs text-green-700 mt-2">{message}</p>}
+    </div>
+  );
+};
+
+export default MaterialEditor;
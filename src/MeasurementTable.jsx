@@ -0,0 +1,195 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Trash2, Undo2, Redo2 } from 'lucide-react';
+import { TABLE_COLUMNS, ALL_COLUMNS, cellText, sortMeasurements, filterMeasurements } from './measurementTable';
+import { LANGUAGES } from './i18n';
+import { useI18n } from './I18nContext';
+import { useUnits } from './UnitsContext';
+
+// Nota de una fila: se edita en un borrador y se guarda al salir del campo
+// o con Intro, para que cada nota sea un solo paso de deshacer
+const NoteCell = ({ note, onChange }) => {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(note || '');
+
+  useEffect(() => {
+    setDraft(note || '');
+  }, [note]);
+
+  const save = () => {
+    if (draft !== (note || '')) onChange(draft);
+  };
+
+  return (
+    <input
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={save}
+      onClick={(e) => e.stopPropagation()}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.target.blur();
+        if (e.key === 'Escape') setDraft(note || '');
+      }}
+      placeholder="—"
+      aria-label={t('table.column.note')}
+      className="w-32 px-1 border border-transparent hover:border-gray-300 focus:border-gray-400 rounded bg-transparent"
+    />
+  );
+};
+
+// Tabla de mediciones ordenable y filtrable, con borrado de filas, una nota
+// por fila y deshacer/rehacer de las ediciones
+const MeasurementTable = ({
+  measurements,
+  selectedId,
+  onSelect,
+  onDelete,
+  onNoteChange,
+  canUndo,
+  canRedo,
+  onUndo,
+  onRedo
+}) => {
+  const { t, language } = useI18n();
+  const { units, label } = useUnits();
+  const [sort, setSort] = useState({ key: null, direction: 'asc' });
+  const [filter, setFilter] = useState({ column: ALL_COLUMNS, query: '' });
+  const selectedRowRef = useRef(null);
+
+  const display = useMemo(
+    () => ({ decimal: LANGUAGES[language].decimal, language, units }),
+    [language, units]
+  );
+
+  const columnLabel = (c) => t(`table.column.${c.key}`, c.quantity ? { unit: label(c.quantity) } : undefined);
+
+  const rows = useMemo(
+    () => sortMeasurements(filterMeasurements(measurements, filter, display), sort, display),
+    [measurements, filter, display, sort]
+  );
+
+  // La fila seleccionada en la gráfica se muestra al pasar a la tabla
+  useEffect(() => {
+    if (selectedRowRef.current && selectedRowRef.current.scrollIntoView) {
+      selectedRowRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [selectedId]);
+
+  // Primer clic: ascendente; segundo: descendente; tercero: orden de registro
+  const toggleSort = (key) => {
+    setSort(prev => {
+      if (prev.key !== key) return { key, direction: 'asc' };
+      if (prev.direction === 'asc') return { key, direction: 'desc' };
+      return { key: null, direction: 'asc' };
+    });
+  };
+
+  const renderCell = (m, key) => {
+    if (key === 'note') return <NoteCell note={m.note} onChange={(note) => onNoteChange(m.id, note)} />;
+    if (key === 'stoppingVoltage') {
+      return (
+        <span title={m.overRange ? t('table.overRange') : undefined}>
+          {cellText(m, key, display)}{m.overRange && ' ⚠'}
+        </span>
+      );
+    }
+    return cellText(m, key, display) || '—';
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-xs">
+        <select
+          value={filter.column}
+          onChange={(e) => setFilter({ ...filter, column: e.target.value })}
+          aria-label={t('table.filterColumn')}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        >
+          <option value={ALL_COLUMNS}>{t('table.allColumns')}</option>
+          {TABLE_COLUMNS.map(c => <option key={c.key} value={c.key}>{columnLabel(c)}</option>)}
+        </select>
+        <input
+          value={filter.query}
+          onChange={(e) => setFilter({ ...filter, query: e.target.value })}
+          placeholder={t('table.filter')}
+          aria-label={t('table.filterLabel')}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        />
+        <span className="text-gray-500">
+          {rows.length === measurements.length
+            ? t('table.count', { count: rows.length })
+            : t('table.filteredCount', { count: rows.length, total: measurements.length })}
+        </span>
+        <div className="flex gap-1 ml-auto">
+          <button
+            onClick={onUndo}
+            disabled={!canUndo}
+            title={t('table.undo')}
+            className="p-1 rounded hover:bg-gray-200 disabled:opacity-30"
+          >
+            <Undo2 size={16} />
+          </button>
+          <button
+            onClick={onRedo}
+            disabled={!canRedo}
+            title={t('table.redo')}
+            className="p-1 rounded hover:bg-gray-200 disabled:opacity-30"
+          >
+            <Redo2 size={16} />
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto max-h-96">
+        <table className="w-full text-xs">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              {TABLE_COLUMNS.map(c => (
+                <th
+                  key={c.key}
+                  onClick={() => toggleSort(c.key)}
+                  aria-sort={sort.key === c.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : undefined}
+                  className="px-2 py-1 text-left cursor-pointer select-none whitespace-nowrap hover:bg-gray-100"
+                >
+                  {columnLabel(c)}
+                  {sort.key === c.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+              <th className="px-2 py-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(m => (
+              <tr
+                key={m.id}
+                ref={m.id === selectedId ? selectedRowRef : undefined}
+                onClick={() => onSelect(m.id === selectedId ? null : m.id)}
+                title={m.excluded ? t('table.excluded') : undefined}
+                className={`border-b cursor-pointer ${
+                  m.id === selectedId ? 'bg-purple-100' : m.dataset ? 'bg-amber-50' : ''
+                } ${m.excluded ? 'line-through text-gray-400' : ''}`}
+              >
+                {TABLE_COLUMNS.map(c => (
+                  <td key={c.key} className="px-2 py-1 whitespace-nowrap">{renderCell(m, c.key)}</td>
+                ))}
+                <td className="px-2 py-1">
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onDelete(m.id);
+                    }}
+                    title={t('table.delete')}
+                    className="text-gray-400 hover:text-red-600"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default MeasurementTable;
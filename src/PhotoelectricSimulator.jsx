@@ -1,660 +1,1206 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { Play, Pause, RotateCcw, Download } from 'lucide-react';
+import {
+  FREQUENCY_UNIT,
+  PLANCK_CONSTANT_EV,
+  getWorkFunction,
+  photonEnergyFromFrequency,
+  wavelengthFromFrequency,
+  thresholdWavelength
+} from './physics';
+import {
+  SOURCE_TYPES,
+  LINE_SPECTRA,
+  LED_SPECTRA,
+  buildSpectrum,
+  measuredSource,
+  totalWeight,
+  spectrumEmission,
+  spectralPhotocurrent,
+  spectrumColor
+} from './spectra';
+import {
+  INTERFERENCE_FILTERS,
+  MONOCHROMATOR_RANGE,
+  MONOCHROMATOR_BANDWIDTH,
+  ND_DENSITIES,
+  applyOptics,
+  nominalFrequency,
+  measuredOptics
+} from './optics';
+import { fitByMetal } from './fit';
+import { sweepBias, findStoppingPotential } from './ivCurve';
+import IVCurvePlot from './IVCurvePlot';
+import EnergyFrequencyPlot from './EnergyFrequencyPlot';
+import SimulationCanvas from './SimulationCanvas';
+import EnergyHistogram from './EnergyHistogram';
+import SpectrumPlot from './SpectrumPlot';
+import MaterialEditor from './MaterialEditor';
+import InstrumentPanel from './InstrumentPanel';
+import SweepPanel from './SweepPanel';
+import SessionPanel from './SessionPanel';
+import SharePanel from './SharePanel';
+import ExportPanel from './ExportPanel';
+import ImportPanel from './ImportPanel';
+import MeasurementTable from './MeasurementTable';
+import RepeatSummary from './RepeatSummary';
+import { loadCustomMaterials, saveCustomMaterials, mergeMaterials } from './materials';
+import { DEFAULT_CONTROLS, createSession, saveAutosave, loadAutosave } from './sessions';
+import { takeMeasurement } from './measurement';
+import {
+  createHistory,
+  updateOperation,
+  removeOperation,
+  applyOperation,
+  commitOperation,
+  undoOperation,
+  redoOperation
+} from './tableHistory';
+import { parseUrlState } from './urlState';
+import { snapshotScene } from './imageExport';
+import { downloadFile } from './download';
+import { createEngine } from './engine';
+import { createRandom, deriveSeed, randomSeed } from './random';
+import { LANGUAGES, createI18n, localizeMaterials, loadLanguage, saveLanguage } from './i18n';
+import { I18nContext } from './I18nContext';
+import { UNITS, formatQuantity, loadUnits, saveUnits, unitLabel } from './units';
+import { UnitsContext } from './UnitsContext';
+import LightControl from './LightControl';
+
+const AUTOSAVE_DELAY = 500; // ms sin cambios antes del guardado automático
+
+// Sesión vacía con los controles por defecto
+const newSessionData = () => ({
+  name: '',
+  controls: DEFAULT_CONTROLS,
+  measurements: [],
+  customMaterials: {},
+  notes: ''
+});
+
+// Anota o retira el aviso de un dato según se haya podido guardar en el navegador
+const trackStorage = (item, saved) => (failures) => {
+  if (saved) return failures.includes(item) ? failures.filter(i => i !== item) : failures;
+  return failures.includes(item) ? failures : [...failures, item];
+};
+
+// Estado al cargar la página: el último guardado automático. Si la URL trae
+// una configuración, ésta sustituye a los controles guardados (partiendo de
+// los valores por defecto) y se conservan las mediciones. Los materiales de
+// la sesión se añaden a los del usuario
+const loadInitialState = () => {
+  const autosaved = loadAutosave() || newSessionData();
+  const shared = parseUrlState(window.location.search);
+  const controls = Object.keys(shared.controls).length === 0
+    ? autosaved.controls
+    : { ...DEFAULT_CONTROLS, ...shared.controls };
+  const customMaterials = { ...loadCustomMaterials(), ...autosaved.customMaterials };
+  const selectedMetal = mergeMaterials(customMaterials)[controls.selectedMetal] ? controls.selectedMetal : 'Na';
+  return {
+    session: { ...autosaved, controls: { ...controls, selectedMetal }, customMaterials },
+    locked: shared.locked,
+    hidden: shared.hidden
+  };
+};
 
 const PhotoelectricSimulator = () => {
+  const [initialState] = useState(loadInitialState);
+  const { session: initialSession } = initialState;
+  const initialControls = initialSession.controls;
+
   // Estados principales
-  const [frequency, setFrequency] = useState(6.0); // x10^14 Hz
-  const [intensity, setIntensity] = useState(50); // %
-  const [selectedMetal, setSelectedMetal] = useState('Na');
+  const [frequency, setFrequency] = useState(initialControls.frequency); // x10^14 Hz
+  const [lightInput, setLightInput] = useState(initialControls.lightInput); // magnitud del control de la luz
+  const [lightSource, setLightSource] = useState(initialControls.lightSource);
+  const [optics, setOptics] = useState(initialControls.optics);
+  const [intensity, setIntensity] = useState(initialControls.intensity); // %
+  const [biasVoltage, setBiasVoltage] = useState(initialControls.biasVoltage); // V (ánodo respecto al cátodo)
+  const [selectedMetal, setSelectedMetal] = useState(initialControls.selectedMetal);
+  const [customMaterials, setCustomMaterials] = useState(initialSession.customMaterials);
+  const [showMaterialEditor, setShowMaterialEditor] = useState(false);
   const [isRunning, setIsRunning] = useState(false);
-  const [electrons, setElectrons] = useState([]);
-  const [measurements, setMeasurements] = useState([]);
-  const [showGraph, setShowGraph] = useState(false);
-  const [photons, setPhotons] = useState([]); // Agregar este nuevo estado
-  
-  const canvasRef = useRef(null);
-  const animationRef = useRef(null);
-
-  // Propiedades de los metales (función trabajo en eV)
-  const metals = {
-    'Cs': { name: 'Cesio', workFunction: 2.1, color: '#FFD700' },
-    'K': { name: 'Potasio', workFunction: 2.3, color: '#DDA0DD' },
-    'Na': { name: 'Sodio', workFunction: 2.75, color: '#FFA500' },
-    'Ca': { name: 'Calcio', workFunction: 2.87, color: '#32CD32' },
-    'Zn': { name: 'Zinc', workFunction: 4.33, color: '#708090' },
-    'Cu': { name: 'Cobre', workFunction: 4.65, color: '#B87333' },
-    'Al': { name: 'Aluminio', workFunction: 4.28, color: '#C0C0C0' }
+  const [seed, setSeed] = useState(initialControls.seed);
+  const [instrument, setInstrument] = useState(initialControls.instrument);
+  const [showInstrument, setShowInstrument] = useState(false);
+  const [showSweep, setShowSweep] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [selectedMeasurement, setSelectedMeasurement] = useState(null); // id de la medición seleccionada
+  const [thermalSmearing, setThermalSmearing] = useState(initialControls.thermalSmearing);
+  const [temperature, setTemperature] = useState(initialControls.temperature); // K
+  const [measurements, setMeasurements] = useState(initialSession.measurements);
+  const [tableHistory, setTableHistory] = useState(createHistory); // deshacer/rehacer de la tabla
+  const [viewMode, setViewMode] = useState(initialControls.viewMode); // 'table' | 'graph' | 'iv'
+  const [ivCurves, setIvCurves] = useState([]);
+  const [ivSettings, setIvSettings] = useState(initialControls.ivSettings);
+  const [ivError, setIvError] = useState(null);
+  const [sceneError, setSceneError] = useState(null);
+  const [sessionName, setSessionName] = useState(initialSession.name);
+  const [notes, setNotes] = useState(initialSession.notes);
+  const [sessionKey, setSessionKey] = useState(0); // cambia al abrir una sesión
+  const [lockedControls, setLockedControls] = useState(initialState.locked); // ver urlState.js
+  const [hiddenControls, setHiddenControls] = useState(initialState.hidden);
+  const [linkRestricted] = useState(initialState.locked.length > 0 || initialState.hidden.length > 0); // la página se abrió con bloqueos
+  const [language, setLanguage] = useState(() => loadLanguage());
+  const [units, setUnits] = useState(() => loadUnits());
+  const [storageFailures, setStorageFailures] = useState([]); // datos que no se pudieron guardar en el navegador
+
+  // Idioma de la interfaz, compartido con los paneles a través del contexto
+  const i18n = useMemo(() => createI18n(language), [language]);
+  const { t, fmt, errorText } = i18n;
+
+  useEffect(() => {
+    setStorageFailures(trackStorage('language', saveLanguage(language)));
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // Unidades de visualización; los valores se guardan siempre en las de base
+  const show = (value, quantity, decimals) => fmt(formatQuantity(value, quantity, units, decimals));
+  const unit = (quantity) => unitLabel(quantity, units);
+
+  useEffect(() => {
+    setStorageFailures(trackStorage('units', saveUnits(units)));
+  }, [units]);
+
+  const isLocked = (id) => lockedControls.includes(id);
+  const isHidden = (id) => hiddenControls.includes(id);
+  // Un control oculto tampoco se puede cambiar
+  const isRestricted = (id) => isLocked(id) || isHidden(id);
+
+  // Materiales incluidos (con el nombre traducido) más los definidos por el usuario
+  const materials = localizeMaterials(mergeMaterials(customMaterials), language);
+  const material = materials[selectedMetal];
+
+  useEffect(() => {
+    setStorageFailures(trackStorage('materials', saveCustomMaterials(customMaterials)));
+  }, [customMaterials]);
+
+  // Si se elimina el material seleccionado se vuelve al sodio
+  const updateCustomMaterials = (next) => {
+    setCustomMaterials(next);
+    if (!mergeMaterials(next)[selectedMetal]) {
+      setSelectedMetal('Na');
+    }
   };
 
-  // Constantes físicas
-  const h = 4.136e-15; // Constante de Planck (eV·s)
-  const c = 3e8; // Velocidad de la luz (m/s)
-  const e = 1.602e-19; // Carga del electrón (C)
+  // Espectro de la fuente (con luz monocromática es una única componente) y
+  // espectro que llega al cátodo tras los elementos ópticos
+  const source = { ...lightSource, frequency };
+  const sourceSpectrum = useMemo(
+    () => buildSpectrum({ ...lightSource, frequency }),
+    [lightSource, frequency]
+  );
+  const spectrum = useMemo(() => applyOptics(sourceSpectrum, optics), [sourceSpectrum, optics]);
+  const transmission = totalWeight(spectrum);
+  const hasLight = spectrum.length > 0;
+  const updateLightSource = (field) => (e) => setLightSource(prev => ({ ...prev, [field]: e.target.value }));
+  const updateOptics = (field, parse = (v) => v) => (e) => setOptics(prev => ({ ...prev, [field]: parse(e.target.value) }));
 
-  // Cálculos físicos
-  const photonEnergy = h * frequency * 1e14; // eV
-  const workFunction = metals[selectedMetal].workFunction;
-  const maxKineticEnergy = Math.max(0, photonEnergy - workFunction);
+  // Cálculos físicos. Con luz policromática el potencial de frenado lo fija la
+  // componente más energética (cutoffFrequency)
+  const workFunction = getWorkFunction(selectedMetal, materials);
+  const emission = spectrumEmission(spectrum, workFunction);
+  const frequencyHz = emission.cutoffFrequency;
+  const photonEnergy = emission.maxPhotonEnergy; // eV
+  const maxKineticEnergy = emission.maxKineticEnergy;
   const stoppingVoltage = maxKineticEnergy; // V
-  const canEmitElectrons = photonEnergy > workFunction;
-
-  // Convertir frecuencia a longitud de onda y color
-  const wavelength = (c / (frequency * 1e14)) * 1e9; // nm
-  const getWavelengthColor = (wl) => {
-    if (wl < 380) return '#8B00FF'; // UV
-    if (wl < 450) return '#4B0082'; // Violeta
-    if (wl < 495) return '#0000FF'; // Azul
-    if (wl < 570) return '#00FF00'; // Verde
-    if (wl < 590) return '#FFFF00'; // Amarillo
-    if (wl < 620) return '#FF7F00'; // Naranja
-    if (wl < 750) return '#FF0000'; // Rojo
-    return '#FF4500'; // IR
+  const canEmitElectrons = emission.canEmit;
+  const wavelength = wavelengthFromFrequency(frequencyHz); // nm
+  const quantumEfficiency = material.quantumEfficiency;
+  const current = isRunning
+    ? spectralPhotocurrent(spectrum, workFunction, intensity, biasVoltage, quantumEfficiency)
+    : 0; // nA
+
+  const lightColor = spectrumColor(spectrum);
+
+  // Componentes que superan el umbral, para la distribución teórica de energías
+  const emissionLines = useMemo(
+    () => spectrum
+      .map(c => ({ maxKineticEnergy: photonEnergyFromFrequency(c.frequency) - workFunction, weight: c.weight }))
+      .filter(line => line.maxKineticEnergy > 0),
+    [spectrum, workFunction]
+  );
+
+  const cathodeTemperature = thermalSmearing ? temperature : 0;
+  const fermiEnergy = material.fermiEnergy;
+
+  // Motor de la escena, compartido por el canvas y el histograma de energías
+  const engineRef = useRef(null);
+  if (engineRef.current === null) {
+    engineRef.current = createEngine({ seed });
+  }
+
+  // Ruido de medición reproducible: flujo propio derivado de la semilla
+  const measurementRandomRef = useRef(null);
+  if (measurementRandomRef.current === null) {
+    measurementRandomRef.current = createRandom(deriveSeed(seed, 'measurements'));
+  }
+
+  // Reinicia el experimento (partículas y ruido) con la semilla indicada
+  const resetExperiment = (nextSeed = seed) => {
+    setIsRunning(false);
+    setSeed(nextSeed);
+    engineRef.current.reset(nextSeed);
+    measurementRandomRef.current = createRandom(deriveSeed(nextSeed, 'measurements'));
   };
 
-  const lightColor = getWavelengthColor(wavelength);
+  // Documento de la sesión actual (ver sessions.js)
+  const snapshotSession = () => createSession({
+    name: sessionName,
+    controls: {
+      frequency,
+      lightInput,
+      lightSource,
+      optics,
+      intensity,
+      biasVoltage,
+      selectedMetal,
+      seed,
+      instrument,
+      thermalSmearing,
+      temperature,
+      viewMode,
+      ivSettings
+    },
+    measurements,
+    customMaterials,
+    notes
+  });
 
-  // Animación de electrones
-  useEffect(() => {
-    if (!isRunning || !canEmitElectrons) {
-      setElectrons([]);
-      return;
+  // Controles de una sesión con los valores actuales en los que bloquea u
+  // oculta el enlace. La densidad neutra sigue a la intensidad y el resto del
+  // camino óptico, a la frecuencia
+  const keepRestricted = (controls) => {
+    const next = { ...controls };
+    if (isRestricted('frequency')) {
+      Object.assign(next, { frequency, lightSource, optics: { ...optics, density: controls.optics.density } });
     }
+    if (isRestricted('intensity')) {
+      Object.assign(next, { intensity, optics: { ...next.optics, density: optics.density } });
+    }
+    if (isRestricted('bias')) next.biasVoltage = biasVoltage;
+    if (isRestricted('metal')) next.selectedMetal = selectedMetal;
+    if (isRestricted('view')) next.viewMode = viewMode;
+    return next;
+  };
 
-    const animate = () => {
-      setElectrons(prev => {
-        let newElectrons = [...prev];
-        
-        // Agregar nuevos electrones basado en la intensidad
-        if (Math.random() < intensity / 1000) {
-          const speed = Math.sqrt(maxKineticEnergy) * 20; // Proporcional a √(Ec)
-          newElectrons.push({
-            id: Date.now() + Math.random(),
-            x: 300,
-            y: 200 + (Math.random() - 0.5) * 60,
-            vx: speed * (0.8 + Math.random() * 0.4),
-            vy: (Math.random() - 0.5) * speed * 0.3,
-            life: 100
-          });
-        }
-        
-        // Actualizar posición y eliminar electrones antiguos
-        newElectrons = newElectrons
-          .map(e => ({
-            ...e,
-            x: e.x + e.vx,
-            y: e.y + e.vy,
-            life: e.life - 1
-          }))
-          .filter(e => e.life > 0 && e.x < 800);
-        
-        return newElectrons;
-      });
-      
-      animationRef.current = requestAnimationFrame(animate);
-    };
-    
-    animate();
-    
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
-    };
-  }, [isRunning, canEmitElectrons, intensity, maxKineticEnergy]);
-
-  // Animación de fotones
+  // Restaura una sesión: controles, mediciones y notas. Sus materiales se
+  // añaden a los del usuario en lugar de sustituirlos. Los controles que
+  // bloquea el enlace no cambian
+  const applySession = (session) => {
+    const controls = keepRestricted(session.controls);
+    const nextMaterials = { ...customMaterials, ...session.customMaterials };
+    setFrequency(controls.frequency);
+    setLightInput(controls.lightInput);
+    setLightSource(controls.lightSource);
+    setOptics(controls.optics);
+    setIntensity(controls.intensity);
+    setBiasVoltage(controls.biasVoltage);
+    setCustomMaterials(nextMaterials);
+    setSelectedMetal(mergeMaterials(nextMaterials)[controls.selectedMetal] ? controls.selectedMetal : 'Na');
+    setInstrument(controls.instrument);
+    setThermalSmearing(controls.thermalSmearing);
+    setTemperature(controls.temperature);
+    setViewMode(controls.viewMode);
+    setIvSettings(controls.ivSettings);
+    setIvCurves([]);
+    setMeasurements(session.measurements);
+    setTableHistory(createHistory());
+    setSessionName(session.name);
+    setNotes(session.notes);
+    setSessionKey(prev => prev + 1);
+    resetExperiment(controls.seed);
+  };
+
+  const newSession = () => applySession(newSessionData());
+
+  // Guardado automático tras cada cambio, agrupando los cambios seguidos
   useEffect(() => {
-    let animationFrameId;
+    const id = setTimeout(() => saveAutosave(snapshotSession()), AUTOSAVE_DELAY);
+    return () => clearTimeout(id);
+  });
 
-    if (!isRunning) {
-      setPhotons([]);
-      return;
-    }
+  // Ajuste Ec frente a f de las mediciones registradas, por metal y serie
+  const fits = fitByMetal(measurements, materials);
 
-    const animatePhotons = () => {
-      setPhotons(prev => {
-        let newPhotons = [...prev];
-        
-        // Agregar nuevos fotones basado en la intensidad
-        if (Math.random() < intensity / 500) {
-          const y = 250; // Posición fija en y para trayectoria recta
-          newPhotons.push({
-            id: Date.now() + Math.random(),
-            x: 20,
-            y: y,
-            speed: 8 + Math.random() * 2
-          });
-        }
-        
-        // Actualizar posición y eliminar fotones antiguos
-        newPhotons = newPhotons
-          .map(p => ({
-            ...p,
-            x: p.x + p.speed
-          }))
-          .filter(p => p.x < 240);
-        
-        return newPhotons;
-      });
-    
-      animationFrameId = requestAnimationFrame(animatePhotons);
-    };
-    
-    animationFrameId = requestAnimationFrame(animatePhotons);
-    
-    return () => {
-      if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
-      }
-      // Limpiar los fotones cuando el efecto se desmonta
-      setPhotons([]);
-    };
-  }, [isRunning, intensity]);
-
-  // Registrar medición
+  // Ediciones de la tabla: se aplican y se guardan para poder deshacerlas
+  const editMeasurements = (operation) => {
+    setMeasurements(prev => applyOperation(prev, operation));
+    setTableHistory(prev => commitOperation(prev, operation));
+  };
+
+  const undoEdit = () => {
+    const result = undoOperation(tableHistory, measurements);
+    if (!result) return;
+    setMeasurements(result.measurements);
+    setTableHistory(result.history);
+  };
+
+  const redoEdit = () => {
+    const result = redoOperation(tableHistory, measurements);
+    if (!result) return;
+    setMeasurements(result.measurements);
+    setTableHistory(result.history);
+  };
+
+  const updateMeasurement = (id, changes) => {
+    const measurement = measurements.find(m => m.id === id);
+    if (measurement) editMeasurements(updateOperation(measurement, changes));
+  };
+
+  const removeMeasurements = (predicate) => {
+    const operation = removeOperation(measurements, predicate);
+    if (operation.entries.length > 0) editMeasurements(operation);
+  };
+
+  // Marca o desmarca una medición como valor atípico excluido del ajuste
+  const toggleExcluded = (id) => {
+    const measurement = measurements.find(m => m.id === id);
+    if (measurement) updateMeasurement(id, { excluded: !measurement.excluded });
+  };
+
+  // Series importadas, con su número de mediciones
+  const importedDatasets = useMemo(() => {
+    const counts = new Map();
+    measurements.forEach(m => {
+      if (m.dataset) counts.set(m.dataset, (counts.get(m.dataset) || 0) + 1);
+    });
+    return [...counts].map(([name, count]) => ({ name, count }));
+  }, [measurements]);
+
+  // Registrar medición con el instrumento y la luz actuales
   const recordMeasurement = () => {
-    // Agregar ruido aleatorio (±2% de variación)
-    const addNoise = (value) => {
-      const noise = value * (1 + (Math.random() - 0.5) * 0.04);
-      return Math.max(0, noise);
-    };
-
-    const kineticEnergy = addNoise(maxKineticEnergy);
-    const photonEnergyWithNoise = addNoise(photonEnergy);
-    const timestamp = Date.now();
-
-    const newMeasurement = {
-      id: `${timestamp}-${Math.random()}`, // Agregar un ID único
-      frequency: frequency,
-      wavelength: wavelength.toFixed(1),
-      photonEnergy: photonEnergyWithNoise.toFixed(3),
-      kineticEnergy: kineticEnergy.toFixed(3),
-      stoppingVoltage: kineticEnergy.toFixed(3),
+    const newMeasurement = takeMeasurement({
+      spectrum,
+      workFunction,
+      quantumEfficiency,
       metal: selectedMetal,
-      emitsElectrons: canEmitElectrons
-    };
+      intensity,
+      bias: biasVoltage,
+      nominalFrequency: nominalFrequency(optics),
+      instrument,
+      source: measuredSource(source),
+      filter: measuredOptics(optics)
+    }, measurementRandomRef.current);
     setMeasurements(prev => [...prev, newMeasurement]);
   };
 
-  // Limpiar mediciones
-  const clearMeasurements = () => {
-    setMeasurements([]);
+  // Medición de un punto del barrido automático, con luz monocromática. Si el
+  // enlace fija la frecuencia se mide con la luz actual
+  const measureSweepPoint = ({ frequency: f, metal, intensity: pointIntensity }) => {
+    const pointSource = { type: 'monochromatic', frequency: f };
+    const light = isRestricted('frequency')
+      ? { spectrum, nominalFrequency: nominalFrequency(optics), source: measuredSource(source), filter: measuredOptics(optics) }
+      : { spectrum: buildSpectrum(pointSource), source: measuredSource(pointSource) };
+    return takeMeasurement({
+      ...light,
+      workFunction: materials[metal].workFunction,
+      quantumEfficiency: materials[metal].quantumEfficiency,
+      metal,
+      intensity: pointIntensity,
+      bias: biasVoltage,
+      instrument
+    }, measurementRandomRef.current);
   };
 
-  // Exportar datos
-  const exportData = () => {
-    const csvContent = "data:text/csv;charset=utf-8," + 
-      "Frecuencia(Hz),Longitud(nm),Energía Fotón(eV),Energía Cinética(eV),Voltaje Frenado(V),Metal,Emite Electrones\n" +
-      measurements.map(m => 
-        `${m.frequency}e14,${m.wavelength},${m.photonEnergy},${m.kineticEnergy},${m.stoppingVoltage},${m.metal},${m.emitsElectrones}`
-      ).join("\n");
-    
-    const encodedUri = encodeURI(csvContent);
-    const link = document.createElement("a");
-    link.setAttribute("href", encodedUri);
-    link.setAttribute("download", "efecto_fotoelectrico_datos.csv");
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  // Curva I–V a la frecuencia e intensidad actuales
+  const acquireIVCurve = () => {
+    let points;
+    try {
+      points = sweepBias({ spectrum, workFunction, intensity, quantumEfficiency, ...ivSettings });
+    } catch (err) {
+      setIvError(errorText(err));
+      return;
+    }
+    setIvError(null);
+    setIvCurves(prev => [...prev, {
+      id: `iv-${Date.now()}-${prev.length}`,
+      metal: selectedMetal,
+      frequency: Number((frequencyHz / FREQUENCY_UNIT).toFixed(3)),
+      intensity: intensity,
+      points: points,
+      stoppingPotential: findStoppingPotential(points)
+    }]);
   };
 
-  return (
-    <div className="w-full max-w-7xl mx-auto p-6 bg-gray-50 min-h-screen">
-      <h1 className="text-3xl font-bold text-center mb-8 text-gray-800">
-        Simulador del Efecto Fotoeléctrico
-      </h1>
-      
-      {/* Contenedor principal con nuevo layout */}
-      <div className="flex flex-col gap-6">
-        {/* Fila superior con controles y simulación */}
-        <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
-          {/* Panel de Control (2 columnas de 5) */}
-          <div className="lg:col-span-2 bg-white rounded-lg shadow-lg p-6">
-            <h2 className="text-xl font-semibold mb-4 text-gray-700">Panel de Control</h2>
-            
-            {/* Frecuencia */}
-            <div className="mb-4">
-              <label className="block text-sm font-medium text-gray-600 mb-2">
-                Frecuencia: {frequency.toFixed(1)} × 10¹⁴ Hz
-              </label>
-              <input
-                type="range"
-                min="3"
-                max="12"
-                step="0.1"
-                value={frequency}
-                onChange={(e) => setFrequency(parseFloat(e.target.value))}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-              />
-              <div className="flex justify-between text-xs text-gray-500 mt-1">
-                <span>IR</span>
-                <span>Visible</span>
-                <span>UV</span>
-              </div>
-            </div>
+  // Imagen de la escena con los mismos textos que se ven sobre ella
+  const downloadSceneImage = async (canvas, counter) => {
+    try {
+      setSceneError(null);
+      const blob = await snapshotScene(canvas, {
+        counter,
+        label: [
+          material.name,
+          `φ = ${show(workFunction, 'energy')} ${unit('energy')}`,
+          t('scene.efficiency', { value: fmt(quantumEfficiency * 100, 0) })
+        ],
+        meters: [
+          [`V = ${fmt(biasVoltage, 2)} V`, `V₀ = ${fmt(stoppingVoltage, 3)} V`, `Ec = ${show(maxKineticEnergy, 'energy', 3)} ${unit('energy')}`],
+          [`I = ${fmt(current, 2)} nA`]
+        ],
+        emitting: canEmitElectrons,
+        status: canEmitElectrons ? t('scene.emitting') : t('scene.notEmitting')
+      });
+      downloadFile(blob, 'efecto_fotoelectrico_escena.png');
+    } catch (err) {
+      setSceneError(errorText(err));
+    }
+  };
 
-            {/* Intensidad */}
-            <div className="mb-4">
-              <label className="block text-sm font-medium text-gray-600 mb-2">
-                Intensidad: {intensity}%
-              </label>
-              <input
-                type="range"
-                min="10"
-                max="100"
-                step="5"
-                value={intensity}
-                onChange={(e) => setIntensity(parseInt(e.target.value))}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-              />
-            </div>
+  // Limpiar mediciones (o curvas I–V en esa vista)
+  const clearMeasurements = () => {
+    if (viewMode === 'iv') {
+      setIvCurves([]);
+      return;
+    }
+    removeMeasurements(() => true);
+  };
 
-            {/* Metal */}
-            <div className="mb-4">
-              <label className="block text-sm font-medium text-gray-600 mb-2">
-                Material del Cátodo
-              </label>
+  return (
+    <I18nContext.Provider value={i18n}>
+    <UnitsContext.Provider value={units}>
+      <div className="w-full max-w-7xl mx-auto p-6 bg-gray-50 min-h-screen">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">
+            {t('app.title')}
+          </h1>
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+            {t('units.title')}
+            {Object.keys(units).map(quantity => (
               <select
-                value={selectedMetal}
-                onChange={(e) => setSelectedMetal(e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                key={quantity}
+                value={units[quantity]}
+                onChange={(e) => setUnits(prev => ({ ...prev, [quantity]: e.target.value }))}
+                aria-label={t(`units.${quantity}`)}
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm"
               >
-                {Object.entries(metals).map(([symbol, metal]) => (
-                  <option key={symbol} value={symbol}>
-                    {metal.name} ({symbol}) - {metal.workFunction} eV
-                  </option>
+                {Object.entries(UNITS[quantity]).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
                 ))}
               </select>
-            </div>
+            ))}
+            <select
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              aria-label={t('app.language')}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+            >
+              {Object.entries(LANGUAGES).map(([code, { label }]) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
 
-            {/* Controles */}
-            <div className="flex gap-2 mb-4">
-              <button
-                onClick={() => setIsRunning(!isRunning)}
-                className={`flex items-center gap-2 px-4 py-2 rounded-md text-white font-medium ${
-                  isRunning ? 'bg-red-500 hover:bg-red-600' : 'bg-green-500 hover:bg-green-600'
-                }`}
-              >
-                {isRunning ? <Pause size={16} /> : <Play size={16} />}
-                {isRunning ? 'Pausar' : 'Iniciar'}
-              </button>
-              <button
-                onClick={() => {
-                  setIsRunning(false);
-                  setPhotons([]); // Limpiar los fotones
-                  setElectrons([]); // También limpiamos los electrones por consistencia
-                }}
-                className="flex items-center gap-2 px-4 py-2 bg-gray-500 hover:bg-gray-600 text-white rounded-md"
-              >
-                <RotateCcw size={16} />
-                Reset
-              </button>
-            </div>
+        {storageFailures.length > 0 && (
+          <p className="mb-4 text-sm text-red-600">
+            {t('storage.failed', { items: storageFailures.map(item => t(`storage.item.${item}`)).join(', ') })}
+          </p>
+        )}
 
-            {/* Información de la luz */}
-            <div className="bg-gray-50 rounded-lg p-4 mb-4">
-              <h3 className="text-sm font-semibold text-gray-700 mb-2">Propiedades de la Luz</h3>
-              <div className="space-y-1 text-sm">
-                <div>Longitud de onda: {wavelength.toFixed(1)} nm</div>
-                <div>Energía del fotón: {photonEnergy.toFixed(3)} eV</div>
-                <div className="flex items-center gap-2">
-                  Color: 
-                  <div 
-                    className="w-6 h-4 rounded border"
-                    style={{ backgroundColor: lightColor }}
+        {/* Contenedor principal con nuevo layout */}
+        <div className="flex flex-col gap-6">
+          <SessionPanel
+            name={sessionName}
+            onNameChange={setSessionName}
+            notes={notes}
+            onNotesChange={setNotes}
+            snapshot={snapshotSession}
+            onLoad={applySession}
+            onNew={newSession}
+          >
+            <SharePanel
+              controls={{ frequency, intensity, biasVoltage, selectedMetal, viewMode }}
+              locked={lockedControls}
+              hidden={hiddenControls}
+              onLockedChange={setLockedControls}
+              onHiddenChange={setHiddenControls}
+              editable={!linkRestricted}
+            />
+          </SessionPanel>
+
+          {/* Fila superior con controles y simulación */}
+          <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+            {/* Panel de Control (2 columnas de 5) */}
+            <div className="lg:col-span-2 bg-white rounded-lg shadow-lg p-6">
+              <h2 className="text-xl font-semibold mb-4 text-gray-700">{t('controls.title')}</h2>
+            
+              {!isHidden('frequency') && (
+                <>
+                  {/* Fuente de luz */}
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-600 mb-2">
+                      {t('controls.source')}
+                    </label>
+                    <select
+                      value={lightSource.type}
+                      onChange={updateLightSource('type')}
+                      disabled={isLocked('frequency')}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {SOURCE_TYPES.map(type => (
+                        <option key={type} value={type}>{t(`source.${type}`)}</option>
+                      ))}
+                    </select>
+                    {lightSource.type === 'lines' && (
+                      <select
+                        value={lightSource.lamp}
+                        onChange={updateLightSource('lamp')}
+                        disabled={isLocked('frequency')}
+                        className="w-full mt-2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {Object.keys(LINE_SPECTRA).map(lamp => (
+                          <option key={lamp} value={lamp}>{t(`lamp.${lamp}`)} ({lamp})</option>
+                        ))}
+                      </select>
+                    )}
+                    {lightSource.type === 'led' && (
+                      <select
+                        value={lightSource.led}
+                        onChange={updateLightSource('led')}
+                        disabled={isLocked('frequency')}
+                        className="w-full mt-2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {Object.entries(LED_SPECTRA).map(([led, { peak }]) => (
+                          <option key={led} value={led}>
+                            {peak
+                              ? t('led.peak', { name: t(`led.${led}`), value: show(peak, 'wavelength'), unit: unit('wavelength') })
+                              : t(`led.${led}`)}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                    {lightSource.type === 'blackbody' && (
+                      <div className="mt-2">
+                        <label className="block text-xs text-gray-600 mb-1">
+                          {t('controls.temperature', { value: lightSource.temperature })}
+                        </label>
+                        <input
+                          type="range"
+                          min="1500"
+                          max="10000"
+                          step="100"
+                          value={lightSource.temperature}
+                          onChange={(e) => setLightSource(prev => ({ ...prev, temperature: parseInt(e.target.value, 10) }))}
+                          disabled={isLocked('frequency')}
+                          className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                        />
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Frecuencia, longitud de onda o energía del fotón */}
+                  {lightSource.type === 'monochromatic' && (
+                    <LightControl
+                      frequency={frequency}
+                      onChange={setFrequency}
+                      input={lightInput}
+                      onInputChange={setLightInput}
+                      disabled={isLocked('frequency')}
+                    />
+                  )}
+                </>
+              )}
+
+              {/* Elementos ópticos entre la fuente y el cátodo: el filtro o el
+                  monocromador siguen al control de la frecuencia y la densidad
+                  neutra, al de la intensidad */}
+              {!(isHidden('frequency') && isHidden('intensity')) && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-600 mb-2">
+                    {t('controls.optics')}
+                  </label>
+                  <div className="grid grid-cols-2 gap-2">
+                    {!isHidden('frequency') && (
+                      <select
+                        value={optics.element}
+                        onChange={updateOptics('element')}
+                        disabled={isLocked('frequency')}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="none">{t('optics.none')}</option>
+                        <option value="filter">{t('optics.filter')}</option>
+                        <option value="monochromator">{t('optics.monochromator')}</option>
+                      </select>
+                    )}
+                    {!isHidden('intensity') && (
+                      <select
+                        value={optics.density}
+                        onChange={updateOptics('density', parseFloat)}
+                        disabled={isLocked('intensity')}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {ND_DENSITIES.map(density => (
+                          <option key={density} value={density}>
+                            {density === 0
+                              ? t('optics.noDensity')
+                              : `ND ${fmt(density)} (T = ${fmt(100 * Math.pow(10, -density), 1)} %)`}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                  {!isHidden('frequency') && optics.element === 'filter' && (
+                    <select
+                      value={optics.filter}
+                      onChange={updateOptics('filter')}
+                      disabled={isLocked('frequency')}
+                      className="w-full mt-2 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {Object.entries(INTERFERENCE_FILTERS).map(([id, filter]) => (
+                        <option key={id} value={id}>
+                          {show(filter.center, 'wavelength', 1)} {unit('wavelength')} (FWHM {show(filter.fwhm, 'wavelength')} {unit('wavelength')})
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  {!isHidden('frequency') && optics.element === 'monochromator' && (
+                    <div className="mt-2 space-y-2">
+                      <label className="block text-xs text-gray-600">
+                        {t('optics.center', { value: show(Number(optics.center), 'wavelength', 1), unit: unit('wavelength') })}
+                        <input
+                          type="range"
+                          min={MONOCHROMATOR_RANGE.min}
+                          max={MONOCHROMATOR_RANGE.max}
+                          step="0.1"
+                          value={optics.center}
+                          onChange={updateOptics('center', parseFloat)}
+                          disabled={isLocked('frequency')}
+                          className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                        />
+                      </label>
+                      <label className="flex items-center gap-2 text-xs text-gray-600">
+                        {t('optics.bandwidth')}
+                        <input
+                          type="number"
+                          min={MONOCHROMATOR_BANDWIDTH.min}
+                          max={MONOCHROMATOR_BANDWIDTH.max}
+                          step="1"
+                          value={optics.bandwidth}
+                          onChange={updateOptics('bandwidth', (v) => Math.min(
+                            MONOCHROMATOR_BANDWIDTH.max,
+                            Math.max(MONOCHROMATOR_BANDWIDTH.min, parseFloat(v) || MONOCHROMATOR_BANDWIDTH.min)
+                          ))}
+                          disabled={isLocked('frequency')}
+                          className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                        />
+                      </label>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Intensidad */}
+              {!isHidden('intensity') && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-600 mb-2">
+                    {t('controls.intensity', { value: intensity })}
+                  </label>
+                  <input
+                    type="range"
+                    min="10"
+                    max="100"
+                    step="5"
+                    value={intensity}
+                    onChange={(e) => setIntensity(parseInt(e.target.value))}
+                    disabled={isLocked('intensity')}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
                   />
                 </div>
-              </div>
-            </div>
-          </div>
+              )}
 
-          {/* Simulación Visual (3 columnas de 5) */}
-          <div className="lg:col-span-3 bg-white rounded-lg shadow-lg p-6">
-            <h2 className="text-xl font-semibold mb-4 text-gray-700">Simulación</h2>
-            
-            <div className="relative bg-black rounded-lg overflow-hidden" style={{ height: '500px' }}>
-              {/* Fuente de luz */}
-              <div className="absolute left-4 top-1/2 transform -translate-y-1/2">
-                <div className="w-8 h-12 bg-yellow-400 rounded-r-lg flex items-center justify-center">
-                  <div className="w-2 h-2 bg-white rounded-full"></div> 
+              {/* Tensión del ánodo */}
+              {!isHidden('bias') && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-600 mb-2">
+                    {t('controls.bias', { value: fmt(biasVoltage, 2) })}
+                  </label>
+                  <input
+                    type="range"
+                    min="-5"
+                    max="5"
+                    step="0.05"
+                    value={biasVoltage}
+                    onChange={(e) => setBiasVoltage(parseFloat(e.target.value))}
+                    disabled={isLocked('bias')}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                  />
+                  <div className="flex justify-between text-xs text-gray-500 mt-1">
+                    <span>{t('controls.retarding')}</span>
+                    <span>0 V</span>
+                    <span>{t('controls.accelerating')}</span>
+                  </div>
                 </div>
-              </div>
-              
-              
-
-              {/* Haz de luz */}
-              {isRunning && (
-                <div 
-                  className="absolute left-12 top-1/2 transform -translate-y-1/2 h-2 opacity-60"
-                  style={{ 
-                    width: '220px',
-                    backgroundColor: lightColor,
-                    boxShadow: `0 0 20px ${lightColor}`
-                  }}
-                />
               )}
 
-              {/* Fotones */}
-              {isRunning && photons.map(photon => (
-                <div
-                  key={`photon-${photon.id}`}
-                  className="absolute"
-                  style={{
-                    left: `${photon.x}px`,
-                    top: `${photon.y}px`,
-                    transform: 'translate(-50%, -50%)',
-                    color: lightColor,
-                  }}
-                >
-                  <svg 
-                    width="12" 
-                    height="6" 
-                    viewBox="0 0 12 6" 
-                    fill="none" 
-                    style={{
-                      filter: `drop-shadow(0 0 4px ${lightColor})`
-                    }}
+              {/* Metal */}
+              {!isHidden('metal') && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-600 mb-2">
+                    {t('controls.cathode')}
+                  </label>
+                  <select
+                    value={selectedMetal}
+                    onChange={(e) => setSelectedMetal(e.target.value)}
+                    disabled={isLocked('metal')}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                   >
-                    <path
-                      d="M0 3L8 3L8 5L12 3L8 1L8 3Z"
-                      fill="currentColor"
-                    />
-                  </svg>
+                    {Object.entries(materials).map(([symbol, metal]) => (
+                      <option key={symbol} value={symbol}>
+                        {metal.name} ({symbol}) - {show(metal.workFunction, 'energy', 2)} {unit('energy')}
+                      </option>
+                    ))}
+                  </select>
+                  {/* Editar los materiales cambiaría el del cátodo bloqueado */}
+                  {!isLocked('metal') && (
+                    <button
+                      onClick={() => setShowMaterialEditor(!showMaterialEditor)}
+                      className="mt-2 text-xs text-blue-600 hover:underline"
+                    >
+                      {showMaterialEditor ? t('controls.hideMaterials') : t('controls.editMaterials')}
+                    </button>
+                  )}
+                  {showMaterialEditor && !isLocked('metal') && (
+                    <MaterialEditor materials={customMaterials} onChange={updateCustomMaterials} />
+                  )}
                 </div>
-              ))}
-
-              {/* Superficie metálica */}
-              <div 
-                className="absolute w-4 h-32 top-1/2 transform -translate-y-1/2 rounded-l-lg"
-                style={{ 
-                  left: '240px',
-                  backgroundColor: metals[selectedMetal].color,
-                  boxShadow: 'inset 0 0 10px rgba(0,0,0,0.3)'
-                }}
-              />
+              )}
 
-              {/* Etiqueta del metal */}
-              <div className="absolute text-white text-xs" style={{ left: '260px', top: '40px' }}>
-                {metals[selectedMetal].name}
-                <br />
-                φ = {workFunction} eV
+              {/* Controles */}
+              <div className="flex gap-2 mb-4">
+                <button
+                  onClick={() => setIsRunning(!isRunning)}
+                  className={`flex items-center gap-2 px-4 py-2 rounded-md text-white font-medium ${
+                    isRunning ? 'bg-red-500 hover:bg-red-600' : 'bg-green-500 hover:bg-green-600'
+                  }`}
+                >
+                  {isRunning ? <Pause size={16} /> : <Play size={16} />}
+                  {isRunning ? t('controls.pause') : t('controls.start')}
+                </button>
+                <button
+                  onClick={() => resetExperiment()}
+                  className="flex items-center gap-2 px-4 py-2 bg-gray-500 hover:bg-gray-600 text-white rounded-md"
+                >
+                  <RotateCcw size={16} />
+                  {t('controls.reset')}
+                </button>
               </div>
 
-              {/* Electrones emitidos */}
-              {electrons.map((electron, index) => (
-                <div
-                  key={`electron-${electron.id}-${index}`} // Hacer la key más única
-                  className="absolute w-2 h-2 bg-blue-400 rounded-full"
-                  style={{
-                    left: `${electron.x}px`,
-                    top: `${electron.y}px`,
-                    opacity: electron.life / 100,
-                    boxShadow: '0 0 4px #3B82F6'
-                  }}
-                />
-              ))}
-
-              {/* Colector/Ánodo */}
-              <div className="absolute right-4 top-1/2 transform -translate-y-1/2 w-4 h-32 bg-gray-600 rounded-r-lg" />
+              {/* Semilla del experimento */}
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-600 mb-2">
+                  {t('controls.seed')}
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={seed}
+                    onChange={(e) => resetExperiment(parseInt(e.target.value, 10) || 0)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    onClick={() => resetExperiment(randomSeed())}
+                    className="px-3 py-2 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-md text-sm whitespace-nowrap"
+                  >
+                    {t('controls.newSeed')}
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {t('controls.seedHelp')}
+                </p>
+              </div>
 
-              {/* Voltímetro */}
-              <div className="absolute bottom-4 left-4 bg-gray-800 text-white px-3 py-2 rounded text-sm">
-                <div>V = {stoppingVoltage.toFixed(3)} V</div>
-                <div>Ec = {maxKineticEnergy.toFixed(3)} eV</div>
+              {/* Instrumento de medida */}
+              <div className="mb-4">
+                <button
+                  onClick={() => setShowInstrument(!showInstrument)}
+                  className="text-sm font-medium text-blue-600 hover:underline"
+                >
+                  {showInstrument ? t('controls.hideInstrument') : t('controls.instrument')}
+                </button>
+                {showInstrument && <InstrumentPanel key={sessionKey} settings={instrument} onChange={setInstrument} />}
               </div>
 
-              {/* Indicador de emisión */}
-              <div className="absolute top-4 right-4">
-                <div className={`w-4 h-4 rounded-full ${canEmitElectrons ? 'bg-green-500' : 'bg-red-500'}`} />
-                <div className="text-white text-xs mt-1">
-                  {canEmitElectrons ? 'Emitiendo' : 'Sin emisión'}
+              {/* Información de la luz */}
+              <div className="bg-gray-50 rounded-lg p-4 mb-4">
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">{t('light.title')}</h3>
+                <div className="space-y-1 text-sm">
+                  {!hasLight && <div>{t('light.blocked')}</div>}
+                  {hasLight && lightSource.type === 'monochromatic' && optics.element === 'none' && (
+                    <>
+                      <div>{t('light.wavelength', { value: show(wavelength, 'wavelength', 1), unit: unit('wavelength') })}</div>
+                      <div>{t('light.photonEnergy', { value: show(photonEnergy, 'energy', 3), unit: unit('energy') })}</div>
+                    </>
+                  )}
+                  {hasLight && (lightSource.type !== 'monochromatic' || optics.element !== 'none') && (
+                    <>
+                      <div>
+                        {t('light.cutoff', {
+                          wavelength: show(wavelength, 'wavelength', 1),
+                          wavelengthUnit: unit('wavelength'),
+                          energy: show(photonEnergy, 'energy', 3),
+                          energyUnit: unit('energy')
+                        })}
+                      </div>
+                      <div>{t('light.meanPhotonEnergy', { value: show(emission.meanPhotonEnergy, 'energy', 3), unit: unit('energy') })}</div>
+                      <div>
+                        {t('light.aboveThreshold', { value: fmt((emission.emittingFraction / transmission) * 100, 1) })}
+                      </div>
+                    </>
+                  )}
+                  {transmission < 1 && <div>{t('light.transmission', { value: fmt(transmission * 100, 2) })}</div>}
+                  {(lightSource.type !== 'monochromatic' || optics.element !== 'none') && (
+                    <SpectrumPlot
+                      spectrum={spectrum}
+                      reference={sourceSpectrum}
+                      thresholdWavelength={thresholdWavelength(workFunction)}
+                    />
+                  )}
+                  <div className="flex items-center gap-2">
+                    {t('light.color')}
+                    <div 
+                      className="w-6 h-4 rounded border"
+                      style={{ backgroundColor: lightColor }}
+                    />
+                  </div>
                 </div>
               </div>
             </div>
-          </div>{/* Botón para registrar medición */}
-            <button
-              onClick={recordMeasurement}
-              className="w-full mt-4 px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-md font-medium"
-            >
-              Registrar Medición
-            </button>
-          </div>
 
-
-        {/* Panel de Mediciones */}
-        <div className="bg-white rounded-lg shadow-lg p-6">
-          <div className="flex items-center justify-between mb-4">
-            <h2 className="text-xl font-semibold text-gray-700">Mediciones</h2>
-            <div className="flex gap-2">
-              <button
-                onClick={() => setShowGraph(!showGraph)}
-                className="px-3 py-1 bg-purple-500 hover:bg-purple-600 text-white rounded text-sm"
-              >
-                {showGraph ? 'Tabla' : 'Gráfica'}
-              </button>
-              <button
-                onClick={exportData}
-                className="px-3 py-1 bg-green-500 hover:bg-green-600 text-white rounded text-sm"
-                disabled={measurements.length === 0}
+            {/* Simulación Visual (3 columnas de 5) */}
+            <div className="lg:col-span-3 bg-white rounded-lg shadow-lg p-6">
+              <h2 className="text-xl font-semibold mb-4 text-gray-700">{t('scene.title')}</h2>
+            
+              <SimulationCanvas
+                engine={engineRef.current}
+                isRunning={isRunning}
+                intensity={intensity}
+                spectrum={spectrum}
+                workFunction={workFunction}
+                quantumEfficiency={quantumEfficiency}
+                temperature={cathodeTemperature}
+                fermiEnergy={fermiEnergy}
+                bias={biasVoltage}
+                lightColor={lightColor}
+                metalColor={material.color}
+                onSnapshot={downloadSceneImage}
               >
-                <Download size={14} />
-              </button>
+                {/* Etiqueta del metal */}
+                <div className="absolute text-white text-xs" style={{ left: '260px', top: '40px' }}>
+                  {material.name}
+                  <br />
+                  φ = {show(workFunction, 'energy')} {unit('energy')}
+                  <br />
+                  {t('scene.efficiency', { value: fmt(quantumEfficiency * 100, 0) })}
+                </div>
+
+                {/* Voltímetro y amperímetro */}
+                <div className="absolute bottom-4 left-4 flex gap-2">
+                  <div className="bg-gray-800 text-white px-3 py-2 rounded text-sm">
+                    <div>V = {fmt(biasVoltage, 2)} V</div>
+                    <div>V₀ = {fmt(stoppingVoltage, 3)} V</div>
+                    <div>Ec = {show(maxKineticEnergy, 'energy', 3)} {unit('energy')}</div>
+                  </div>
+                  <div className="bg-gray-800 text-white px-3 py-2 rounded text-sm">
+                    <div>I = {fmt(current, 2)} nA</div>
+                  </div>
+                </div>
+
+                {/* Indicador de emisión */}
+                <div className="absolute top-4 right-4">
+                  <div className={`w-4 h-4 rounded-full ${canEmitElectrons ? 'bg-green-500' : 'bg-red-500'}`} />
+                  <div className="text-white text-xs mt-1">
+                    {canEmitElectrons ? t('scene.emitting') : t('scene.notEmitting')}
+                  </div>
+                </div>
+              </SimulationCanvas>
+              {sceneError && <p className="text-xs text-red-600 mt-2">{sceneError}</p>}
+            </div>{/* Botón para registrar medición */}
               <button
-                onClick={clearMeasurements}
-                className="px-3 py-1 bg-red-500 hover:bg-red-600 text-white rounded text-sm"
+                onClick={recordMeasurement}
+                disabled={!hasLight}
+                className="w-full mt-4 px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-md font-medium disabled:opacity-50"
               >
-                Limpiar
+                {t('measurements.record')}
               </button>
             </div>
+
+          {/* Espectro de energía de los electrones emitidos */}
+          <div className="bg-white rounded-lg shadow-lg p-6">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+              <h2 className="text-xl font-semibold text-gray-700">{t('histogram.title')}</h2>
+              <div className="flex items-center gap-3 text-sm text-gray-600">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={thermalSmearing}
+                    onChange={(e) => setThermalSmearing(e.target.checked)}
+                  />
+                  {t('histogram.thermal')}
+                </label>
+                <label className="flex items-center gap-2">
+                  T (K)
+                  <input
+                    type="number"
+                    min="0"
+                    max="3000"
+                    step="50"
+                    value={temperature}
+                    disabled={!thermalSmearing}
+                    onChange={(e) => setTemperature(Math.max(0, parseFloat(e.target.value) || 0))}
+                    className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+                  />
+                </label>
+              </div>
+            </div>
+            <EnergyHistogram
+              engine={engineRef.current}
+              emissionLines={emissionLines}
+              maxKineticEnergy={maxKineticEnergy}
+              temperature={cathodeTemperature}
+              fermiEnergy={fermiEnergy}
+            />
           </div>
 
-          {!showGraph ? (
-            <div className="overflow-x-auto max-h-96">
-              <table className="w-full text-xs">
-                <thead className="bg-gray-50">
-                  <tr>
-                    <th className="px-2 py-1 text-left">f (×10¹⁴Hz)</th>
-                    <th className="px-2 py-1 text-left">λ (nm)</th>
-                    <th className="px-2 py-1 text-left">Ef (eV)</th>
-                    <th className="px-2 py-1 text-left">Ec (eV)</th>
-                    <th className="px-2 py-1 text-left">V (V)</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {measurements.map((m, i) => (
-                    <tr key={`measurement-${i}-${m.frequency}`} className="border-b">
-                      <td className="px-2 py-1">{m.frequency}</td>
-                      <td className="px-2 py-1">{m.wavelength}</td>
-                      <td className="px-2 py-1">{m.photonEnergy}</td>
-                      <td className="px-2 py-1">{m.kineticEnergy}</td>
-                      <td className="px-2 py-1">{m.stoppingVoltage}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
+          {/* Panel de Mediciones */}
+          <div className="bg-white rounded-lg shadow-lg p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-gray-700">{t('measurements.title')}</h2>
+              <div className="flex gap-2">
+                {!isHidden('view') && ['table', 'graph', 'iv'].map(mode => (
+                  <button
+                    key={mode}
+                    onClick={() => setViewMode(mode)}
+                    disabled={isLocked('view') && viewMode !== mode}
+                    className={`px-3 py-1 text-white rounded text-sm disabled:opacity-50 ${
+                      viewMode === mode ? 'bg-purple-700' : 'bg-purple-500 hover:bg-purple-600'
+                    }`}
+                  >
+                    {t(`view.${mode}`)}
+                  </button>
+                ))}
+                <button
+                  onClick={() => setShowSweep(!showSweep)}
+                  className={`px-3 py-1 text-white rounded text-sm ${
+                    showSweep ? 'bg-blue-700' : 'bg-blue-500 hover:bg-blue-600'
+                  }`}
+                >
+                  {t('measurements.sweep')}
+                </button>
+                <button
+                  onClick={() => setShowImport(!showImport)}
+                  className={`px-3 py-1 text-white rounded text-sm ${
+                    showImport ? 'bg-gray-700' : 'bg-gray-500 hover:bg-gray-600'
+                  }`}
+                >
+                  {t('measurements.import')}
+                </button>
+                <button
+                  onClick={() => setShowExport(!showExport)}
+                  className={`px-3 py-1 text-white rounded text-sm ${
+                    showExport ? 'bg-green-700' : 'bg-green-500 hover:bg-green-600'
+                  }`}
+                  title={t('export.title')}
+                >
+                  <Download size={14} />
+                </button>
+                <button
+                  onClick={clearMeasurements}
+                  className="px-3 py-1 bg-red-500 hover:bg-red-600 text-white rounded text-sm"
+                >
+                  {t('measurements.clear')}
+                </button>
+              </div>
             </div>
-          ) : (
-            <div className="h-[500px] flex flex-col items-center justify-center overflow-visible">
-  <svg width="650" height="460" className="border rounded" viewBox="0 0 650 460">
-    <defs>
-      <linearGradient id="gradient" x1="0%" y1="0%" x2="100%" y2="0%">
-        <stop offset="0%" stopColor="#8B5CF6" />
-        <stop offset="100%" stopColor="#06B6D4" />
-      </linearGradient>
-    </defs>
-    
-    {/* Grid lines verticales */}
-    {Array.from({length: 10}).map((_, i) => (
-      <line
-        key={`vgrid-${i}`}
-        x1={40 + i * 60}
-        y1="20"
-        x2={40 + i * 60}
-        y2="380"
-        stroke="#E5E7EB"
-        strokeWidth="1"
-      />
-    ))}
-
-    {/* Grid lines horizontales */}
-    {Array.from({length: 13}).map((_, i) => (
-      <line
-        key={`hgrid-${i}`}
-        x1="40"
-        y1={20 + i * 30}
-        x2="580"
-        y2={20 + i * 30}
-        stroke="#E5E7EB"
-        strokeWidth="1"
-      />
-    ))}
-    
-    {/* Ejes principales */}
-    <line x1="40" y1="380" x2="580" y2="380" stroke="#374151" strokeWidth="2" />
-    <line x1="40" y1="380" x2="40" y2="20" stroke="#374151" strokeWidth="2" />
-    
-    {/* Marcas y etiquetas del eje X */}
-    {Array.from({length: 10}).map((_, i) => {
-      const frequency = 3 + i * 0.5; // Valores de frecuencia de 3.0 a 7.5
-      const x = 40 + i * 60;
-      return (
-        <g key={`x-axis-${i}`}>
-          {/* Marca del eje */}
-          <line
-            x1={x}
-            y1="380"
-            x2={x}
-            y2="385"
-            stroke="#374151"
-            strokeWidth="2"
-          />
-          {/* Etiqueta numérica */}
-          <text
-            x={x}
-            y="405"
-            textAnchor="middle"
-            fontSize="12"
-            fill="#374151"
-          >
-            {frequency.toFixed(1)}
-          </text>
-        </g>
-      );
-    })}
-    
-    {/* Marcas y etiquetas del eje Y */}
-    {Array.from({length: 13}).map((_, i) => {
-      const energy = i * 0.5; // Valores de energía de 0 a 6
-      const y = 380 - i * 30;
-      return (
-        <g key={`y-axis-${i}`}>
-          {/* Marca del eje */}
-          <line
-            x1="35"
-            y1={y}
-            x2="40"
-            y2={y}
-            stroke="#374151"
-            strokeWidth="2"
-          />
-          {/* Etiqueta numérica */}
-          <text
-            x="30"
-            y={y + 4}
-            textAnchor="end"
-            fontSize="12"
-            fill="#374151"
-          >
-            {energy.toFixed(1)}
-          </text>
-        </g>
-      );
-    })}
-    
-    {/* Etiquetas de los ejes */}
-    <text x="325" y="430" textAnchor="middle" fontSize="14" fill="#374151" fontWeight="bold">
-      Frecuencia (×10¹⁴ Hz)
-    </text>
-    <text x="20" y="200" textAnchor="middle" fontSize="14" fill="#374151" fontWeight="bold" transform="rotate(-90 20 210)">
-      Ec (eV)
-    </text>
-    
-    {/* Función trabajo */}
-    <line 
-      x1="40" 
-      y1={380 - workFunction * 30} 
-      x2="580" 
-      y2={380 - workFunction * 30} 
-      stroke="#EF4444" 
-      strokeWidth="2" 
-      strokeDasharray="5,5"
+
+            {showImport && (
+              <ImportPanel
+                defaultMetal={selectedMetal}
+                datasets={importedDatasets}
+                onImport={(rows) => setMeasurements(prev => [...prev, ...rows])}
+                onRemoveDataset={(name) => removeMeasurements(m => m.dataset === name)}
+              />
+            )}
+
+            {showExport && (
+              <ExportPanel measurements={measurements} instrument={instrument} fits={fits} />
+            )}
+
+            {showSweep && (
+              <SweepPanel
+                materials={materials}
+                defaultMetal={selectedMetal}
+                fixed={{
+                  frequency: isRestricted('frequency') ? frequency : undefined,
+                  metal: isRestricted('metal') ? selectedMetal : undefined,
+                  intensity: isRestricted('intensity') ? intensity : undefined
+                }}
+                measure={measureSweepPoint}
+                onRecord={(batch) => setMeasurements(prev => [...prev, ...batch])}
+              />
+            )}
+
+            {viewMode === 'table' && (
+              <>
+                <MeasurementTable
+                  measurements={measurements}
+                  selectedId={selectedMeasurement}
+                  onSelect={setSelectedMeasurement}
+                  onDelete={(id) => removeMeasurements(m => m.id === id)}
+                  onNoteChange={(id, note) => updateMeasurement(id, { note })}
+                  canUndo={tableHistory.past.length > 0}
+                  canRedo={tableHistory.future.length > 0}
+                  onUndo={undoEdit}
+                  onRedo={redoEdit}
+                />
+                <RepeatSummary measurements={measurements} />
+              </>
+            )}
+
+            {viewMode === 'graph' && (
+              <div className="min-h-[500px] flex flex-col items-center justify-center overflow-visible">
+    <EnergyFrequencyPlot
+      measurements={measurements}
+      fits={fits}
+      materials={materials}
+      selectedId={selectedMeasurement}
+      onSelect={setSelectedMeasurement}
+      onToggleExcluded={toggleExcluded}
     />
-    
-    {/* Puntos de datos */}
-    {measurements.map((m, i) => (
-      <circle
-        key={`point-${i}-${m.frequency}`}
-        cx={40 + (m.frequency - 3) * 53.33}
-        cy={380 - parseFloat(m.kineticEnergy) * 30}
-        r="4"
-        fill="url(#gradient)"
-      />
-    ))}
-    
-    {/* Línea de tendencia */}
-    {measurements.length > 1 && (
-      <polyline
-        points={measurements
-          .filter(m => parseFloat(m.kineticEnergy) > 0)
-          .map(m => `${40 + (m.frequency - 3) * 53.33},${380 - parseFloat(m.kineticEnergy) * 30}`)
-          .join(' ')}
-        fill="none"
-        stroke="#8B5CF6"
-        strokeWidth="2"
-      />
-    )}
-  </svg>
   
-  {/* Ecuación de linealización */}
-  <div className="mt-4 text-sm text-gray-700 font-mono bg-gray-50 p-2 rounded">
-    <span>E</span>
-    <sub>c</sub>
-    <span> = h·f - φ = </span>
-    <span>{h.toExponential(3)}</span>
-    <span>·f - </span>
-    <span>{workFunction.toFixed(2)}</span>
-    <span> eV</span>
+    {/* Resultados del ajuste Ec = h·f − φ */}
+    <div className="mt-4 text-sm text-gray-700 bg-gray-50 p-2 rounded w-full max-w-3xl">
+      <div className="font-mono mb-2">
+        E<sub>c</sub> = h·f − φ ({t('fit.method')})
+      </div>
+      {fits.length === 0 ? (
+        <div className="text-gray-500">{t('fit.empty')}</div>
+      ) : (
+        <table className="w-full text-xs">
+          <thead>
+            <tr>
+              <th className="px-2 py-1 text-left">{t('table.column.metal')}</th>
+              <th className="px-2 py-1 text-left">n</th>
+              <th className="px-2 py-1 text-left">h ({unit('planck')})</th>
+              <th className="px-2 py-1 text-left">φ ({unit('energy')})</th>
+              <th className="px-2 py-1 text-left">f₀ ({unit('frequency')})</th>
+              <th className="px-2 py-1 text-left">R²</th>
+              <th className="px-2 py-1 text-left">χ²/ν</th>
+              <th className="px-2 py-1 text-left">{t('fit.errorPlanck')}</th>
+              <th className="px-2 py-1 text-left">{t('fit.errorWorkFunction')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fits.map(fit => (
+              <tr key={`fit-row-${fit.dataset}-${fit.metal}`} className="border-b">
+                <td className="px-2 py-1">
+                  {fit.metal}
+                  {fit.dataset && <span className="text-amber-700"> · {fit.dataset}</span>}
+                </td>
+                <td className="px-2 py-1" title={fit.weighted ? t('fit.weightedTitle', { count: fit.frequencies }) : undefined}>
+                  {fit.n}{fit.weighted && ` ${t('fit.weighted')}`}
+                </td>
+                <td className="px-2 py-1">
+                  {show(fit.planck, 'planck', 3)}
+                  {fit.planckError !== null && ` ± ${show(fit.planckError, 'planck', 3)}`}
+                </td>
+                <td className="px-2 py-1">
+                  {show(fit.workFunction, 'energy', 3)}
+                  {fit.workFunctionError !== null && ` ± ${show(fit.workFunctionError, 'energy', 3)}`}
+                </td>
+                <td className="px-2 py-1">{show(fit.thresholdFrequency / FREQUENCY_UNIT, 'frequency', 3)}</td>
+                <td className="px-2 py-1">{fmt(fit.rSquared, 4)}</td>
+                <td className="px-2 py-1">{fit.reducedChiSquare !== null ? fmt(fit.reducedChiSquare, 2) : '—'}</td>
+                <td className="px-2 py-1">{fmt(fit.planckPercentError, 2)} %</td>
+                <td className="px-2 py-1">
+                  {fit.workFunctionPercentError !== null ? `${fmt(fit.workFunctionPercentError, 2)} %` : '—'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div className="text-xs text-gray-500 mt-2">
+        {t('fit.accepted', { value: show(PLANCK_CONSTANT_EV, 'planck', 4), unit: unit('planck') })} · {t('fit.chiSquareNote')}
+      </div>
+    </div>
   </div>
-</div>
-          )}
-        </div>
+            )}
 
-        {/* Información teórica */}
-        <div className="bg-white rounded-lg shadow-lg p-6">
-          <h2 className="text-xl font-semibold mb-4 text-gray-700">Información Teórica</h2>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            <div>
-              <h3 className="text-lg font-medium mb-2">Ecuación de Einstein</h3>
-              <div className="bg-gray-50 p-4 rounded-lg font-mono text-sm">
-                E<sub>cinética</sub> = hf - φ
+            {viewMode === 'iv' && (
+              <div>
+                <div className="flex flex-wrap items-end gap-3 mb-4 text-sm">
+                  <label className="flex flex-col text-gray-600">
+                    {t('iv.vMin')}
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={ivSettings.vMin}
+                      onChange={(e) => setIvSettings(prev => ({ ...prev, vMin: parseFloat(e.target.value) }))}
+                      className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                  </label>
+                  <label className="flex flex-col text-gray-600">
+                    {t('iv.vMax')}
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={ivSettings.vMax}
+                      onChange={(e) => setIvSettings(prev => ({ ...prev, vMax: parseFloat(e.target.value) }))}
+                      className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                  </label>
+                  <label className="flex flex-col text-gray-600">
+                    {t('iv.step')}
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0.01"
+                      value={ivSettings.step}
+                      onChange={(e) => setIvSettings(prev => ({ ...prev, step: parseFloat(e.target.value) }))}
+                      className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                  </label>
+                  <button
+                    onClick={acquireIVCurve}
+                    className="px-3 py-1 bg-blue-500 hover:bg-blue-600 text-white rounded"
+                  >
+                    {t('iv.acquire')}
+                  </button>
+                  {ivError && <span className="text-red-600">{ivError}</span>}
+                </div>
+                <IVCurvePlot curves={ivCurves} />
+              </div>
+            )}
+          </div>
+
+          {/* Información teórica */}
+          <div className="bg-white rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-semibold mb-4 text-gray-700">{t('theory.title')}</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <h3 className="text-lg font-medium mb-2">{t('theory.equation')}</h3>
+                <div className="bg-gray-50 p-4 rounded-lg font-mono text-sm">
+                  E<sub>{t('theory.kinetic')}</sub> = hf - φ
+                </div>
+                <p className="text-sm text-gray-600 mt-2">
+                  {t('theory.where')}
+                </p>
+              </div>
+              <div>
+                <h3 className="text-lg font-medium mb-2">{t('theory.observations')}</h3>
+                <ul className="text-sm text-gray-600 space-y-1">
+                  {[1, 2, 3, 4].map(i => <li key={i}>• {t(`theory.observation${i}`)}</li>)}
+                </ul>
               </div>
-              <p className="text-sm text-gray-600 mt-2">
-                Donde h es la constante de Planck, f la frecuencia de la luz, y φ la función trabajo del metal.
-              </p>
-            </div>
-            <div>
-              <h3 className="text-lg font-medium mb-2">Observaciones Clave</h3>
-              <ul className="text-sm text-gray-600 space-y-1">
-                <li>• La emisión depende de la frecuencia, no de la intensidad</li>
-                <li>• Existe una frecuencia umbral mínima para cada metal</li>
-                <li>• La intensidad afecta el número de electrones emitidos</li>
-                <li>• La energía cinética máxima es independiente de la intensidad</li>
-              </ul>
             </div>
           </div>
         </div>
       </div>
-    </div>
+    </UnitsContext.Provider>
+    </I18nContext.Provider>
   );
 };
 
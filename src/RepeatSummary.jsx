@@ -0,0 +1,61 @@
+import React, { useMemo } from 'react';
+import { summarizeRepeats } from './repeats';
+import { useI18n } from './I18nContext';
+import { useUnits } from './UnitsContext';
+
+// Resumen de las mediciones repetidas: media de Ec, desviación típica y
+// error típico de la media por serie, metal y frecuencia
+const RepeatSummary = ({ measurements }) => {
+  const { t } = useI18n();
+  const { label, show } = useUnits();
+  const groups = useMemo(
+    () => summarizeRepeats(measurements).sort((a, b) =>
+      (a.dataset || '').localeCompare(b.dataset || '') ||
+      a.metal.localeCompare(b.metal) ||
+      a.frequency - b.frequency),
+    [measurements]
+  );
+
+  if (groups.length === 0) return null;
+
+  const formatEnergy = (value) => (value === null ? '—' : show(value, 'energy', 4));
+
+  return (
+    <div className="mt-4">
+      <h3 className="text-sm font-semibold text-gray-700 mb-1">{t('repeats.title')}</h3>
+      <div className="overflow-x-auto max-h-64">
+        <table className="w-full text-xs">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              <th className="px-2 py-1 text-left">{t('table.column.dataset')}</th>
+              <th className="px-2 py-1 text-left">{t('table.column.metal')}</th>
+              <th className="px-2 py-1 text-left">{t('table.column.frequency', { unit: label('frequency') })}</th>
+              <th className="px-2 py-1 text-left">n</th>
+              <th className="px-2 py-1 text-left">{t('repeats.mean', { unit: label('energy') })}</th>
+              <th className="px-2 py-1 text-left">s ({label('energy')})</th>
+              <th className="px-2 py-1 text-left">s/√n ({label('energy')})</th>
+            </tr>
+          </thead>
+          <tbody>
+            {groups.map(g => (
+              <tr key={g.key} className={`border-b ${g.dataset ? 'bg-amber-50' : ''}`}>
+                <td className="px-2 py-1">{g.dataset || t('dataset.simulated')}</td>
+                <td className="px-2 py-1">{g.metal}</td>
+                <td className="px-2 py-1">{show(g.frequency, 'frequency')}</td>
+                <td className="px-2 py-1">{g.n}</td>
+                <td className="px-2 py-1">{formatEnergy(g.mean)}</td>
+                <td className="px-2 py-1">{formatEnergy(g.sd)}</td>
+                <td className="px-2 py-1">{formatEnergy(g.se)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        {t('repeats.help')}
+      </p>
+    </div>
+  );
+};
+
+export default RepeatSummary;
@@ -0,0 +1,169 @@
+import React, { useRef, useState } from 'react';
+import { Download, Upload, Save, FolderOpen, Trash2, FilePlus, Share2 } from 'lucide-react';
+import {
+  listSessions,
+  saveSession,
+  loadSession,
+  deleteSession,
+  serializeSession,
+  parseSession
+} from './sessions';
+import { downloadFile, readFileAsText } from './download';
+import { useI18n } from './I18nContext';
+import { LANGUAGES } from './i18n';
+
+// Nombre de archivo seguro a partir del nombre de la sesión
+const fileName = (name) => `${(name || 'sesion').replace(/[^\p{L}\p{N}_-]+/gu, '_')}.json`;
+
+// Sesiones con nombre: guardar y abrir en el navegador, exportar e importar
+// como JSON, y notas libres. snapshot() devuelve el documento de la sesión
+// actual (ver createSession) y onLoad recibe una sesión validada. Los hijos,
+// si los hay, forman el desplegable «Compartir».
+const SessionPanel = ({ name, onNameChange, notes, onNotesChange, snapshot, onLoad, onNew, children }) => {
+  const { t, language, errorText } = useI18n();
+  const [sessions, setSessions] = useState(() => listSessions());
+  const [showList, setShowList] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const report = (text) => {
+    setMessage(text);
+    setError(null);
+  };
+
+  const fail = (err) => {
+    setError(errorText(err));
+    setMessage(null);
+  };
+
+  const save = () => {
+    try {
+      saveSession(snapshot());
+      setSessions(listSessions());
+      report(t('session.saved', { name }));
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  const open = (id) => {
+    try {
+      const session = loadSession(id);
+      onLoad(session);
+      setShowList(false);
+      report(t('session.opened', { name: session.name }));
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  const remove = (id) => {
+    try {
+      deleteSession(id);
+      setSessions(listSessions());
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  const exportSession = () => {
+    downloadFile(serializeSession(snapshot()), fileName(name), 'application/json');
+  };
+
+  const importSession = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const session = parseSession(await readFileAsText(file));
+      onLoad(session);
+      report(t('session.imported', { name: session.name || file.name, count: session.measurements.length }));
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  const buttonClass = 'flex items-center gap-1 px-3 py-1 rounded text-sm';
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          value={name}
+          onChange={(e) => onNameChange(e.target.value)}
+          placeholder={t('session.namePlaceholder')}
+          className="flex-1 min-w-[12rem] px-3 py-1 border border-gray-300 rounded-md text-sm"
+        />
+        <button onClick={save} className={`${buttonClass} bg-blue-500 hover:bg-blue-600 text-white`}>
+          <Save size={14} /> {t('session.save')}
+        </button>
+        <button
+          onClick={() => setShowList(!showList)}
+          className={`${buttonClass} bg-gray-200 hover:bg-gray-300 text-gray-700`}
+        >
+          <FolderOpen size={14} /> {t('session.open')}
+        </button>
+        <button onClick={onNew} className={`${buttonClass} bg-gray-200 hover:bg-gray-300 text-gray-700`}>
+          <FilePlus size={14} /> {t('session.new')}
+        </button>
+        <button onClick={exportSession} className={`${buttonClass} bg-green-500 hover:bg-green-600 text-white`}>
+          <Download size={14} /> {t('session.export')}
+        </button>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          className={`${buttonClass} bg-gray-500 hover:bg-gray-600 text-white`}
+        >
+          <Upload size={14} /> {t('session.import')}
+        </button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={importSession} className="hidden" />
+        {children && (
+          <button
+            onClick={() => setShowShare(!showShare)}
+            className={`${buttonClass} bg-gray-200 hover:bg-gray-300 text-gray-700`}
+          >
+            <Share2 size={14} /> {t('session.share')}
+          </button>
+        )}
+      </div>
+
+      {showShare && children}
+
+      {showList && (
+        sessions.length === 0 ? (
+          <p className="text-xs text-gray-500 mt-2">{t('session.none')}</p>
+        ) : (
+          <ul className="mt-2 space-y-1 text-sm">
+            {sessions.map(session => (
+              <li key={session.id} className="flex items-center gap-2">
+                <button onClick={() => open(session.id)} className="flex-1 text-left text-blue-600 hover:underline">
+                  {session.name}
+                </button>
+                <span className="text-xs text-gray-500">
+                  {t('session.summary', { count: session.count, date: new Date(session.savedAt).toLocaleString(LANGUAGES[language].locale) })}
+                </span>
+                <button onClick={() => remove(session.id)} className="text-gray-500 hover:text-red-600" title={t('session.delete')}>
+                  <Trash2 size={14} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+
+      <textarea
+        value={notes}
+        onChange={(e) => onNotesChange(e.target.value)}
+        placeholder={t('session.notesPlaceholder')}
+        rows={2}
+        className="w-full mt-2 px-3 py-1 border border-gray-300 rounded-md text-sm"
+      />
+
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+      {message && <p className="text-xs text-green-700 mt-1">{message}</p>}
+    </div>
+  );
+};
+
+export default SessionPanel;
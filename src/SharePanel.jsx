@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Link } from 'lucide-react';
+import { SHAREABLE_CONTROLS, buildShareUrl } from './urlState';
+import { useI18n } from './I18nContext';
+
+// Enlace con la configuración actual. Permite elegir qué controles quedan
+// bloqueados u ocultos al abrirlo; la selección se aplica también a la página
+// actual para ver cómo lo recibirán los alumnos. Si la página se abrió desde
+// un enlace con bloqueos (editable = false), éstos no se pueden cambiar.
+const SharePanel = ({ controls, locked, hidden, onLockedChange, onHiddenChange, editable = true }) => {
+  const { t } = useI18n();
+  const [message, setMessage] = useState(null);
+  const url = buildShareUrl(window.location.href, controls, { locked, hidden });
+
+  const rows = SHAREABLE_CONTROLS.map(id => ({ id, label: t(`share.controls.${id}`) }));
+
+  const toggle = (list, onChange, id) => {
+    onChange(list.includes(id) ? list.filter(item => item !== id) : [...list, id]);
+  };
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setMessage(t('share.copied'));
+    } catch (err) {
+      setMessage(t('share.copyFailed'));
+    }
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-200 text-sm">
+      <table className="text-xs mb-2">
+        <thead>
+          <tr className="text-gray-600">
+            <th className="pr-4 text-left font-medium">{t('share.control')}</th>
+            <th className="px-2 font-medium">{t('share.locked')}</th>
+            <th className="px-2 font-medium">{t('share.hidden')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ id, label }) => (
+            <tr key={id}>
+              <td className="pr-4">{label}</td>
+              <td className="px-2 text-center">
+                <input
+                  type="checkbox"
+                  aria-label={t('share.lock', { label })}
+                  checked={locked.includes(id)}
+                  onChange={() => toggle(locked, onLockedChange, id)}
+                  disabled={!editable}
+                />
+              </td>
+              <td className="px-2 text-center">
+                <input
+                  type="checkbox"
+                  aria-label={t('share.hide', { label })}
+                  checked={hidden.includes(id)}
+                  onChange={() => toggle(hidden, onHiddenChange, id)}
+                  disabled={!editable}
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {!editable && <p className="text-xs text-gray-500 mb-2">{t('share.fromLink')}</p>}
+      <div className="flex items-center gap-2">
+        <input
+          readOnly
+          value={url}
+          onFocus={(e) => e.target.select()}
+          className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-xs text-gray-600"
+        />
+        <button
+          onClick={copy}
+          className="flex items-center gap-1 px-3 py-1 rounded text-sm bg-blue-500 hover:bg-blue-600 text-white"
+        >
+          <Link size={14} /> {t('share.copy')}
+        </button>
+      </div>
+      {message && <p className="text-xs text-gray-600 mt-1">{message}</p>}
+    </div>
+  );
+};
+
+export default SharePanel;
@@ -0,0 +1,106 @@
+import React, { useEffect, useRef } from 'react';
+import { Camera } from 'lucide-react';
+import { SCENE_HEIGHT } from './particles';
+import { drawScene } from './sceneRenderer';
+import { useI18n } from './I18nContext';
+
+// Escena de partículas dibujada en un canvas con su propio ciclo de animación.
+// Las partículas no forman parte del estado de React: los cambios de props se
+// leen desde una referencia en cada cuadro, sin reiniciar el ciclo. El motor
+// (ver engine.js) avanza con paso fijo, así que la velocidad no depende de la
+// pantalla; lo crea el componente padre para compartirlo con otros paneles.
+// Si se indica onSnapshot, un botón le pasa el canvas y el texto del contador
+// para guardar una imagen de la escena.
+const SimulationCanvas = ({
+  engine,
+  isRunning,
+  intensity,
+  spectrum,
+  workFunction,
+  quantumEfficiency,
+  temperature,
+  fermiEnergy,
+  bias,
+  lightColor,
+  metalColor,
+  onSnapshot,
+  children
+}) => {
+  const { t } = useI18n();
+  const canvasRef = useRef(null);
+  const paramsRef = useRef(null);
+  const translateRef = useRef(t);
+  const counterRef = useRef(null);
+
+  useEffect(() => {
+    paramsRef.current = {
+      isRunning,
+      intensity,
+      spectrum,
+      workFunction,
+      quantumEfficiency,
+      temperature,
+      fermiEnergy,
+      bias,
+      lightColor,
+      metalColor
+    };
+    translateRef.current = t;
+  });
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return undefined;
+
+    let frameId;
+    let lastTime = null;
+    const loop = (now) => {
+      // Ajustar la resolución del canvas a su tamaño en pantalla
+      const ratio = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth;
+      if (canvas.width !== Math.round(width * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(SCENE_HEIGHT * ratio);
+      }
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+      const params = paramsRef.current;
+      engine.setParams({ ...params, width });
+      if (params.isRunning && lastTime !== null) {
+        engine.advance(now - lastTime);
+      }
+      lastTime = now;
+      drawScene(ctx, engine.system, { ...params, width, height: SCENE_HEIGHT });
+
+      // Contador de electrones: se escribe directamente en el DOM para no
+      // provocar renderizados de React en cada cuadro
+      const { emitted, collected, returned } = engine.system;
+      counterRef.current.textContent = translateRef.current('scene.counter', { emitted, collected, returned });
+
+      frameId = requestAnimationFrame(loop);
+    };
+    frameId = requestAnimationFrame(loop);
+
+    return () => cancelAnimationFrame(frameId);
+  }, [engine]);
+
+  return (
+    <div className="relative bg-black rounded-lg overflow-hidden" style={{ height: `${SCENE_HEIGHT}px` }}>
+      <canvas ref={canvasRef} className="absolute inset-0 w-full h-full" />
+      <div ref={counterRef} className="absolute top-4 left-4 text-white text-xs" />
+      {children}
+      {onSnapshot && (
+        <button
+          onClick={() => onSnapshot(canvasRef.current, counterRef.current.textContent)}
+          className="absolute bottom-4 right-4 p-2 bg-gray-800 hover:bg-gray-700 text-white rounded"
+          title={t('scene.snapshot')}
+        >
+          <Camera size={16} />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SimulationCanvas;
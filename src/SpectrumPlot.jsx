@@ -0,0 +1,76 @@
+import React from 'react';
+import { getWavelengthColor } from './physics';
+import { GRID_STEP } from './spectra';
+import { useUnits } from './UnitsContext';
+
+// Dimensiones del área de trazado
+const WIDTH = 300;
+const HEIGHT = 110;
+const LEFT = 10;
+const RIGHT = 290;
+const TOP = 8;
+const BOTTOM = 90;
+
+const WL_MIN = 200; // nm
+const WL_MAX = 1000; // nm
+
+const inRange = (spectrum) => spectrum.filter(c => c.wavelength >= WL_MIN && c.wavelength <= WL_MAX);
+
+// Espectro relativo entre 200 y 1000 nm, con la longitud de onda umbral del
+// cátodo marcada: las componentes a su izquierda pueden emitir. Si se indica
+// reference (el espectro de la fuente antes de la óptica) se dibuja en gris
+// detrás; cada espectro se escala a su propio máximo.
+const SpectrumPlot = ({ spectrum, reference, thresholdWavelength }) => {
+  const { label, show } = useUnits();
+  const xScale = (wl) => LEFT + ((wl - WL_MIN) / (WL_MAX - WL_MIN)) * (RIGHT - LEFT);
+  const barWidth = Math.max(2, xScale(WL_MIN + GRID_STEP) - LEFT);
+  const ticks = [200, 400, 600, 800, 1000];
+
+  const bars = (components, key, colorOf) => {
+    const peak = Math.max(...components.map(c => c.weight), 1e-12);
+    return components.map((c, i) => {
+      const height = (c.weight / peak) * (BOTTOM - TOP);
+      return (
+        <rect
+          key={`${key}-${i}`}
+          x={xScale(c.wavelength) - barWidth / 2}
+          y={BOTTOM - height}
+          width={barWidth}
+          height={height}
+          fill={colorOf(c)}
+        />
+      );
+    });
+  };
+
+  return (
+    <svg width={WIDTH} height={HEIGHT} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="max-w-full">
+      {reference && bars(inRange(reference), 'ref', () => '#E5E7EB')}
+      {bars(inRange(spectrum), 'c', (c) => getWavelengthColor(c.wavelength))}
+
+      {thresholdWavelength >= WL_MIN && thresholdWavelength <= WL_MAX && (
+        <line
+          x1={xScale(thresholdWavelength)}
+          y1={TOP}
+          x2={xScale(thresholdWavelength)}
+          y2={BOTTOM}
+          stroke="#374151"
+          strokeWidth="1.5"
+          strokeDasharray="4,3"
+        />
+      )}
+
+      <line x1={LEFT} y1={BOTTOM} x2={RIGHT} y2={BOTTOM} stroke="#374151" strokeWidth="1" />
+      {ticks.map(wl => (
+        <text key={`t-${wl}`} x={xScale(wl)} y={BOTTOM + 14} textAnchor="middle" fontSize="10" fill="#374151">
+          {show(wl, 'wavelength', 0)}
+        </text>
+      ))}
+      <text x={RIGHT} y={HEIGHT - 1} textAnchor="end" fontSize="10" fill="#6B7280">
+        λ ({label('wavelength')})
+      </text>
+    </svg>
+  );
+};
+
+export default SpectrumPlot;
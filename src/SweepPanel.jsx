@@ -0,0 +1,194 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Play, Square } from 'lucide-react';
+import { buildSweepPlan, parseNumberList, runSweep } from './sweep';
+import { useI18n } from './I18nContext';
+import { useUnits } from './UnitsContext';
+import { formatQuantity, toBaseUnit } from './units';
+
+// Barrido automático: recorre frecuencias, materiales, intensidades y
+// repeticiones, registrando cada medición con measure(point) y entregándolas
+// por lotes a onRecord. Las frecuencias se escriben en la unidad elegida.
+// fixed lleva la frecuencia, el material o la intensidad que bloquea un
+// enlace compartido: el barrido sólo usa ese valor.
+const SweepPanel = ({ materials, defaultMetal, fixed = {}, measure, onRecord }) => {
+  const { t, errorText } = useI18n();
+  const { units, label } = useUnits();
+  const [form, setForm] = useState(() => ({
+    fMin: formatQuantity('5', 'frequency', units),
+    fMax: formatQuantity('10', 'frequency', units),
+    fStep: formatQuantity('0.5', 'frequency', units),
+    metals: [defaultMetal],
+    intensities: '50',
+    repeats: '3'
+  }));
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const controllerRef = useRef(null);
+  const unitsRef = useRef(units);
+
+  // Al cambiar la unidad de frecuencia se convierten los valores escritos
+  useEffect(() => {
+    const previous = unitsRef.current;
+    unitsRef.current = units;
+    if (previous.frequency === units.frequency) return;
+    const convert = (text) => {
+      const value = parseFloat(text);
+      if (!Number.isFinite(value)) return text;
+      return formatQuantity(toBaseUnit(value, 'frequency', previous), 'frequency', units);
+    };
+    setForm(prev => ({ ...prev, fMin: convert(prev.fMin), fMax: convert(prev.fMax), fStep: convert(prev.fStep) }));
+  }, [units]);
+
+  // Cancelar el barrido si el panel se cierra
+  useEffect(() => () => controllerRef.current && controllerRef.current.abort(), []);
+
+  const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const toggleMetal = (symbol) => setForm(prev => ({
+    ...prev,
+    metals: prev.metals.includes(symbol)
+      ? prev.metals.filter(m => m !== symbol)
+      : [...prev.metals, symbol]
+  }));
+
+  const frequencyOf = (text) => toBaseUnit(parseFloat(text), 'frequency', units);
+  const frequencyFixed = fixed.frequency !== undefined;
+  const metalFixed = fixed.metal !== undefined;
+  const intensityFixed = fixed.intensity !== undefined;
+
+  const start = async () => {
+    let plan;
+    try {
+      plan = buildSweepPlan({
+        fMin: frequencyFixed ? fixed.frequency : frequencyOf(form.fMin),
+        fMax: frequencyFixed ? fixed.frequency : frequencyOf(form.fMax),
+        fStep: frequencyFixed ? 1 : frequencyOf(form.fStep),
+        metals: metalFixed ? [fixed.metal] : form.metals.filter(symbol => materials[symbol]),
+        intensities: intensityFixed ? [fixed.intensity] : parseNumberList(form.intensities),
+        repeats: Number(form.repeats)
+      });
+    } catch (err) {
+      setError(errorText(err));
+      return;
+    }
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setError(null);
+    setMessage(null);
+    setRunning(true);
+    setProgress({ done: 0, total: plan.length });
+    // Si una medición falla el barrido se detiene con las ya registradas
+    try {
+      const { completed, cancelled } = await runSweep(plan, measure, {
+        signal: controller.signal,
+        onBatch: (batch, done, total) => {
+          onRecord(batch);
+          setProgress({ done, total });
+        }
+      });
+      setMessage(cancelled
+        ? t('sweep.cancelled', { count: completed, total: plan.length })
+        : t('sweep.completed', { count: completed }));
+    } catch (err) {
+      setError(errorText(err));
+    } finally {
+      controllerRef.current = null;
+      setRunning(false);
+    }
+  };
+
+  const cancel = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 mb-4 text-sm">
+      <h3 className="font-semibold text-gray-700 mb-2">{t('sweep.title')}</h3>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+        {!frequencyFixed && (
+          <>
+            <label className="text-xs text-gray-600">
+              {t('sweep.fMin', { unit: label('frequency') })}
+              <input type="number" step="any" value={form.fMin} onChange={updateField('fMin')} className={inputClass} disabled={running} />
+            </label>
+            <label className="text-xs text-gray-600">
+              {t('sweep.fMax', { unit: label('frequency') })}
+              <input type="number" step="any" value={form.fMax} onChange={updateField('fMax')} className={inputClass} disabled={running} />
+            </label>
+            <label className="text-xs text-gray-600">
+              {t('sweep.fStep', { unit: label('frequency') })}
+              <input type="number" step="any" min="0" value={form.fStep} onChange={updateField('fStep')} className={inputClass} disabled={running} />
+            </label>
+          </>
+        )}
+        <label className="text-xs text-gray-600">
+          {t('sweep.intensities')}
+          <input
+            value={intensityFixed ? String(fixed.intensity) : form.intensities}
+            onChange={updateField('intensities')}
+            className={inputClass}
+            placeholder="25, 50, 100"
+            disabled={running || intensityFixed}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          {t('sweep.repeats')}
+          <input type="number" min="1" step="1" value={form.repeats} onChange={updateField('repeats')} className={inputClass} disabled={running} />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-3 mt-2">
+        {Object.entries(materials).map(([symbol, material]) => (
+          <label key={symbol} className="flex items-center gap-1 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={metalFixed ? symbol === fixed.metal : form.metals.includes(symbol)}
+              onChange={() => toggleMetal(symbol)}
+              disabled={running || metalFixed}
+            />
+            {material.name} ({symbol})
+          </label>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-500 mt-2">
+        {frequencyFixed ? t('sweep.fixedLight') : t('sweep.help')}
+      </p>
+
+      <div className="flex items-center gap-3 mt-3">
+        {running ? (
+          <button onClick={cancel} className="flex items-center gap-1 px-3 py-1 bg-red-500 hover:bg-red-600 text-white rounded">
+            <Square size={14} /> {t('sweep.cancel')}
+          </button>
+        ) : (
+          <button onClick={start} className="flex items-center gap-1 px-3 py-1 bg-blue-500 hover:bg-blue-600 text-white rounded">
+            <Play size={14} /> {t('sweep.start')}
+          </button>
+        )}
+        {progress && (
+          <div className="flex-1 flex items-center gap-2">
+            <div className="flex-1 h-2 bg-gray-200 rounded">
+              <div
+                className="h-2 bg-blue-500 rounded"
+                style={{ width: `${(100 * progress.done) / progress.total}%` }}
+              />
+            </div>
+            <span className="text-xs text-gray-600 whitespace-nowrap">
+              {progress.done} / {progress.total}
+            </span>
+          </div>
+        )}
+      </div>
+
+      {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+      {message && <p className="text-xs text-green-700 mt-2">{message}</p>}
+    </div>
+  );
+};
+
+export default SweepPanel;
@@ -0,0 +1,22 @@
+// Unidades de visualización compartidas por todos los paneles.
+import { createContext, useContext } from 'react';
+import { DEFAULT_UNITS, formatQuantity, unitLabel } from './units';
+import { useI18n } from './I18nContext';
+
+export const UnitsContext = createContext(DEFAULT_UNITS);
+
+/**
+ * Unidades elegidas con sus funciones de presentación: label(magnitud) da el
+ * nombre de la unidad y show(valor, magnitud, decimales) el valor convertido
+ * y con el separador decimal del idioma (ver formatQuantity).
+ * @returns {{units: object, label: Function, show: Function}}
+ */
+export const useUnits = () => {
+  const units = useContext(UnitsContext);
+  const { fmt } = useI18n();
+  return {
+    units,
+    label: (quantity) => unitLabel(quantity, units),
+    show: (value, quantity, decimals) => fmt(formatQuantity(value, quantity, units, decimals))
+  };
+};
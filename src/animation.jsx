@@ -1,5 +1,17 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Play, Pause, RotateCcw, Download } from 'lucide-react';
+import {
+  metals,
+  FREQUENCY_UNIT,
+  PLANCK_CONSTANT_EV,
+  getWorkFunction,
+  photonEnergyFromFrequency,
+  maxKineticEnergy as computeMaxKineticEnergy,
+  stoppingPotential,
+  canEmitElectrons as canEmit,
+  wavelengthFromFrequency,
+  getWavelengthColor
+} from './physics';
 
 const PhotoelectricSimulator = () => {
   // Estados principales
@@ -14,41 +26,14 @@ const PhotoelectricSimulator = () => {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
 
-  // Propiedades de los metales (función trabajo en eV)
-  const metals = {
-    'Cs': { name: 'Cesio', workFunction: 2.1, color: '#FFD700' },
-    'K': { name: 'Potasio', workFunction: 2.3, color: '#DDA0DD' },
-    'Na': { name: 'Sodio', workFunction: 2.75, color: '#FFA500' },
-    'Ca': { name: 'Calcio', workFunction: 2.87, color: '#32CD32' },
-    'Zn': { name: 'Zinc', workFunction: 4.33, color: '#708090' },
-    'Cu': { name: 'Cobre', workFunction: 4.65, color: '#B87333' },
-    'Al': { name: 'Aluminio', workFunction: 4.28, color: '#C0C0C0' }
-  };
-
-  // Constantes físicas
-  const h = 4.136e-15; // Constante de Planck (eV·s)
-  const c = 3e8; // Velocidad de la luz (m/s)
-  const e = 1.602e-19; // Carga del electrón (C)
-
   // Cálculos físicos
-  const photonEnergy = h * frequency * 1e14; // eV
-  const workFunction = metals[selectedMetal].workFunction;
-  const maxKineticEnergy = Math.max(0, photonEnergy - workFunction);
-  const stoppingVoltage = maxKineticEnergy; // V
-  const canEmitElectrons = photonEnergy > workFunction;
-
-  // Convertir frecuencia a longitud de onda y color
-  const wavelength = (c / (frequency * 1e14)) * 1e9; // nm
-  const getWavelengthColor = (wl) => {
-    if (wl < 380) return '#8B00FF'; // UV
-    if (wl < 450) return '#4B0082'; // Violeta
-    if (wl < 495) return '#0000FF'; // Azul
-    if (wl < 570) return '#00FF00'; // Verde
-    if (wl < 590) return '#FFFF00'; // Amarillo
-    if (wl < 620) return '#FF7F00'; // Naranja
-    if (wl < 750) return '#FF0000'; // Rojo
-    return '#FF4500'; // IR
-  };
+  const frequencyHz = frequency * FREQUENCY_UNIT;
+  const workFunction = getWorkFunction(selectedMetal);
+  const photonEnergy = photonEnergyFromFrequency(frequencyHz); // eV
+  const maxKineticEnergy = computeMaxKineticEnergy(frequencyHz, workFunction);
+  const stoppingVoltage = stoppingPotential(frequencyHz, workFunction); // V
+  const canEmitElectrons = canEmit(frequencyHz, workFunction);
+  const wavelength = wavelengthFromFrequency(frequencyHz); // nm
 
   const lightColor = getWavelengthColor(wavelength);
 
@@ -476,7 +461,7 @@ const PhotoelectricSimulator = () => {
                 <span>E</span>
                 <sub>c</sub>
                 <span> = h·f - φ = </span>
-                <span>{h.toExponential(3)}</span>
+                <span>{PLANCK_CONSTANT_EV.toExponential(3)}</span>
                 <span>·f - </span>
                 <span>{workFunction.toFixed(2)}</span>
                 <span> eV</span>
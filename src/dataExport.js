@@ -0,0 +1,262 @@
+// Exportación de las mediciones a CSV, TSV o JSON con una cabecera de
+// metadatos (fecha, metales, instrumento y unidades) y, opcionalmente, los
+// ajustes Ec frente a f.
+import { resolutionDecimals } from './instrument';
+import { DEFAULT_LANGUAGE, messageError, translate } from './i18n';
+import { FREQUENCY_UNIT } from './physics';
+import { describeOptics } from './optics';
+import { describeSource } from './spectra';
+import { DEFAULT_UNITS, formatQuantity, unitLabel } from './units';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mime: 'text/csv;charset=utf-8' },
+  tsv: { label: 'TSV', extension: 'tsv', mime: 'text/tab-separated-values;charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', mime: 'application/json' }
+};
+
+// Separadores con la clave de su nombre (mensajes export.decimal.<clave> y
+// export.delimiter.<clave>)
+export const DECIMAL_SEPARATORS = { '.': 'point', ',': 'comma' };
+export const FIELD_SEPARATORS = { ',': 'comma', ';': 'semicolon', '\t': 'tab' };
+
+export const DATA_FORMAT = 'photoelectric-data';
+export const DATA_FORMAT_VERSION = 1;
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  format: 'csv',
+  decimal: '.',
+  delimiter: ',',
+  includeFits: true,
+  language: DEFAULT_LANGUAGE,
+  units: DEFAULT_UNITS
+};
+
+const BASE_FILENAME = 'efecto_fotoelectrico_datos';
+
+// Columnas exportadas: clave de la medición, unidad (fija, o la elegida para
+// su magnitud) y tipo; las de texto pueden indicar cómo describir el valor
+// guardado. La cabecera es el mensaje export.column.<clave> en el
+// idioma de la exportación
+export const EXPORT_COLUMNS = [
+  { key: 'frequency', quantity: 'frequency', numeric: true },
+  { key: 'wavelength', quantity: 'wavelength', numeric: true },
+  { key: 'photonEnergy', quantity: 'energy', numeric: true },
+  { key: 'kineticEnergy', quantity: 'energy', numeric: true },
+  { key: 'stoppingVoltage', unit: 'V', numeric: true },
+  { key: 'biasVoltage', unit: 'V', numeric: true },
+  { key: 'intensity', unit: '%', numeric: true },
+  { key: 'photocurrent', unit: 'nA', numeric: true },
+  { key: 'metal' },
+  { key: 'source', describe: describeSource },
+  { key: 'filter', describe: describeOptics },
+  { key: 'emitsElectrons', boolean: true },
+  { key: 'dataset' },
+  { key: 'excluded', boolean: true },
+  { key: 'timestamp' },
+  { key: 'note' }
+];
+
+// Columnas de los ajustes; las que son un símbolo no se traducen. La
+// constante de Planck va en la unidad de energía por segundo y la frecuencia
+// umbral, que el ajuste da en Hz, se escala a la unidad base antes de convertirla
+const FIT_COLUMNS = [
+  { key: 'metal' },
+  { key: 'dataset' },
+  { key: 'n', numeric: true },
+  { key: 'planck', symbol: 'h', quantity: 'energy', suffix: '·s', numeric: true },
+  { key: 'planckError', symbol: 'σ(h)', quantity: 'energy', suffix: '·s', numeric: true },
+  { key: 'workFunction', symbol: 'φ', quantity: 'energy', numeric: true },
+  { key: 'workFunctionError', symbol: 'σ(φ)', quantity: 'energy', numeric: true },
+  { key: 'thresholdFrequency', quantity: 'frequency', scale: 1 / FREQUENCY_UNIT, numeric: true },
+  { key: 'rSquared', symbol: 'R²', numeric: true },
+  { key: 'reducedChiSquare', symbol: 'χ²/ν', numeric: true },
+  { key: 'weighted', boolean: true }
+];
+
+// Unidad de una columna con las unidades elegidas
+const columnUnit = ({ unit, quantity, suffix = '' }, units) => (quantity ? unitLabel(quantity, units) + suffix : unit);
+
+const columnHeader = (column, prefix, language, units) => {
+  const header = column.symbol || translate(language, `${prefix}.${column.key}`);
+  const unit = columnUnit(column, units);
+  return unit ? `${header} (${unit})` : header;
+};
+
+// Valor numérico de una columna en la unidad elegida; los textos conservan
+// su redondeo
+const convertValue = (value, { quantity, scale }, units) => {
+  if (!quantity) return value;
+  return formatQuantity(scale ? Number(value) * scale : value, quantity, units);
+};
+
+/**
+ * Metadatos de la exportación.
+ * @param {object[]} measurements
+ * @param {object} instrument Configuración actual del instrumento.
+ * @param {Date} [date=new Date()]
+ * @param {object} [units=DEFAULT_UNITS] Unidades elegidas (ver units.js).
+ * @returns {{date: string, metals: string[], count: number, instrument: object, units: object}}
+ */
+export const buildMetadata = (measurements, instrument, date = new Date(), units = DEFAULT_UNITS) => ({
+  date: date.toISOString(),
+  metals: [...new Set(measurements.map(m => m.metal))],
+  count: measurements.length,
+  instrument: { ...instrument },
+  units: Object.fromEntries(EXPORT_COLUMNS
+    .filter(c => c.unit || c.quantity)
+    .map(c => [c.key, columnUnit(c, units)]))
+});
+
+// Líneas de texto de la cabecera de metadatos
+const metadataLines = ({ date, metals, count, instrument, units }, language) => {
+  const t = (key, params) => translate(language, key, params);
+  const decimals = resolutionDecimals(instrument.resolution);
+  const frequency = instrument.exactFrequency
+    ? t('export.meta.exactFrequency')
+    : t('export.meta.frequencyError', { value: (instrument.frequencyError * 100).toFixed(1) });
+  return [
+    t('export.meta.date', { date }),
+    t('export.meta.metals', { metals: metals.join(', ') || '—' }),
+    t('export.meta.count', { count }),
+    t('export.meta.instrument', {
+      resolution: instrument.resolution.toFixed(decimals),
+      range: instrument.range,
+      random: instrument.randomError,
+      systematic: instrument.systematicOffset,
+      frequency
+    }),
+    t('export.meta.units', { units: Object.entries(units).map(([key, unit]) => `${key} ${unit}`).join('; ') })
+  ];
+};
+
+// Valor de una celda como texto, con el separador decimal indicado
+const formatCell = (value, column, { decimal, language, units }) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (column.boolean) return translate(language, value ? 'export.yes' : 'export.no');
+  if (column.describe) return column.describe(value, language, units);
+  if (column.numeric) {
+    const converted = convertValue(value, column, units);
+    const number = Number(converted);
+    if (!Number.isFinite(number)) return '';
+    // Se conserva el redondeo de la medición cuando ya es texto
+    const text = typeof converted === 'string' ? converted.trim() : String(number);
+    return decimal === '.' ? text : text.replace('.', decimal);
+  }
+  return String(value);
+};
+
+/**
+ * Escapa un campo de texto delimitado: entre comillas si contiene el
+ * separador, comillas, saltos de línea o espacios en los extremos.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string}
+ */
+export const escapeField = (text, delimiter) => {
+  if (delimiter === '\t') return text.replace(/[\t\r\n]+/g, ' ');
+  if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const delimitedTable = (rows, columns, prefix, table) => [
+  columns.map(c => escapeField(columnHeader(c, prefix, table.language, table.units), table.delimiter)).join(table.delimiter),
+  ...rows.map(row => columns
+    .map(c => escapeField(formatCell(row[c.key], c, table), table.delimiter))
+    .join(table.delimiter))
+];
+
+/**
+ * Texto delimitado (CSV o TSV). La cabecera de metadatos va en líneas que
+ * empiezan por «#»; los ajustes, si se incluyen, forman una segunda tabla
+ * separada por una línea en blanco.
+ * @param {object[]} measurements
+ * @param {object} metadata Resultado de buildMetadata.
+ * @param {object} options
+ * @param {string} options.decimal Separador decimal.
+ * @param {string} options.delimiter Separador de campos.
+ * @param {object[]|null} [options.fits] Ajustes de fitByMetal.
+ * @param {string} [options.language] Idioma de las cabeceras y los textos.
+ * @param {object} [options.units] Unidades de las magnitudes (ver units.js).
+ * @returns {string}
+ */
+export const formatDelimited = (measurements, metadata, {
+  decimal,
+  delimiter,
+  fits = null,
+  language = DEFAULT_LANGUAGE,
+  units = DEFAULT_UNITS
+}) => {
+  if (decimal === delimiter) {
+    throw messageError('error.export.sameSeparators');
+  }
+  const table = { decimal, delimiter, language, units };
+  const lines = [
+    ...metadataLines(metadata, language).map(line => `# ${line}`),
+    ...delimitedTable(measurements, EXPORT_COLUMNS, 'export.column', table)
+  ];
+  if (fits && fits.length > 0) {
+    lines.push('', `# ${translate(language, 'export.fitTitle')}`, ...delimitedTable(fits, FIT_COLUMNS, 'export.fit', table));
+  }
+  return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Documento JSON con metadatos, mediciones y, opcionalmente, ajustes. Las
+ * mediciones van en las unidades elegidas (las de metadata.units); los
+ * ajustes, tal como los da fitByMetal (eV·s, eV y Hz).
+ * @param {object[]} measurements
+ * @param {object} metadata Resultado de buildMetadata.
+ * @param {object} [options]
+ * @param {object[]|null} [options.fits]
+ * @param {object} [options.units] Unidades de las magnitudes (ver units.js).
+ * @returns {string}
+ */
+export const formatJson = (measurements, metadata, { fits = null, units = DEFAULT_UNITS } = {}) => {
+  const data = {
+    format: DATA_FORMAT,
+    version: DATA_FORMAT_VERSION,
+    metadata,
+    measurements: measurements.map(m => Object.fromEntries(EXPORT_COLUMNS.map(c => {
+      const value = m[c.key];
+      return [c.key, c.numeric && value !== undefined && value !== null ? Number(convertValue(value, c, units)) : value ?? null];
+    })))
+  };
+  if (fits) data.fits = fits;
+  return JSON.stringify(data, null, 2);
+};
+
+/**
+ * Archivo de exportación listo para descargar.
+ * @param {object[]} measurements
+ * @param {object} instrument Configuración actual del instrumento.
+ * @param {object} options Ver DEFAULT_EXPORT_OPTIONS.
+ * @param {object[]} [fits=[]] Ajustes; se incluyen si options.includeFits.
+ * @param {Date} [date=new Date()]
+ * @returns {{content: string, filename: string, mime: string}}
+ */
+export const buildExport = (measurements, instrument, options, fits = [], date = new Date()) => {
+  const { format, decimal, delimiter, includeFits, language, units } = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw messageError('error.export.unknownFormat');
+  }
+  const metadata = buildMetadata(measurements, instrument, date, units);
+  const exportedFits = includeFits ? fits : null;
+  let content;
+  if (format === 'json') {
+    content = formatJson(measurements, metadata, { fits: exportedFits, units });
+  } else {
+    // El BOM permite a Excel reconocer el UTF-8 (tildes, símbolos)
+    const separator = format === 'tsv' ? '\t' : delimiter;
+    content = '\uFEFF' + formatDelimited(measurements, metadata, {
+      decimal,
+      delimiter: separator,
+      fits: exportedFits,
+      language,
+      units
+    });
+  }
+  return { content, filename: `${BASE_FILENAME}.${spec.extension}`, mime: spec.mime };
+};
@@ -0,0 +1,119 @@
+import { buildExport, buildMetadata, escapeField, formatDelimited } from './dataExport';
+import { DEFAULT_INSTRUMENT } from './instrument';
+
+const measurements = [
+  {
+    frequency: 7.5,
+    wavelength: '399.7',
+    photonEnergy: '3.102',
+    kineticEnergy: '0.822',
+    stoppingVoltage: '0.822',
+    biasVoltage: 0,
+    intensity: 50,
+    photocurrent: '1.250',
+    metal: 'Na',
+    source: { type: 'lines', lamp: 'Hg' },
+    filter: { element: 'filter', filter: 'Hg405', density: 0.5 },
+    emitsElectrons: true,
+    timestamp: '2024-03-01T09:58:12.345Z',
+    note: 'lámpara recién encendida'
+  },
+  {
+    frequency: 5,
+    wavelength: '599.6',
+    photonEnergy: '2.068',
+    kineticEnergy: '0.000',
+    stoppingVoltage: '0.000',
+    biasVoltage: -1.5,
+    intensity: 50,
+    photocurrent: '0.000',
+    metal: 'Na',
+    emitsElectrons: false
+  }
+];
+
+const fits = [{ metal: 'Na', n: 5, planck: 4.1e-15, workFunction: 2.28, rSquared: 0.999, reducedChiSquare: null }];
+const date = new Date('2024-03-01T10:00:00Z');
+const metadata = buildMetadata(measurements, DEFAULT_INSTRUMENT, date);
+
+describe('CSV y TSV', () => {
+  test('cabecera de metadatos y columnas', () => {
+    const lines = formatDelimited(measurements, metadata, { decimal: '.', delimiter: ',' }).split('\r\n');
+    expect(lines[0]).toBe('# Fecha: 2024-03-01T10:00:00.000Z');
+    expect(lines[1]).toBe('# Metales: Na');
+    expect(lines.find(l => l.startsWith('# Instrumento'))).toMatch(/resolución 0\.001 V/);
+    const header = lines.findIndex(l => !l.startsWith('#'));
+    expect(lines[header]).toMatch(/^Frecuencia \(×10¹⁴ Hz\),Longitud de onda \(nm\)/);
+    expect(lines[header + 1]).toBe(
+      '7.5,399.7,3.102,0.822,0.822,0,50,1.250,Na,Lámpara de mercurio,"Filtro 404,7 nm + ND 0,5",sí,,,2024-03-01T09:58:12.345Z,lámpara recién encendida'
+    );
+    expect(lines[header + 2].endsWith(',Na,,,no,,,,')).toBe(true);
+  });
+
+  test('separadores para Excel en español', () => {
+    const text = formatDelimited(measurements, metadata, { decimal: ',', delimiter: ';' });
+    expect(text).toContain('7,5;399,7;3,102;0,822;0,822;0;50;1,250;Na;');
+    expect(text).toContain('-1,5;50');
+    expect(() => formatDelimited(measurements, metadata, { decimal: ',', delimiter: ',' })).toThrow('distintos');
+  });
+
+  test('incluye los ajustes como segunda tabla', () => {
+    const text = formatDelimited(measurements, metadata, { decimal: '.', delimiter: ',', fits });
+    expect(text).toContain('\r\n\r\n# Ajuste Ec = h·f − φ\r\nMetal,Serie,Puntos,h (eV·s)');
+    expect(text).toContain('Na,,5,4.1e-15,,2.28,,,0.999,');
+  });
+
+  test('cabeceras y textos en el idioma indicado', () => {
+    const text = formatDelimited(measurements, metadata, { decimal: '.', delimiter: ',', fits, language: 'en' });
+    expect(text).toContain('# Date: 2024-03-01T10:00:00.000Z');
+    expect(text).toMatch(/\r\nFrequency \(×10¹⁴ Hz\),Wavelength \(nm\)/);
+    expect(text).toContain(',Na,mercury lamp,Filter 404.7 nm + ND 0.5,yes,');
+    expect(text).toContain('# Fit Ec = h·f − φ\r\nMetal,Dataset,Points,h (eV·s)');
+  });
+
+  test('magnitudes en las unidades elegidas', () => {
+    const units = { energy: 'J', frequency: 'THz', wavelength: 'um' };
+    const lines = formatDelimited(measurements, buildMetadata(measurements, DEFAULT_INSTRUMENT, date, units), {
+      decimal: '.',
+      delimiter: ';',
+      fits: [{ ...fits[0], thresholdFrequency: 5.5e14 }],
+      units
+    }).split('\r\n');
+    expect(lines.find(l => l.startsWith('# Unidades'))).toContain('frequency THz; wavelength µm; photonEnergy J');
+    const header = lines.findIndex(l => !l.startsWith('#'));
+    expect(lines[header]).toMatch(/^Frecuencia \(THz\);Longitud de onda \(µm\);Energía fotón \(J\)/);
+    expect(lines[header + 1]).toMatch(/^750;0\.3997;4\.970e-19;1\.317e-19;0\.822;/);
+    expect(lines[lines.length - 2]).toMatch(/^Na;;5;6\.5689\d*e-34;;3\.6529\d*e-19;;550;0\.999;/);
+  });
+
+  test('escapa comillas y saltos de línea', () => {
+    expect(escapeField('dijo "hola"', ',')).toBe('"dijo ""hola"""');
+    expect(escapeField('a\nb', ';')).toBe('"a\nb"');
+    expect(escapeField('a\tb\nc', '\t')).toBe('a b c');
+    expect(escapeField('1,5', ';')).toBe('1,5');
+  });
+});
+
+describe('buildExport', () => {
+  test('TSV con BOM y nombre de archivo', () => {
+    const file = buildExport(measurements, DEFAULT_INSTRUMENT, { format: 'tsv' }, fits, date);
+    expect(file.filename).toBe('efecto_fotoelectrico_datos.tsv');
+    expect(file.content.charCodeAt(0)).toBe(0xfeff);
+    expect(file.content).toContain('7.5\t399.7\t');
+  });
+
+  test('JSON con valores numéricos y ajustes opcionales', () => {
+    const file = buildExport(measurements, DEFAULT_INSTRUMENT, { format: 'json', includeFits: false }, fits, date);
+    const data = JSON.parse(file.content);
+    expect(data.metadata).toEqual(metadata);
+    expect(data.measurements[0]).toMatchObject({ frequency: 7.5, kineticEnergy: 0.822, emitsElectrons: true });
+    expect(data.measurements[1].source).toBeNull();
+    expect(data).not.toHaveProperty('fits');
+    const withFits = JSON.parse(buildExport(measurements, DEFAULT_INSTRUMENT, { format: 'json' }, fits, date).content);
+    expect(withFits.fits).toEqual(fits);
+  });
+
+  test('rechaza formatos desconocidos', () => {
+    expect(() => buildExport(measurements, DEFAULT_INSTRUMENT, { format: 'xls' })).toThrow('desconocido');
+  });
+});
@@ -0,0 +1,234 @@
+// Importación de mediciones externas (p. ej. de un fototubo real) desde CSV o
+// JSON, con asignación de columnas. Las filas se convierten al formato de las
+// mediciones simuladas y se marcan con el nombre de su serie (dataset); las
+// simuladas no llevan ninguno.
+import {
+  FREQUENCY_UNIT,
+  frequencyFromWavelength,
+  wavelengthFromFrequency,
+  photonEnergyFromFrequency
+} from './physics';
+import { DEFAULT_LANGUAGE, LANGUAGES, messageError, translate } from './i18n';
+import { parseNumber } from './units';
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// Magnitudes admitidas para el eje x, con su conversión a Hz. Su nombre es el
+// mensaje import.quantity.<clave>
+export const X_QUANTITIES = {
+  frequency: { toHz: (v) => v * FREQUENCY_UNIT },
+  frequencyTHz: { toHz: (v) => v * 1e12 },
+  frequencyHz: { toHz: (v) => v },
+  wavelength: { toHz: (v) => frequencyFromWavelength(v) }
+};
+
+// Magnitudes admitidas para el eje y; Ec en eV coincide numéricamente con V₀
+export const Y_QUANTITIES = ['stoppingVoltage', 'kineticEnergy'];
+
+const DELIMITERS = [';', '\t', ','];
+
+const isComment = (fields) => fields[0].startsWith('#');
+const isBlank = (fields) => fields.length === 1 && fields[0].trim() === '';
+
+// Rechaza los archivos con más filas de las que se importan
+const checkRowCount = (rows) => {
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw messageError('error.import.tooManyRows', { count: rows.length, max: MAX_IMPORT_ROWS });
+  }
+  return rows;
+};
+
+// Nombres con que se muestra la serie simulada, que una importada no puede usar
+const simulatedNames = () => Object.keys(LANGUAGES).map(language => translate(language, 'dataset.simulated'));
+
+// Separador más frecuente en la fila de cabecera (en las filas de datos la
+// coma decimal confundiría la detección)
+const detectDelimiter = (line) => DELIMITERS
+  .map(delimiter => ({ delimiter, count: line.split(delimiter).length }))
+  .reduce((best, candidate) => (candidate.count > best.count ? candidate : best))
+  .delimiter;
+
+/**
+ * Divide un texto delimitado en filas y campos, respetando las comillas
+ * dobles (con "" como comilla escapada y saltos de línea dentro de ellas).
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+export const splitDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Interpreta un archivo CSV/TSV o JSON como una tabla. En los textos
+ * delimitados se ignoran las líneas que empiezan por «#» (cabecera de
+ * metadatos de la exportación); la primera fila restante son los nombres de
+ * las columnas y la tabla termina en la primera línea vacía tras los datos
+ * (lo que sigue, como los ajustes de una exportación, no son mediciones). En
+ * JSON se admite una lista de objetos o un
+ * documento con una lista «measurements». Los archivos con más de
+ * MAX_IMPORT_ROWS filas se rechazan.
+ * @param {string} text
+ * @param {string} [language=DEFAULT_LANGUAGE] Idioma del nombre de las
+ *   columnas sin cabecera (mensaje import.column).
+ * @returns {{columns: string[], rows: object[]}} Filas como objetos columna → texto.
+ */
+export const parseImportFile = (text, language = DEFAULT_LANGUAGE) => {
+  const content = text.replace(/^\uFEFF/, '').trim();
+  if (content === '') {
+    throw messageError('error.import.empty');
+  }
+
+  if (content[0] === '{' || content[0] === '[') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (err) {
+      throw messageError('error.file.invalidJson');
+    }
+    const list = Array.isArray(data) ? data : data.measurements;
+    if (!Array.isArray(list) || !list.every(item => item !== null && typeof item === 'object')) {
+      throw messageError('error.import.noList');
+    }
+    const columns = [...new Set(list.flatMap(item => Object.keys(item)))];
+    const rows = list.map(item => Object.fromEntries(
+      columns.map(column => [column, item[column] === undefined || item[column] === null ? '' : String(item[column])])
+    ));
+    return { columns, rows: checkRowCount(rows) };
+  }
+
+  const lines = content.split(/\r?\n/);
+  const start = lines.findIndex(line => line.trim() !== '' && !line.startsWith('#'));
+  const delimiter = start === -1 ? ',' : detectDelimiter(lines[start]);
+  const [header, ...records] = splitDelimited(lines.slice(Math.max(start, 0)).join('\n'), delimiter)
+    .filter(fields => !isComment(fields));
+  const first = records.findIndex(fields => !isBlank(fields));
+  const end = records.findIndex((fields, i) => i > first && isBlank(fields));
+  const data = first === -1 ? [] : records.slice(first, end === -1 ? undefined : end);
+  if (start === -1 || data.length === 0) {
+    throw messageError('error.import.noData');
+  }
+  const columns = header.map((name, i) => name.trim() || translate(language, 'import.column', { index: i + 1 }));
+  const rows = data.map(fields => Object.fromEntries(columns.map((column, i) => [column, (fields[i] || '').trim()])));
+  return { columns, rows: checkRowCount(rows) };
+};
+
+const findColumn = (columns, pattern) => columns.find(column => pattern.test(column)) || '';
+
+/**
+ * Asignación de columnas propuesta a partir de los nombres (en español,
+ * inglés o portugués) y de la magnitud de los valores de frecuencia.
+ * @param {{columns: string[], rows: object[]}} table
+ * @returns {{x: string, xQuantity: string, y: string, yQuantity: string, metal: string}}
+ */
+export const guessMapping = ({ columns, rows }) => {
+  const frequency = findColumn(columns, /frec|freq|^f\b/i);
+  const wavelength = findColumn(columns, /longitud|wavelength|comprimento|lambda|λ/i);
+  const voltage = findColumn(columns, /frenado|stopping|frenagem|^v0|v₀/i);
+  const energy = findColumn(columns, /cin[eé]tica|kinetic|^ec\b/i);
+
+  let xQuantity = 'frequency';
+  if (!frequency && wavelength) {
+    xQuantity = 'wavelength';
+  } else if (/thz/i.test(frequency)) {
+    xQuantity = 'frequencyTHz';
+  } else if (frequency && !/14/.test(frequency)) {
+    const value = rows.length > 0 ? parseNumber(rows[0][frequency]) : NaN;
+    if (value > 1e10) xQuantity = 'frequencyHz';
+    else if (value > 100) xQuantity = 'frequencyTHz';
+  }
+
+  return {
+    x: frequency || wavelength || columns[0] || '',
+    xQuantity,
+    y: voltage || energy || columns[1] || '',
+    yQuantity: !voltage && energy ? 'kineticEnergy' : 'stoppingVoltage',
+    metal: findColumn(columns, /^(metal|material|c[aá]todo|cathode)/i)
+  };
+};
+
+/**
+ * Convierte las filas importadas en mediciones de una serie.
+ * @param {{columns: string[], rows: object[]}} table
+ * @param {object} mapping Ver guessMapping; metal vacío usa defaultMetal.
+ * @param {object} options
+ * @param {string} options.dataset Nombre de la serie.
+ * @param {string} options.defaultMetal Metal de las filas sin columna de metal.
+ * @returns {{measurements: object[], skipped: number}} Las filas sin números
+ *   válidos (o con frecuencia no positiva) se omiten y se cuentan.
+ */
+export const mapImportedRows = ({ rows }, mapping, { dataset, defaultMetal }) => {
+  const name = String(dataset || '').trim();
+  if (!name || simulatedNames().includes(name)) {
+    throw messageError('error.import.datasetName');
+  }
+  const quantity = X_QUANTITIES[mapping.xQuantity];
+  if (!quantity || !Y_QUANTITIES.includes(mapping.yQuantity)) {
+    throw messageError('error.import.unknownQuantity');
+  }
+  if (!mapping.x || !mapping.y) {
+    throw messageError('error.import.chooseColumns');
+  }
+
+  const timestamp = new Date().toISOString();
+  const measurements = [];
+  rows.forEach((row, i) => {
+    const x = parseNumber(row[mapping.x]);
+    const energy = parseNumber(row[mapping.y]);
+    const metal = (mapping.metal && row[mapping.metal]) || defaultMetal;
+    if (!Number.isFinite(x) || x <= 0 || !Number.isFinite(energy) || !metal) return;
+    const frequency = quantity.toHz(x);
+    measurements.push({
+      id: `import-${Date.now()}-${i}`,
+      frequency: Number((frequency / FREQUENCY_UNIT).toFixed(3)),
+      wavelength: wavelengthFromFrequency(frequency).toFixed(1),
+      photonEnergy: photonEnergyFromFrequency(frequency).toFixed(3),
+      kineticEnergy: energy.toFixed(3),
+      stoppingVoltage: energy.toFixed(3),
+      metal,
+      source: { type: 'imported' },
+      filter: null,
+      emitsElectrons: energy > 0,
+      dataset: name,
+      timestamp
+    });
+  });
+  if (measurements.length === 0) {
+    throw messageError('error.import.noValidRows');
+  }
+  return { measurements, skipped: rows.length - measurements.length };
+};
@@ -0,0 +1,106 @@
+import { parseImportFile, splitDelimited, guessMapping, mapImportedRows, MAX_IMPORT_ROWS } from './dataImport';
+import { buildExport } from './dataExport';
+import { DEFAULT_INSTRUMENT } from './instrument';
+
+describe('parseImportFile', () => {
+  test('CSV con punto y coma, coma decimal y comillas', () => {
+    const table = parseImportFile('\uFEFFlambda (nm);V0 (V);Notas\n404,7;1,10;"lámpara; nueva"\n546,1;0,35;\n');
+    expect(table.columns).toEqual(['lambda (nm)', 'V0 (V)', 'Notas']);
+    expect(table.rows).toEqual([
+      { 'lambda (nm)': '404,7', 'V0 (V)': '1,10', Notas: 'lámpara; nueva' },
+      { 'lambda (nm)': '546,1', 'V0 (V)': '0,35', Notas: '' }
+    ]);
+  });
+
+  test('nombra las columnas sin cabecera en el idioma indicado', () => {
+    expect(parseImportFile('lambda;\n404,7;1,10\n').columns).toEqual(['lambda', 'Columna 2']);
+    expect(parseImportFile('lambda;\n404,7;1,10\n', 'en').columns).toEqual(['lambda', 'Column 2']);
+  });
+
+  test('la coma decimal no se confunde con el separador', () => {
+    expect(parseImportFile('lambda;V0\n404,7;1,10\n').rows).toEqual([{ lambda: '404,7', V0: '1,10' }]);
+  });
+
+  test('lee las exportaciones del simulador', () => {
+    const measurements = [{ frequency: 7.5, kineticEnergy: '0.822', metal: 'Na', emitsElectrons: true }];
+    const csv = parseImportFile(buildExport(measurements, DEFAULT_INSTRUMENT, { format: 'csv' }).content);
+    expect(csv.rows[0]['Frecuencia (×10¹⁴ Hz)']).toBe('7.5');
+    const fits = [{ metal: 'Na', n: 5, planck: 4.1e-15, workFunction: 2.28 }];
+    const withFits = parseImportFile(buildExport(measurements, DEFAULT_INSTRUMENT, { format: 'csv' }, fits).content);
+    expect(withFits.rows).toHaveLength(1);
+    const json = parseImportFile(buildExport(measurements, DEFAULT_INSTRUMENT, { format: 'json' }).content);
+    expect(json.rows[0]).toMatchObject({ frequency: '7.5', kineticEnergy: '0.822' });
+  });
+
+  test('rechaza archivos sin datos', () => {
+    expect(() => parseImportFile('  ')).toThrow('vacío');
+    expect(() => parseImportFile('f,V\n')).toThrow('al menos una fila');
+    expect(() => parseImportFile('# sólo metadatos\n')).toThrow('al menos una fila');
+    expect(() => parseImportFile('{"a": 1}')).toThrow('lista de mediciones');
+  });
+
+  test('rechaza archivos con demasiadas filas en lugar de recortarlos', () => {
+    const rows = Array.from({ length: MAX_IMPORT_ROWS + 1 }, (_, i) => `${i};1`);
+    expect(() => parseImportFile(['f;V', ...rows].join('\n'))).toThrow(`${MAX_IMPORT_ROWS + 1} filas`);
+    const list = JSON.stringify(Array.from({ length: MAX_IMPORT_ROWS + 1 }, () => ({ f: 1 })));
+    expect(() => parseImportFile(list)).toThrow(String(MAX_IMPORT_ROWS));
+    expect(parseImportFile(['f;V', ...rows.slice(1)].join('\n')).rows).toHaveLength(MAX_IMPORT_ROWS);
+  });
+});
+
+test('splitDelimited respeta comillas escapadas y saltos de línea', () => {
+  expect(splitDelimited('a,"b ""c""\nd"\r\n1,2', ',')).toEqual([['a', 'b "c"\nd'], ['1', '2']]);
+});
+
+describe('guessMapping', () => {
+  test('reconoce longitud de onda y potencial de frenado', () => {
+    const mapping = guessMapping({ columns: ['lambda (nm)', 'V0 (V)'], rows: [] });
+    expect(mapping).toEqual({ x: 'lambda (nm)', xQuantity: 'wavelength', y: 'V0 (V)', yQuantity: 'stoppingVoltage', metal: '' });
+  });
+
+  test('deduce las unidades de frecuencia de la cabecera o del valor', () => {
+    expect(guessMapping({ columns: ['freq (THz)', 'Ec'], rows: [] })).toMatchObject({
+      xQuantity: 'frequencyTHz',
+      yQuantity: 'kineticEnergy'
+    });
+    expect(guessMapping({ columns: ['f', 'V'], rows: [{ f: '7.4e14', V: '1' }] }).xQuantity).toBe('frequencyHz');
+    expect(guessMapping({ columns: ['Frecuencia (×10¹⁴ Hz)', 'Metal'], rows: [] })).toMatchObject({
+      xQuantity: 'frequency',
+      metal: 'Metal'
+    });
+  });
+
+  test('reconoce cabeceras en portugués', () => {
+    expect(guessMapping({ columns: ['Comprimento de onda (nm)', 'Potencial de frenagem (V)'], rows: [] })).toMatchObject({
+      xQuantity: 'wavelength',
+      y: 'Potencial de frenagem (V)',
+      yQuantity: 'stoppingVoltage'
+    });
+  });
+});
+
+describe('mapImportedRows', () => {
+  const table = parseImportFile('lambda;V0;cátodo\n404,7;1,10;K\n546,1;0,35;\nx;1;K\n');
+  const mapping = { x: 'lambda', xQuantity: 'wavelength', y: 'V0', yQuantity: 'stoppingVoltage', metal: 'cátodo' };
+
+  test('convierte las filas válidas en mediciones de la serie', () => {
+    const { measurements, skipped } = mapImportedRows(table, mapping, { dataset: 'Fototubo', defaultMetal: 'Na' });
+    expect(skipped).toBe(1);
+    expect(measurements[0]).toMatchObject({
+      frequency: 7.408,
+      wavelength: '404.7',
+      kineticEnergy: '1.100',
+      metal: 'K',
+      dataset: 'Fototubo',
+      emitsElectrons: true
+    });
+    expect(measurements[1].metal).toBe('Na');
+  });
+
+  test('exige un nombre de serie y datos válidos', () => {
+    expect(() => mapImportedRows(table, mapping, { dataset: 'Simulación', defaultMetal: 'Na' })).toThrow('nombre');
+    expect(() => mapImportedRows(table, mapping, { dataset: 'Simulation', defaultMetal: 'Na' })).toThrow('nombre');
+    expect(() => mapImportedRows(table, { ...mapping, x: 'cátodo' }, { dataset: 'A', defaultMetal: 'Na' }))
+      .toThrow('Ninguna fila');
+  });
+});
@@ -0,0 +1,35 @@
+// Descarga de archivos generados en el navegador.
+
+// Espera antes de liberar la URL del Blob: algunos navegadores (Firefox,
+// Safari antiguos) cancelan la descarga si se libera en el mismo instante
+const REVOKE_DELAY = 1000; // ms
+
+/**
+ * Descarga un contenido como archivo mediante un Blob.
+ * @param {string|Blob} content Contenido del archivo.
+ * @param {string} filename Nombre sugerido.
+ * @param {string} [type='text/plain;charset=utf-8'] Tipo MIME.
+ */
+export const downloadFile = (content, filename, type = 'text/plain;charset=utf-8') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+};
+
+/**
+ * Lee un archivo elegido por el usuario como texto.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
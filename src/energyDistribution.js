@@ -0,0 +1,95 @@
+// Distribución de energía cinética de los fotoelectrones.
+//
+// Un fotón hf arranca un electrón que ocupaba un estado a una profundidad ε
+// bajo el nivel de Fermi, que sale con Ec = Ec,max − ε. La probabilidad de
+// cada ε sigue la densidad de estados del gas de electrones libres,
+// g(E) ∝ √E, y la ocupación de Fermi–Dirac a la temperatura T. A T = 0 la
+// distribución queda acotada en [0, Ec,max]; con T > 0 aparece una cola
+// térmica por encima de Ec,max.
+
+export const BOLTZMANN_EV = 8.617333262e-5; // eV/K
+export const DEFAULT_FERMI_ENERGY = 5; // eV
+const THERMAL_TAIL = 10; // anchura de la cola térmica considerada, en kT
+
+const thermalEnergy = (temperature) => BOLTZMANN_EV * Math.max(0, temperature);
+
+/**
+ * Energía cinética más alta posible (eV) para la temperatura dada.
+ * @param {number} maxKineticEnergy Ec,max = hf − φ en eV.
+ * @param {number} [temperature=0] Temperatura en K.
+ * @returns {number}
+ */
+export const energyUpperBound = (maxKineticEnergy, temperature = 0) =>
+  maxKineticEnergy + THERMAL_TAIL * thermalEnergy(temperature);
+
+/**
+ * Densidad de probabilidad (sin normalizar) de emitir con energía cinética ek.
+ * @param {number} ek Energía cinética en eV.
+ * @param {number} maxKineticEnergy Ec,max en eV.
+ * @param {object} [options]
+ * @param {number} [options.temperature=0] Temperatura en K (0 = sin ensanchamiento).
+ * @param {number} [options.fermiEnergy=DEFAULT_FERMI_ENERGY] Energía de Fermi en eV.
+ * @returns {number}
+ */
+export const kineticEnergyDensity = (
+  ek,
+  maxKineticEnergy,
+  { temperature = 0, fermiEnergy = DEFAULT_FERMI_ENERGY } = {}
+) => {
+  if (ek < 0 || ek > energyUpperBound(maxKineticEnergy, temperature)) return 0;
+
+  const depth = maxKineticEnergy - ek; // ε, negativa en la cola térmica
+  const stateEnergy = fermiEnergy - depth; // energía del estado sobre el fondo de la banda
+  if (stateEnergy <= 0) return 0;
+
+  const kT = thermalEnergy(temperature);
+  let occupation;
+  if (kT === 0) {
+    occupation = depth >= 0 ? 1 : 0;
+  } else {
+    occupation = 1 / (1 + Math.exp(-depth / kT));
+  }
+  return Math.sqrt(stateEnergy) * occupation;
+};
+
+/**
+ * Muestrea una energía cinética por rechazo.
+ * @param {() => number} random Generador uniforme en [0, 1).
+ * @param {number} maxKineticEnergy Ec,max en eV.
+ * @param {object} [options] Ver kineticEnergyDensity.
+ * @returns {number} Energía en eV (0 si Ec,max ≤ 0 y no hay cola térmica).
+ */
+export const sampleKineticEnergy = (random, maxKineticEnergy, options = {}) => {
+  const { temperature = 0, fermiEnergy = DEFAULT_FERMI_ENERGY } = options;
+  const upper = energyUpperBound(maxKineticEnergy, temperature);
+  if (upper <= 0) return 0;
+
+  // Cota superior de la densidad: √(E_F + cola) con ocupación 1
+  const envelope = Math.sqrt(fermiEnergy + THERMAL_TAIL * thermalEnergy(temperature));
+  for (let attempt = 0; attempt < 1000; attempt++) {
+    const ek = random() * upper;
+    if (random() * envelope <= kineticEnergyDensity(ek, maxKineticEnergy, options)) {
+      return ek;
+    }
+  }
+  return maxKineticEnergy * random();
+};
+
+/**
+ * Agrupa energías en un histograma de anchura de clase uniforme.
+ * @param {number[]} energies Energías en eV.
+ * @param {number} binCount Número de clases.
+ * @param {number} maxEnergy Límite superior del histograma en eV.
+ * @returns {{binWidth: number, counts: number[]}}
+ */
+export const buildHistogram = (energies, binCount, maxEnergy) => {
+  const counts = new Array(binCount).fill(0);
+  const binWidth = maxEnergy / binCount;
+  if (!(binWidth > 0)) return { binWidth: 0, counts };
+
+  energies.forEach(ek => {
+    const bin = Math.min(binCount - 1, Math.floor(ek / binWidth));
+    if (bin >= 0) counts[bin] += 1;
+  });
+  return { binWidth, counts };
+};
@@ -0,0 +1,75 @@
+import {
+  BOLTZMANN_EV,
+  energyUpperBound,
+  kineticEnergyDensity,
+  sampleKineticEnergy,
+  buildHistogram
+} from './energyDistribution';
+import { createRandom } from './random';
+
+describe('kineticEnergyDensity', () => {
+  test('a T = 0 se anula fuera de [0, Ec,max]', () => {
+    expect(kineticEnergyDensity(-0.1, 1)).toBe(0);
+    expect(kineticEnergyDensity(1.01, 1)).toBe(0);
+    expect(kineticEnergyDensity(0.5, 1)).toBeGreaterThan(0);
+  });
+
+  test('crece hacia Ec,max siguiendo √E de la densidad de estados', () => {
+    const options = { fermiEnergy: 3 };
+    expect(kineticEnergyDensity(1, 1, options)).toBeCloseTo(Math.sqrt(3), 12);
+    expect(kineticEnergyDensity(0, 1, options)).toBeCloseTo(Math.sqrt(2), 12);
+  });
+
+  test('no emite desde debajo del fondo de la banda', () => {
+    expect(kineticEnergyDensity(0.5, 3, { fermiEnergy: 2 })).toBe(0);
+    expect(kineticEnergyDensity(1.5, 3, { fermiEnergy: 2 })).toBeGreaterThan(0);
+  });
+
+  test('con temperatura aparece una cola por encima de Ec,max', () => {
+    const options = { temperature: 1000 };
+    expect(kineticEnergyDensity(1.05, 1, options)).toBeGreaterThan(0);
+    expect(kineticEnergyDensity(1, 1, options)).toBeCloseTo(kineticEnergyDensity(1, 1) / 2, 12);
+    expect(energyUpperBound(1, 1000)).toBeCloseTo(1 + 10 * BOLTZMANN_EV * 1000, 12);
+  });
+});
+
+describe('sampleKineticEnergy', () => {
+  test('a T = 0 todas las muestras están en [0, Ec,max]', () => {
+    const random = createRandom(1);
+    const samples = Array.from({ length: 2000 }, () => sampleKineticEnergy(random, 1.4, { fermiEnergy: 3.24 }));
+    expect(Math.min(...samples)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...samples)).toBeLessThanOrEqual(1.4);
+    // La densidad favorece energías altas: media por encima de Ec,max/2
+    expect(samples.reduce((s, v) => s + v, 0) / samples.length).toBeGreaterThan(0.7);
+  });
+
+  test('con temperatura algunas muestras superan Ec,max', () => {
+    const random = createRandom(2);
+    const samples = Array.from({ length: 5000 }, () => sampleKineticEnergy(random, 1, { temperature: 2000 }));
+    expect(samples.some(ek => ek > 1)).toBe(true);
+  });
+
+  test('sin energía disponible devuelve 0', () => {
+    expect(sampleKineticEnergy(createRandom(3), 0)).toBe(0);
+  });
+
+  test('es reproducible con la misma semilla', () => {
+    const a = createRandom(9);
+    const b = createRandom(9);
+    expect(sampleKineticEnergy(a, 2)).toBe(sampleKineticEnergy(b, 2));
+  });
+});
+
+describe('buildHistogram', () => {
+  test('reparte las energías en clases uniformes', () => {
+    const { binWidth, counts } = buildHistogram([0.05, 0.15, 0.15, 0.95, 1.2], 10, 1);
+    expect(binWidth).toBeCloseTo(0.1, 12);
+    expect(counts[0]).toBe(1);
+    expect(counts[1]).toBe(2);
+    expect(counts[9]).toBe(2); // los valores fuera de rango van a la última clase
+  });
+
+  test('con rango nulo devuelve clases vacías', () => {
+    expect(buildHistogram([1], 5, 0).counts).toEqual([0, 0, 0, 0, 0]);
+  });
+});
@@ -0,0 +1,150 @@
+// Series y escalas de la gráfica Ec frente a f.
+import { FREQUENCY_UNIT, thresholdFrequency } from './physics';
+import { summarizeRepeats } from './repeats';
+
+// Colores para los metales que no tienen uno propio (y para las curvas I–V)
+export const SERIES_COLORS = ['#8B5CF6', '#06B6D4', '#F59E0B', '#10B981', '#EF4444', '#3B82F6', '#EC4899'];
+
+// Dimensiones del área de trazado, comunes a las gráficas Ec–f e I–V
+export const WIDTH = 650;
+export const HEIGHT = 460;
+export const LEFT = 60;
+export const RIGHT = 580;
+export const TOP = 20;
+export const BOTTOM = 380;
+
+/**
+ * Marcas «redondas» para un eje (1, 2 o 5 por una potencia de 10) que cubren
+ * el intervalo [min, max].
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [count=8] Número aproximado de marcas.
+ * @returns {{min: number, max: number, step: number, ticks: number[]}}
+ */
+export const niceTicks = (min, max, count = 8) => {
+  if (!Number.isFinite(min) || !Number.isFinite(max)) {
+    throw new Error('Los límites del eje deben ser números finitos');
+  }
+  if (max <= min) {
+    const half = Math.abs(min) > 0 ? Math.abs(min) * 0.1 : 1;
+    return niceTicks(min - half, max + half, count);
+  }
+  const rough = (max - min) / Math.max(1, count - 1);
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const fraction = rough / magnitude;
+  const step = (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * magnitude;
+  const niceMin = Math.floor(min / step + 1e-9) * step;
+  const niceMax = Math.ceil(max / step - 1e-9) * step;
+  const ticks = [];
+  for (let value = niceMin; value <= niceMax + step / 2; value += step) {
+    // Se redondea para evitar restos como 0.30000000000000004
+    ticks.push(Number(value.toPrecision(12)));
+  }
+  return { min: niceMin, max: niceMax, step, ticks };
+};
+
+/**
+ * Decimales necesarios para mostrar las marcas de un eje.
+ * @param {number} step
+ * @returns {number}
+ */
+export const tickDecimals = (step) => Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+
+/**
+ * Agrupa las mediciones en series por serie de datos y metal, con su color,
+ * su ajuste y la frecuencia umbral (la aceptada del material si se conoce; si
+ * no, la del ajuste).
+ * @param {object[]} measurements
+ * @param {object[]} fits Resultado de fitByMetal.
+ * @param {object} materials Tabla de materiales.
+ * @returns {object[]} Series {key, metal, dataset, label, color, imported,
+ *   points, fit, workFunction, thresholdFrequency (×10¹⁴ Hz o null), repeats
+ *   (grupos de summarizeRepeats con más de una medición)}.
+ */
+export const buildSeries = (measurements, fits, materials) => {
+  const series = new Map();
+  let unknown = 0;
+  measurements.forEach(m => {
+    const dataset = m.dataset || null;
+    const key = JSON.stringify([dataset, m.metal]);
+    if (!series.has(key)) {
+      const material = materials[m.metal];
+      const fit = fits.find(f => f.metal === m.metal && (f.dataset || null) === dataset) || null;
+      const workFunction = material ? material.workFunction : null;
+      let threshold = null;
+      if (workFunction !== null) threshold = thresholdFrequency(workFunction) / FREQUENCY_UNIT;
+      else if (fit) threshold = fit.thresholdFrequency / FREQUENCY_UNIT;
+      series.set(key, {
+        key,
+        metal: m.metal,
+        dataset,
+        label: material ? `${material.name} (${m.metal})` : m.metal,
+        color: material && material.color ? material.color : SERIES_COLORS[unknown++ % SERIES_COLORS.length],
+        imported: dataset !== null,
+        points: [],
+        fit,
+        workFunction,
+        thresholdFrequency: threshold
+      });
+    }
+    series.get(key).points.push(m);
+  });
+  return [...series.values()].map(s => ({ ...s, repeats: summarizeRepeats(s.points).filter(g => g.n > 1) }));
+};
+
+/**
+ * Dominio de los ejes que abarca todos los puntos, las frecuencias umbral y
+ * Ec = 0, con marcas redondas.
+ * @param {object[]} series Resultado de buildSeries.
+ * @returns {{x: object, y: object}} Resultados de niceTicks para f (×10¹⁴ Hz) y Ec (eV).
+ */
+export const plotDomain = (series) => {
+  const points = series.flatMap(s => s.points);
+  const frequencies = [
+    ...points.map(m => m.frequency),
+    ...series.map(s => s.thresholdFrequency).filter(f => f !== null)
+  ];
+  const energies = [0, ...points.map(m => parseFloat(m.kineticEnergy)).filter(Number.isFinite)];
+  const fMin = Math.min(...frequencies);
+  const fMax = Math.max(...frequencies);
+  const fPad = (fMax - fMin) * 0.05 || 0.5;
+  const eMax = Math.max(...energies);
+  return {
+    x: niceTicks(Math.max(0, fMin - fPad), fMax + fPad, 10),
+    y: niceTicks(Math.min(...energies), eMax > 0 ? eMax * 1.1 : 1, 8)
+  };
+};
+
+/**
+ * Eje con los límites exactos indicados y marcas redondas dentro de ellos,
+ * para la vista ampliada o desplazada.
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [count=8]
+ * @returns {{min: number, max: number, step: number, ticks: number[]}}
+ */
+export const axisForRange = (min, max, count = 8) => {
+  const { step, ticks } = niceTicks(min, max, count);
+  return { min, max, step, ticks: ticks.filter(t => t >= min - step * 1e-6 && t <= max + step * 1e-6) };
+};
+
+/**
+ * Amplía (factor < 1) o reduce (factor > 1) un intervalo manteniendo fijo
+ * el punto center.
+ * @param {number[]} range [min, max]
+ * @param {number} center
+ * @param {number} factor
+ * @returns {number[]}
+ */
+export const zoomRange = ([min, max], center, factor) => [
+  center - (center - min) * factor,
+  center + (max - center) * factor
+];
+
+/**
+ * Desplaza un intervalo.
+ * @param {number[]} range [min, max]
+ * @param {number} delta
+ * @returns {number[]}
+ */
+export const panRange = ([min, max], delta) => [min + delta, max + delta];
@@ -0,0 +1,85 @@
+import {
+  niceTicks,
+  tickDecimals,
+  buildSeries,
+  plotDomain,
+  axisForRange,
+  zoomRange,
+  panRange,
+  SERIES_COLORS
+} from './energyPlot';
+import { metals, thresholdFrequency, FREQUENCY_UNIT } from './physics';
+
+describe('niceTicks', () => {
+  test('marcas redondas que cubren el intervalo', () => {
+    expect(niceTicks(3.2, 11.7, 10)).toEqual({ min: 3, max: 12, step: 1, ticks: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12] });
+    const { ticks, step } = niceTicks(0, 0.87, 8);
+    expect(step).toBe(0.2);
+    expect(ticks).toEqual([0, 0.2, 0.4, 0.6, 0.8, 1]);
+  });
+
+  test('amplía un intervalo degenerado', () => {
+    const axis = niceTicks(5, 5);
+    expect(axis.min).toBeLessThan(5);
+    expect(axis.max).toBeGreaterThan(5);
+    expect(() => niceTicks(0, Infinity)).toThrow('finitos');
+  });
+
+  test('decimales de las etiquetas', () => {
+    expect(tickDecimals(1)).toBe(0);
+    expect(tickDecimals(0.2)).toBe(1);
+    expect(tickDecimals(0.05)).toBe(2);
+    expect(tickDecimals(50)).toBe(0);
+  });
+});
+
+describe('series', () => {
+  const measurements = [
+    { frequency: 8, kineticEnergy: '0.560', metal: 'Na' },
+    { frequency: 9, kineticEnergy: '0.974', metal: 'Na' },
+    { frequency: 9, kineticEnergy: '0.990', metal: 'Na' },
+    { frequency: 12, kineticEnergy: '0.310', metal: 'Zn' },
+    { frequency: 7.4, kineticEnergy: '1.100', metal: 'X', dataset: 'Fototubo' }
+  ];
+  const fits = [{ metal: 'X', dataset: 'Fototubo', thresholdFrequency: 4.8e14, planck: 4e-15, workFunction: 1.9 }];
+
+  test('una serie por metal y serie de datos', () => {
+    const series = buildSeries(measurements, fits, metals);
+    expect(series.map(s => [s.metal, s.dataset, s.points.length])).toEqual([
+      ['Na', null, 3],
+      ['Zn', null, 1],
+      ['X', 'Fototubo', 1]
+    ]);
+    expect(series[0]).toMatchObject({ color: metals.Na.color, imported: false, fit: null, dataset: null });
+    expect(series[0].thresholdFrequency).toBeCloseTo(thresholdFrequency(metals.Na.workFunction) / FREQUENCY_UNIT, 10);
+    expect(series[2]).toMatchObject({ color: SERIES_COLORS[0], imported: true, workFunction: null, thresholdFrequency: 4.8 });
+    expect(series[0].repeats.map(g => [g.frequency, g.n])).toEqual([[9, 2]]);
+    expect(series[1].repeats).toEqual([]);
+  });
+
+  test('el dominio incluye todos los puntos y los umbrales', () => {
+    const { x, y } = plotDomain(buildSeries(measurements, fits, metals));
+    expect(x.min).toBeLessThanOrEqual(4.8);
+    expect(x.max).toBeGreaterThanOrEqual(12);
+    expect(y.min).toBe(0);
+    expect(y.max).toBeGreaterThanOrEqual(1.1);
+  });
+});
+
+describe('zoom y desplazamiento', () => {
+  test('zoomRange mantiene fijo el centro', () => {
+    expect(zoomRange([0, 10], 2, 0.5)).toEqual([1, 6]);
+    expect(zoomRange([1, 6], 2, 2)).toEqual([0, 10]);
+  });
+
+  test('panRange desplaza ambos extremos', () => {
+    expect(panRange([3, 12], -1.5)).toEqual([1.5, 10.5]);
+  });
+
+  test('axisForRange conserva los límites y filtra las marcas', () => {
+    const axis = axisForRange(3.3, 7.9, 6);
+    expect(axis.min).toBe(3.3);
+    expect(axis.max).toBe(7.9);
+    expect(axis.ticks).toEqual([4, 5, 6, 7]);
+  });
+});
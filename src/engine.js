@@ -0,0 +1,105 @@
+// Motor de simulación con paso de tiempo fijo y aleatoriedad con semilla.
+//
+// No depende del DOM: el canvas lo avanza con el tiempo real transcurrido
+// (advance) y las pruebas o scripts en Node lo avanzan paso a paso (step/run).
+import { createParticleSystem, clearParticles, stepParticles } from './particles';
+import { createRandom, normalizeSeed, DEFAULT_SEED } from './random';
+import { buildSpectrum } from './spectra';
+import { DEFAULT_METAL, metals } from './physics';
+
+export const FIXED_TIMESTEP = 1000 / 60; // ms por paso
+export const MAX_FRAME_TIME = 250; // ms; evita ráfagas de pasos tras una pausa larga
+
+const DEFAULT_PARAMS = {
+  intensity: 50,
+  spectrum: buildSpectrum({ type: 'monochromatic', frequency: 6 }),
+  workFunction: metals[DEFAULT_METAL].workFunction,
+  quantumEfficiency: 1,
+  bias: 0,
+  width: 800
+};
+
+/**
+ * Crea un motor de simulación.
+ * @param {object} [options]
+ * @param {number|string} [options.seed=DEFAULT_SEED] Semilla del generador.
+ * @param {object} [options.params] Parámetros físicos iniciales (ver stepParticles).
+ */
+export const createEngine = ({ seed = DEFAULT_SEED, params = {} } = {}) => {
+  let currentSeed = normalizeSeed(seed);
+  let random = createRandom(currentSeed);
+  let currentParams = { ...DEFAULT_PARAMS, ...params };
+  let steps = 0;
+  let accumulator = 0;
+  const system = createParticleSystem();
+
+  const engine = {
+    system,
+
+    get seed() {
+      return currentSeed;
+    },
+
+    get steps() {
+      return steps;
+    },
+
+    // Tiempo simulado en ms
+    get time() {
+      return steps * FIXED_TIMESTEP;
+    },
+
+    setParams(next) {
+      currentParams = { ...currentParams, ...next };
+    },
+
+    // Avanza exactamente un paso fijo
+    step() {
+      stepParticles(system, currentParams, random);
+      steps += 1;
+    },
+
+    // Avanza n pasos
+    run(n) {
+      for (let i = 0; i < n; i++) {
+        engine.step();
+      }
+    },
+
+    // Avanza según el tiempo real transcurrido; devuelve los pasos ejecutados
+    advance(elapsed) {
+      accumulator += Math.min(Math.max(0, elapsed), MAX_FRAME_TIME);
+      let executed = 0;
+      while (accumulator >= FIXED_TIMESTEP) {
+        engine.step();
+        accumulator -= FIXED_TIMESTEP;
+        executed += 1;
+      }
+      return executed;
+    },
+
+    // Vuelve al estado inicial, opcionalmente con otra semilla
+    reset(nextSeed = currentSeed) {
+      currentSeed = normalizeSeed(nextSeed);
+      random = createRandom(currentSeed);
+      clearParticles(system);
+      steps = 0;
+      accumulator = 0;
+    },
+
+    getState() {
+      return {
+        seed: currentSeed,
+        steps,
+        time: engine.time,
+        emitted: system.emitted,
+        collected: system.collected,
+        returned: system.returned,
+        photons: system.photons.map(p => ({ ...p })),
+        electrons: system.electrons.map(e => ({ ...e }))
+      };
+    }
+  };
+
+  return engine;
+};
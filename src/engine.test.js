@@ -0,0 +1,86 @@
+import { createEngine, FIXED_TIMESTEP, MAX_FRAME_TIME } from './engine';
+import { buildSpectrum } from './spectra';
+
+const params = {
+  intensity: 80,
+  spectrum: buildSpectrum({ type: 'monochromatic', frequency: 8 }),
+  workFunction: 2.1,
+  width: 800
+};
+
+describe('createEngine', () => {
+  test('la misma semilla reproduce exactamente la simulación', () => {
+    const a = createEngine({ seed: 2024, params });
+    const b = createEngine({ seed: 2024, params });
+    a.run(150);
+    b.run(150);
+    expect(a.getState()).toEqual(b.getState());
+    expect(a.getState().electrons.length).toBeGreaterThan(0);
+  });
+
+  test('semillas distintas dan resultados distintos', () => {
+    const a = createEngine({ seed: 1, params });
+    const b = createEngine({ seed: 2, params });
+    a.run(50);
+    b.run(50);
+    expect(a.getState().electrons).not.toEqual(b.getState().electrons);
+  });
+
+  test('step y run avanzan el tiempo simulado', () => {
+    const engine = createEngine({ params });
+    engine.step();
+    engine.run(9);
+    expect(engine.steps).toBe(10);
+    expect(engine.time).toBeCloseTo(10 * FIXED_TIMESTEP, 10);
+  });
+
+  test('reset vuelve al estado inicial', () => {
+    const engine = createEngine({ seed: 7, params });
+    engine.run(40);
+    const first = engine.getState();
+    engine.run(25);
+    engine.reset();
+    expect(engine.steps).toBe(0);
+    expect(engine.system.photons).toHaveLength(0);
+    engine.run(40);
+    expect(engine.getState()).toEqual(first);
+  });
+
+  test('reset con otra semilla la adopta', () => {
+    const engine = createEngine({ seed: 7, params });
+    engine.reset('otra');
+    const other = createEngine({ seed: 'otra', params });
+    engine.run(30);
+    other.run(30);
+    expect(engine.getState()).toEqual(other.getState());
+  });
+});
+
+describe('advance', () => {
+  test('el número de pasos no depende de la frecuencia de refresco', () => {
+    const at60 = createEngine({ seed: 5, params });
+    const at144 = createEngine({ seed: 5, params });
+    for (let i = 0; i < 60; i++) at60.advance(1000 / 60);
+    for (let i = 0; i < 144; i++) at144.advance(1000 / 144);
+    expect(Math.abs(at60.steps - at144.steps)).toBeLessThanOrEqual(1);
+    expect(at60.steps).toBeGreaterThanOrEqual(59);
+
+    const steps = Math.min(at60.steps, at144.steps);
+    const replay = createEngine({ seed: 5, params });
+    replay.run(steps);
+    const lagging = at60.steps === steps ? at60 : at144;
+    expect(lagging.getState()).toEqual(replay.getState());
+  });
+
+  test('limita el tiempo acumulado tras una pausa larga', () => {
+    const engine = createEngine({ params });
+    const executed = engine.advance(10000);
+    expect(executed).toBeGreaterThan(0);
+    expect(executed).toBeLessThanOrEqual(Math.ceil(MAX_FRAME_TIME / FIXED_TIMESTEP));
+  });
+
+  test('ignora tiempos negativos', () => {
+    const engine = createEngine({ params });
+    expect(engine.advance(-50)).toBe(0);
+  });
+});
@@ -0,0 +1,205 @@
+// Ajuste por mínimos cuadrados de Ec frente a f.
+import { FREQUENCY_UNIT, PLANCK_CONSTANT_EV, metals } from './physics';
+import { voltageUncertainty } from './instrument';
+import { summarizeRepeats, pooledStandardDeviation, meanUncertainty } from './repeats';
+
+/**
+ * Regresión lineal ordinaria y = a·x + b.
+ *
+ * Las incertidumbres estándar de pendiente y ordenada sólo están definidas con
+ * tres o más puntos; con dos se devuelven como null.
+ * @param {number[]} xs
+ * @param {number[]} ys
+ * @returns {{slope: number, intercept: number, slopeError: number|null,
+ *   interceptError: number|null, rSquared: number, n: number}}
+ */
+export const linearRegression = (xs, ys) => {
+  const n = xs.length;
+  if (n !== ys.length) {
+    throw new Error('Las series x e y deben tener la misma longitud');
+  }
+  if (n < 2) {
+    throw new Error('Se necesitan al menos dos puntos para el ajuste');
+  }
+
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    sxx += dx * dx;
+    sxy += dx * dy;
+    syy += dy * dy;
+  }
+  if (sxx === 0) {
+    throw new Error('Todos los puntos tienen la misma abscisa');
+  }
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const residualSum = Math.max(0, syy - slope * sxy);
+  const rSquared = syy === 0 ? 1 : 1 - residualSum / syy;
+
+  let slopeError = null;
+  let interceptError = null;
+  if (n > 2) {
+    const variance = residualSum / (n - 2);
+    slopeError = Math.sqrt(variance / sxx);
+    interceptError = Math.sqrt(variance * (1 / n + (meanX * meanX) / sxx));
+  }
+
+  return { slope, intercept, slopeError, interceptError, rSquared, n };
+};
+
+/**
+ * Regresión lineal ponderada y = a·x + b con pesos 1/σ².
+ *
+ * Las incertidumbres de pendiente y ordenada salen de las σ de cada punto
+ * (no de la dispersión de los residuos), por lo que están definidas también
+ * con dos puntos.
+ * @param {number[]} xs
+ * @param {number[]} ys
+ * @param {number[]} sigmas Incertidumbre de cada y, positiva.
+ * @returns {{slope: number, intercept: number, slopeError: number,
+ *   interceptError: number, rSquared: number, chiSquare: number, n: number}}
+ */
+export const weightedRegression = (xs, ys, sigmas) => {
+  const n = xs.length;
+  if (n !== ys.length || n !== sigmas.length) {
+    throw new Error('Las series x, y y σ deben tener la misma longitud');
+  }
+  if (n < 2) {
+    throw new Error('Se necesitan al menos dos puntos para el ajuste');
+  }
+  if (!sigmas.every(s => s > 0)) {
+    throw new Error('Las incertidumbres deben ser positivas');
+  }
+
+  const weights = sigmas.map(s => 1 / (s * s));
+  const sw = weights.reduce((sum, w) => sum + w, 0);
+  const meanX = weights.reduce((sum, w, i) => sum + w * xs[i], 0) / sw;
+  const meanY = weights.reduce((sum, w, i) => sum + w * ys[i], 0) / sw;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    sxx += weights[i] * dx * dx;
+    sxy += weights[i] * dx * dy;
+    syy += weights[i] * dy * dy;
+  }
+  if (sxx === 0) {
+    throw new Error('Todos los puntos tienen la misma abscisa');
+  }
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const chiSquare = weights.reduce((sum, w, i) => sum + w * (ys[i] - (slope * xs[i] + intercept)) ** 2, 0);
+
+  return {
+    slope,
+    intercept,
+    slopeError: Math.sqrt(1 / sxx),
+    interceptError: Math.sqrt(1 / sw + (meanX * meanX) / sxx),
+    rSquared: syy === 0 ? 1 : 1 - chiSquare / syy,
+    chiSquare,
+    n
+  };
+};
+
+// Una medición entra en el ajuste sólo si hubo emisión (por encima del umbral)
+export const isAboveThreshold = (m) =>
+  m.emitsElectrons !== false && parseFloat(m.kineticEnergy) > 0;
+
+/**
+ * Ajusta Ec = h·f − φ a las mediciones de un metal.
+ *
+ * Si alguna frecuencia se ha medido varias veces, se ajustan las medias de
+ * cada frecuencia ponderadas por su incertidumbre (ver meanUncertainty) y el
+ * resultado lleva weighted = true; si no, se ajustan las mediciones sueltas
+ * por mínimos cuadrados ordinarios.
+ *
+ * Devuelve h (eV·s) y φ (eV) con sus incertidumbres, la frecuencia umbral (Hz),
+ * R² y el error porcentual respecto a los valores aceptados, o null si hay
+ * menos de dos puntos útiles. Las mediciones marcadas como excluidas
+ * (excluded, valores atípicos) no intervienen. Si todas las mediciones guardan la
+ * configuración del instrumento, incluye además χ² reducido con la
+ * incertidumbre de cada lectura: un valor cercano a 1 indica que la dispersión
+ * es la esperada para ese instrumento.
+ * @param {object[]} measurements Mediciones registradas (f en ×10¹⁴ Hz).
+ * @param {string} metal Símbolo del metal a ajustar.
+ * @param {object} [table=metals] Tabla de materiales con φ aceptadas.
+ * @returns {object|null}
+ */
+export const fitPhotoelectric = (measurements, metal, table = metals) => {
+  const points = measurements.filter(m => m.metal === metal && !m.excluded && isAboveThreshold(m));
+  const xs = points.map(m => m.frequency * FREQUENCY_UNIT);
+  if (new Set(xs).size < 2) return null;
+
+  const groups = summarizeRepeats(points);
+  const pooledSd = pooledStandardDeviation(groups);
+  const sigmas = groups.map(g => meanUncertainty(g, pooledSd));
+  const weighted = pooledSd !== null && sigmas.every(s => s !== null);
+
+  const ys = points.map(m => parseFloat(m.kineticEnergy));
+  const regression = weighted
+    ? weightedRegression(groups.map(g => g.frequency * FREQUENCY_UNIT), groups.map(g => g.mean), sigmas)
+    : linearRegression(xs, ys);
+  const planck = regression.slope;
+  const workFunction = -regression.intercept;
+  const accepted = table[metal] ? table[metal].workFunction : null;
+
+  let reducedChiSquare = null;
+  if (weighted) {
+    if (groups.length > 2) reducedChiSquare = regression.chiSquare / (groups.length - 2);
+  } else if (points.length > 2 && points.every(m => m.instrument)) {
+    const chiSquare = points.reduce((sum, m, i) => {
+      const residual = ys[i] - (regression.slope * xs[i] + regression.intercept);
+      return sum + (residual / voltageUncertainty(m.instrument)) ** 2;
+    }, 0);
+    reducedChiSquare = chiSquare / (points.length - 2);
+  }
+
+  return {
+    metal,
+    n: points.length,
+    frequencies: groups.length,
+    weighted,
+    planck,
+    planckError: regression.slopeError,
+    workFunction,
+    workFunctionError: regression.interceptError,
+    thresholdFrequency: workFunction / planck,
+    rSquared: regression.rSquared,
+    planckPercentError: (Math.abs(planck - PLANCK_CONSTANT_EV) / PLANCK_CONSTANT_EV) * 100,
+    workFunctionPercentError: accepted ? (Math.abs(workFunction - accepted) / accepted) * 100 : null,
+    reducedChiSquare
+  };
+};
+
+/**
+ * Ajusta por separado cada metal presente en las mediciones y, dentro de
+ * cada metal, cada serie de datos (las simuladas y cada archivo importado).
+ * @param {object[]} measurements
+ * @param {object} [table=metals]
+ * @returns {object[]} Ajustes válidos, en orden de aparición, con su serie en
+ *   dataset (null para las mediciones simuladas).
+ */
+export const fitByMetal = (measurements, table = metals) => {
+  const series = new Map();
+  measurements.forEach(m => {
+    const dataset = m.dataset || null;
+    const key = JSON.stringify([dataset, m.metal]);
+    if (!series.has(key)) series.set(key, { dataset, metal: m.metal });
+  });
+  return [...series.values()]
+    .map(({ dataset, metal }) => {
+      const fit = fitPhotoelectric(measurements.filter(m => (m.dataset || null) === dataset), metal, table);
+      return fit && { ...fit, dataset };
+    })
+    .filter(Boolean);
+};
@@ -0,0 +1,166 @@
+import { linearRegression, weightedRegression, fitPhotoelectric, fitByMetal } from './fit';
+import { FREQUENCY_UNIT, PLANCK_CONSTANT_EV, maxKineticEnergy } from './physics';
+
+// Medición ideal (sin ruido) con el formato que registra el simulador
+const measure = (frequency, metal, workFunction, delta = 0) => {
+  const ec = maxKineticEnergy(frequency * FREQUENCY_UNIT, workFunction);
+  return {
+    frequency,
+    metal,
+    kineticEnergy: (ec > 0 ? ec + delta : 0).toFixed(4),
+    emitsElectrons: ec > 0
+  };
+};
+
+describe('linearRegression', () => {
+  test('recupera una recta exacta', () => {
+    const fit = linearRegression([1, 2, 3, 4], [3, 5, 7, 9]);
+    expect(fit.slope).toBeCloseTo(2, 12);
+    expect(fit.intercept).toBeCloseTo(1, 12);
+    expect(fit.rSquared).toBeCloseTo(1, 12);
+    expect(fit.slopeError).toBeCloseTo(0, 12);
+  });
+
+  test('incertidumbres estándar de un caso conocido', () => {
+    const fit = linearRegression([0, 1, 2, 3], [0, 1, 1, 3]);
+    expect(fit.slope).toBeCloseTo(0.9, 12);
+    expect(fit.intercept).toBeCloseTo(-0.1, 12);
+    expect(fit.slopeError).toBeCloseTo(Math.sqrt(0.35 / 5), 12);
+    expect(fit.interceptError).toBeCloseTo(Math.sqrt(0.35 * (1 / 4 + 2.25 / 5)), 12);
+    expect(fit.rSquared).toBeCloseTo(1 - 0.7 / 4.75, 12);
+  });
+
+  test('con dos puntos no hay incertidumbre', () => {
+    const fit = linearRegression([0, 1], [1, 2]);
+    expect(fit.slopeError).toBeNull();
+    expect(fit.interceptError).toBeNull();
+  });
+
+  test('rechaza datos insuficientes o degenerados', () => {
+    expect(() => linearRegression([1], [1])).toThrow();
+    expect(() => linearRegression([1, 1], [1, 2])).toThrow();
+    expect(() => linearRegression([1, 2], [1])).toThrow();
+  });
+});
+
+describe('weightedRegression', () => {
+  test('con pesos iguales coincide con la regresión ordinaria', () => {
+    const fit = weightedRegression([0, 1, 2, 3], [0, 1, 1, 3], [1, 1, 1, 1]);
+    expect(fit.slope).toBeCloseTo(0.9, 12);
+    expect(fit.intercept).toBeCloseTo(-0.1, 12);
+    expect(fit.slopeError).toBeCloseTo(Math.sqrt(1 / 5), 12);
+    expect(fit.interceptError).toBeCloseTo(Math.sqrt(1 / 4 + 2.25 / 5), 12);
+    expect(fit.chiSquare).toBeCloseTo(0.7, 12);
+  });
+
+  test('los puntos inciertos pesan menos', () => {
+    const fit = weightedRegression([0, 1, 2, 3], [0, 1, 2, 9], [0.1, 0.1, 0.1, 100]);
+    expect(fit.slope).toBeCloseTo(1, 3);
+    expect(fit.intercept).toBeCloseTo(0, 3);
+  });
+
+  test('rechaza incertidumbres no positivas', () => {
+    expect(() => weightedRegression([0, 1], [0, 1], [1, 0])).toThrow('positivas');
+    expect(() => weightedRegression([0, 1], [0, 1], [1])).toThrow();
+  });
+});
+
+describe('fitPhotoelectric', () => {
+  test('obtiene h y φ de datos ideales', () => {
+    const data = [7, 8, 9, 10, 11].map(f => measure(f, 'Na', 2.75));
+    const fit = fitPhotoelectric(data, 'Na');
+    expect(fit.planck / PLANCK_CONSTANT_EV).toBeCloseTo(1, 3);
+    expect(fit.workFunction).toBeCloseTo(2.75, 2);
+    expect(fit.thresholdFrequency / 1e14).toBeCloseTo(6.65, 2);
+    expect(fit.rSquared).toBeCloseTo(1, 6);
+    expect(fit.planckPercentError).toBeLessThan(0.1);
+    expect(fit.workFunctionPercentError).toBeLessThan(0.1);
+  });
+
+  test('excluye automáticamente los puntos bajo el umbral', () => {
+    const data = [4, 5, 6, 7, 8, 9].map(f => measure(f, 'Na', 2.75));
+    const fit = fitPhotoelectric(data, 'Na');
+    expect(fit.n).toBe(3);
+    expect(fit.workFunction).toBeCloseTo(2.75, 2);
+  });
+
+  test('propaga la dispersión a las incertidumbres', () => {
+    const deltas = [0.05, -0.04, 0.03, -0.05, 0.02];
+    const data = [7, 8, 9, 10, 11].map((f, i) => measure(f, 'Na', 2.75, deltas[i]));
+    const fit = fitPhotoelectric(data, 'Na');
+    expect(fit.planckError).toBeGreaterThan(0);
+    expect(fit.workFunctionError).toBeGreaterThan(0);
+    expect(fit.rSquared).toBeLessThan(1);
+  });
+
+  test('χ² reducido con la incertidumbre del instrumento', () => {
+    const deltas = [0.05, -0.04, 0.03, -0.05, 0.02];
+    const data = [7, 8, 9, 10, 11].map((f, i) => measure(f, 'Na', 2.75, deltas[i]));
+    expect(fitPhotoelectric(data, 'Na').reducedChiSquare).toBeNull();
+
+    const instrument = { randomError: 0.04, resolution: 0.0001 };
+    const precise = fitPhotoelectric(data.map(m => ({ ...m, instrument })), 'Na');
+    const coarse = fitPhotoelectric(data.map(m => ({ ...m, instrument: { ...instrument, randomError: 0.4 } })), 'Na');
+    expect(precise.reducedChiSquare).toBeGreaterThan(0.5);
+    expect(precise.reducedChiSquare).toBeLessThan(3);
+    expect(coarse.reducedChiSquare).toBeCloseTo(precise.reducedChiSquare / 100, 4);
+  });
+
+  test('devuelve null sin suficientes frecuencias distintas', () => {
+    expect(fitPhotoelectric([measure(8, 'Na', 2.75), measure(8, 'Na', 2.75)], 'Na')).toBeNull();
+    expect(fitPhotoelectric([], 'Na')).toBeNull();
+  });
+
+  test('sin φ aceptada no calcula su error porcentual', () => {
+    const data = [7, 8, 9].map(f => measure(f, 'X', 2.0));
+    expect(fitPhotoelectric(data, 'X').workFunctionPercentError).toBeNull();
+  });
+});
+
+test('fitPhotoelectric ignora los puntos excluidos', () => {
+  const data = [7, 8, 9].map(f => measure(f, 'Na', 2.75));
+  const outlier = { ...measure(10, 'Na', 2.75, 1.5), excluded: true };
+  const fit = fitPhotoelectric([...data, outlier], 'Na');
+  expect(fit.n).toBe(3);
+  expect(fit.workFunction).toBeCloseTo(2.75, 2);
+});
+
+test('con repeticiones ajusta las medias ponderadas', () => {
+  const instrument = { randomError: 0.02, resolution: 0.001 };
+  const deltas = [[0.03, -0.02, 0.01], [-0.01, 0.02, -0.02], [0.02, 0.0, -0.01]];
+  const data = [7, 8, 9].flatMap((f, i) => deltas[i].map(d => ({ ...measure(f, 'Na', 2.75, d), instrument })));
+  const fit = fitPhotoelectric(data, 'Na');
+  expect(fit.weighted).toBe(true);
+  expect(fit.n).toBe(9);
+  expect(fit.frequencies).toBe(3);
+  expect(fit.workFunction).toBeCloseTo(2.75, 1);
+  expect(fit.planckError).toBeGreaterThan(0);
+  expect(fit.reducedChiSquare).not.toBeNull();
+
+  const single = fitPhotoelectric([7, 8, 9].map(f => measure(f, 'Na', 2.75)), 'Na');
+  expect(single.weighted).toBe(false);
+});
+
+describe('fitByMetal', () => {
+  test('ajusta cada metal por separado', () => {
+    const data = [
+      ...[7, 8, 9].map(f => measure(f, 'Na', 2.75)),
+      ...[12, 13, 14].map(f => measure(f, 'Cu', 4.65)),
+      measure(8, 'Zn', 4.33)
+    ];
+    const fits = fitByMetal(data);
+    expect(fits.map(fit => fit.metal)).toEqual(['Na', 'Cu']);
+    expect(fits[1].workFunction).toBeCloseTo(4.65, 2);
+  });
+
+  test('separa las series importadas de las simuladas', () => {
+    const data = [
+      ...[7, 8, 9].map(f => measure(f, 'Na', 2.75)),
+      ...[7, 8, 9].map(f => ({ ...measure(f, 'Na', 2.5), dataset: 'Fototubo' }))
+    ];
+    const fits = fitByMetal(data);
+    expect(fits.map(fit => [fit.dataset, fit.metal])).toEqual([[null, 'Na'], ['Fototubo', 'Na']]);
+    expect(fits[0].workFunction).toBeCloseTo(2.75, 2);
+    expect(fits[1].workFunction).toBeCloseTo(2.5, 2);
+  });
+});
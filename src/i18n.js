@@ -0,0 +1,130 @@
+// Idiomas de la interfaz: traducción de mensajes y formato de números.
+import { MESSAGES } from './messages';
+import { resolveStorage } from './storage';
+
+// Idiomas disponibles, con su configuración regional y separador decimal
+export const LANGUAGES = {
+  es: { label: 'Español', locale: 'es-ES', decimal: ',' },
+  en: { label: 'English', locale: 'en-US', decimal: '.' },
+  pt: { label: 'Português', locale: 'pt-BR', decimal: ',' }
+};
+
+export const DEFAULT_LANGUAGE = 'es';
+
+export const STORAGE_KEY = 'photoelectric.language';
+
+/**
+ * Mensaje traducido. Si falta en el idioma pedido se usa el español, y si
+ * tampoco existe, la propia clave. Los marcadores {nombre} se sustituyen por
+ * los parámetros.
+ * @param {string} language
+ * @param {string} key
+ * @param {object} [params={}]
+ * @returns {string}
+ */
+export const translate = (language, key, params = {}) => {
+  const catalog = MESSAGES[language] || MESSAGES[DEFAULT_LANGUAGE];
+  const template = catalog[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+/**
+ * Error con un mensaje para el usuario que se traduce al mostrarlo (ver
+ * errorText). Su message lleva el texto en español, para la consola.
+ * @param {string} key Clave del mensaje.
+ * @param {object} [params={}] Parámetros del mensaje.
+ * @param {Error} [cause] Error que lo origina; su texto se pasa al mensaje
+ *   como {reason}.
+ * @returns {Error} Con key, params y cause.
+ */
+export const messageError = (key, params = {}, cause = null) => Object.assign(
+  new Error(translate(DEFAULT_LANGUAGE, key, cause ? { ...params, reason: cause.message } : params)),
+  { key, params, cause }
+);
+
+/**
+ * Texto de un error en el idioma indicado. Los que no se crearon con
+ * messageError se muestran como error inesperado, con su mensaje original.
+ * @param {string} language
+ * @param {Error} err
+ * @returns {string}
+ */
+export const errorText = (language, err) => {
+  if (!err || !err.key) return translate(language, 'error.unexpected', { detail: err ? err.message : '' });
+  const params = err.cause ? { ...err.params, reason: errorText(language, err.cause) } : err.params;
+  return translate(language, err.key, params);
+};
+
+/**
+ * Número con el separador decimal del idioma, sin separador de miles.
+ * @param {string} language
+ * @param {number|string} value Número, o texto numérico ya redondeado (se
+ *   conservan sus decimales).
+ * @param {number} [decimals] Decimales con los que redondear un número.
+ * @returns {string} Vacío si no hay valor; el texto tal cual si no es numérico.
+ */
+export const formatNumber = (language, value, decimals) => {
+  if (value === undefined || value === null || value === '') return '';
+  const number = Number(value);
+  if (!Number.isFinite(number)) return String(value);
+  const text = decimals === undefined ? String(value).trim() : number.toFixed(decimals);
+  const { decimal } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+  return text.replace('.', decimal);
+};
+
+/**
+ * Funciones de traducción y formato ligadas a un idioma.
+ * @param {string} language
+ * @returns {{language: string, t: Function, fmt: Function, errorText: Function}}
+ */
+export const createI18n = (language) => ({
+  language,
+  t: (key, params) => translate(language, key, params),
+  fmt: (value, decimals) => formatNumber(language, value, decimals),
+  errorText: (err) => errorText(language, err)
+});
+
+/**
+ * Copia de la tabla de materiales con el nombre de los incluidos en el idioma
+ * indicado. Los definidos por el usuario conservan el suyo: sólo se traducen
+ * los que tienen el nombre del catálogo en español.
+ * @param {object} materials Tabla indexada por símbolo.
+ * @param {string} language
+ * @returns {object}
+ */
+export const localizeMaterials = (materials, language) => Object.fromEntries(
+  Object.entries(materials).map(([symbol, material]) => {
+    const key = `metal.${symbol}`;
+    const builtIn = MESSAGES[DEFAULT_LANGUAGE][key] === material.name;
+    return [symbol, builtIn ? { ...material, name: translate(language, key) } : material];
+  })
+);
+
+/**
+ * Idioma guardado en el navegador.
+ * @param {Storage} [storage=window.localStorage]
+ * @returns {string} El idioma por defecto si no hay uno guardado válido.
+ */
+export const loadLanguage = (storage) => {
+  try {
+    const language = resolveStorage(storage).getItem(STORAGE_KEY);
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, language) ? language : DEFAULT_LANGUAGE;
+  } catch (err) {
+    return DEFAULT_LANGUAGE;
+  }
+};
+
+/**
+ * Guarda el idioma elegido.
+ * @param {string} language
+ * @param {Storage} [storage=window.localStorage]
+ * @returns {boolean} false si el navegador no permite guardarlo.
+ */
+export const saveLanguage = (language, storage) => {
+  try {
+    resolveStorage(storage).setItem(STORAGE_KEY, language);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
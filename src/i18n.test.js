@@ -0,0 +1,118 @@
+import {
+  STORAGE_KEY,
+  translate,
+  messageError,
+  errorText,
+  formatNumber,
+  createI18n,
+  localizeMaterials,
+  loadLanguage,
+  saveLanguage
+} from './i18n';
+import { MESSAGES } from './messages';
+import { mergeMaterials, parseMaterials } from './materials';
+import { createStorage } from './testStorage';
+
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+
+describe('translate', () => {
+  test('sustituye los marcadores por los parámetros', () => {
+    expect(translate('en', 'table.filteredCount', { count: 3, total: 10 })).toBe('3 of 10');
+    expect(translate('pt', 'session.saved', { name: 'Aula 2' })).toBe('Sessão «Aula 2» salva');
+    expect(translate('es', 'table.count')).toBe('{count} mediciones');
+  });
+
+  test('recurre al español y, si no existe, a la propia clave', () => {
+    expect(translate('fr', 'view.table')).toBe('Tabla');
+    expect(translate('en', 'no.existe')).toBe('no.existe');
+  });
+});
+
+describe('errores', () => {
+  test('se traducen al mostrarlos, también el error que los origina', () => {
+    const err = messageError('error.sweep.tooManyMeasurements', { count: 6000, max: 5000 });
+    expect(err.message).toBe('El barrido tendría 6000 mediciones; el máximo es 5000');
+    expect(errorText('en', err)).toBe('The sweep would have 6000 measurements; the maximum is 5000');
+    let nested;
+    try {
+      parseMaterials('[{"symbol": "Na"}]');
+    } catch (caught) {
+      nested = caught;
+    }
+    expect(nested.message).toBe('Material 1: El símbolo Na ya corresponde a un material incluido');
+    expect(errorText('pt', nested)).toBe('Material 1: O símbolo Na já corresponde a um material incluído');
+  });
+
+  test('los errores sin clave se muestran como inesperados', () => {
+    expect(errorText('en', new TypeError('x is undefined'))).toBe('Unexpected error: x is undefined');
+  });
+});
+
+test('todos los catálogos tienen las mismas claves y marcadores que el español', () => {
+  const reference = MESSAGES.es;
+  Object.entries(MESSAGES).forEach(([language, catalog]) => {
+    expect({ language, keys: Object.keys(catalog).sort() })
+      .toEqual({ language, keys: Object.keys(reference).sort() });
+    Object.entries(catalog).forEach(([key, text]) => {
+      expect({ language, key, placeholders: placeholders(text) })
+        .toEqual({ language, key, placeholders: placeholders(reference[key]) });
+    });
+  });
+});
+
+describe('formatNumber', () => {
+  test('usa el separador decimal del idioma', () => {
+    expect(formatNumber('es', 1.5)).toBe('1,5');
+    expect(formatNumber('pt', 2.0456, 2)).toBe('2,05');
+    expect(formatNumber('en', -0.25, 3)).toBe('-0.250');
+  });
+
+  test('conserva el redondeo de los textos numéricos', () => {
+    expect(formatNumber('es', '0.820')).toBe('0,820');
+    expect(formatNumber('es', '')).toBe('');
+    expect(formatNumber('es', null)).toBe('');
+    expect(formatNumber('es', 'n/d')).toBe('n/d');
+  });
+
+  test('createI18n liga las funciones al idioma', () => {
+    const { t, fmt } = createI18n('en');
+    expect(t('measurements.clear')).toBe('Clear');
+    expect(fmt(3.14159, 2)).toBe('3.14');
+  });
+});
+
+test('traduce los materiales incluidos y respeta los del usuario', () => {
+  const custom = {
+    GaAs: { name: 'Arseniuro de galio', workFunction: 4.07 },
+    Cu: { name: 'Cobre oxidado', workFunction: 4.5 }
+  };
+  const materials = localizeMaterials(mergeMaterials(custom), 'en');
+  expect(materials.Na.name).toBe('Sodium');
+  expect(materials.Na.workFunction).toBe(2.75);
+  expect(materials.GaAs.name).toBe('Arseniuro de galio');
+  expect(materials.Cu.name).toBe('Cobre oxidado');
+});
+
+describe('idioma guardado', () => {
+  test('guarda y recupera el idioma', () => {
+    const storage = createStorage();
+    expect(saveLanguage('pt', storage)).toBe(true);
+    expect(loadLanguage(storage)).toBe('pt');
+    expect(saveLanguage('en', { setItem: () => { throw new Error('lleno'); } })).toBe(false);
+  });
+
+  test('usa el español si no hay un idioma válido guardado', () => {
+    expect(loadLanguage(createStorage())).toBe('es');
+    expect(loadLanguage(createStorage({ [STORAGE_KEY]: 'fr' }))).toBe('es');
+    expect(loadLanguage({ getItem: () => { throw new Error('bloqueado'); } })).toBe('es');
+  });
+
+  test('no falla si el navegador bloquea el almacenamiento', () => {
+    const blocked = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+    expect(loadLanguage()).toBe('es');
+    expect(saveLanguage('en')).toBe(false);
+    blocked.mockRestore();
+  });
+});
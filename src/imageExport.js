@@ -0,0 +1,156 @@
+// Exportación de la gráfica (SVG o PNG) y de la escena de la simulación (PNG).
+import { messageError } from './i18n';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const TITLE_HEIGHT = 36;
+const LEGEND_LINE_HEIGHT = 18;
+const PNG_SCALE = 2; // resolución doble para que se lea bien al imprimir
+
+/**
+ * Escapa un texto para insertarlo en XML.
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Documento SVG independiente con título, la gráfica y su leyenda.
+ * @param {object} figure
+ * @param {string} figure.markup Contenido (innerHTML) del SVG de la gráfica.
+ * @param {number} figure.width
+ * @param {number} figure.height
+ * @param {string} figure.title
+ * @param {{color: string, dashed: boolean, square: boolean, text: string}[]} figure.legend
+ * @returns {string}
+ */
+export const composeGraphSvg = ({ markup, width, height, title, legend }) => {
+  const legendTop = TITLE_HEIGHT + height + 10;
+  const totalHeight = legendTop + legend.length * LEGEND_LINE_HEIGHT + 10;
+  const entries = legend.map(({ color, dashed, square, text }, i) => {
+    const y = legendTop + i * LEGEND_LINE_HEIGHT + LEGEND_LINE_HEIGHT / 2;
+    const marker = square
+      ? `<rect x="30" y="${y - 4}" width="8" height="8" fill="${color}"/>`
+      : `<circle cx="34" cy="${y}" r="4" fill="${color}"/>`;
+    return `<line x1="20" y1="${y}" x2="48" y2="${y}" stroke="${color}" stroke-width="2"` +
+      `${dashed ? ' stroke-dasharray="6,3"' : ''}/>${marker}` +
+      `<text x="56" y="${y + 4}" font-size="12" fill="#374151">${escapeXml(text)}</text>`;
+  });
+  return [
+    `<svg xmlns="${SVG_NS}" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}" font-family="sans-serif">`,
+    `<rect width="100%" height="100%" fill="white"/>`,
+    `<text x="${width / 2}" y="24" text-anchor="middle" font-size="16" font-weight="bold" fill="#111827">${escapeXml(title)}</text>`,
+    `<g transform="translate(0, ${TITLE_HEIGHT})">${markup}</g>`,
+    ...entries,
+    '</svg>'
+  ].join('\n');
+};
+
+// Tamaño declarado en la etiqueta raíz de un SVG
+const svgSize = (svgText) => {
+  const match = /<svg[^>]*\swidth="([\d.]+)"[^>]*\sheight="([\d.]+)"/.exec(svgText);
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : { width: 800, height: 600 };
+};
+
+/**
+ * Rasteriza un documento SVG a PNG.
+ * @param {string} svgText
+ * @param {number} [scale=PNG_SCALE]
+ * @returns {Promise<Blob>}
+ */
+export const svgToPng = (svgText, scale = PNG_SCALE) => new Promise((resolve, reject) => {
+  const { width, height } = svgSize(svgText);
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      reject(messageError('error.image.unsupported'));
+      return;
+    }
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, 0, 0, width, height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(messageError('error.image.failed'))), 'image/png');
+  };
+  image.onerror = () => reject(messageError('error.image.failed'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgText)}`;
+});
+
+// Recuadro con fondo redondeado y varias líneas de texto
+const drawPanel = (ctx, x, y, lines, { fontSize = 14, anchor = 'top' } = {}) => {
+  const padding = 8;
+  const lineHeight = fontSize * 1.4;
+  ctx.font = `${fontSize}px sans-serif`;
+  const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + padding * 2;
+  const height = lines.length * lineHeight + padding * 2;
+  const top = anchor === 'bottom' ? y - height : y;
+  ctx.fillStyle = '#1F2937';
+  ctx.beginPath();
+  if (ctx.roundRect) ctx.roundRect(x, top, width, height, 4);
+  else ctx.rect(x, top, width, height);
+  ctx.fill();
+  ctx.fillStyle = 'white';
+  ctx.textBaseline = 'top';
+  lines.forEach((line, i) => ctx.fillText(line, x + padding, top + padding + i * lineHeight));
+  return width;
+};
+
+/**
+ * Imagen PNG de la escena: el canvas de la simulación con los textos que se
+ * muestran encima (contador, material, voltímetro, amperímetro e indicador
+ * de emisión).
+ * @param {HTMLCanvasElement} source Canvas de la escena.
+ * @param {object} overlay
+ * @param {string} overlay.counter Contador de electrones.
+ * @param {string[]} overlay.label Líneas de la etiqueta del material.
+ * @param {string[][]} overlay.meters Líneas de cada medidor.
+ * @param {boolean} overlay.emitting
+ * @param {string} overlay.status Texto del indicador de emisión, en el idioma
+ *   de la interfaz.
+ * @returns {Promise<Blob>}
+ */
+export const snapshotScene = (source, { counter, label, meters, emitting, status }) => new Promise((resolve, reject) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    reject(messageError('error.image.unsupported'));
+    return;
+  }
+  // Se dibuja en píxeles CSS, como la escena
+  const ratio = source.clientWidth ? source.width / source.clientWidth : 1;
+  const width = source.width / ratio;
+  const height = source.height / ratio;
+  ctx.fillStyle = 'black';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(source, 0, 0);
+  ctx.scale(ratio, ratio);
+
+  ctx.fillStyle = 'white';
+  ctx.textBaseline = 'top';
+  ctx.font = '12px sans-serif';
+  ctx.fillText(counter, 16, 16);
+  label.forEach((line, i) => ctx.fillText(line, 260, 40 + i * 16));
+
+  let x = 16;
+  meters.forEach(lines => {
+    x += drawPanel(ctx, x, height - 16, lines, { anchor: 'bottom' }) + 8;
+  });
+
+  ctx.fillStyle = emitting ? '#22C55E' : '#EF4444';
+  ctx.beginPath();
+  ctx.arc(width - 24, 24, 8, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.fillStyle = 'white';
+  ctx.font = '12px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.fillText(status, width - 16, 36);
+
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(messageError('error.image.failed'))), 'image/png');
+});
@@ -0,0 +1,34 @@
+import { escapeXml, composeGraphSvg } from './imageExport';
+
+test('escapeXml', () => {
+  expect(escapeXml('a < b & "c"')).toBe('a &lt; b &amp; &quot;c&quot;');
+});
+
+describe('composeGraphSvg', () => {
+  const figure = {
+    markup: '<line x1="0" y1="0" x2="10" y2="10"/>',
+    width: 650,
+    height: 460,
+    title: 'Ec frente a f',
+    legend: [
+      { color: '#FFA500', dashed: false, square: false, text: 'Sodio (Na) · Simulación' },
+      { color: '#F59E0B', dashed: true, square: true, text: 'K · <fototubo>' }
+    ]
+  };
+
+  test('documento independiente con título, gráfica y leyenda', () => {
+    const svg = composeGraphSvg(figure);
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="650" height="552"/);
+    expect(svg).toContain('>Ec frente a f</text>');
+    expect(svg).toContain('<g transform="translate(0, 36)"><line x1="0" y1="0" x2="10" y2="10"/></g>');
+    expect(svg).toContain('K · &lt;fototubo&gt;');
+    expect(svg.match(/stroke-dasharray/g)).toHaveLength(1);
+    expect(svg.match(/<rect x="30"/g)).toHaveLength(1);
+  });
+
+  test('es XML bien formado', () => {
+    const doc = new DOMParser().parseFromString(composeGraphSvg(figure), 'image/svg+xml');
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(doc.documentElement.getElementsByTagName('text')).toHaveLength(3);
+  });
+});
@@ -0,0 +1,98 @@
+// Modelo del instrumento de medida: voltímetro con el que se lee el potencial
+// de frenado y conocimiento de la frecuencia de la luz.
+import { gaussian } from './random';
+import { messageError } from './i18n';
+
+export const DEFAULT_INSTRUMENT = {
+  resolution: 0.001, // V, último dígito del voltímetro
+  range: 5, // V, fondo de escala (±)
+  randomError: 0.02, // V, desviación típica del error aleatorio
+  systematicOffset: 0, // V, potencial de contacto o deriva del cero
+  exactFrequency: true, // la frecuencia de la luz se considera exacta
+  frequencyError: 0.01 // desviación típica relativa de f si no es exacta
+};
+
+/**
+ * Valida y normaliza la configuración del instrumento. Lanza un Error con un
+ * mensaje para el usuario si algún campo no es válido.
+ * @param {object} settings
+ * @returns {object} Configuración con todos los campos de DEFAULT_INSTRUMENT.
+ */
+export const validateInstrument = (settings) => {
+  const merged = { ...DEFAULT_INSTRUMENT, ...settings };
+  const resolution = Number(merged.resolution);
+  const range = Number(merged.range);
+  const randomError = Number(merged.randomError);
+  const systematicOffset = Number(merged.systematicOffset);
+  const frequencyError = Number(merged.frequencyError);
+
+  if (!(resolution > 0)) {
+    throw messageError('error.instrument.resolution');
+  }
+  if (!(range > resolution)) {
+    throw messageError('error.instrument.range');
+  }
+  if (!(randomError >= 0)) {
+    throw messageError('error.instrument.randomError');
+  }
+  if (!Number.isFinite(systematicOffset)) {
+    throw messageError('error.instrument.systematicOffset');
+  }
+  if (!(frequencyError >= 0 && frequencyError < 1)) {
+    throw messageError('error.instrument.frequencyError');
+  }
+
+  return {
+    resolution,
+    range,
+    randomError,
+    systematicOffset,
+    exactFrequency: Boolean(merged.exactFrequency),
+    frequencyError
+  };
+};
+
+// Decimales que muestra un instrumento con la resolución dada
+export const resolutionDecimals = (resolution) => Math.max(0, Math.ceil(-Math.log10(resolution) - 1e-9));
+
+/**
+ * Lectura del voltímetro para una tensión verdadera: suma el error
+ * sistemático y uno aleatorio gaussiano, satura en el fondo de escala y
+ * redondea a la resolución.
+ * @param {number} trueVoltage V
+ * @param {object} settings Configuración validada.
+ * @param {() => number} random Generador uniforme en [0, 1).
+ * @returns {{value: number, overRange: boolean}}
+ */
+export const readVoltmeter = (trueVoltage, settings, random) => {
+  const { resolution, range, randomError, systematicOffset } = settings;
+  const raw = trueVoltage + systematicOffset + (randomError > 0 ? gaussian(random, 0, randomError) : 0);
+  const overRange = Math.abs(raw) > range;
+  const clamped = Math.max(-range, Math.min(range, raw));
+  const decimals = resolutionDecimals(resolution);
+  const value = Number((Math.round(clamped / resolution) * resolution).toFixed(decimals));
+  return { value, overRange };
+};
+
+/**
+ * Frecuencia que se asigna a la medición: la verdadera si se considera exacta
+ * o afectada de un error relativo gaussiano.
+ * @param {number} trueFrequency Hz
+ * @param {object} settings Configuración validada.
+ * @param {() => number} random
+ * @returns {number} Hz
+ */
+export const measureFrequency = (trueFrequency, settings, random) => {
+  if (settings.exactFrequency || settings.frequencyError === 0) return trueFrequency;
+  return trueFrequency * (1 + gaussian(random, 0, settings.frequencyError));
+};
+
+/**
+ * Incertidumbre típica de una lectura: error aleatorio combinado con el de
+ * redondeo (distribución uniforme de anchura igual a la resolución). El error
+ * sistemático no se incluye: desplaza todas las lecturas por igual.
+ * @param {object} settings
+ * @returns {number} V
+ */
+export const voltageUncertainty = (settings) =>
+  Math.sqrt(settings.randomError ** 2 + settings.resolution ** 2 / 12);
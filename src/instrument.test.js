@@ -0,0 +1,71 @@
+import {
+  DEFAULT_INSTRUMENT,
+  validateInstrument,
+  resolutionDecimals,
+  readVoltmeter,
+  measureFrequency,
+  voltageUncertainty
+} from './instrument';
+import { createRandom } from './random';
+
+const ideal = { ...DEFAULT_INSTRUMENT, randomError: 0, resolution: 0.01 };
+
+describe('validateInstrument', () => {
+  test('completa los campos que faltan', () => {
+    expect(validateInstrument({ randomError: '0.05' })).toEqual({ ...DEFAULT_INSTRUMENT, randomError: 0.05 });
+  });
+
+  test('rechaza configuraciones imposibles', () => {
+    expect(() => validateInstrument({ resolution: 0 })).toThrow('resolución');
+    expect(() => validateInstrument({ range: 0.001, resolution: 0.01 })).toThrow('fondo de escala');
+    expect(() => validateInstrument({ randomError: -1 })).toThrow('error aleatorio');
+    expect(() => validateInstrument({ systematicOffset: 'x' })).toThrow('sistemático');
+    expect(() => validateInstrument({ frequencyError: 2 })).toThrow('frecuencia');
+  });
+});
+
+describe('readVoltmeter', () => {
+  test('redondea a la resolución', () => {
+    expect(resolutionDecimals(0.01)).toBe(2);
+    expect(resolutionDecimals(0.5)).toBe(1);
+    expect(resolutionDecimals(1)).toBe(0);
+    expect(readVoltmeter(1.23456, ideal, Math.random)).toEqual({ value: 1.23, overRange: false });
+    expect(readVoltmeter(1.23456, { ...ideal, resolution: 0.5 }, Math.random).value).toBe(1);
+  });
+
+  test('suma el error sistemático', () => {
+    expect(readVoltmeter(1, { ...ideal, systematicOffset: -0.4 }, Math.random).value).toBe(0.6);
+  });
+
+  test('satura en el fondo de escala', () => {
+    expect(readVoltmeter(7.2, ideal, Math.random)).toEqual({ value: 5, overRange: true });
+  });
+
+  test('el error aleatorio tiene la desviación típica configurada', () => {
+    const random = createRandom(21);
+    const settings = { ...ideal, randomError: 0.05, resolution: 0.0001 };
+    const readings = Array.from({ length: 4000 }, () => readVoltmeter(2, settings, random).value);
+    const mean = readings.reduce((sum, v) => sum + v, 0) / readings.length;
+    const sd = Math.sqrt(readings.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (readings.length - 1));
+    expect(mean).toBeCloseTo(2, 2);
+    expect(sd).toBeCloseTo(0.05, 2);
+  });
+});
+
+describe('measureFrequency', () => {
+  test('con frecuencia exacta no hay error', () => {
+    expect(measureFrequency(6e14, DEFAULT_INSTRUMENT, () => 0.3)).toBe(6e14);
+  });
+
+  test('si no es exacta se desvía de la verdadera', () => {
+    const settings = { ...DEFAULT_INSTRUMENT, exactFrequency: false, frequencyError: 0.02 };
+    const measured = measureFrequency(6e14, settings, createRandom(3));
+    expect(measured).not.toBe(6e14);
+    expect(Math.abs(measured / 6e14 - 1)).toBeLessThan(0.1);
+  });
+});
+
+test('voltageUncertainty combina error aleatorio y redondeo', () => {
+  expect(voltageUncertainty({ randomError: 0, resolution: 0.12 })).toBeCloseTo(0.12 / Math.sqrt(12), 12);
+  expect(voltageUncertainty({ randomError: 0.03, resolution: 0 })).toBe(0.03);
+});
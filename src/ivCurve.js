@@ -0,0 +1,76 @@
+// Adquisición de curvas corriente–tensión (I–V) a frecuencia fija o con una
+// fuente de espectro arbitrario.
+import { photocurrent } from './physics';
+import { spectralPhotocurrent } from './spectra';
+import { messageError } from './i18n';
+
+export const MAX_IV_POINTS = 2000;
+
+/**
+ * Barre la tensión del ánodo y registra la fotocorriente en cada paso. Lanza
+ * un Error si los límites no son válidos o la curva tendría más de
+ * MAX_IV_POINTS puntos.
+ * @param {object} options
+ * @param {number} [options.frequency] Frecuencia en Hz (luz monocromática).
+ * @param {object[]} [options.spectrum] Espectro de la fuente; si se indica,
+ *   sustituye a frequency.
+ * @param {number} options.workFunction Función trabajo en eV.
+ * @param {number} options.intensity Intensidad en %.
+ * @param {number} [options.quantumEfficiency=1] Electrones por fotón.
+ * @param {number} options.vMin Tensión inicial en V.
+ * @param {number} options.vMax Tensión final en V.
+ * @param {number} options.step Paso en V (> 0).
+ * @returns {{bias: number, current: number}[]}
+ */
+export const sweepBias = ({ frequency, spectrum, workFunction, intensity, quantumEfficiency = 1, vMin, vMax, step }) => {
+  if (!(step > 0 && Number.isFinite(step))) {
+    throw messageError('error.iv.step');
+  }
+  if (!(Number.isFinite(vMin) && Number.isFinite(vMax) && vMax > vMin)) {
+    throw messageError('error.iv.range');
+  }
+
+  const count = Math.floor((vMax - vMin) / step + 1e-9);
+  if (count + 1 > MAX_IV_POINTS) {
+    throw messageError('error.iv.tooManyPoints', { count: count + 1, max: MAX_IV_POINTS });
+  }
+  return Array.from({ length: count + 1 }, (_, i) => {
+    // Redondeo para evitar acumular error de coma flotante en la rejilla
+    const bias = Math.round((vMin + i * step) * 1e6) / 1e6;
+    const current = spectrum
+      ? spectralPhotocurrent(spectrum, workFunction, intensity, bias, quantumEfficiency)
+      : photocurrent(frequency, workFunction, intensity, bias, quantumEfficiency);
+    return { bias, current };
+  });
+};
+
+/**
+ * Potencial de frenado estimado a partir de una curva I–V: tensión donde la
+ * corriente deja de ser nula. Cerca del frenado la corriente crece con el
+ * cuadrado de la distancia al potencial de frenado, así que √I es lineal en
+ * la tensión: se prolonga la recta de √I entre los dos primeros puntos por
+ * encima del umbral hasta √umbral, sin salir del paso donde está el cruce. Si
+ * sólo hay un punto por encima se interpola linealmente la corriente.
+ * Devuelve el valor como magnitud positiva (V₀), o null si la curva no cruza
+ * el umbral.
+ * @param {{bias: number, current: number}[]} points Puntos ordenados por tensión.
+ * @param {number} [threshold=0] Corriente (nA) considerada nula.
+ * @returns {number|null}
+ */
+export const findStoppingPotential = (points, threshold = 0) => {
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const point = points[i];
+    if (prev.current <= threshold && point.current > threshold) {
+      const next = points[i + 1];
+      const rise = next ? Math.sqrt(next.current) - Math.sqrt(point.current) : 0;
+      if (rise > 0) {
+        const crossing = point.bias - ((Math.sqrt(point.current) - Math.sqrt(threshold)) * (next.bias - point.bias)) / rise;
+        return -Math.min(point.bias, Math.max(prev.bias, crossing));
+      }
+      const t = (threshold - prev.current) / (point.current - prev.current);
+      return -(prev.bias + t * (point.bias - prev.bias));
+    }
+  }
+  return null;
+};
@@ -0,0 +1,74 @@
+import { sweepBias, findStoppingPotential, MAX_IV_POINTS } from './ivCurve';
+import { stoppingPotential, saturationCurrent } from './physics';
+import { buildSpectrum } from './spectra';
+
+const base = { frequency: 1e15, workFunction: 2.75, intensity: 50 };
+
+describe('sweepBias', () => {
+  test('genera un punto por paso incluyendo los extremos', () => {
+    const points = sweepBias({ ...base, vMin: -2, vMax: 2, step: 0.5 });
+    expect(points.map((p) => p.bias)).toEqual([-2, -1.5, -1, -0.5, 0, 0.5, 1, 1.5, 2]);
+  });
+
+  test('la corriente tiende a la saturación con tensión positiva', () => {
+    const points = sweepBias({ ...base, vMin: 0, vMax: 10, step: 1 });
+    expect(points[points.length - 1].current).toBeCloseTo(saturationCurrent(50), 2);
+  });
+
+  test('con un espectro el frenado lo fija la línea más energética', () => {
+    const spectrum = buildSpectrum({ type: 'lines', lamp: 'Hg' });
+    const points = sweepBias({ spectrum, workFunction: 2.28, intensity: 50, vMin: -2, vMax: 2, step: 0.01 });
+    // 365,0 nm → 3,397 eV
+    expect(findStoppingPotential(points)).toBeCloseTo(3.397 - 2.28, 3);
+  });
+
+  test('rechaza parámetros inválidos', () => {
+    expect(() => sweepBias({ ...base, vMin: 0, vMax: 1, step: 0 })).toThrow();
+    expect(() => sweepBias({ ...base, vMin: 1, vMax: 0, step: 0.1 })).toThrow();
+    expect(() => sweepBias({ ...base, vMin: NaN, vMax: 1, step: 0.1 })).toThrow('tensión final');
+    expect(() => sweepBias({ ...base, vMin: 0, vMax: Infinity, step: 0.1 })).toThrow('tensión final');
+    expect(() => sweepBias({ ...base, vMin: 0, vMax: 1, step: Infinity })).toThrow('paso');
+  });
+
+  test('limita el número de puntos', () => {
+    expect(() => sweepBias({ ...base, vMin: -5, vMax: 5, step: 1e-7 })).toThrow(String(MAX_IV_POINTS));
+  });
+});
+
+describe('findStoppingPotential', () => {
+  test('recupera el potencial de frenado entre los puntos de la rejilla', () => {
+    const points = sweepBias({ ...base, vMin: -3, vMax: 2, step: 0.05 });
+    expect(findStoppingPotential(points)).toBeCloseTo(stoppingPotential(base.frequency, base.workFunction), 6);
+  });
+
+  test('no depende de la intensidad', () => {
+    const low = sweepBias({ ...base, intensity: 20, vMin: -3, vMax: 2, step: 0.05 });
+    const high = sweepBias({ ...base, intensity: 100, vMin: -3, vMax: 2, step: 0.05 });
+    expect(findStoppingPotential(low)).toBeCloseTo(findStoppingPotential(high), 10);
+  });
+
+  test('prolonga √I hasta el umbral sin salir del paso del cruce', () => {
+    const points = [
+      { bias: -2, current: 0 },
+      { bias: -1, current: 4 },
+      { bias: 0, current: 16 }
+    ];
+    expect(findStoppingPotential(points)).toBeCloseTo(2, 10);
+    expect(findStoppingPotential(points, 1)).toBeCloseTo(1.5, 10);
+    expect(findStoppingPotential([{ bias: -3, current: 0 }, ...points.slice(1)])).toBeCloseTo(2, 10);
+    expect(findStoppingPotential([{ bias: -1.5, current: 0 }, ...points.slice(1)])).toBeCloseTo(1.5, 10);
+  });
+
+  test('interpola la corriente si sólo hay un punto por encima del umbral', () => {
+    const points = [
+      { bias: -2, current: 0 },
+      { bias: -1, current: 2 }
+    ];
+    expect(findStoppingPotential(points, 1)).toBeCloseTo(1.5, 10);
+  });
+
+  test('devuelve null si no hay cruce', () => {
+    const points = sweepBias({ ...base, frequency: 5e14, vMin: -2, vMax: 2, step: 0.5 });
+    expect(findStoppingPotential(points)).toBeNull();
+  });
+});
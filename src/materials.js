@@ -0,0 +1,153 @@
+// Materiales de cátodo definidos por el usuario: validación, persistencia en
+// el navegador e intercambio como JSON.
+import { metals } from './physics';
+import { DEFAULT_FERMI_ENERGY } from './energyDistribution';
+import { messageError } from './i18n';
+import { resolveStorage } from './storage';
+
+export const STORAGE_KEY = 'photoelectric.customMaterials';
+export const MATERIALS_FORMAT_VERSION = 1;
+
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+const SYMBOL_PATTERN = /^[A-Za-z0-9_-]{1,12}$/;
+
+/**
+ * Valida y normaliza un material. Lanza un Error con un mensaje para el
+ * usuario si algún campo no es válido.
+ * @param {object} entry Material con symbol, name, workFunction, color y quantumEfficiency.
+ * @param {string[]} [reserved] Símbolos que no se pueden usar (materiales incluidos).
+ * @returns {{symbol: string, name: string, workFunction: number, fermiEnergy: number,
+ *   quantumEfficiency: number, color: string}}
+ */
+export const validateMaterial = (entry, reserved = Object.keys(metals)) => {
+  if (!entry || typeof entry !== 'object') {
+    throw messageError('error.material.notObject');
+  }
+  const symbol = String(entry.symbol || '').trim();
+  const name = String(entry.name || '').trim();
+  const workFunction = Number(entry.workFunction);
+  const quantumEfficiency = Number(entry.quantumEfficiency);
+  const fermiEnergy = entry.fermiEnergy === undefined || entry.fermiEnergy === ''
+    ? DEFAULT_FERMI_ENERGY
+    : Number(entry.fermiEnergy);
+  const color = String(entry.color || '').trim();
+
+  if (!SYMBOL_PATTERN.test(symbol)) {
+    throw messageError('error.material.symbol');
+  }
+  if (reserved.includes(symbol)) {
+    throw messageError('error.material.builtIn', { symbol });
+  }
+  if (!name) {
+    throw messageError('error.material.name');
+  }
+  if (!(workFunction > 0 && workFunction < 20)) {
+    throw messageError('error.material.workFunction');
+  }
+  if (!(quantumEfficiency > 0 && quantumEfficiency <= 1)) {
+    throw messageError('error.material.quantumEfficiency');
+  }
+  if (!(fermiEnergy > 0 && fermiEnergy < 50)) {
+    throw messageError('error.material.fermiEnergy');
+  }
+  if (!COLOR_PATTERN.test(color)) {
+    throw messageError('error.material.color');
+  }
+
+  return { symbol, name, workFunction, fermiEnergy, quantumEfficiency, color };
+};
+
+// Convierte una lista de materiales validados en una tabla indexada por símbolo
+const toTable = (list) => list.reduce((table, { symbol, ...material }) => {
+  table[symbol] = { ...material, custom: true };
+  return table;
+}, {});
+
+// Convierte la tabla en una lista con el símbolo en cada entrada
+const toList = (table) => Object.entries(table).map(([symbol, { custom, ...material }]) => ({
+  symbol,
+  ...material
+}));
+
+/**
+ * Lee los materiales guardados. Ignora entradas corruptas o inválidas.
+ * @param {Storage} [storage=window.localStorage]
+ * @returns {object} Tabla de materiales indexada por símbolo.
+ */
+export const loadCustomMaterials = (storage) => {
+  try {
+    const list = JSON.parse(resolveStorage(storage).getItem(STORAGE_KEY) || '[]');
+    if (!Array.isArray(list)) return {};
+    const valid = [];
+    list.forEach(entry => {
+      try {
+        valid.push(validateMaterial(entry));
+      } catch (err) {
+        // Se descarta la entrada inválida y se conservan las demás
+      }
+    });
+    return toTable(valid);
+  } catch (err) {
+    return {};
+  }
+};
+
+/**
+ * Guarda los materiales del usuario.
+ * @param {object} materials Tabla indexada por símbolo.
+ * @param {Storage} [storage=window.localStorage]
+ * @returns {boolean} false si el navegador no permite guardarlos (modo
+ *   privado o almacenamiento lleno).
+ */
+export const saveCustomMaterials = (materials, storage) => {
+  try {
+    resolveStorage(storage).setItem(STORAGE_KEY, JSON.stringify(toList(materials)));
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Documento JSON para compartir materiales.
+ * @param {object} materials Tabla indexada por símbolo.
+ * @returns {string}
+ */
+export const serializeMaterials = (materials) => JSON.stringify({
+  format: 'photoelectric-materials',
+  version: MATERIALS_FORMAT_VERSION,
+  materials: toList(materials)
+}, null, 2);
+
+/**
+ * Interpreta un documento de materiales (el de serializeMaterials o una lista
+ * simple). Lanza un Error si el JSON o algún material no es válido.
+ * @param {string} text
+ * @returns {object} Tabla indexada por símbolo.
+ */
+export const parseMaterials = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw messageError('error.file.invalidJson');
+  }
+  const list = Array.isArray(data) ? data : data && data.materials;
+  if (!Array.isArray(list)) {
+    throw messageError('error.materials.noList');
+  }
+  return toTable(list.map((entry, i) => {
+    try {
+      return validateMaterial(entry);
+    } catch (err) {
+      throw messageError('error.materials.entry', { index: i + 1 }, err);
+    }
+  }));
+};
+
+/**
+ * Tabla completa de materiales: los incluidos más los del usuario.
+ * @param {object} custom Tabla de materiales del usuario.
+ * @returns {object}
+ */
+export const mergeMaterials = (custom) => ({ ...metals, ...custom });
@@ -0,0 +1,90 @@
+import {
+  STORAGE_KEY,
+  validateMaterial,
+  loadCustomMaterials,
+  saveCustomMaterials,
+  serializeMaterials,
+  parseMaterials,
+  mergeMaterials
+} from './materials';
+import { DEFAULT_FERMI_ENERGY } from './energyDistribution';
+import { createStorage } from './testStorage';
+
+const gaas = {
+  symbol: 'GaAs',
+  name: 'Arseniuro de galio',
+  workFunction: 4.07,
+  quantumEfficiency: 0.2,
+  color: '#336699'
+};
+
+describe('validateMaterial', () => {
+  test('normaliza un material válido y completa la energía de Fermi', () => {
+    expect(validateMaterial({ ...gaas, workFunction: '4.07' })).toEqual({
+      ...gaas,
+      fermiEnergy: DEFAULT_FERMI_ENERGY
+    });
+  });
+
+  test.each([
+    [{ symbol: '' }, /símbolo/],
+    [{ symbol: 'Na' }, /material incluido/],
+    [{ name: ' ' }, /nombre/],
+    [{ workFunction: -1 }, /función trabajo/],
+    [{ quantumEfficiency: 1.5 }, /eficiencia cuántica/],
+    [{ fermiEnergy: 0 }, /energía de Fermi/],
+    [{ color: 'red' }, /color/]
+  ])('rechaza %p', (override, message) => {
+    expect(() => validateMaterial({ ...gaas, ...override })).toThrow(message);
+  });
+});
+
+describe('persistencia', () => {
+  test('guarda y recupera los materiales', () => {
+    const storage = createStorage();
+    const table = parseMaterials(JSON.stringify([gaas]));
+    expect(saveCustomMaterials(table, storage)).toBe(true);
+    expect(loadCustomMaterials(storage)).toEqual(table);
+  });
+
+  test('avisa si el navegador no permite guardar', () => {
+    const full = { setItem: () => { throw new Error('QuotaExceededError'); } };
+    expect(saveCustomMaterials({}, full)).toBe(false);
+  });
+
+  test('no falla si el navegador bloquea el almacenamiento', () => {
+    const blocked = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+    expect(loadCustomMaterials()).toEqual({});
+    expect(saveCustomMaterials({})).toBe(false);
+    blocked.mockRestore();
+  });
+
+  test('ignora datos corruptos o entradas inválidas', () => {
+    expect(loadCustomMaterials(createStorage({ [STORAGE_KEY]: '{no json' }))).toEqual({});
+    const storage = createStorage({ [STORAGE_KEY]: JSON.stringify([gaas, { symbol: 'X' }]) });
+    expect(Object.keys(loadCustomMaterials(storage))).toEqual(['GaAs']);
+  });
+});
+
+describe('intercambio JSON', () => {
+  test('serializar e interpretar conserva los materiales', () => {
+    const table = parseMaterials(JSON.stringify([gaas]));
+    expect(parseMaterials(serializeMaterials(table))).toEqual(table);
+    expect(table.GaAs.custom).toBe(true);
+  });
+
+  test('informa del material inválido', () => {
+    expect(() => parseMaterials(JSON.stringify({ materials: [gaas, { ...gaas, color: 'x' }] })))
+      .toThrow(/Material 2/);
+    expect(() => parseMaterials('nada')).toThrow(/JSON/);
+    expect(() => parseMaterials('{}')).toThrow(/lista/);
+  });
+});
+
+test('mergeMaterials añade los materiales del usuario a los incluidos', () => {
+  const merged = mergeMaterials(parseMaterials(JSON.stringify([gaas])));
+  expect(merged.Na.workFunction).toBe(2.75);
+  expect(merged.GaAs.workFunction).toBe(4.07);
+});
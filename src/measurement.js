@@ -0,0 +1,66 @@
+// Registro de una medición del potencial de frenado.
+import { FREQUENCY_UNIT, wavelengthFromFrequency, photonEnergyFromFrequency } from './physics';
+import { spectrumEmission, spectralPhotocurrent } from './spectra';
+import { readVoltmeter, measureFrequency, resolutionDecimals } from './instrument';
+
+// Mediciones tomadas desde que se cargó la página; junto con la hora hacen
+// único el id sin depender de Math.random
+let measurementCount = 0;
+
+/**
+ * Toma una medición con el modelo de instrumento indicado. El voltímetro lee
+ * el potencial de frenado y Ec = e·V₀ se deduce de esa lectura.
+ * @param {object} setup
+ * @param {object[]} setup.spectrum Espectro que llega al cátodo.
+ * @param {number} setup.workFunction eV
+ * @param {number} setup.quantumEfficiency
+ * @param {string} setup.metal Símbolo del material del cátodo.
+ * @param {number} setup.intensity %
+ * @param {number} setup.bias Tensión ánodo–cátodo en V.
+ * @param {number|null} [setup.nominalFrequency] Frecuencia (Hz) de un filtro o
+ *   monocromador; si se indica, la medición se asigna a ella, como en el
+ *   experimento de Millikan.
+ * @param {object} setup.instrument Configuración validada del instrumento.
+ * @param {object|null} [setup.source=null] Fuente (ver measuredSource en spectra.js).
+ * @param {object|null} [setup.filter=null] Elementos ópticos (ver measuredOptics en optics.js).
+ * @param {() => number} random Generador del ruido de medición.
+ * @returns {object} Medición en el formato de la tabla.
+ */
+export const takeMeasurement = (setup, random) => {
+  const {
+    spectrum,
+    workFunction,
+    quantumEfficiency,
+    metal,
+    intensity,
+    bias,
+    nominalFrequency = null,
+    instrument,
+    source = null,
+    filter = null
+  } = setup;
+  const emission = spectrumEmission(spectrum, workFunction);
+  const reading = readVoltmeter(emission.maxKineticEnergy, instrument, random);
+  const decimals = resolutionDecimals(instrument.resolution);
+  const frequency = measureFrequency(nominalFrequency ?? emission.cutoffFrequency, instrument, random);
+  measurementCount += 1;
+
+  return {
+    id: `${Date.now()}-${measurementCount}`,
+    frequency: Number((frequency / FREQUENCY_UNIT).toFixed(3)),
+    wavelength: wavelengthFromFrequency(frequency).toFixed(1),
+    photonEnergy: photonEnergyFromFrequency(frequency).toFixed(3),
+    kineticEnergy: reading.value.toFixed(decimals),
+    stoppingVoltage: reading.value.toFixed(decimals),
+    overRange: reading.overRange,
+    instrument: { ...instrument },
+    intensity,
+    biasVoltage: bias,
+    photocurrent: spectralPhotocurrent(spectrum, workFunction, intensity, bias, quantumEfficiency).toFixed(3),
+    metal,
+    source,
+    filter,
+    emitsElectrons: emission.canEmit,
+    timestamp: new Date().toISOString()
+  };
+};
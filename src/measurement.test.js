@@ -0,0 +1,61 @@
+import { takeMeasurement } from './measurement';
+import { DEFAULT_INSTRUMENT } from './instrument';
+import { buildSpectrum } from './spectra';
+import { maxKineticEnergy, frequencyFromWavelength } from './physics';
+import { createRandom } from './random';
+
+const setup = {
+  spectrum: buildSpectrum({ type: 'monochromatic', frequency: 8 }),
+  workFunction: 2.28,
+  quantumEfficiency: 0.15,
+  metal: 'Na',
+  intensity: 50,
+  bias: 0,
+  instrument: { ...DEFAULT_INSTRUMENT, randomError: 0 }
+};
+
+describe('takeMeasurement', () => {
+  test('sin ruido lee el potencial de frenado a la resolución del voltímetro', () => {
+    const m = takeMeasurement(setup, createRandom(1));
+    expect(m.frequency).toBe(8);
+    expect(m.stoppingVoltage).toBe(maxKineticEnergy(8e14, 2.28).toFixed(3));
+    expect(m.kineticEnergy).toBe(m.stoppingVoltage);
+    expect(m.emitsElectrons).toBe(true);
+    expect(m.intensity).toBe(50);
+    expect(m.instrument).toEqual(setup.instrument);
+    expect(Number.isNaN(Date.parse(m.timestamp))).toBe(false);
+  });
+
+  test('la misma semilla reproduce el ruido', () => {
+    const noisy = { ...setup, instrument: DEFAULT_INSTRUMENT };
+    const a = takeMeasurement(noisy, createRandom(5));
+    const b = takeMeasurement(noisy, createRandom(5));
+    expect(a.stoppingVoltage).toBe(b.stoppingVoltage);
+    expect(a.stoppingVoltage).not.toBe(takeMeasurement(setup, createRandom(5)).stoppingVoltage);
+  });
+
+  test('ids distintos y sin azar', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const random = jest.spyOn(Math, 'random');
+    const a = takeMeasurement(setup, createRandom(1));
+    const b = takeMeasurement(setup, createRandom(1));
+    expect(a.id).toMatch(/^1000-\d+$/);
+    expect(a.id).not.toBe(b.id);
+    expect(random).not.toHaveBeenCalled();
+    now.mockRestore();
+    random.mockRestore();
+  });
+
+  test('se asigna a la frecuencia nominal del filtro', () => {
+    const m = takeMeasurement({ ...setup, nominalFrequency: frequencyFromWavelength(404.7) }, createRandom(1));
+    expect(m.frequency).toBeCloseTo(7.408, 3);
+    expect(m.wavelength).toBe('404.7');
+  });
+
+  test('bajo el umbral no hay emisión', () => {
+    const red = { ...setup, spectrum: buildSpectrum({ type: 'monochromatic', frequency: 4 }) };
+    const m = takeMeasurement(red, createRandom(1));
+    expect(m.emitsElectrons).toBe(false);
+    expect(m.photocurrent).toBe('0.000');
+  });
+});
@@ -0,0 +1,113 @@
+// Columnas, orden y filtro de la tabla de mediciones.
+import { formatQuantity } from './units';
+import { DEFAULT_LANGUAGE, LANGUAGES, translate } from './i18n';
+import { describeOptics } from './optics';
+import { describeSource } from './spectra';
+
+export const ALL_COLUMNS = 'all';
+
+// Columnas de la tabla; su cabecera es el mensaje table.column.<clave>. Las
+// numéricas se ordenan por valor y las que tienen magnitud se muestran en la
+// unidad elegida (ver units.js)
+export const TABLE_COLUMNS = [
+  { key: 'metal' },
+  { key: 'frequency', numeric: true, quantity: 'frequency' },
+  { key: 'wavelength', numeric: true, quantity: 'wavelength' },
+  { key: 'photonEnergy', numeric: true, quantity: 'energy' },
+  { key: 'kineticEnergy', numeric: true, quantity: 'energy' },
+  { key: 'stoppingVoltage', numeric: true },
+  { key: 'intensity', numeric: true },
+  { key: 'biasVoltage', numeric: true },
+  { key: 'source' },
+  { key: 'filter' },
+  { key: 'dataset' },
+  { key: 'timestamp' },
+  { key: 'note' }
+];
+
+const columnByKey = (key) => TABLE_COLUMNS.find(c => c.key === key);
+
+/**
+ * Fecha y hora de una medición para mostrarla en la tabla.
+ * @param {string} [timestamp] Fecha ISO.
+ * @returns {string} Vacío si no hay fecha válida (mediciones antiguas).
+ */
+export const formatTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+  if (!timestamp || Number.isNaN(date.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(date.getDate())}/${pad(date.getMonth() + 1)} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+/**
+ * Texto de una celda, el mismo que se muestra y sobre el que se filtra.
+ * @param {object} m Medición.
+ * @param {string} key Clave de la columna.
+ * @param {{decimal?: string, language?: string, units?: object}} [display={}]
+ *   Separador decimal de las columnas numéricas, idioma de la interfaz (para
+ *   la serie simulada, la fuente y los filtros) y unidades elegidas (sin
+ *   ellas, las de base).
+ * @returns {string}
+ */
+export const cellText = (m, key, { decimal = '.', language = DEFAULT_LANGUAGE, units } = {}) => {
+  if (key === 'dataset') return m.dataset || translate(language, 'dataset.simulated');
+  if (key === 'timestamp') return formatTimestamp(m.timestamp);
+  const value = m[key];
+  if (value === undefined || value === null) return '';
+  if (key === 'source') return describeSource(value, language, units);
+  if (key === 'filter') return describeOptics(value, language, units);
+  const column = columnByKey(key);
+  if (!column?.numeric) return String(value);
+  const text = column.quantity && units ? formatQuantity(value, column.quantity, units) : String(value);
+  return text.replace('.', decimal);
+};
+
+/**
+ * Ordena las mediciones por una columna sin modificar la lista. Las celdas
+ * vacías van siempre al final y los empates conservan el orden de registro.
+ * Los textos se comparan como se muestran, con las reglas del idioma.
+ * @param {object[]} measurements
+ * @param {{key: string|null, direction: 'asc'|'desc'}} sort Sin key se
+ *   mantiene el orden de registro.
+ * @param {object} [display={}] Formato de las celdas; ver cellText.
+ * @returns {object[]}
+ */
+export const sortMeasurements = (measurements, { key, direction }, display = {}) => {
+  if (!key) return measurements;
+  const column = columnByKey(key);
+  if (!column) throw new Error(`Columna desconocida: ${key}`);
+  const sign = direction === 'desc' ? -1 : 1;
+  // Las fechas ISO se ordenan bien como texto
+  const value = (m) => (column.numeric ? parseFloat(m[key]) : key === 'timestamp' ? m.timestamp || '' : cellText(m, key, display));
+  const { locale } = LANGUAGES[display.language] || LANGUAGES[DEFAULT_LANGUAGE];
+  const isEmpty = (v) => (column.numeric ? !Number.isFinite(v) : v === '');
+  return measurements
+    .map((m, index) => ({ m, index, v: value(m) }))
+    .sort((a, b) => {
+      const emptyA = isEmpty(a.v);
+      const emptyB = isEmpty(b.v);
+      if (emptyA || emptyB) return emptyA === emptyB ? a.index - b.index : emptyA ? 1 : -1;
+      const order = column.numeric
+        ? a.v - b.v
+        : a.v.localeCompare(b.v, locale, { numeric: true, sensitivity: 'base' });
+      return order * sign || a.index - b.index;
+    })
+    .map(({ m }) => m);
+};
+
+/**
+ * Filtra las mediciones cuyo texto contiene la búsqueda (sin distinguir
+ * mayúsculas) en una columna o en cualquiera.
+ * @param {object[]} measurements
+ * @param {{column: string, query: string}} filter column es una clave de
+ *   TABLE_COLUMNS o ALL_COLUMNS.
+ * @param {object} [display] Formato de las celdas; ver cellText.
+ * @returns {object[]}
+ */
+export const filterMeasurements = (measurements, { column, query }, display) => {
+  const text = String(query || '').trim().toLowerCase();
+  if (!text) return measurements;
+  const keys = column === ALL_COLUMNS ? TABLE_COLUMNS.map(c => c.key) : [column];
+  return measurements.filter(m => keys.some(key => cellText(m, key, display).toLowerCase().includes(text)));
+};
@@ -0,0 +1,75 @@
+import { sortMeasurements, filterMeasurements, cellText, formatTimestamp, ALL_COLUMNS } from './measurementTable';
+
+const measurements = [
+  { id: 'a', metal: 'Na', frequency: 8, kineticEnergy: '0.560', timestamp: '2024-03-01T10:02:00.000Z', note: 'Repetir' },
+  { id: 'b', metal: 'Zn', frequency: 12, kineticEnergy: '0.310', timestamp: '2024-03-01T10:00:00.000Z' },
+  { id: 'c', metal: 'Cs', frequency: 7.4, kineticEnergy: '', dataset: 'Fototubo' },
+  { id: 'd', metal: 'Na', frequency: 9, kineticEnergy: '0.974', timestamp: '2024-03-01T10:01:00.000Z' }
+];
+const ids = (list) => list.map(m => m.id);
+
+describe('sortMeasurements', () => {
+  test('sin columna conserva el orden de registro', () => {
+    expect(sortMeasurements(measurements, { key: null, direction: 'asc' })).toBe(measurements);
+  });
+
+  test('columnas numéricas por valor, con las vacías al final', () => {
+    expect(ids(sortMeasurements(measurements, { key: 'frequency', direction: 'asc' }))).toEqual(['c', 'a', 'd', 'b']);
+    expect(ids(sortMeasurements(measurements, { key: 'kineticEnergy', direction: 'asc' }))).toEqual(['b', 'a', 'd', 'c']);
+    expect(ids(sortMeasurements(measurements, { key: 'kineticEnergy', direction: 'desc' }))).toEqual(['d', 'a', 'b', 'c']);
+  });
+
+  test('texto y fecha; los empates mantienen el orden de registro', () => {
+    expect(ids(sortMeasurements(measurements, { key: 'metal', direction: 'asc' }))).toEqual(['c', 'a', 'd', 'b']);
+    expect(ids(sortMeasurements(measurements, { key: 'timestamp', direction: 'desc' }))).toEqual(['a', 'd', 'b', 'c']);
+    expect(() => sortMeasurements(measurements, { key: 'color', direction: 'asc' })).toThrow('desconocida');
+  });
+
+  test('compara el texto mostrado en el idioma de la interfaz', () => {
+    const sources = [
+      { id: 'sodio', source: { type: 'lines', lamp: 'Na' } },
+      { id: 'mono', source: { type: 'monochromatic', frequency: 7 } }
+    ];
+    expect(ids(sortMeasurements(sources, { key: 'source', direction: 'asc' }, { language: 'es' }))).toEqual(['sodio', 'mono']);
+    expect(ids(sortMeasurements(sources, { key: 'source', direction: 'asc' }, { language: 'en' }))).toEqual(['mono', 'sodio']);
+  });
+
+  test('no modifica la lista original', () => {
+    sortMeasurements(measurements, { key: 'frequency', direction: 'desc' });
+    expect(ids(measurements)).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
+
+describe('filterMeasurements', () => {
+  test('busca en una columna sin distinguir mayúsculas', () => {
+    expect(ids(filterMeasurements(measurements, { column: 'metal', query: 'na' }))).toEqual(['a', 'd']);
+    expect(ids(filterMeasurements(measurements, { column: 'dataset', query: 'simul' }))).toEqual(['a', 'b', 'd']);
+  });
+
+  test('en todas las columnas o sin búsqueda', () => {
+    expect(ids(filterMeasurements(measurements, { column: ALL_COLUMNS, query: 'repetir' }))).toEqual(['a']);
+    expect(filterMeasurements(measurements, { column: ALL_COLUMNS, query: '  ' })).toBe(measurements);
+  });
+
+  test('sobre el texto mostrado en el idioma de la interfaz', () => {
+    const display = { decimal: ',', language: 'en' };
+    expect(ids(filterMeasurements(measurements, { column: 'kineticEnergy', query: '0,97' }, display))).toEqual(['d']);
+    expect(ids(filterMeasurements(measurements, { column: 'dataset', query: 'simulation' }, display))).toEqual(['a', 'b', 'd']);
+  });
+});
+
+test('texto de las celdas', () => {
+  expect(cellText(measurements[2], 'dataset')).toBe('Fototubo');
+  expect(cellText(measurements[1], 'note')).toBe('');
+  expect(cellText(measurements[0], 'kineticEnergy', { decimal: ',' })).toBe('0,560');
+  const units = { energy: 'eV', frequency: 'THz', wavelength: 'nm' };
+  expect(cellText(measurements[2], 'frequency', { decimal: ',', units })).toBe('740');
+  expect(cellText(measurements[0], 'kineticEnergy', { units: { ...units, energy: 'J' } })).toBe('8.972e-20');
+  const source = { type: 'monochromatic', frequency: 7.4 };
+  expect(cellText({ ...measurements[2], source }, 'source', { units })).toBe('Monocromática 740 THz');
+  expect(cellText({ ...measurements[2], source }, 'source', { language: 'en' })).toBe('Monochromatic 7.4 ×10¹⁴ Hz');
+  expect(cellText({ ...measurements[2], filter: { element: 'none', density: 0.5 } }, 'filter', { language: 'es' })).toBe('ND 0,5');
+  expect(formatTimestamp(undefined)).toBe('');
+  expect(formatTimestamp('no es una fecha')).toBe('');
+  expect(formatTimestamp('2024-03-01T10:02:00.000Z')).toMatch(/^\d\d\/\d\d \d\d:02:00$/);
+});
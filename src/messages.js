@@ -0,0 +1,1162 @@
+// Catálogos de mensajes de la interfaz por idioma. Las claves agrupan los
+// textos por panel; los marcadores {nombre} se sustituyen al traducir (ver
+// i18n.js). El español es el catálogo de referencia: los demás deben tener
+// las mismas claves y marcadores.
+
+const es = {
+  'app.title': 'Simulador del Efecto Fotoeléctrico',
+  'storage.failed': 'No se ha podido guardar en el navegador: {items}. El almacenamiento está lleno o no está disponible (modo privado).',
+  'storage.item.materials': 'los materiales',
+  'storage.item.language': 'el idioma',
+  'storage.item.units': 'las unidades',
+  'app.language': 'Idioma',
+  'units.title': 'Unidades',
+  'units.energy': 'Unidad de energía',
+  'units.frequency': 'Unidad de frecuencia',
+  'units.wavelength': 'Unidad de longitud de onda',
+
+  'metal.Cs': 'Cesio',
+  'metal.K': 'Potasio',
+  'metal.Na': 'Sodio',
+  'metal.Ca': 'Calcio',
+  'metal.Zn': 'Zinc',
+  'metal.Cu': 'Cobre',
+  'metal.Al': 'Aluminio',
+
+  'source.monochromatic': 'Monocromática',
+  'source.lines': 'Lámpara de líneas',
+  'source.led': 'LED',
+  'source.blackbody': 'Cuerpo negro',
+  'lamp.Hg': 'Mercurio',
+  'lamp.Na': 'Sodio',
+  'lamp.H': 'Hidrógeno',
+  'led.uv': 'Ultravioleta',
+  'led.blue': 'Azul',
+  'led.green': 'Verde',
+  'led.red': 'Rojo',
+  'led.white': 'Blanco (azul + fósforo)',
+  'led.peak': '{name} {value} {unit}',
+  'measured.source.monochromatic': 'Monocromática {value} {unit}',
+  'measured.source.lines': 'Lámpara de {lamp}',
+  'measured.source.led': 'LED {led}',
+  'measured.source.blackbody': 'Cuerpo negro {temperature} K',
+  'measured.source.imported': 'Importado',
+  'measured.source.unknown': 'Fuente desconocida',
+  'measured.lamp.Hg': 'mercurio',
+  'measured.lamp.Na': 'sodio',
+  'measured.lamp.H': 'hidrógeno',
+  'measured.led.uv': 'ultravioleta',
+  'measured.led.blue': 'azul',
+  'measured.led.green': 'verde',
+  'measured.led.red': 'rojo',
+  'measured.led.white': 'blanco (azul + fósforo)',
+  'measured.optics.filter': 'Filtro {center} {unit}',
+  'measured.optics.unknownFilter': 'Filtro desconocido',
+  'measured.optics.monochromator': 'Monocromador {center} {unit} (Δλ {bandwidth} {unit})',
+
+  'controls.title': 'Panel de Control',
+  'controls.source': 'Fuente de luz',
+  'controls.temperature': 'Temperatura: {value} K',
+  'controls.ir': 'IR',
+  'controls.visible': 'Visible',
+  'controls.uv': 'UV',
+  'controls.optics': 'Elementos ópticos',
+  'controls.intensity': 'Intensidad: {value}%',
+  'controls.bias': 'Tensión ánodo–cátodo: {value} V',
+  'controls.retarding': 'Frenado',
+  'controls.accelerating': 'Acelerador',
+  'controls.cathode': 'Material del Cátodo',
+  'controls.editMaterials': 'Editar materiales…',
+  'controls.hideMaterials': 'Ocultar editor de materiales',
+  'controls.start': 'Iniciar',
+  'controls.pause': 'Pausar',
+  'controls.reset': 'Reset',
+  'controls.seed': 'Semilla del experimento',
+  'controls.newSeed': 'Nueva',
+  'controls.seedHelp': 'Con la misma semilla y los mismos pasos, la simulación y el ruido se repiten exactamente.',
+  'controls.instrument': 'Instrumento de medida…',
+  'controls.hideInstrument': 'Ocultar instrumento de medida',
+
+  'optics.none': 'Sin selección de λ',
+  'optics.filter': 'Filtro interferencial',
+  'optics.monochromator': 'Monocromador',
+  'optics.noDensity': 'Sin filtro neutro',
+  'optics.center': 'λ seleccionada: {value} {unit}',
+  'optics.bandwidth': 'Ancho de banda (nm)',
+
+  'light.input': 'Controlar la luz por',
+  'light.input.frequency': 'Frecuencia',
+  'light.input.wavelength': 'Longitud de onda',
+  'light.input.energy': 'Energía del fotón',
+  'light.inputValue': 'Valor exacto',
+  'light.title': 'Propiedades de la Luz',
+  'light.blocked': 'Ninguna componente de la fuente atraviesa los elementos ópticos.',
+  'light.wavelength': 'Longitud de onda: {value} {unit}',
+  'light.photonEnergy': 'Energía del fotón: {value} {unit}',
+  'light.cutoff': 'Componente más energética: {wavelength} {wavelengthUnit} ({energy} {energyUnit})',
+  'light.meanPhotonEnergy': 'Energía media del fotón: {value} {unit}',
+  'light.aboveThreshold': 'Fotones sobre el umbral: {value} %',
+  'light.transmission': 'Transmisión de la óptica: {value} %',
+  'light.color': 'Color:',
+
+  'scene.title': 'Simulación',
+  'scene.counter': 'e⁻ emitidos: {emitted} · recogidos: {collected} · devueltos: {returned}',
+  'scene.efficiency': 'η = {value} % e⁻/fotón',
+  'scene.emitting': 'Emitiendo',
+  'scene.notEmitting': 'Sin emisión',
+  'scene.snapshot': 'Descargar imagen de la escena (PNG)',
+
+  'histogram.title': 'Espectro de Energía de los Electrones',
+  'histogram.thermal': 'Ensanchamiento térmico (Fermi–Dirac)',
+  'histogram.xAxis': 'Energía cinética ({unit})',
+  'histogram.yAxis': 'Electrones',
+  'histogram.summary': '{count} electrones · Ec,max = {max} {unit}',
+
+  'measurements.title': 'Mediciones',
+  'measurements.record': 'Registrar Medición',
+  'measurements.sweep': 'Barrido',
+  'measurements.import': 'Importar datos',
+  'measurements.clear': 'Limpiar',
+  'view.table': 'Tabla',
+  'view.graph': 'Gráfica',
+  'view.iv': 'Curvas I–V',
+  'dataset.simulated': 'Simulación',
+
+  'table.column.metal': 'Metal',
+  'table.column.frequency': 'f ({unit})',
+  'table.column.wavelength': 'λ ({unit})',
+  'table.column.photonEnergy': 'Ef ({unit})',
+  'table.column.kineticEnergy': 'Ec ({unit})',
+  'table.column.stoppingVoltage': 'V (V)',
+  'table.column.intensity': 'I (%)',
+  'table.column.biasVoltage': 'Vₐ (V)',
+  'table.column.source': 'Fuente',
+  'table.column.filter': 'Filtro',
+  'table.column.dataset': 'Serie',
+  'table.column.timestamp': 'Hora',
+  'table.column.note': 'Nota',
+  'table.filterColumn': 'Columna del filtro',
+  'table.allColumns': 'Todas las columnas',
+  'table.filter': 'Filtrar…',
+  'table.filterLabel': 'Filtrar mediciones',
+  'table.count': '{count} mediciones',
+  'table.filteredCount': '{count} de {total}',
+  'table.undo': 'Deshacer',
+  'table.redo': 'Rehacer',
+  'table.overRange': 'Fuera de escala',
+  'table.excluded': 'Excluida del ajuste',
+  'table.delete': 'Borrar medición',
+
+  'repeats.title': 'Resumen por frecuencia',
+  'repeats.mean': 'Ec media ({unit})',
+  'repeats.help': 'Las mediciones excluidas del ajuste no se cuentan. Con repeticiones, el ajuste de la gráfica usa ' +
+    'estas medias ponderadas por s/√n (nunca menor que la incertidumbre del voltímetro).',
+
+  'graph.title': 'Energía cinética máxima frente a frecuencia',
+  'graph.empty': 'Registra mediciones para representar Ec frente a f',
+  'graph.xAxis': 'Frecuencia ({unit})',
+  'graph.legend': '{label} · {dataset} · {count} mediciones',
+  'graph.legendFit': 'ajuste: h = {planck} {planckUnit}, φ = {workFunction} {energyUnit}',
+  'graph.excluded': 'excluida',
+  'graph.hint': 'Rueda o dos dedos: zoom · arrastrar: desplazar',
+  'graph.errorBars': 'Barras: media ± s/√n de las repeticiones',
+  'graph.downloadSvg': 'Descargar la gráfica como SVG',
+  'graph.downloadPng': 'Descargar la gráfica como PNG',
+  'graph.resetView': 'Restablecer vista',
+  'graph.selected': 'Seleccionada: f = {frequency} {frequencyUnit}, Ec = {energy} {energyUnit} ({metal})',
+  'graph.include': 'Incluir en el ajuste',
+  'graph.exclude': 'Excluir del ajuste',
+
+  'fit.method': 'ajuste por mínimos cuadrados; se excluyen los puntos bajo el umbral y los marcados como ' +
+    'atípicos; con frecuencias repetidas se ajustan sus medias ponderadas por s/√n',
+  'fit.empty': 'Se necesitan al menos dos frecuencias por encima del umbral para el ajuste.',
+  'fit.errorPlanck': 'Error h',
+  'fit.errorWorkFunction': 'Error φ',
+  'fit.weighted': '(pond.)',
+  'fit.weightedTitle': '{count} frecuencias, ajuste ponderado',
+  'fit.accepted': 'Valor aceptado: h = {value} {unit}',
+  'fit.chiSquareNote': 'χ²/ν usa la incertidumbre del voltímetro guardada con cada medición ' +
+    '(≈ 1 si la dispersión es la esperada)',
+
+  'iv.vMin': 'V inicial (V)',
+  'iv.vMax': 'V final (V)',
+  'iv.step': 'Paso (V)',
+  'iv.acquire': 'Barrer tensión',
+  'iv.empty': 'Realiza un barrido para trazar la curva I–V',
+  'iv.xAxis': 'Tensión ánodo–cátodo (V)',
+
+  'theory.title': 'Información Teórica',
+  'theory.equation': 'Ecuación de Einstein',
+  'theory.kinetic': 'cinética',
+  'theory.where': 'Donde h es la constante de Planck, f la frecuencia de la luz, y φ la función trabajo del metal.',
+  'theory.observations': 'Observaciones Clave',
+  'theory.observation1': 'La emisión depende de la frecuencia, no de la intensidad',
+  'theory.observation2': 'Existe una frecuencia umbral mínima para cada metal',
+  'theory.observation3': 'La intensidad afecta el número de electrones emitidos',
+  'theory.observation4': 'La energía cinética máxima es independiente de la intensidad',
+
+  'session.namePlaceholder': 'Nombre de la sesión',
+  'session.save': 'Guardar',
+  'session.open': 'Abrir…',
+  'session.new': 'Nueva',
+  'session.export': 'Exportar',
+  'session.import': 'Importar',
+  'session.share': 'Compartir',
+  'session.saved': 'Sesión «{name}» guardada',
+  'session.opened': 'Sesión «{name}» abierta',
+  'session.imported': 'Sesión «{name}» importada con {count} mediciones',
+  'session.none': 'No hay sesiones guardadas en este navegador.',
+  'session.summary': '{count} mediciones · {date}',
+  'session.delete': 'Eliminar sesión',
+  'session.notesPlaceholder': 'Notas del experimento',
+
+  'share.control': 'Control',
+  'share.locked': 'Bloqueado',
+  'share.hidden': 'Oculto',
+  'share.lock': 'Bloquear {label}',
+  'share.hide': 'Ocultar {label}',
+  'share.copy': 'Copiar enlace',
+  'share.copied': 'Enlace copiado al portapapeles',
+  'share.copyFailed': 'No se pudo copiar: selecciona el enlace y cópialo manualmente',
+  'share.fromLink': 'Los bloqueos vienen del enlace con el que se abrió la página y no se pueden cambiar.',
+  'share.controls.frequency': 'Frecuencia',
+  'share.controls.intensity': 'Intensidad',
+  'share.controls.bias': 'Tensión',
+  'share.controls.metal': 'Material',
+  'share.controls.view': 'Vista de mediciones',
+
+  'export.title': 'Exportar mediciones',
+  'export.format': 'Formato',
+  'export.decimal': 'Separador decimal',
+  'export.decimal.point': 'Punto (1.5)',
+  'export.decimal.comma': 'Coma (1,5)',
+  'export.delimiter': 'Separador de campos',
+  'export.delimiter.comma': 'Coma',
+  'export.delimiter.semicolon': 'Punto y coma',
+  'export.delimiter.tab': 'Tabulador',
+  'export.includeFits': 'Incluir resultados del ajuste',
+  'export.help': 'La cabecera incluye la fecha, los metales, la configuración del instrumento y las unidades.',
+  'export.download': 'Descargar',
+  'export.meta.date': 'Fecha: {date}',
+  'export.meta.metals': 'Metales: {metals}',
+  'export.meta.count': 'Mediciones: {count}',
+  'export.meta.instrument': 'Instrumento: resolución {resolution} V; fondo de escala ±{range} V; ' +
+    'error aleatorio σ {random} V; error sistemático {systematic} V; {frequency}',
+  'export.meta.exactFrequency': 'frecuencia exacta',
+  'export.meta.frequencyError': 'error de frecuencia {value} %',
+  'export.meta.units': 'Unidades: {units}',
+  'export.fitTitle': 'Ajuste Ec = h·f − φ',
+  'export.yes': 'sí',
+  'export.no': 'no',
+  'export.column.frequency': 'Frecuencia',
+  'export.column.wavelength': 'Longitud de onda',
+  'export.column.photonEnergy': 'Energía fotón',
+  'export.column.kineticEnergy': 'Energía cinética',
+  'export.column.stoppingVoltage': 'Voltaje frenado',
+  'export.column.biasVoltage': 'Voltaje aplicado',
+  'export.column.intensity': 'Intensidad',
+  'export.column.photocurrent': 'Corriente',
+  'export.column.metal': 'Metal',
+  'export.column.source': 'Fuente',
+  'export.column.filter': 'Filtro',
+  'export.column.emitsElectrons': 'Emite electrones',
+  'export.column.dataset': 'Serie',
+  'export.column.excluded': 'Excluida del ajuste',
+  'export.column.timestamp': 'Fecha y hora',
+  'export.column.note': 'Nota',
+  'export.fit.metal': 'Metal',
+  'export.fit.dataset': 'Serie',
+  'export.fit.n': 'Puntos',
+  'export.fit.thresholdFrequency': 'Frecuencia umbral',
+  'export.fit.weighted': 'Ponderado',
+
+  'import.title': 'Importar datos externos',
+  'import.help': 'CSV, TSV o JSON con una columna de frecuencia o longitud de onda y otra de potencial de frenado ' +
+    'o energía cinética. Los datos se añaden como una serie aparte que se representa y ajusta junto a la simulación.',
+  'import.choose': 'Elegir archivo…',
+  'import.xColumn': 'Columna x',
+  'import.xQuantity': 'Magnitud x',
+  'import.column': 'Columna {index}',
+  'import.name': 'Nombre de la serie',
+  'import.yColumn': 'Columna y',
+  'import.yQuantity': 'Magnitud y',
+  'import.metalColumn': 'Columna de metal',
+  'import.sameForAll': '(mismo para todas)',
+  'import.metal': 'Metal del cátodo',
+  'import.add': 'Añadir {count} filas',
+  'import.cancel': 'Cancelar',
+  'import.dataset': '{name} · {count} mediciones',
+  'import.remove': 'Quitar serie',
+  'import.exists': 'Ya existe una serie llamada «{name}»',
+  'import.done': 'Serie «{name}»: {count} filas importadas',
+  'import.skipped': ', {count} omitidas por no tener datos válidos',
+  'import.quantity.frequency': 'Frecuencia (×10¹⁴ Hz)',
+  'import.quantity.frequencyTHz': 'Frecuencia (THz)',
+  'import.quantity.frequencyHz': 'Frecuencia (Hz)',
+  'import.quantity.wavelength': 'Longitud de onda (nm)',
+  'import.quantity.stoppingVoltage': 'Potencial de frenado (V)',
+  'import.quantity.kineticEnergy': 'Energía cinética (eV)',
+
+  'instrument.resolution': 'Resolución del voltímetro',
+  'instrument.range': 'Fondo de escala',
+  'instrument.randomError': 'Error aleatorio σ (V)',
+  'instrument.systematicOffset': 'Error sistemático (V)',
+  'instrument.exactFrequency': 'Frecuencia de la luz exacta',
+  'instrument.frequencyError': 'Error relativo de f (%)',
+  'instrument.uncertainty': 'Incertidumbre típica de cada lectura: {value} V',
+  'instrument.systematicNote': '(más el error sistemático, que desplaza φ pero no h)',
+  'instrument.defaults': 'Valores por defecto',
+
+  'materials.title': 'Materiales personalizados',
+  'materials.none': 'Aún no hay materiales personalizados.',
+  'materials.edit': 'Editar',
+  'materials.delete': 'Eliminar',
+  'materials.symbol': 'Símbolo',
+  'materials.name': 'Nombre',
+  'materials.namePlaceholder': 'Antimoniuro de cesio',
+  'materials.workFunction': 'Función trabajo (eV)',
+  'materials.quantumEfficiency': 'Eficiencia cuántica (0–1)',
+  'materials.fermiEnergy': 'Energía de Fermi (eV, opcional)',
+  'materials.color': 'Color',
+  'materials.save': 'Guardar cambios',
+  'materials.add': 'Añadir material',
+  'materials.cancel': 'Cancelar',
+  'materials.export': 'Exportar JSON',
+  'materials.import': 'Importar JSON',
+  'materials.exists': 'Ya existe un material con el símbolo {symbol}',
+  'materials.imported': '{count} materiales importados',
+
+  'sweep.title': 'Barrido automático',
+  'sweep.fMin': 'f inicial ({unit})',
+  'sweep.fMax': 'f final ({unit})',
+  'sweep.fStep': 'Paso ({unit})',
+  'sweep.intensities': 'Intensidades (%)',
+  'sweep.repeats': 'Repeticiones',
+  'sweep.help': 'Se usa luz monocromática en cada frecuencia, con la tensión y el instrumento de medida actuales.',
+  'sweep.fixedLight': 'El enlace fija la luz: cada medición se toma con la fuente y los filtros actuales, con la tensión y el instrumento de medida actuales.',
+  'sweep.cancel': 'Cancelar',
+  'sweep.start': 'Iniciar barrido',
+  'sweep.cancelled': 'Barrido cancelado: {count} de {total} mediciones registradas',
+  'sweep.completed': 'Barrido completado: {count} mediciones registradas',
+
+  'error.unexpected': 'Error inesperado: {detail}',
+  'error.file.invalidJson': 'El archivo no es un JSON válido',
+  'error.material.notObject': 'El material debe ser un objeto',
+  'error.material.symbol': 'El símbolo debe tener entre 1 y 12 letras, números, "-" o "_"',
+  'error.material.builtIn': 'El símbolo {symbol} ya corresponde a un material incluido',
+  'error.material.name': 'El nombre es obligatorio',
+  'error.material.workFunction': 'La función trabajo debe estar entre 0 y 20 eV',
+  'error.material.quantumEfficiency': 'La eficiencia cuántica debe estar entre 0 y 1',
+  'error.material.fermiEnergy': 'La energía de Fermi debe estar entre 0 y 50 eV',
+  'error.material.color': 'El color debe tener el formato #RRGGBB',
+  'error.materials.noList': 'El archivo no contiene una lista de materiales',
+  'error.materials.entry': 'Material {index}: {reason}',
+  'error.instrument.resolution': 'La resolución del voltímetro debe ser positiva',
+  'error.instrument.range': 'El fondo de escala debe ser mayor que la resolución',
+  'error.instrument.randomError': 'El error aleatorio no puede ser negativo',
+  'error.instrument.systematicOffset': 'El error sistemático debe ser un número',
+  'error.instrument.frequencyError': 'El error relativo de la frecuencia debe estar entre 0 y 1',
+  'error.iv.step': 'El paso del barrido debe ser positivo',
+  'error.iv.range': 'La tensión final debe ser mayor que la inicial',
+  'error.iv.tooManyPoints': 'La curva tendría {count} puntos; el máximo es {max}',
+  'error.sweep.step': 'El paso de frecuencia debe ser positivo',
+  'error.sweep.range': 'La frecuencia final debe ser mayor o igual que la inicial',
+  'error.sweep.tooManyFrequencies': 'El barrido tendría {count} frecuencias; el máximo es {max} mediciones',
+  'error.sweep.noMetals': 'Elige al menos un material',
+  'error.sweep.intensities': 'Las intensidades deben estar entre 0 y 100 %',
+  'error.sweep.repeats': 'Las repeticiones deben ser un entero positivo',
+  'error.sweep.tooManyMeasurements': 'El barrido tendría {count} mediciones; el máximo es {max}',
+  'error.session.notSession': 'El archivo no es una sesión del simulador',
+  'error.session.newerVersion': 'La sesión se creó con una versión más reciente del simulador',
+  'error.session.measurements': 'La sesión no contiene una lista de mediciones válida',
+  'error.session.measurement': 'La medición {index} de la sesión no es válida',
+  'error.session.storageFull': 'No hay espacio suficiente en el navegador para guardar la sesión',
+  'error.session.storageBlocked': 'El navegador no permite guardar sesiones en esta página',
+  'error.session.name': 'La sesión necesita un nombre',
+  'error.session.missing': 'La sesión ya no existe',
+  'error.import.empty': 'El archivo está vacío',
+  'error.import.tooManyRows': 'El archivo tiene {count} filas de datos; el máximo es {max}',
+  'error.import.noList': 'El JSON debe contener una lista de mediciones',
+  'error.import.noData': 'El archivo necesita una fila de cabecera y al menos una fila de datos',
+  'error.import.datasetName': 'La serie importada necesita un nombre distinto del de la simulación',
+  'error.import.unknownQuantity': 'Magnitud desconocida en la asignación de columnas',
+  'error.import.chooseColumns': 'Elige las columnas de los ejes x e y',
+  'error.import.noValidRows': 'Ninguna fila contiene datos válidos con la asignación elegida',
+  'error.export.sameSeparators': 'El separador decimal y el de campos deben ser distintos',
+  'error.export.unknownFormat': 'Formato de exportación desconocido',
+  'error.image.unsupported': 'El navegador no permite generar imágenes',
+  'error.image.failed': 'No se pudo generar la imagen'
+};
+
+const en = {
+  'app.title': 'Photoelectric Effect Simulator',
+  'storage.failed': 'Could not save to the browser: {items}. Storage is full or unavailable (private mode).',
+  'storage.item.materials': 'the materials',
+  'storage.item.language': 'the language',
+  'storage.item.units': 'the units',
+  'app.language': 'Language',
+  'units.title': 'Units',
+  'units.energy': 'Energy unit',
+  'units.frequency': 'Frequency unit',
+  'units.wavelength': 'Wavelength unit',
+
+  'metal.Cs': 'Caesium',
+  'metal.K': 'Potassium',
+  'metal.Na': 'Sodium',
+  'metal.Ca': 'Calcium',
+  'metal.Zn': 'Zinc',
+  'metal.Cu': 'Copper',
+  'metal.Al': 'Aluminium',
+
+  'source.monochromatic': 'Monochromatic',
+  'source.lines': 'Line lamp',
+  'source.led': 'LED',
+  'source.blackbody': 'Black body',
+  'lamp.Hg': 'Mercury',
+  'lamp.Na': 'Sodium',
+  'lamp.H': 'Hydrogen',
+  'led.uv': 'Ultraviolet',
+  'led.blue': 'Blue',
+  'led.green': 'Green',
+  'led.red': 'Red',
+  'led.white': 'White (blue + phosphor)',
+  'led.peak': '{name} {value} {unit}',
+  'measured.source.monochromatic': 'Monochromatic {value} {unit}',
+  'measured.source.lines': '{lamp} lamp',
+  'measured.source.led': 'LED {led}',
+  'measured.source.blackbody': 'Black body {temperature} K',
+  'measured.source.imported': 'Imported',
+  'measured.source.unknown': 'Unknown source',
+  'measured.lamp.Hg': 'mercury',
+  'measured.lamp.Na': 'sodium',
+  'measured.lamp.H': 'hydrogen',
+  'measured.led.uv': 'ultraviolet',
+  'measured.led.blue': 'blue',
+  'measured.led.green': 'green',
+  'measured.led.red': 'red',
+  'measured.led.white': 'white (blue + phosphor)',
+  'measured.optics.filter': 'Filter {center} {unit}',
+  'measured.optics.unknownFilter': 'Unknown filter',
+  'measured.optics.monochromator': 'Monochromator {center} {unit} (Δλ {bandwidth} {unit})',
+
+  'controls.title': 'Control Panel',
+  'controls.source': 'Light source',
+  'controls.temperature': 'Temperature: {value} K',
+  'controls.ir': 'IR',
+  'controls.visible': 'Visible',
+  'controls.uv': 'UV',
+  'controls.optics': 'Optical elements',
+  'controls.intensity': 'Intensity: {value}%',
+  'controls.bias': 'Anode–cathode voltage: {value} V',
+  'controls.retarding': 'Retarding',
+  'controls.accelerating': 'Accelerating',
+  'controls.cathode': 'Cathode Material',
+  'controls.editMaterials': 'Edit materials…',
+  'controls.hideMaterials': 'Hide material editor',
+  'controls.start': 'Start',
+  'controls.pause': 'Pause',
+  'controls.reset': 'Reset',
+  'controls.seed': 'Experiment seed',
+  'controls.newSeed': 'New',
+  'controls.seedHelp': 'With the same seed and the same steps, the simulation and the noise repeat exactly.',
+  'controls.instrument': 'Measuring instrument…',
+  'controls.hideInstrument': 'Hide measuring instrument',
+
+  'optics.none': 'No λ selection',
+  'optics.filter': 'Interference filter',
+  'optics.monochromator': 'Monochromator',
+  'optics.noDensity': 'No neutral density filter',
+  'optics.center': 'Selected λ: {value} {unit}',
+  'optics.bandwidth': 'Bandwidth (nm)',
+
+  'light.input': 'Control the light by',
+  'light.input.frequency': 'Frequency',
+  'light.input.wavelength': 'Wavelength',
+  'light.input.energy': 'Photon energy',
+  'light.inputValue': 'Exact value',
+  'light.title': 'Light Properties',
+  'light.blocked': 'No component of the source passes through the optical elements.',
+  'light.wavelength': 'Wavelength: {value} {unit}',
+  'light.photonEnergy': 'Photon energy: {value} {unit}',
+  'light.cutoff': 'Most energetic component: {wavelength} {wavelengthUnit} ({energy} {energyUnit})',
+  'light.meanPhotonEnergy': 'Mean photon energy: {value} {unit}',
+  'light.aboveThreshold': 'Photons above threshold: {value} %',
+  'light.transmission': 'Optics transmission: {value} %',
+  'light.color': 'Colour:',
+
+  'scene.title': 'Simulation',
+  'scene.counter': 'e⁻ emitted: {emitted} · collected: {collected} · returned: {returned}',
+  'scene.efficiency': 'η = {value} % e⁻/photon',
+  'scene.emitting': 'Emitting',
+  'scene.notEmitting': 'No emission',
+  'scene.snapshot': 'Download scene image (PNG)',
+
+  'histogram.title': 'Electron Energy Spectrum',
+  'histogram.thermal': 'Thermal broadening (Fermi–Dirac)',
+  'histogram.xAxis': 'Kinetic energy ({unit})',
+  'histogram.yAxis': 'Electrons',
+  'histogram.summary': '{count} electrons · Ek,max = {max} {unit}',
+
+  'measurements.title': 'Measurements',
+  'measurements.record': 'Record Measurement',
+  'measurements.sweep': 'Sweep',
+  'measurements.import': 'Import data',
+  'measurements.clear': 'Clear',
+  'view.table': 'Table',
+  'view.graph': 'Graph',
+  'view.iv': 'I–V curves',
+  'dataset.simulated': 'Simulation',
+
+  'table.column.metal': 'Metal',
+  'table.column.frequency': 'f ({unit})',
+  'table.column.wavelength': 'λ ({unit})',
+  'table.column.photonEnergy': 'Eph ({unit})',
+  'table.column.kineticEnergy': 'Ek ({unit})',
+  'table.column.stoppingVoltage': 'V (V)',
+  'table.column.intensity': 'I (%)',
+  'table.column.biasVoltage': 'Vₐ (V)',
+  'table.column.source': 'Source',
+  'table.column.filter': 'Filter',
+  'table.column.dataset': 'Dataset',
+  'table.column.timestamp': 'Time',
+  'table.column.note': 'Note',
+  'table.filterColumn': 'Filter column',
+  'table.allColumns': 'All columns',
+  'table.filter': 'Filter…',
+  'table.filterLabel': 'Filter measurements',
+  'table.count': '{count} measurements',
+  'table.filteredCount': '{count} of {total}',
+  'table.undo': 'Undo',
+  'table.redo': 'Redo',
+  'table.overRange': 'Over range',
+  'table.excluded': 'Excluded from the fit',
+  'table.delete': 'Delete measurement',
+
+  'repeats.title': 'Summary by frequency',
+  'repeats.mean': 'Mean Ek ({unit})',
+  'repeats.help': 'Measurements excluded from the fit are not counted. With repeats, the graph fit uses these ' +
+    'means weighted by s/√n (never less than the voltmeter uncertainty).',
+
+  'graph.title': 'Maximum kinetic energy versus frequency',
+  'graph.empty': 'Record measurements to plot Ek versus f',
+  'graph.xAxis': 'Frequency ({unit})',
+  'graph.legend': '{label} · {dataset} · {count} measurements',
+  'graph.legendFit': 'fit: h = {planck} {planckUnit}, φ = {workFunction} {energyUnit}',
+  'graph.excluded': 'excluded',
+  'graph.hint': 'Wheel or two fingers: zoom · drag: pan',
+  'graph.errorBars': 'Bars: mean ± s/√n of the repeats',
+  'graph.downloadSvg': 'Download the graph as SVG',
+  'graph.downloadPng': 'Download the graph as PNG',
+  'graph.resetView': 'Reset view',
+  'graph.selected': 'Selected: f = {frequency} {frequencyUnit}, Ek = {energy} {energyUnit} ({metal})',
+  'graph.include': 'Include in the fit',
+  'graph.exclude': 'Exclude from the fit',
+
+  'fit.method': 'least-squares fit; points below threshold and those marked as outliers are excluded; ' +
+    'repeated frequencies are fitted by their means weighted by s/√n',
+  'fit.empty': 'At least two frequencies above threshold are needed for the fit.',
+  'fit.errorPlanck': 'h error',
+  'fit.errorWorkFunction': 'φ error',
+  'fit.weighted': '(wtd.)',
+  'fit.weightedTitle': '{count} frequencies, weighted fit',
+  'fit.accepted': 'Accepted value: h = {value} {unit}',
+  'fit.chiSquareNote': 'χ²/ν uses the voltmeter uncertainty stored with each measurement ' +
+    '(≈ 1 if the scatter is as expected)',
+
+  'iv.vMin': 'Start V (V)',
+  'iv.vMax': 'End V (V)',
+  'iv.step': 'Step (V)',
+  'iv.acquire': 'Sweep voltage',
+  'iv.empty': 'Run a sweep to plot the I–V curve',
+  'iv.xAxis': 'Anode–cathode voltage (V)',
+
+  'theory.title': 'Theory',
+  'theory.equation': 'Einstein\'s Equation',
+  'theory.kinetic': 'kinetic',
+  'theory.where': 'Where h is Planck\'s constant, f the frequency of the light, and φ the work function of the metal.',
+  'theory.observations': 'Key Observations',
+  'theory.observation1': 'Emission depends on the frequency, not on the intensity',
+  'theory.observation2': 'Each metal has a minimum threshold frequency',
+  'theory.observation3': 'The intensity affects the number of emitted electrons',
+  'theory.observation4': 'The maximum kinetic energy does not depend on the intensity',
+
+  'session.namePlaceholder': 'Session name',
+  'session.save': 'Save',
+  'session.open': 'Open…',
+  'session.new': 'New',
+  'session.export': 'Export',
+  'session.import': 'Import',
+  'session.share': 'Share',
+  'session.saved': 'Session “{name}” saved',
+  'session.opened': 'Session “{name}” opened',
+  'session.imported': 'Session “{name}” imported with {count} measurements',
+  'session.none': 'No sessions saved in this browser.',
+  'session.summary': '{count} measurements · {date}',
+  'session.delete': 'Delete session',
+  'session.notesPlaceholder': 'Experiment notes',
+
+  'share.control': 'Control',
+  'share.locked': 'Locked',
+  'share.hidden': 'Hidden',
+  'share.lock': 'Lock {label}',
+  'share.hide': 'Hide {label}',
+  'share.copy': 'Copy link',
+  'share.copied': 'Link copied to the clipboard',
+  'share.copyFailed': 'Could not copy: select the link and copy it manually',
+  'share.fromLink': 'The locks come from the link that opened this page and cannot be changed.',
+  'share.controls.frequency': 'Frequency',
+  'share.controls.intensity': 'Intensity',
+  'share.controls.bias': 'Voltage',
+  'share.controls.metal': 'Material',
+  'share.controls.view': 'Measurement view',
+
+  'export.title': 'Export measurements',
+  'export.format': 'Format',
+  'export.decimal': 'Decimal separator',
+  'export.decimal.point': 'Point (1.5)',
+  'export.decimal.comma': 'Comma (1,5)',
+  'export.delimiter': 'Field separator',
+  'export.delimiter.comma': 'Comma',
+  'export.delimiter.semicolon': 'Semicolon',
+  'export.delimiter.tab': 'Tab',
+  'export.includeFits': 'Include fit results',
+  'export.help': 'The header includes the date, the metals, the instrument settings and the units.',
+  'export.download': 'Download',
+  'export.meta.date': 'Date: {date}',
+  'export.meta.metals': 'Metals: {metals}',
+  'export.meta.count': 'Measurements: {count}',
+  'export.meta.instrument': 'Instrument: resolution {resolution} V; full scale ±{range} V; ' +
+    'random error σ {random} V; systematic error {systematic} V; {frequency}',
+  'export.meta.exactFrequency': 'exact frequency',
+  'export.meta.frequencyError': 'frequency error {value} %',
+  'export.meta.units': 'Units: {units}',
+  'export.fitTitle': 'Fit Ec = h·f − φ',
+  'export.yes': 'yes',
+  'export.no': 'no',
+  'export.column.frequency': 'Frequency',
+  'export.column.wavelength': 'Wavelength',
+  'export.column.photonEnergy': 'Photon energy',
+  'export.column.kineticEnergy': 'Kinetic energy',
+  'export.column.stoppingVoltage': 'Stopping voltage',
+  'export.column.biasVoltage': 'Applied voltage',
+  'export.column.intensity': 'Intensity',
+  'export.column.photocurrent': 'Current',
+  'export.column.metal': 'Metal',
+  'export.column.source': 'Source',
+  'export.column.filter': 'Filter',
+  'export.column.emitsElectrons': 'Emits electrons',
+  'export.column.dataset': 'Dataset',
+  'export.column.excluded': 'Excluded from fit',
+  'export.column.timestamp': 'Date and time',
+  'export.column.note': 'Note',
+  'export.fit.metal': 'Metal',
+  'export.fit.dataset': 'Dataset',
+  'export.fit.n': 'Points',
+  'export.fit.thresholdFrequency': 'Threshold frequency',
+  'export.fit.weighted': 'Weighted',
+
+  'import.title': 'Import external data',
+  'import.help': 'CSV, TSV or JSON with a frequency or wavelength column and a stopping potential or kinetic ' +
+    'energy column. The data are added as a separate dataset that is plotted and fitted alongside the simulation.',
+  'import.choose': 'Choose file…',
+  'import.xColumn': 'x column',
+  'import.xQuantity': 'x quantity',
+  'import.column': 'Column {index}',
+  'import.name': 'Dataset name',
+  'import.yColumn': 'y column',
+  'import.yQuantity': 'y quantity',
+  'import.metalColumn': 'Metal column',
+  'import.sameForAll': '(same for all)',
+  'import.metal': 'Cathode metal',
+  'import.add': 'Add {count} rows',
+  'import.cancel': 'Cancel',
+  'import.dataset': '{name} · {count} measurements',
+  'import.remove': 'Remove dataset',
+  'import.exists': 'A dataset named “{name}” already exists',
+  'import.done': 'Dataset “{name}”: {count} rows imported',
+  'import.skipped': ', {count} skipped for lacking valid data',
+  'import.quantity.frequency': 'Frequency (×10¹⁴ Hz)',
+  'import.quantity.frequencyTHz': 'Frequency (THz)',
+  'import.quantity.frequencyHz': 'Frequency (Hz)',
+  'import.quantity.wavelength': 'Wavelength (nm)',
+  'import.quantity.stoppingVoltage': 'Stopping potential (V)',
+  'import.quantity.kineticEnergy': 'Kinetic energy (eV)',
+
+  'instrument.resolution': 'Voltmeter resolution',
+  'instrument.range': 'Full scale',
+  'instrument.randomError': 'Random error σ (V)',
+  'instrument.systematicOffset': 'Systematic error (V)',
+  'instrument.exactFrequency': 'Exact light frequency',
+  'instrument.frequencyError': 'Relative error of f (%)',
+  'instrument.uncertainty': 'Standard uncertainty of each reading: {value} V',
+  'instrument.systematicNote': '(plus the systematic error, which shifts φ but not h)',
+  'instrument.defaults': 'Default values',
+
+  'materials.title': 'Custom materials',
+  'materials.none': 'No custom materials yet.',
+  'materials.edit': 'Edit',
+  'materials.delete': 'Delete',
+  'materials.symbol': 'Symbol',
+  'materials.name': 'Name',
+  'materials.namePlaceholder': 'Caesium antimonide',
+  'materials.workFunction': 'Work function (eV)',
+  'materials.quantumEfficiency': 'Quantum efficiency (0–1)',
+  'materials.fermiEnergy': 'Fermi energy (eV, optional)',
+  'materials.color': 'Colour',
+  'materials.save': 'Save changes',
+  'materials.add': 'Add material',
+  'materials.cancel': 'Cancel',
+  'materials.export': 'Export JSON',
+  'materials.import': 'Import JSON',
+  'materials.exists': 'A material with symbol {symbol} already exists',
+  'materials.imported': '{count} materials imported',
+
+  'sweep.title': 'Automatic sweep',
+  'sweep.fMin': 'Start f ({unit})',
+  'sweep.fMax': 'End f ({unit})',
+  'sweep.fStep': 'Step ({unit})',
+  'sweep.intensities': 'Intensities (%)',
+  'sweep.repeats': 'Repeats',
+  'sweep.help': 'Monochromatic light is used at each frequency, with the current voltage and measuring instrument.',
+  'sweep.fixedLight': 'The link fixes the light: each measurement uses the current source and filters, with the current voltage and measuring instrument.',
+  'sweep.cancel': 'Cancel',
+  'sweep.start': 'Start sweep',
+  'sweep.cancelled': 'Sweep cancelled: {count} of {total} measurements recorded',
+  'sweep.completed': 'Sweep completed: {count} measurements recorded',
+
+  'error.unexpected': 'Unexpected error: {detail}',
+  'error.file.invalidJson': 'The file is not valid JSON',
+  'error.material.notObject': 'The material must be an object',
+  'error.material.symbol': 'The symbol must have 1 to 12 letters, digits, "-" or "_"',
+  'error.material.builtIn': 'The symbol {symbol} already belongs to a built-in material',
+  'error.material.name': 'The name is required',
+  'error.material.workFunction': 'The work function must be between 0 and 20 eV',
+  'error.material.quantumEfficiency': 'The quantum efficiency must be between 0 and 1',
+  'error.material.fermiEnergy': 'The Fermi energy must be between 0 and 50 eV',
+  'error.material.color': 'The color must have the format #RRGGBB',
+  'error.materials.noList': 'The file does not contain a list of materials',
+  'error.materials.entry': 'Material {index}: {reason}',
+  'error.instrument.resolution': 'The voltmeter resolution must be positive',
+  'error.instrument.range': 'The full scale must be greater than the resolution',
+  'error.instrument.randomError': 'The random error cannot be negative',
+  'error.instrument.systematicOffset': 'The systematic error must be a number',
+  'error.instrument.frequencyError': 'The relative frequency error must be between 0 and 1',
+  'error.iv.step': 'The sweep step must be positive',
+  'error.iv.range': 'The final voltage must be greater than the initial one',
+  'error.iv.tooManyPoints': 'The curve would have {count} points; the maximum is {max}',
+  'error.sweep.step': 'The frequency step must be positive',
+  'error.sweep.range': 'The final frequency must be greater than or equal to the initial one',
+  'error.sweep.tooManyFrequencies': 'The sweep would have {count} frequencies; the maximum is {max} measurements',
+  'error.sweep.noMetals': 'Choose at least one material',
+  'error.sweep.intensities': 'Intensities must be between 0 and 100 %',
+  'error.sweep.repeats': 'Repetitions must be a positive integer',
+  'error.sweep.tooManyMeasurements': 'The sweep would have {count} measurements; the maximum is {max}',
+  'error.session.notSession': 'The file is not a simulator session',
+  'error.session.newerVersion': 'The session was created with a newer version of the simulator',
+  'error.session.measurements': 'The session does not contain a valid list of measurements',
+  'error.session.measurement': 'Measurement {index} of the session is not valid',
+  'error.session.storageFull': 'There is not enough space in the browser to save the session',
+  'error.session.storageBlocked': 'The browser does not allow saving sessions on this page',
+  'error.session.name': 'The session needs a name',
+  'error.session.missing': 'The session no longer exists',
+  'error.import.empty': 'The file is empty',
+  'error.import.tooManyRows': 'The file has {count} data rows; the maximum is {max}',
+  'error.import.noList': 'The JSON must contain a list of measurements',
+  'error.import.noData': 'The file needs a header row and at least one data row',
+  'error.import.datasetName': 'The imported dataset needs a name other than the simulation one',
+  'error.import.unknownQuantity': 'Unknown quantity in the column mapping',
+  'error.import.chooseColumns': 'Choose the x and y axis columns',
+  'error.import.noValidRows': 'No row contains valid data with the chosen mapping',
+  'error.export.sameSeparators': 'The decimal and field separators must be different',
+  'error.export.unknownFormat': 'Unknown export format',
+  'error.image.unsupported': 'The browser cannot generate images',
+  'error.image.failed': 'The image could not be generated'
+};
+
+const pt = {
+  'app.title': 'Simulador do Efeito Fotoelétrico',
+  'storage.failed': 'Não foi possível salvar no navegador: {items}. O armazenamento está cheio ou indisponível (modo privado).',
+  'storage.item.materials': 'os materiais',
+  'storage.item.language': 'o idioma',
+  'storage.item.units': 'as unidades',
+  'app.language': 'Idioma',
+  'units.title': 'Unidades',
+  'units.energy': 'Unidade de energia',
+  'units.frequency': 'Unidade de frequência',
+  'units.wavelength': 'Unidade de comprimento de onda',
+
+  'metal.Cs': 'Césio',
+  'metal.K': 'Potássio',
+  'metal.Na': 'Sódio',
+  'metal.Ca': 'Cálcio',
+  'metal.Zn': 'Zinco',
+  'metal.Cu': 'Cobre',
+  'metal.Al': 'Alumínio',
+
+  'source.monochromatic': 'Monocromática',
+  'source.lines': 'Lâmpada de linhas',
+  'source.led': 'LED',
+  'source.blackbody': 'Corpo negro',
+  'lamp.Hg': 'Mercúrio',
+  'lamp.Na': 'Sódio',
+  'lamp.H': 'Hidrogênio',
+  'led.uv': 'Ultravioleta',
+  'led.blue': 'Azul',
+  'led.green': 'Verde',
+  'led.red': 'Vermelho',
+  'led.white': 'Branco (azul + fósforo)',
+  'led.peak': '{name} {value} {unit}',
+  'measured.source.monochromatic': 'Monocromática {value} {unit}',
+  'measured.source.lines': 'Lâmpada de {lamp}',
+  'measured.source.led': 'LED {led}',
+  'measured.source.blackbody': 'Corpo negro {temperature} K',
+  'measured.source.imported': 'Importado',
+  'measured.source.unknown': 'Fonte desconhecida',
+  'measured.lamp.Hg': 'mercúrio',
+  'measured.lamp.Na': 'sódio',
+  'measured.lamp.H': 'hidrogênio',
+  'measured.led.uv': 'ultravioleta',
+  'measured.led.blue': 'azul',
+  'measured.led.green': 'verde',
+  'measured.led.red': 'vermelho',
+  'measured.led.white': 'branco (azul + fósforo)',
+  'measured.optics.filter': 'Filtro {center} {unit}',
+  'measured.optics.unknownFilter': 'Filtro desconhecido',
+  'measured.optics.monochromator': 'Monocromador {center} {unit} (Δλ {bandwidth} {unit})',
+
+  'controls.title': 'Painel de Controle',
+  'controls.source': 'Fonte de luz',
+  'controls.temperature': 'Temperatura: {value} K',
+  'controls.ir': 'IV',
+  'controls.visible': 'Visível',
+  'controls.uv': 'UV',
+  'controls.optics': 'Elementos ópticos',
+  'controls.intensity': 'Intensidade: {value}%',
+  'controls.bias': 'Tensão ânodo–cátodo: {value} V',
+  'controls.retarding': 'Frenagem',
+  'controls.accelerating': 'Aceleração',
+  'controls.cathode': 'Material do Cátodo',
+  'controls.editMaterials': 'Editar materiais…',
+  'controls.hideMaterials': 'Ocultar editor de materiais',
+  'controls.start': 'Iniciar',
+  'controls.pause': 'Pausar',
+  'controls.reset': 'Reiniciar',
+  'controls.seed': 'Semente do experimento',
+  'controls.newSeed': 'Nova',
+  'controls.seedHelp': 'Com a mesma semente e os mesmos passos, a simulação e o ruído se repetem exatamente.',
+  'controls.instrument': 'Instrumento de medida…',
+  'controls.hideInstrument': 'Ocultar instrumento de medida',
+
+  'optics.none': 'Sem seleção de λ',
+  'optics.filter': 'Filtro interferencial',
+  'optics.monochromator': 'Monocromador',
+  'optics.noDensity': 'Sem filtro neutro',
+  'optics.center': 'λ selecionado: {value} {unit}',
+  'optics.bandwidth': 'Largura de banda (nm)',
+
+  'light.input': 'Controlar a luz por',
+  'light.input.frequency': 'Frequência',
+  'light.input.wavelength': 'Comprimento de onda',
+  'light.input.energy': 'Energia do fóton',
+  'light.inputValue': 'Valor exato',
+  'light.title': 'Propriedades da Luz',
+  'light.blocked': 'Nenhuma componente da fonte atravessa os elementos ópticos.',
+  'light.wavelength': 'Comprimento de onda: {value} {unit}',
+  'light.photonEnergy': 'Energia do fóton: {value} {unit}',
+  'light.cutoff': 'Componente mais energética: {wavelength} {wavelengthUnit} ({energy} {energyUnit})',
+  'light.meanPhotonEnergy': 'Energia média do fóton: {value} {unit}',
+  'light.aboveThreshold': 'Fótons acima do limiar: {value} %',
+  'light.transmission': 'Transmissão da óptica: {value} %',
+  'light.color': 'Cor:',
+
+  'scene.title': 'Simulação',
+  'scene.counter': 'e⁻ emitidos: {emitted} · coletados: {collected} · devolvidos: {returned}',
+  'scene.efficiency': 'η = {value} % e⁻/fóton',
+  'scene.emitting': 'Emitindo',
+  'scene.notEmitting': 'Sem emissão',
+  'scene.snapshot': 'Baixar imagem da cena (PNG)',
+
+  'histogram.title': 'Espectro de Energia dos Elétrons',
+  'histogram.thermal': 'Alargamento térmico (Fermi–Dirac)',
+  'histogram.xAxis': 'Energia cinética ({unit})',
+  'histogram.yAxis': 'Elétrons',
+  'histogram.summary': '{count} elétrons · Ec,máx = {max} {unit}',
+
+  'measurements.title': 'Medições',
+  'measurements.record': 'Registrar Medição',
+  'measurements.sweep': 'Varredura',
+  'measurements.import': 'Importar dados',
+  'measurements.clear': 'Limpar',
+  'view.table': 'Tabela',
+  'view.graph': 'Gráfico',
+  'view.iv': 'Curvas I–V',
+  'dataset.simulated': 'Simulação',
+
+  'table.column.metal': 'Metal',
+  'table.column.frequency': 'f ({unit})',
+  'table.column.wavelength': 'λ ({unit})',
+  'table.column.photonEnergy': 'Ef ({unit})',
+  'table.column.kineticEnergy': 'Ec ({unit})',
+  'table.column.stoppingVoltage': 'V (V)',
+  'table.column.intensity': 'I (%)',
+  'table.column.biasVoltage': 'Vₐ (V)',
+  'table.column.source': 'Fonte',
+  'table.column.filter': 'Filtro',
+  'table.column.dataset': 'Série',
+  'table.column.timestamp': 'Hora',
+  'table.column.note': 'Nota',
+  'table.filterColumn': 'Coluna do filtro',
+  'table.allColumns': 'Todas as colunas',
+  'table.filter': 'Filtrar…',
+  'table.filterLabel': 'Filtrar medições',
+  'table.count': '{count} medições',
+  'table.filteredCount': '{count} de {total}',
+  'table.undo': 'Desfazer',
+  'table.redo': 'Refazer',
+  'table.overRange': 'Fora de escala',
+  'table.excluded': 'Excluída do ajuste',
+  'table.delete': 'Apagar medição',
+
+  'repeats.title': 'Resumo por frequência',
+  'repeats.mean': 'Ec média ({unit})',
+  'repeats.help': 'As medições excluídas do ajuste não são contadas. Com repetições, o ajuste do gráfico usa ' +
+    'estas médias ponderadas por s/√n (nunca menor que a incerteza do voltímetro).',
+
+  'graph.title': 'Energia cinética máxima em função da frequência',
+  'graph.empty': 'Registre medições para representar Ec em função de f',
+  'graph.xAxis': 'Frequência ({unit})',
+  'graph.legend': '{label} · {dataset} · {count} medições',
+  'graph.legendFit': 'ajuste: h = {planck} {planckUnit}, φ = {workFunction} {energyUnit}',
+  'graph.excluded': 'excluída',
+  'graph.hint': 'Roda ou dois dedos: zoom · arrastar: deslocar',
+  'graph.errorBars': 'Barras: média ± s/√n das repetições',
+  'graph.downloadSvg': 'Baixar o gráfico como SVG',
+  'graph.downloadPng': 'Baixar o gráfico como PNG',
+  'graph.resetView': 'Restaurar vista',
+  'graph.selected': 'Selecionada: f = {frequency} {frequencyUnit}, Ec = {energy} {energyUnit} ({metal})',
+  'graph.include': 'Incluir no ajuste',
+  'graph.exclude': 'Excluir do ajuste',
+
+  'fit.method': 'ajuste por mínimos quadrados; excluem-se os pontos abaixo do limiar e os marcados como ' +
+    'atípicos; com frequências repetidas ajustam-se suas médias ponderadas por s/√n',
+  'fit.empty': 'São necessárias pelo menos duas frequências acima do limiar para o ajuste.',
+  'fit.errorPlanck': 'Erro h',
+  'fit.errorWorkFunction': 'Erro φ',
+  'fit.weighted': '(pond.)',
+  'fit.weightedTitle': '{count} frequências, ajuste ponderado',
+  'fit.accepted': 'Valor aceito: h = {value} {unit}',
+  'fit.chiSquareNote': 'χ²/ν usa a incerteza do voltímetro guardada com cada medição ' +
+    '(≈ 1 se a dispersão for a esperada)',
+
+  'iv.vMin': 'V inicial (V)',
+  'iv.vMax': 'V final (V)',
+  'iv.step': 'Passo (V)',
+  'iv.acquire': 'Varrer tensão',
+  'iv.empty': 'Faça uma varredura para traçar a curva I–V',
+  'iv.xAxis': 'Tensão ânodo–cátodo (V)',
+
+  'theory.title': 'Informação Teórica',
+  'theory.equation': 'Equação de Einstein',
+  'theory.kinetic': 'cinética',
+  'theory.where': 'Onde h é a constante de Planck, f a frequência da luz e φ a função trabalho do metal.',
+  'theory.observations': 'Observações Principais',
+  'theory.observation1': 'A emissão depende da frequência, não da intensidade',
+  'theory.observation2': 'Existe uma frequência de limiar mínima para cada metal',
+  'theory.observation3': 'A intensidade afeta o número de elétrons emitidos',
+  'theory.observation4': 'A energia cinética máxima é independente da intensidade',
+
+  'session.namePlaceholder': 'Nome da sessão',
+  'session.save': 'Salvar',
+  'session.open': 'Abrir…',
+  'session.new': 'Nova',
+  'session.export': 'Exportar',
+  'session.import': 'Importar',
+  'session.share': 'Compartilhar',
+  'session.saved': 'Sessão «{name}» salva',
+  'session.opened': 'Sessão «{name}» aberta',
+  'session.imported': 'Sessão «{name}» importada com {count} medições',
+  'session.none': 'Não há sessões salvas neste navegador.',
+  'session.summary': '{count} medições · {date}',
+  'session.delete': 'Excluir sessão',
+  'session.notesPlaceholder': 'Notas do experimento',
+
+  'share.control': 'Controle',
+  'share.locked': 'Bloqueado',
+  'share.hidden': 'Oculto',
+  'share.lock': 'Bloquear {label}',
+  'share.hide': 'Ocultar {label}',
+  'share.copy': 'Copiar link',
+  'share.copied': 'Link copiado para a área de transferência',
+  'share.copyFailed': 'Não foi possível copiar: selecione o link e copie-o manualmente',
+  'share.fromLink': 'Os bloqueios vêm do link com que a página foi aberta e não podem ser alterados.',
+  'share.controls.frequency': 'Frequência',
+  'share.controls.intensity': 'Intensidade',
+  'share.controls.bias': 'Tensão',
+  'share.controls.metal': 'Material',
+  'share.controls.view': 'Vista das medições',
+
+  'export.title': 'Exportar medições',
+  'export.format': 'Formato',
+  'export.decimal': 'Separador decimal',
+  'export.decimal.point': 'Ponto (1.5)',
+  'export.decimal.comma': 'Vírgula (1,5)',
+  'export.delimiter': 'Separador de campos',
+  'export.delimiter.comma': 'Vírgula',
+  'export.delimiter.semicolon': 'Ponto e vírgula',
+  'export.delimiter.tab': 'Tabulação',
+  'export.includeFits': 'Incluir resultados do ajuste',
+  'export.help': 'O cabeçalho inclui a data, os metais, a configuração do instrumento e as unidades.',
+  'export.download': 'Baixar',
+  'export.meta.date': 'Data: {date}',
+  'export.meta.metals': 'Metais: {metals}',
+  'export.meta.count': 'Medições: {count}',
+  'export.meta.instrument': 'Instrumento: resolução {resolution} V; fundo de escala ±{range} V; ' +
+    'erro aleatório σ {random} V; erro sistemático {systematic} V; {frequency}',
+  'export.meta.exactFrequency': 'frequência exata',
+  'export.meta.frequencyError': 'erro de frequência {value} %',
+  'export.meta.units': 'Unidades: {units}',
+  'export.fitTitle': 'Ajuste Ec = h·f − φ',
+  'export.yes': 'sim',
+  'export.no': 'não',
+  'export.column.frequency': 'Frequência',
+  'export.column.wavelength': 'Comprimento de onda',
+  'export.column.photonEnergy': 'Energia do fóton',
+  'export.column.kineticEnergy': 'Energia cinética',
+  'export.column.stoppingVoltage': 'Tensão de frenagem',
+  'export.column.biasVoltage': 'Tensão aplicada',
+  'export.column.intensity': 'Intensidade',
+  'export.column.photocurrent': 'Corrente',
+  'export.column.metal': 'Metal',
+  'export.column.source': 'Fonte',
+  'export.column.filter': 'Filtro',
+  'export.column.emitsElectrons': 'Emite elétrons',
+  'export.column.dataset': 'Série',
+  'export.column.excluded': 'Excluída do ajuste',
+  'export.column.timestamp': 'Data e hora',
+  'export.column.note': 'Nota',
+  'export.fit.metal': 'Metal',
+  'export.fit.dataset': 'Série',
+  'export.fit.n': 'Pontos',
+  'export.fit.thresholdFrequency': 'Frequência de limiar',
+  'export.fit.weighted': 'Ponderado',
+
+  'import.title': 'Importar dados externos',
+  'import.help': 'CSV, TSV ou JSON com uma coluna de frequência ou comprimento de onda e outra de potencial de ' +
+    'frenagem ou energia cinética. Os dados são adicionados como uma série à parte, representada e ajustada junto ' +
+    'com a simulação.',
+  'import.choose': 'Escolher arquivo…',
+  'import.xColumn': 'Coluna x',
+  'import.xQuantity': 'Grandeza x',
+  'import.column': 'Coluna {index}',
+  'import.name': 'Nome da série',
+  'import.yColumn': 'Coluna y',
+  'import.yQuantity': 'Grandeza y',
+  'import.metalColumn': 'Coluna de metal',
+  'import.sameForAll': '(o mesmo para todas)',
+  'import.metal': 'Metal do cátodo',
+  'import.add': 'Adicionar {count} linhas',
+  'import.cancel': 'Cancelar',
+  'import.dataset': '{name} · {count} medições',
+  'import.remove': 'Remover série',
+  'import.exists': 'Já existe uma série chamada «{name}»',
+  'import.done': 'Série «{name}»: {count} linhas importadas',
+  'import.skipped': ', {count} omitidas por não terem dados válidos',
+  'import.quantity.frequency': 'Frequência (×10¹⁴ Hz)',
+  'import.quantity.frequencyTHz': 'Frequência (THz)',
+  'import.quantity.frequencyHz': 'Frequência (Hz)',
+  'import.quantity.wavelength': 'Comprimento de onda (nm)',
+  'import.quantity.stoppingVoltage': 'Potencial de frenagem (V)',
+  'import.quantity.kineticEnergy': 'Energia cinética (eV)',
+
+  'instrument.resolution': 'Resolução do voltímetro',
+  'instrument.range': 'Fundo de escala',
+  'instrument.randomError': 'Erro aleatório σ (V)',
+  'instrument.systematicOffset': 'Erro sistemático (V)',
+  'instrument.exactFrequency': 'Frequência da luz exata',
+  'instrument.frequencyError': 'Erro relativo de f (%)',
+  'instrument.uncertainty': 'Incerteza padrão de cada leitura: {value} V',
+  'instrument.systematicNote': '(mais o erro sistemático, que desloca φ mas não h)',
+  'instrument.defaults': 'Valores padrão',
+
+  'materials.title': 'Materiais personalizados',
+  'materials.none': 'Ainda não há materiais personalizados.',
+  'materials.edit': 'Editar',
+  'materials.delete': 'Excluir',
+  'materials.symbol': 'Símbolo',
+  'materials.name': 'Nome',
+  'materials.namePlaceholder': 'Antimoneto de césio',
+  'materials.workFunction': 'Função trabalho (eV)',
+  'materials.quantumEfficiency': 'Eficiência quântica (0–1)',
+  'materials.fermiEnergy': 'Energia de Fermi (eV, opcional)',
+  'materials.color': 'Cor',
+  'materials.save': 'Salvar alterações',
+  'materials.add': 'Adicionar material',
+  'materials.cancel': 'Cancelar',
+  'materials.export': 'Exportar JSON',
+  'materials.import': 'Importar JSON',
+  'materials.exists': 'Já existe um material com o símbolo {symbol}',
+  'materials.imported': '{count} materiais importados',
+
+  'sweep.title': 'Varredura automática',
+  'sweep.fMin': 'f inicial ({unit})',
+  'sweep.fMax': 'f final ({unit})',
+  'sweep.fStep': 'Passo ({unit})',
+  'sweep.intensities': 'Intensidades (%)',
+  'sweep.repeats': 'Repetições',
+  'sweep.help': 'Usa-se luz monocromática em cada frequência, com a tensão e o instrumento de medida atuais.',
+  'sweep.fixedLight': 'O link fixa a luz: cada medição usa a fonte e os filtros atuais, com a tensão e o instrumento de medida atuais.',
+  'sweep.cancel': 'Cancelar',
+  'sweep.start': 'Iniciar varredura',
+  'sweep.cancelled': 'Varredura cancelada: {count} de {total} medições registradas',
+  'sweep.completed': 'Varredura concluída: {count} medições registradas',
+
+  'error.unexpected': 'Erro inesperado: {detail}',
+  'error.file.invalidJson': 'O arquivo não é um JSON válido',
+  'error.material.notObject': 'O material deve ser um objeto',
+  'error.material.symbol': 'O símbolo deve ter entre 1 e 12 letras, números, "-" ou "_"',
+  'error.material.builtIn': 'O símbolo {symbol} já corresponde a um material incluído',
+  'error.material.name': 'O nome é obrigatório',
+  'error.material.workFunction': 'A função trabalho deve estar entre 0 e 20 eV',
+  'error.material.quantumEfficiency': 'A eficiência quântica deve estar entre 0 e 1',
+  'error.material.fermiEnergy': 'A energia de Fermi deve estar entre 0 e 50 eV',
+  'error.material.color': 'A cor deve ter o formato #RRGGBB',
+  'error.materials.noList': 'O arquivo não contém uma lista de materiais',
+  'error.materials.entry': 'Material {index}: {reason}',
+  'error.instrument.resolution': 'A resolução do voltímetro deve ser positiva',
+  'error.instrument.range': 'O fundo de escala deve ser maior que a resolução',
+  'error.instrument.randomError': 'O erro aleatório não pode ser negativo',
+  'error.instrument.systematicOffset': 'O erro sistemático deve ser um número',
+  'error.instrument.frequencyError': 'O erro relativo da frequência deve estar entre 0 e 1',
+  'error.iv.step': 'O passo da varredura deve ser positivo',
+  'error.iv.range': 'A tensão final deve ser maior que a inicial',
+  'error.iv.tooManyPoints': 'A curva teria {count} pontos; o máximo é {max}',
+  'error.sweep.step': 'O passo de frequência deve ser positivo',
+  'error.sweep.range': 'A frequência final deve ser maior ou igual à inicial',
+  'error.sweep.tooManyFrequencies': 'A varredura teria {count} frequências; o máximo é {max} medições',
+  'error.sweep.noMetals': 'Escolha pelo menos um material',
+  'error.sweep.intensities': 'As intensidades devem estar entre 0 e 100 %',
+  'error.sweep.repeats': 'As repetições devem ser um número inteiro positivo',
+  'error.sweep.tooManyMeasurements': 'A varredura teria {count} medições; o máximo é {max}',
+  'error.session.notSession': 'O arquivo não é uma sessão do simulador',
+  'error.session.newerVersion': 'A sessão foi criada com uma versão mais recente do simulador',
+  'error.session.measurements': 'A sessão não contém uma lista de medições válida',
+  'error.session.measurement': 'A medição {index} da sessão não é válida',
+  'error.session.storageFull': 'Não há espaço suficiente no navegador para salvar a sessão',
+  'error.session.storageBlocked': 'O navegador não permite salvar sessões nesta página',
+  'error.session.name': 'A sessão precisa de um nome',
+  'error.session.missing': 'A sessão não existe mais',
+  'error.import.empty': 'O arquivo está vazio',
+  'error.import.tooManyRows': 'O arquivo tem {count} linhas de dados; o máximo é {max}',
+  'error.import.noList': 'O JSON deve conter uma lista de medições',
+  'error.import.noData': 'O arquivo precisa de uma linha de cabeçalho e pelo menos uma linha de dados',
+  'error.import.datasetName': 'A série importada precisa de um nome diferente do da simulação',
+  'error.import.unknownQuantity': 'Grandeza desconhecida no mapeamento de colunas',
+  'error.import.chooseColumns': 'Escolha as colunas dos eixos x e y',
+  'error.import.noValidRows': 'Nenhuma linha contém dados válidos com o mapeamento escolhido',
+  'error.export.sameSeparators': 'O separador decimal e o de campos devem ser diferentes',
+  'error.export.unknownFormat': 'Formato de exportação desconhecido',
+  'error.image.unsupported': 'O navegador não permite gerar imagens',
+  'error.image.failed': 'Não foi possível gerar a imagem'
+};
+
+export const MESSAGES = { es, en, pt };
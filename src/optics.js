@@ -0,0 +1,161 @@
+// Elementos ópticos entre la fuente y el cátodo: filtros interferenciales,
+// monocromador y filtros de densidad neutra.
+//
+// Cada elemento multiplica el peso de las componentes del espectro (ver
+// spectra.js) por su transmisión; la suma de pesos resultante es la fracción
+// del flujo de la fuente que llega al cátodo.
+import { frequencyFromWavelength } from './physics';
+import { DEFAULT_LANGUAGE, formatNumber, translate } from './i18n';
+import { DEFAULT_UNITS, formatQuantity, unitLabel } from './units';
+
+// Filtros interferenciales para las líneas del mercurio, como los de Millikan.
+// El de 578 nm deja pasar el doblete amarillo 577,0/579,1 nm.
+export const INTERFERENCE_FILTERS = {
+  Hg365: { center: 365.0, fwhm: 10, peakTransmission: 0.4 },
+  Hg405: { center: 404.7, fwhm: 10, peakTransmission: 0.45 },
+  Hg436: { center: 435.8, fwhm: 10, peakTransmission: 0.5 },
+  Hg546: { center: 546.1, fwhm: 10, peakTransmission: 0.55 },
+  Hg578: { center: 578.0, fwhm: 10, peakTransmission: 0.55 }
+};
+
+// Monocromador: rendija de función triangular con anchura a media altura
+// igual al ancho de banda
+export const MONOCHROMATOR_RANGE = { min: 200, max: 1000 }; // nm
+export const MONOCHROMATOR_BANDWIDTH = { min: 1, max: 50 }; // nm
+export const MONOCHROMATOR_THROUGHPUT = 0.3;
+
+// Densidades ópticas disponibles para los filtros neutros (T = 10^−D)
+export const ND_DENSITIES = [0, 0.3, 0.5, 1, 2];
+
+// Elementos que seleccionan longitudes de onda
+export const OPTICAL_ELEMENTS = ['none', 'filter', 'monochromator'];
+
+export const DEFAULT_OPTICS = {
+  element: 'none', // 'none' | 'filter' | 'monochromator'
+  filter: 'Hg436',
+  center: 435.8, // nm
+  bandwidth: 5, // nm
+  density: 0
+};
+
+/**
+ * Transmisión de un filtro interferencial (perfil gaussiano).
+ * @param {string} id Clave de INTERFERENCE_FILTERS.
+ * @param {number} wavelength nm
+ * @returns {number}
+ */
+export const filterTransmission = (id, wavelength) => {
+  const filter = INTERFERENCE_FILTERS[id];
+  if (!filter) throw new Error(`Filtro desconocido: ${id}`);
+  const sigma = filter.fwhm / 2.3548;
+  return filter.peakTransmission * Math.exp(-0.5 * ((wavelength - filter.center) / sigma) ** 2);
+};
+
+/**
+ * Transmisión del monocromador.
+ * @param {number} center Longitud de onda seleccionada en nm.
+ * @param {number} bandwidth Ancho de banda (FWHM) en nm.
+ * @param {number} wavelength nm
+ * @returns {number}
+ */
+export const monochromatorTransmission = (center, bandwidth, wavelength) => {
+  if (!(bandwidth > 0)) throw new Error('El ancho de banda debe ser positivo');
+  return MONOCHROMATOR_THROUGHPUT * Math.max(0, 1 - Math.abs(wavelength - center) / bandwidth);
+};
+
+/**
+ * Transmisión total del camino óptico para una longitud de onda.
+ * @param {object} optics Ver DEFAULT_OPTICS.
+ * @param {number} wavelength nm
+ * @returns {number}
+ */
+export const opticalTransmission = (optics, wavelength) => {
+  let transmission = Math.pow(10, -(optics.density || 0));
+  if (optics.element === 'filter') {
+    transmission *= filterTransmission(optics.filter, wavelength);
+  } else if (optics.element === 'monochromator') {
+    transmission *= monochromatorTransmission(optics.center, optics.bandwidth, wavelength);
+  }
+  return transmission;
+};
+
+/**
+ * Espectro que llega al cátodo tras los elementos ópticos. Se descartan las
+ * componentes que no se transmiten.
+ * @param {object[]} spectrum Espectro de la fuente.
+ * @param {object} optics Ver DEFAULT_OPTICS.
+ * @returns {object[]}
+ */
+export const applyOptics = (spectrum, optics) => spectrum
+  .map(c => ({ ...c, weight: c.weight * opticalTransmission(optics, c.wavelength) }))
+  .filter(c => c.weight > 0);
+
+/**
+ * Longitud de onda nominal (nm) que selecciona el camino óptico, o null si no
+ * hay ningún elemento que seleccione longitudes de onda.
+ * @param {object} optics
+ * @returns {number|null}
+ */
+export const nominalWavelength = (optics) => {
+  if (optics.element === 'filter') return INTERFERENCE_FILTERS[optics.filter].center;
+  if (optics.element === 'monochromator') return optics.center;
+  return null;
+};
+
+/**
+ * Frecuencia nominal (Hz) del camino óptico: con ella se representan las
+ * mediciones en la gráfica Ec–f, como hacía Millikan con sus filtros.
+ * @param {object} optics
+ * @returns {number|null}
+ */
+export const nominalFrequency = (optics) => {
+  const wavelength = nominalWavelength(optics);
+  return wavelength === null ? null : frequencyFromWavelength(wavelength);
+};
+
+/**
+ * Camino óptico tal como se guarda con una medición: sólo los parámetros del
+ * elemento presente y la densidad neutra, sin textos.
+ * @param {object} optics Ver DEFAULT_OPTICS.
+ * @returns {object|null} null si no hay elementos.
+ */
+export const measuredOptics = (optics) => {
+  if (optics.element === 'filter') return { element: 'filter', filter: optics.filter, density: optics.density };
+  if (optics.element === 'monochromator') {
+    return { element: 'monochromator', center: optics.center, bandwidth: optics.bandwidth, density: optics.density };
+  }
+  return optics.density > 0 ? { element: 'none', density: optics.density } : null;
+};
+
+/**
+ * Descripción breve del camino óptico para tablas y exportaciones.
+ * @param {object|null} optics Ver measuredOptics.
+ * @param {string} [language=DEFAULT_LANGUAGE]
+ * @param {object} [units=DEFAULT_UNITS] Unidades elegidas (ver units.js).
+ * @returns {string} Cadena vacía si no hay elementos; un filtro que no se
+ *   reconoce se describe con el mensaje measured.optics.unknownFilter.
+ */
+export const describeOptics = (optics, language = DEFAULT_LANGUAGE, units = DEFAULT_UNITS) => {
+  if (!optics) return '';
+  const wavelength = (value, decimals) => formatNumber(language, formatQuantity(value, 'wavelength', units, decimals));
+  const unit = unitLabel('wavelength', units);
+  const parts = [];
+  if (optics.element === 'filter' && !Object.prototype.hasOwnProperty.call(INTERFERENCE_FILTERS, optics.filter)) {
+    parts.push(translate(language, 'measured.optics.unknownFilter'));
+  } else if (optics.element === 'filter') {
+    parts.push(translate(language, 'measured.optics.filter', {
+      center: wavelength(INTERFERENCE_FILTERS[optics.filter].center, 1),
+      unit
+    }));
+  } else if (optics.element === 'monochromator') {
+    parts.push(translate(language, 'measured.optics.monochromator', {
+      center: wavelength(optics.center, 1),
+      bandwidth: wavelength(optics.bandwidth),
+      unit
+    }));
+  }
+  if (optics.density > 0) {
+    parts.push(`ND ${formatNumber(language, optics.density)}`);
+  }
+  return parts.join(' + ');
+};
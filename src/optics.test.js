@@ -0,0 +1,91 @@
+import {
+  INTERFERENCE_FILTERS,
+  DEFAULT_OPTICS,
+  filterTransmission,
+  monochromatorTransmission,
+  applyOptics,
+  nominalWavelength,
+  nominalFrequency,
+  describeOptics,
+  measuredOptics
+} from './optics';
+import { buildSpectrum, spectrumEmission, totalWeight } from './spectra';
+import { frequencyFromWavelength, metals } from './physics';
+import { DEFAULT_UNITS } from './units';
+
+const mercury = buildSpectrum({ type: 'lines', lamp: 'Hg' });
+
+describe('transmisión', () => {
+  test('el filtro interferencial es máximo en su centro', () => {
+    const { center, peakTransmission, fwhm } = INTERFERENCE_FILTERS.Hg436;
+    expect(filterTransmission('Hg436', center)).toBe(peakTransmission);
+    expect(filterTransmission('Hg436', center + fwhm / 2)).toBeCloseTo(peakTransmission / 2, 3);
+    expect(() => filterTransmission('Hg999', 500)).toThrow('Filtro desconocido');
+  });
+
+  test('el monocromador tiene una rendija triangular', () => {
+    expect(monochromatorTransmission(500, 4, 502)).toBeCloseTo(monochromatorTransmission(500, 4, 500) / 2, 12);
+    expect(monochromatorTransmission(500, 4, 505)).toBe(0);
+    expect(() => monochromatorTransmission(500, 0, 500)).toThrow();
+  });
+});
+
+describe('applyOptics', () => {
+  test('sin elementos el espectro no cambia', () => {
+    expect(applyOptics(mercury, DEFAULT_OPTICS)).toEqual(mercury);
+  });
+
+  test('cada filtro aísla una línea del mercurio', () => {
+    const filtered = applyOptics(mercury, { ...DEFAULT_OPTICS, element: 'filter', filter: 'Hg405' });
+    const dominant = filtered.reduce((best, c) => (c.weight > best.weight ? c : best));
+    expect(dominant.wavelength).toBe(404.7);
+    const emission = spectrumEmission(filtered, metals.Na.workFunction);
+    expect(emission.cutoffFrequency).toBeCloseTo(frequencyFromWavelength(404.7), -8);
+  });
+
+  test('el filtro de 578 nm deja pasar el doblete amarillo', () => {
+    const filtered = applyOptics(mercury, { ...DEFAULT_OPTICS, element: 'filter', filter: 'Hg578' });
+    const passed = filtered.filter(c => c.weight > 0.01).map(c => c.wavelength);
+    expect(passed).toEqual([577.0, 579.1]);
+  });
+
+  test('el filtro neutro atenúa sin cambiar el color', () => {
+    const filtered = applyOptics(mercury, { ...DEFAULT_OPTICS, density: 1 });
+    expect(totalWeight(filtered)).toBeCloseTo(0.1, 12);
+    expect(filtered.map(c => c.wavelength)).toEqual(mercury.map(c => c.wavelength));
+    expect(spectrumEmission(filtered, 2).maxPhotonEnergy).toBe(spectrumEmission(mercury, 2).maxPhotonEnergy);
+  });
+
+  test('el monocromador fuera de las líneas no deja pasar luz', () => {
+    const optics = { ...DEFAULT_OPTICS, element: 'monochromator', center: 500, bandwidth: 2 };
+    expect(applyOptics(mercury, optics)).toEqual([]);
+  });
+});
+
+describe('ajustes nominales', () => {
+  test('la frecuencia nominal es la del filtro o del monocromador', () => {
+    expect(nominalWavelength(DEFAULT_OPTICS)).toBeNull();
+    expect(nominalFrequency({ ...DEFAULT_OPTICS, element: 'filter', filter: 'Hg546' }))
+      .toBeCloseTo(frequencyFromWavelength(546.1), -8);
+    expect(nominalWavelength({ ...DEFAULT_OPTICS, element: 'monochromator', center: 420 })).toBe(420);
+  });
+
+  test('describe el camino óptico', () => {
+    expect(measuredOptics(DEFAULT_OPTICS)).toBeNull();
+    expect(describeOptics(null)).toBe('');
+    const filter = measuredOptics({ ...DEFAULT_OPTICS, element: 'filter', filter: 'Hg365', density: 0.5 });
+    expect(filter).toEqual({ element: 'filter', filter: 'Hg365', density: 0.5 });
+    expect(describeOptics(filter)).toBe('Filtro 365,0 nm + ND 0,5');
+    expect(describeOptics(filter, 'en')).toBe('Filter 365.0 nm + ND 0.5');
+    const monochromator = measuredOptics({ ...DEFAULT_OPTICS, element: 'monochromator', center: 420, bandwidth: 5 });
+    expect(describeOptics(monochromator)).toBe('Monocromador 420,0 nm (Δλ 5 nm)');
+    expect(describeOptics({ element: 'filter', filter: 'bogus', density: 1 }, 'en')).toBe('Unknown filter + ND 1');
+  });
+
+  test('usa la unidad de longitud de onda elegida al describir', () => {
+    const units = { ...DEFAULT_UNITS, wavelength: 'um' };
+    expect(describeOptics({ element: 'filter', filter: 'Hg365', density: 0 }, 'en', units)).toBe('Filter 0.3650 µm');
+    expect(describeOptics({ element: 'monochromator', center: 420, bandwidth: 5, density: 0 }, 'es', units))
+      .toBe('Monocromador 0,4200 µm (Δλ 0,005 µm)');
+  });
+});
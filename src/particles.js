@@ -0,0 +1,176 @@
+// Estado y evolución de las partículas de la escena (fotones y electrones).
+//
+// Las partículas viven en arreglos mutables fuera del estado de React: se
+// actualizan en el lugar en cada paso para poder manejar miles de ellas.
+
+import { sampleKineticEnergy } from './energyDistribution';
+import { getWavelengthColor, photonEnergyFromFrequency } from './physics';
+import { createSpectrumSampler, totalWeight } from './spectra';
+
+// Geometría de la escena (px)
+export const SCENE_HEIGHT = 500;
+export const BEAM_Y = 250;
+export const BEAM_HEIGHT = 40;
+export const SOURCE_X = 16;
+export const PHOTON_START_X = 20;
+export const CATHODE_X = 240;
+export const PLATE_WIDTH = 16;
+export const PLATE_HEIGHT = 128;
+export const ANODE_MARGIN = 16; // separación del ánodo respecto al borde derecho
+
+// Fotones nuevos por paso y por % de intensidad
+export const PHOTON_RATE = 0.05;
+
+// Rapidez en la escena: v = SPEED_SCALE·√Ec (px/paso, Ec en eV)
+export const SPEED_SCALE = 20;
+export const MAX_EMISSION_ANGLE = 0.3; // rad respecto a la normal del cátodo
+export const MAX_ELECTRON_AGE = 2000; // pasos; descarta electrones casi en reposo
+export const ENERGY_LOG_SIZE = 5000; // energías recientes conservadas para el espectro
+
+// Posición x de la cara interna del ánodo para un ancho de escena dado
+export const anodeX = (width) => width - ANODE_MARGIN - PLATE_WIDTH;
+
+// Posición x de la cara emisora del cátodo
+export const CATHODE_FACE_X = CATHODE_X + PLATE_WIDTH;
+
+export const createParticleSystem = () => ({
+  photons: [],
+  electrons: [],
+  emitted: 0, // electrones arrancados
+  collected: 0, // electrones que alcanzaron el ánodo
+  returned: 0, // electrones devueltos al cátodo por el campo
+  energies: [] // energías cinéticas de emisión más recientes (eV)
+});
+
+export const clearParticles = (system) => {
+  system.photons.length = 0;
+  system.electrons.length = 0;
+  system.emitted = 0;
+  system.collected = 0;
+  system.returned = 0;
+  system.energies.length = 0;
+};
+
+/**
+ * Aceleración horizontal (px/paso²) en el campo uniforme entre placas.
+ *
+ * En unidades de la escena Ec = (v/SPEED_SCALE)², y el trabajo del campo sobre
+ * el electrón a lo largo del hueco d es e·V, de modo que a = SPEED_SCALE²·V/(2d).
+ * @param {number} bias Tensión ánodo–cátodo en V (positiva acelera).
+ * @param {number} gap Separación entre placas en px.
+ * @returns {number}
+ */
+export const fieldAcceleration = (bias, gap) => (SPEED_SCALE * SPEED_SCALE * bias) / (2 * gap);
+
+// Número de partículas nuevas para un ritmo medio no entero
+const spawnCount = (rate, random) => Math.floor(rate) + (random() < rate % 1 ? 1 : 0);
+
+// Muestreadores por espectro: el espectro sólo cambia cuando cambia la fuente,
+// así que se prepara una vez y se reutiliza en cada paso
+const samplers = new WeakMap();
+const photonSource = (spectrum) => {
+  let source = samplers.get(spectrum);
+  if (!source) {
+    source = {
+      sample: createSpectrumSampler(spectrum.map(c => ({
+        ...c,
+        energy: photonEnergyFromFrequency(c.frequency),
+        color: getWavelengthColor(c.wavelength)
+      }))),
+      flux: totalWeight(spectrum)
+    };
+    samplers.set(spectrum, source);
+  }
+  return source;
+};
+
+/**
+ * Avanza la escena un paso.
+ * @param {{photons: object[], electrons: object[]}} system Sistema a modificar.
+ * @param {object} params
+ * @param {number} params.intensity Intensidad en %.
+ * @param {object[]} params.spectrum Espectro de la luz que llega al cátodo (ver spectra.js).
+ * @param {number} params.workFunction Función trabajo del cátodo en eV.
+ * @param {number} [params.quantumEfficiency=1] Probabilidad de que un fotón arranque un electrón.
+ * @param {number} [params.temperature=0] Temperatura del cátodo en K (0 = sin ensanchamiento).
+ * @param {number} [params.fermiEnergy] Energía de Fermi del cátodo en eV.
+ * @param {number} params.bias Tensión ánodo–cátodo en V.
+ * @param {number} params.width Ancho de la escena en px.
+ * @param {() => number} [random=Math.random] Generador uniforme en [0, 1).
+ */
+export const stepParticles = (system, params, random = Math.random) => {
+  const {
+    intensity,
+    spectrum,
+    workFunction,
+    quantumEfficiency = 1,
+    temperature = 0,
+    fermiEnergy,
+    bias = 0,
+    width
+  } = params;
+
+  // Fotones: viajan en línea recta, repartidos en la altura del haz. Cada uno
+  // lleva la energía de una componente del espectro elegida según su peso
+  const source = photonSource(spectrum);
+  const newPhotons = spawnCount(intensity * PHOTON_RATE * source.flux, random);
+  for (let i = 0; i < newPhotons; i++) {
+    const { energy, color } = source.sample(random);
+    system.photons.push({
+      x: PHOTON_START_X,
+      y: BEAM_Y + (random() - 0.5) * BEAM_HEIGHT,
+      speed: 8 + random() * 2,
+      energy,
+      color
+    });
+  }
+
+  // Cada fotón que alcanza el cátodo con energía superior a la función trabajo
+  // arranca como mucho un electrón, con probabilidad igual a la eficiencia
+  // cuántica, en su punto de impacto. El electrón sale con rapidez
+  // SPEED_SCALE·√Ec, con Ec muestreada entre 0 y hf − φ de ese fotón
+  system.photons = system.photons.filter(p => {
+    p.x += p.speed;
+    if (p.x < CATHODE_X) return true;
+
+    if (p.energy > workFunction && random() < quantumEfficiency) {
+      const energy = sampleKineticEnergy(random, p.energy - workFunction, { temperature, fermiEnergy });
+      const speed = SPEED_SCALE * Math.sqrt(energy);
+      const angle = (random() * 2 - 1) * MAX_EMISSION_ANGLE;
+      system.energies.push(energy);
+      system.electrons.push({
+        x: CATHODE_FACE_X,
+        y: p.y,
+        vx: speed * Math.cos(angle),
+        vy: speed * Math.sin(angle),
+        age: 0
+      });
+      system.emitted += 1;
+    }
+    return false;
+  });
+  if (system.energies.length > 2 * ENERGY_LOG_SIZE) {
+    system.energies.splice(0, system.energies.length - ENERGY_LOG_SIZE);
+  }
+
+  // El campo entre placas sólo actúa en x (aceleración constante, integrada
+  // de forma exacta); los electrones cuentan como corriente únicamente si
+  // llegan al ánodo
+  const collectorX = anodeX(width);
+  const ax = fieldAcceleration(bias, collectorX - CATHODE_FACE_X);
+  system.electrons = system.electrons.filter(e => {
+    e.x += e.vx + ax / 2;
+    e.vx += ax;
+    e.y += e.vy;
+    e.age += 1;
+    if (e.x >= collectorX) {
+      system.collected += 1;
+      return false;
+    }
+    if (e.x <= CATHODE_FACE_X) {
+      system.returned += 1;
+      return false;
+    }
+    return e.y > 0 && e.y < SCENE_HEIGHT && e.age < MAX_ELECTRON_AGE;
+  });
+};
@@ -0,0 +1,175 @@
+import {
+  createParticleSystem,
+  clearParticles,
+  stepParticles,
+  fieldAcceleration,
+  anodeX,
+  CATHODE_FACE_X,
+  SPEED_SCALE,
+  PHOTON_RATE
+} from './particles';
+import { createRandom } from './random';
+import { PLANCK_CONSTANT_EV } from './physics';
+
+// Componente de espectro con fotones de la energía indicada (eV)
+const line = (energy, weight = 1) => ({ wavelength: 1239.84 / energy, frequency: energy / PLANCK_CONSTANT_EV, weight });
+
+// Fotones de 3 eV sobre un cátodo de φ = 2 eV: Ec,max = 1 eV
+const params = { intensity: 100, spectrum: [line(3)], workFunction: 2, bias: 0, width: 800 };
+
+describe('stepParticles', () => {
+  test('genera fotones según la intensidad', () => {
+    const system = createParticleSystem();
+    stepParticles(system, params, () => 0.5);
+    expect(system.photons).toHaveLength(100 * PHOTON_RATE);
+  });
+
+  test('los fotones desaparecen al llegar al cátodo', () => {
+    const system = createParticleSystem();
+    stepParticles(system, params, () => 0.5);
+    for (let i = 0; i < 40; i++) {
+      stepParticles(system, { ...params, intensity: 0 }, () => 0.5);
+    }
+    expect(system.photons).toHaveLength(0);
+  });
+
+  test('no emite electrones bajo el umbral', () => {
+    const system = createParticleSystem();
+    for (let i = 0; i < 10; i++) {
+      stepParticles(system, { ...params, workFunction: 5 }, () => 0.5);
+    }
+    expect(system.electrons).toHaveLength(0);
+  });
+
+  test('admite miles de partículas simultáneas', () => {
+    const system = createParticleSystem();
+    const random = createRandom(7);
+    for (let i = 0; i < 200; i++) {
+      stepParticles(system, { ...params, intensity: 1000 }, random);
+    }
+    expect(system.photons.length + system.electrons.length).toBeGreaterThan(1000);
+    clearParticles(system);
+    expect(system.photons).toHaveLength(0);
+    expect(system.electrons).toHaveLength(0);
+  });
+});
+
+describe('trayectorias en el campo entre placas', () => {
+  // Electrón aislado lanzado en la normal del cátodo con energía ec (eV)
+  const launch = (ec, bias) => {
+    const system = createParticleSystem();
+    system.electrons.push({ x: CATHODE_FACE_X, y: 250, vx: SPEED_SCALE * Math.sqrt(ec), vy: 0, age: 0 });
+    const quiet = { ...params, intensity: 0, bias };
+    for (let i = 0; i < 5000 && system.electrons.length > 0; i++) {
+      stepParticles(system, quiet, () => 0.5);
+    }
+    return system;
+  };
+
+  test('el trabajo del campo a lo largo del hueco es e·V', () => {
+    const gap = anodeX(params.width) - CATHODE_FACE_X;
+    const a = fieldAcceleration(1.5, gap);
+    // v² = v₀² + 2·a·d  ⇒  ΔEc = 2·a·d / SPEED_SCALE² = V
+    expect((2 * a * gap) / SPEED_SCALE ** 2).toBeCloseTo(1.5, 12);
+  });
+
+  test('sin tensión el electrón llega al ánodo', () => {
+    const system = launch(1, 0);
+    expect(system.collected).toBe(1);
+    expect(system.returned).toBe(0);
+  });
+
+  test('un potencial de frenado menor que Ec no lo detiene', () => {
+    expect(launch(1, -0.95).collected).toBe(1);
+  });
+
+  test('un potencial de frenado mayor que Ec lo devuelve al cátodo', () => {
+    const system = launch(1, -1.05);
+    expect(system.collected).toBe(0);
+    expect(system.returned).toBe(1);
+  });
+
+  test('una tensión positiva recoge incluso electrones casi en reposo', () => {
+    expect(launch(0.001, 2).collected).toBe(1);
+  });
+
+  test('la emisión se contabiliza', () => {
+    const system = createParticleSystem();
+    for (let i = 0; i < 100; i++) {
+      stepParticles(system, { ...params, bias: 5 }, createRandom(i));
+    }
+    expect(system.emitted).toBeGreaterThan(0);
+    expect(system.collected + system.returned + system.electrons.length).toBe(system.emitted);
+  });
+});
+
+describe('emisión acoplada a los fotones', () => {
+  // Avanza hasta que los fotones de un único disparo alcanzan el cátodo
+  const fire = (overrides, random) => {
+    const system = createParticleSystem();
+    stepParticles(system, { ...params, ...overrides }, random);
+    const quiet = { ...params, ...overrides, intensity: 0 };
+    for (let i = 0; i < 40; i++) {
+      stepParticles(system, quiet, random);
+    }
+    return system;
+  };
+
+  test('con eficiencia 1 cada fotón arranca exactamente un electrón', () => {
+    const system = fire({ quantumEfficiency: 1, bias: -100 }, createRandom(4));
+    expect(system.emitted).toBe(100 * PHOTON_RATE);
+  });
+
+  test('con eficiencia 0 no hay emisión', () => {
+    expect(fire({ quantumEfficiency: 0 }, createRandom(4)).emitted).toBe(0);
+  });
+
+  test('la fracción de fotones que emiten se acerca a la eficiencia cuántica', () => {
+    const system = createParticleSystem();
+    const random = createRandom(11);
+    for (let i = 0; i < 2000; i++) {
+      stepParticles(system, { ...params, quantumEfficiency: 0.25 }, random);
+    }
+    const photons = 2000 * 100 * PHOTON_RATE;
+    expect(system.emitted / photons).toBeCloseTo(0.25, 1);
+  });
+
+  test('el electrón sale a la altura del impacto del fotón', () => {
+    const system = createParticleSystem();
+    system.photons.push({ x: CATHODE_FACE_X - 20, y: 237, speed: 30, energy: 3 });
+    stepParticles(system, { ...params, intensity: 0, quantumEfficiency: 1 }, () => 0.5);
+    expect(system.electrons).toHaveLength(1);
+    expect(system.electrons[0].y).toBeCloseTo(237, 6);
+  });
+});
+
+describe('luz policromática', () => {
+  test('cada fotón lleva la energía de una componente del espectro', () => {
+    const system = createParticleSystem();
+    const spectrum = [line(1.5, 0.5), line(3, 0.5)];
+    const random = createRandom(3);
+    for (let i = 0; i < 20; i++) {
+      stepParticles(system, { ...params, spectrum }, random);
+    }
+    const energies = new Set(system.photons.map(p => p.energy));
+    expect([...energies].sort()).toEqual([1.5, 3]);
+  });
+
+  test('sólo emiten los fotones por encima del umbral', () => {
+    const system = createParticleSystem();
+    const random = createRandom(5);
+    const spectrum = [line(1.5, 0.75), line(3, 0.25)];
+    for (let i = 0; i < 1000; i++) {
+      stepParticles(system, { ...params, spectrum, quantumEfficiency: 1 }, random);
+    }
+    const photons = 1000 * 100 * PHOTON_RATE;
+    expect(system.emitted / photons).toBeCloseTo(0.25, 1);
+    expect(Math.max(...system.energies)).toBeLessThanOrEqual(1);
+  });
+
+  test('un espectro atenuado genera menos fotones', () => {
+    const system = createParticleSystem();
+    stepParticles(system, { ...params, spectrum: [line(3, 0.4)] }, () => 0.5);
+    expect(system.photons).toHaveLength(100 * PHOTON_RATE * 0.4);
+  });
+});
@@ -0,0 +1,179 @@
+// Modelo físico del efecto fotoeléctrico.
+//
+// Todas las funciones son puras. Convenciones de unidades:
+//   - frecuencia en Hz
+//   - longitud de onda en nm
+//   - energías en eV
+//   - potenciales en V
+
+// Constantes físicas (CODATA 2018; h, e y c son exactas en el SI)
+export const PLANCK_CONSTANT = 6.62607015e-34; // J·s
+export const ELEMENTARY_CHARGE = 1.602176634e-19; // C
+export const SPEED_OF_LIGHT = 299792458; // m/s
+export const ELECTRON_MASS = 9.1093837015e-31; // kg
+export const PLANCK_CONSTANT_EV = PLANCK_CONSTANT / ELEMENTARY_CHARGE; // eV·s
+
+// Los controles de la interfaz expresan la frecuencia en ×10¹⁴ Hz
+export const FREQUENCY_UNIT = 1e14;
+
+// Propiedades de los metales (función trabajo y energía de Fermi en eV).
+// La eficiencia cuántica es la probabilidad de que un fotón por encima del
+// umbral arranque un electrón; en metales reales es del orden de 10⁻⁴, aquí
+// se exagera manteniendo el orden relativo para que el efecto sea visible.
+export const metals = {
+  'Cs': { name: 'Cesio', workFunction: 2.1, fermiEnergy: 1.59, quantumEfficiency: 0.3, color: '#FFD700' },
+  'K': { name: 'Potasio', workFunction: 2.3, fermiEnergy: 2.12, quantumEfficiency: 0.2, color: '#DDA0DD' },
+  'Na': { name: 'Sodio', workFunction: 2.75, fermiEnergy: 3.24, quantumEfficiency: 0.15, color: '#FFA500' },
+  'Ca': { name: 'Calcio', workFunction: 2.87, fermiEnergy: 4.69, quantumEfficiency: 0.1, color: '#32CD32' },
+  'Zn': { name: 'Zinc', workFunction: 4.33, fermiEnergy: 9.47, quantumEfficiency: 0.05, color: '#708090' },
+  'Cu': { name: 'Cobre', workFunction: 4.65, fermiEnergy: 7.0, quantumEfficiency: 0.04, color: '#B87333' },
+  'Al': { name: 'Aluminio', workFunction: 4.28, fermiEnergy: 11.7, quantumEfficiency: 0.05, color: '#C0C0C0' }
+};
+
+// Material del cátodo con el que arranca el simulador
+export const DEFAULT_METAL = 'Na';
+
+/**
+ * Función trabajo (eV) de un material de la tabla.
+ * @param {string} symbol Símbolo del material, p. ej. 'Na'.
+ * @param {object} [table=metals] Tabla de materiales a consultar.
+ * @returns {number}
+ */
+export const getWorkFunction = (symbol, table = metals) => {
+  const material = table[symbol];
+  if (!material) {
+    throw new Error(`Material desconocido: ${symbol}`);
+  }
+  return material.workFunction;
+};
+
+/**
+ * Longitud de onda (nm) correspondiente a una frecuencia (Hz).
+ * @param {number} frequency
+ * @returns {number}
+ */
+export const wavelengthFromFrequency = (frequency) => (SPEED_OF_LIGHT / frequency) * 1e9;
+
+/**
+ * Frecuencia (Hz) correspondiente a una longitud de onda (nm).
+ * @param {number} wavelength
+ * @returns {number}
+ */
+export const frequencyFromWavelength = (wavelength) => SPEED_OF_LIGHT / (wavelength * 1e-9);
+
+/**
+ * Energía del fotón E = hf, en eV.
+ * @param {number} frequency Frecuencia en Hz.
+ * @returns {number}
+ */
+export const photonEnergyFromFrequency = (frequency) => PLANCK_CONSTANT_EV * frequency;
+
+/**
+ * Energía del fotón E = hc/λ, en eV.
+ * @param {number} wavelength Longitud de onda en nm.
+ * @returns {number}
+ */
+export const photonEnergyFromWavelength = (wavelength) =>
+  photonEnergyFromFrequency(frequencyFromWavelength(wavelength));
+
+/**
+ * Frecuencia umbral f₀ = φ/h, en Hz.
+ * @param {number} workFunction Función trabajo en eV.
+ * @returns {number}
+ */
+export const thresholdFrequency = (workFunction) => workFunction / PLANCK_CONSTANT_EV;
+
+/**
+ * Longitud de onda umbral λ₀ = hc/φ, en nm. Por encima de ella no hay emisión.
+ * @param {number} workFunction Función trabajo en eV.
+ * @returns {number}
+ */
+export const thresholdWavelength = (workFunction) =>
+  wavelengthFromFrequency(thresholdFrequency(workFunction));
+
+/**
+ * Indica si un fotón de la frecuencia dada puede arrancar electrones.
+ * @param {number} frequency Frecuencia en Hz.
+ * @param {number} workFunction Función trabajo en eV.
+ * @returns {boolean}
+ */
+export const canEmitElectrons = (frequency, workFunction) =>
+  photonEnergyFromFrequency(frequency) > workFunction;
+
+/**
+ * Energía cinética máxima de los fotoelectrones Ec = hf − φ (0 bajo el umbral), en eV.
+ * @param {number} frequency Frecuencia en Hz.
+ * @param {number} workFunction Función trabajo en eV.
+ * @returns {number}
+ */
+export const maxKineticEnergy = (frequency, workFunction) =>
+  Math.max(0, photonEnergyFromFrequency(frequency) - workFunction);
+
+/**
+ * Potencial de frenado V₀ = Ec/e, en V.
+ * @param {number} frequency Frecuencia en Hz.
+ * @param {number} workFunction Función trabajo en eV.
+ * @returns {number}
+ */
+export const stoppingPotential = (frequency, workFunction) =>
+  maxKineticEnergy(frequency, workFunction);
+
+/**
+ * Rapidez (m/s) de un electrón con la energía cinética dada (no relativista).
+ * @param {number} kineticEnergy Energía cinética en eV.
+ * @returns {number}
+ */
+export const electronSpeed = (kineticEnergy) =>
+  Math.sqrt((2 * Math.max(0, kineticEnergy) * ELEMENTARY_CHARGE) / ELECTRON_MASS);
+
+// Color aproximado para una longitud de onda (nm)
+export const getWavelengthColor = (wl) => {
+  if (wl < 380) return '#8B00FF'; // UV
+  if (wl < 450) return '#4B0082'; // Violeta
+  if (wl < 495) return '#0000FF'; // Azul
+  if (wl < 570) return '#00FF00'; // Verde
+  if (wl < 590) return '#FFFF00'; // Amarillo
+  if (wl < 620) return '#FF7F00'; // Naranja
+  if (wl < 750) return '#FF0000'; // Rojo
+  return '#FF4500'; // IR
+};
+
+// Modelo de fotocorriente. Convención de signo para la tensión aplicada
+// (ánodo respecto al cátodo): positiva acelera, negativa frena.
+export const SATURATION_CURRENT = 100; // nA con intensidad al 100 % y eficiencia cuántica 1
+export const ZERO_BIAS_COLLECTION = 0.6; // fracción recogida sin tensión aplicada
+export const COLLECTION_VOLTAGE = 1.0; // V, escala de aproximación a la saturación
+
+/**
+ * Corriente de saturación (nA): proporcional a la intensidad de la luz y a la
+ * eficiencia cuántica del cátodo.
+ * @param {number} intensity Intensidad en %.
+ * @param {number} [quantumEfficiency=1] Electrones por fotón.
+ * @returns {number}
+ */
+export const saturationCurrent = (intensity, quantumEfficiency = 1) =>
+  (SATURATION_CURRENT * intensity * quantumEfficiency) / 100;
+
+/**
+ * Fotocorriente (nA) para una tensión ánodo–cátodo dada.
+ *
+ * Con tensión positiva la corriente tiende a la de saturación; con tensión de
+ * frenado decrece y se anula al alcanzar el potencial de frenado.
+ * @param {number} frequency Frecuencia en Hz.
+ * @param {number} workFunction Función trabajo en eV.
+ * @param {number} intensity Intensidad en %.
+ * @param {number} bias Tensión aplicada en V.
+ * @param {number} [quantumEfficiency=1] Electrones por fotón.
+ * @returns {number}
+ */
+export const photocurrent = (frequency, workFunction, intensity, bias, quantumEfficiency = 1) => {
+  if (!canEmitElectrons(frequency, workFunction)) return 0;
+
+  const vStop = stoppingPotential(frequency, workFunction);
+  const iSat = saturationCurrent(intensity, quantumEfficiency);
+  if (bias <= -vStop) return 0;
+  if (bias < 0) {
+    return iSat * ZERO_BIAS_COLLECTION * (1 + bias / vStop) ** 2;
+  }
+  return iSat * (1 - (1 - ZERO_BIAS_COLLECTION) * Math.exp(-bias / COLLECTION_VOLTAGE));
+};
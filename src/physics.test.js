@@ -0,0 +1,160 @@
+import {
+  PLANCK_CONSTANT_EV,
+  SPEED_OF_LIGHT,
+  metals,
+  getWorkFunction,
+  wavelengthFromFrequency,
+  frequencyFromWavelength,
+  photonEnergyFromFrequency,
+  photonEnergyFromWavelength,
+  thresholdFrequency,
+  thresholdWavelength,
+  canEmitElectrons,
+  maxKineticEnergy,
+  stoppingPotential,
+  electronSpeed,
+  getWavelengthColor,
+  SATURATION_CURRENT,
+  ZERO_BIAS_COLLECTION,
+  saturationCurrent,
+  photocurrent
+} from './physics';
+
+describe('constantes', () => {
+  test('h en eV·s coincide con el valor CODATA', () => {
+    expect(PLANCK_CONSTANT_EV).toBeCloseTo(4.135667696e-15, 23);
+  });
+
+  test('c es exacta', () => {
+    expect(SPEED_OF_LIGHT).toBe(299792458);
+  });
+});
+
+describe('tabla de metales', () => {
+  test('devuelve la función trabajo de un metal conocido', () => {
+    expect(getWorkFunction('Na')).toBe(2.75);
+    expect(getWorkFunction('Cu')).toBe(metals.Cu.workFunction);
+  });
+
+  test('cada metal tiene una eficiencia cuántica entre 0 y 1', () => {
+    Object.values(metals).forEach(metal => {
+      expect(metal.quantumEfficiency).toBeGreaterThan(0);
+      expect(metal.quantumEfficiency).toBeLessThanOrEqual(1);
+    });
+  });
+
+  test('acepta una tabla alternativa', () => {
+    expect(getWorkFunction('X', { X: { workFunction: 1.5 } })).toBe(1.5);
+  });
+
+  test('lanza un error con un símbolo desconocido', () => {
+    expect(() => getWorkFunction('Xx')).toThrow('Material desconocido: Xx');
+  });
+});
+
+describe('conversiones de la luz', () => {
+  test('frecuencia y longitud de onda son inversas', () => {
+    expect(wavelengthFromFrequency(6e14)).toBeCloseTo(499.654, 3);
+    expect(frequencyFromWavelength(wavelengthFromFrequency(7.5e14))).toBeCloseTo(7.5e14, -2);
+  });
+
+  test('energía del fotón desde frecuencia y desde longitud de onda', () => {
+    expect(photonEnergyFromFrequency(1e15)).toBeCloseTo(4.1357, 4);
+    expect(photonEnergyFromWavelength(500)).toBeCloseTo(2.4797, 4);
+    expect(photonEnergyFromWavelength(wavelengthFromFrequency(6e14)))
+      .toBeCloseTo(photonEnergyFromFrequency(6e14), 10);
+  });
+});
+
+describe('umbral', () => {
+  test('frecuencia umbral del sodio', () => {
+    expect(thresholdFrequency(2.75) / 1e14).toBeCloseTo(6.6495, 4);
+    expect(photonEnergyFromFrequency(thresholdFrequency(2.75))).toBeCloseTo(2.75, 10);
+  });
+
+  test('longitud de onda umbral del cesio', () => {
+    expect(thresholdWavelength(2.1)).toBeCloseTo(590.4, 1);
+  });
+
+  test('emisión sólo por encima del umbral', () => {
+    expect(canEmitElectrons(6e14, 2.75)).toBe(false);
+    expect(canEmitElectrons(7e14, 2.75)).toBe(true);
+  });
+});
+
+describe('energía cinética y potencial de frenado', () => {
+  test('Ec = hf − φ por encima del umbral', () => {
+    expect(maxKineticEnergy(1e15, 2.75)).toBeCloseTo(1.3857, 4);
+  });
+
+  test('Ec es cero por debajo del umbral', () => {
+    expect(maxKineticEnergy(5e14, 2.75)).toBe(0);
+  });
+
+  test('el potencial de frenado es numéricamente igual a Ec en eV', () => {
+    expect(stoppingPotential(1e15, 2.1)).toBe(maxKineticEnergy(1e15, 2.1));
+  });
+
+  test('rapidez del electrón', () => {
+    expect(electronSpeed(1)).toBeCloseTo(5.931e5, -2);
+    expect(electronSpeed(0)).toBe(0);
+    expect(electronSpeed(-1)).toBe(0);
+  });
+});
+
+describe('getWavelengthColor', () => {
+  test.each([
+    [300, '#8B00FF'],
+    [420, '#4B0082'],
+    [470, '#0000FF'],
+    [530, '#00FF00'],
+    [580, '#FFFF00'],
+    [600, '#FF7F00'],
+    [700, '#FF0000'],
+    [900, '#FF4500']
+  ])('%d nm → %s', (wl, color) => {
+    expect(getWavelengthColor(wl)).toBe(color);
+  });
+});
+
+describe('photocurrent', () => {
+  const f = 1e15; // Ec ≈ 1.386 eV sobre sodio
+  const vStop = stoppingPotential(f, 2.75);
+
+  test('la corriente de saturación es proporcional a la intensidad', () => {
+    expect(saturationCurrent(100)).toBe(SATURATION_CURRENT);
+    expect(saturationCurrent(50)).toBe(SATURATION_CURRENT / 2);
+  });
+
+  test('es nula por debajo del umbral', () => {
+    expect(photocurrent(5e14, 2.75, 100, 5)).toBe(0);
+  });
+
+  test('se anula en el potencial de frenado y más allá', () => {
+    expect(photocurrent(f, 2.75, 100, -vStop)).toBe(0);
+    expect(photocurrent(f, 2.75, 100, -vStop - 1)).toBe(0);
+    expect(photocurrent(f, 2.75, 100, -vStop + 0.1)).toBeGreaterThan(0);
+  });
+
+  test('sin tensión aplicada recoge una fracción fija', () => {
+    expect(photocurrent(f, 2.75, 100, 0)).toBeCloseTo(SATURATION_CURRENT * ZERO_BIAS_COLLECTION, 10);
+  });
+
+  test('satura con tensión positiva', () => {
+    expect(photocurrent(f, 2.75, 80, 20)).toBeCloseTo(saturationCurrent(80), 6);
+  });
+
+  test('crece monótonamente con la tensión', () => {
+    const values = [-1.2, -0.8, -0.4, 0, 0.5, 1, 2].map((v) => photocurrent(f, 2.75, 60, v));
+    values.slice(1).forEach((value, i) => expect(value).toBeGreaterThan(values[i]));
+  });
+
+  test('escala con la eficiencia cuántica del cátodo', () => {
+    expect(saturationCurrent(100, 0.2)).toBeCloseTo(0.2 * SATURATION_CURRENT, 10);
+    expect(photocurrent(f, 2.75, 100, 1, 0.15)).toBeCloseTo(0.15 * photocurrent(f, 2.75, 100, 1), 10);
+  });
+
+  test('escala con la intensidad a cualquier tensión', () => {
+    expect(photocurrent(f, 2.75, 100, -0.5)).toBeCloseTo(2 * photocurrent(f, 2.75, 50, -0.5), 10);
+  });
+});
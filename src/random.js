@@ -0,0 +1,63 @@
+// Generadores pseudoaleatorios con semilla, para simulaciones reproducibles.
+
+export const DEFAULT_SEED = 12345;
+
+/**
+ * Convierte una semilla (número o texto) en un entero sin signo de 32 bits.
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export const normalizeSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(Math.abs(seed)) >>> 0;
+  }
+  // FNV-1a sobre el texto
+  let hash = 2166136261;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Semilla independiente para un flujo con nombre (p. ej. 'measurements'),
+ * de modo que flujos distintos no compartan la misma secuencia.
+ * @param {number|string} seed
+ * @param {string} stream
+ * @returns {number}
+ */
+export const deriveSeed = (seed, stream) => normalizeSeed(`${normalizeSeed(seed)}:${stream}`);
+
+/**
+ * Generador uniforme en [0, 1) (mulberry32), con la misma interfaz que Math.random.
+ * @param {number|string} [seed=DEFAULT_SEED]
+ * @returns {() => number}
+ */
+export const createRandom = (seed = DEFAULT_SEED) => {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Muestra de una distribución normal (Box–Muller) a partir de un generador uniforme.
+ * @param {() => number} random
+ * @param {number} [mean=0]
+ * @param {number} [sd=1]
+ * @returns {number}
+ */
+export const gaussian = (random, mean = 0, sd = 1) => {
+  const u = 1 - random(); // (0, 1] para evitar log(0)
+  const v = random();
+  return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Semilla aleatoria para iniciar un experimento nuevo
+export const randomSeed = () => Math.floor(Math.random() * 1e9);
@@ -0,0 +1,53 @@
+import { createRandom, gaussian, normalizeSeed, deriveSeed } from './random';
+
+describe('createRandom', () => {
+  test('la misma semilla produce la misma secuencia', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const seqA = Array.from({ length: 20 }, () => a());
+    const seqB = Array.from({ length: 20 }, () => b());
+    expect(seqA).toEqual(seqB);
+  });
+
+  test('semillas distintas producen secuencias distintas', () => {
+    const a = createRandom(1);
+    const b = createRandom(2);
+    expect(a()).not.toBe(b());
+  });
+
+  test('los valores están en [0, 1) con media cercana a 1/2', () => {
+    const random = createRandom(99);
+    const values = Array.from({ length: 10000 }, () => random());
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...values)).toBeLessThan(1);
+    expect(values.reduce((s, v) => s + v, 0) / values.length).toBeCloseTo(0.5, 1);
+  });
+
+  test('acepta semillas de texto', () => {
+    expect(createRandom('millikan')()).toBe(createRandom('millikan')());
+  });
+});
+
+describe('semillas', () => {
+  test('normalizeSeed devuelve enteros de 32 bits', () => {
+    expect(normalizeSeed(12.7)).toBe(12);
+    expect(normalizeSeed('abc')).toBe(normalizeSeed('abc'));
+    expect(normalizeSeed('abc')).toBeLessThan(2 ** 32);
+  });
+
+  test('deriveSeed separa flujos de una misma semilla', () => {
+    expect(deriveSeed(5, 'measurements')).not.toBe(deriveSeed(5, 'particles'));
+    expect(deriveSeed(5, 'measurements')).toBe(deriveSeed(5, 'measurements'));
+  });
+});
+
+describe('gaussian', () => {
+  test('media y desviación estándar', () => {
+    const random = createRandom(3);
+    const values = Array.from({ length: 20000 }, () => gaussian(random, 2, 0.5));
+    const mean = values.reduce((s, v) => s + v, 0) / values.length;
+    const sd = Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / (values.length - 1));
+    expect(mean).toBeCloseTo(2, 1);
+    expect(sd).toBeCloseTo(0.5, 1);
+  });
+});
@@ -0,0 +1,77 @@
+// Estadística de las mediciones repetidas a la misma frecuencia.
+import { voltageUncertainty } from './instrument';
+
+/**
+ * Agrupa las mediciones por serie de datos, metal y frecuencia y calcula la
+ * media de Ec, la desviación típica muestral (s) y el error típico de la
+ * media (s/√n). Las mediciones excluidas del ajuste no cuentan. Las
+ * frecuencias se comparan tal como se registran (×10¹⁴ Hz con tres
+ * decimales), así que con error de frecuencia activado cada lectura forma su
+ * propio grupo.
+ * @param {object[]} measurements
+ * @returns {object[]} Grupos {key, dataset, metal, frequency, n, mean, sd,
+ *   se, instrument, ids}, en orden de aparición; sd y se son null con una
+ *   sola medición, e instrument es el de la primera medición si todas lo
+ *   guardan.
+ */
+export const summarizeRepeats = (measurements) => {
+  const groups = new Map();
+  measurements.forEach(m => {
+    const energy = parseFloat(m.kineticEnergy);
+    if (m.excluded || !Number.isFinite(energy)) return;
+    const dataset = m.dataset || null;
+    const key = JSON.stringify([dataset, m.metal, m.frequency]);
+    if (!groups.has(key)) {
+      groups.set(key, { key, dataset, metal: m.metal, frequency: m.frequency, energies: [], ids: [], instruments: [] });
+    }
+    const group = groups.get(key);
+    group.energies.push(energy);
+    group.ids.push(m.id);
+    group.instruments.push(m.instrument);
+  });
+
+  return [...groups.values()].map(({ energies, instruments, ...group }) => {
+    const n = energies.length;
+    const mean = energies.reduce((sum, e) => sum + e, 0) / n;
+    const sd = n > 1
+      ? Math.sqrt(energies.reduce((sum, e) => sum + (e - mean) ** 2, 0) / (n - 1))
+      : null;
+    return {
+      ...group,
+      n,
+      mean,
+      sd,
+      se: sd === null ? null : sd / Math.sqrt(n),
+      instrument: instruments.every(Boolean) ? instruments[0] : null
+    };
+  });
+};
+
+/**
+ * Desviación típica combinada de los grupos con repeticiones,
+ * √(Σ(nᵢ − 1)·sᵢ² / Σ(nᵢ − 1)).
+ * @param {object[]} groups Resultado de summarizeRepeats.
+ * @returns {number|null} null si ningún grupo tiene repeticiones.
+ */
+export const pooledStandardDeviation = (groups) => {
+  const repeated = groups.filter(g => g.n > 1);
+  const dof = repeated.reduce((sum, g) => sum + g.n - 1, 0);
+  if (dof === 0) return null;
+  return Math.sqrt(repeated.reduce((sum, g) => sum + (g.n - 1) * g.sd ** 2, 0) / dof);
+};
+
+/**
+ * Incertidumbre de la media de un grupo para ponderar el ajuste. Es el error
+ * típico de la media, pero nunca menor que el del voltímetro (σ/√n), porque
+ * con pocas repeticiones s puede salir casualmente muy pequeña o nula. Los
+ * grupos de una sola medición usan la desviación combinada de los demás.
+ * @param {object} group Grupo de summarizeRepeats.
+ * @param {number|null} [pooledSd=null] Resultado de pooledStandardDeviation.
+ * @returns {number|null} null si no hay forma de estimarla.
+ */
+export const meanUncertainty = (group, pooledSd = null) => {
+  const floor = group.instrument ? voltageUncertainty(group.instrument) / Math.sqrt(group.n) : 0;
+  const spread = group.se ?? (pooledSd !== null ? pooledSd / Math.sqrt(group.n) : 0);
+  const uncertainty = Math.max(spread, floor);
+  return uncertainty > 0 ? uncertainty : null;
+};
@@ -0,0 +1,51 @@
+import { summarizeRepeats, pooledStandardDeviation, meanUncertainty } from './repeats';
+import { voltageUncertainty } from './instrument';
+
+const instrument = { randomError: 0.01, resolution: 0.001 };
+const measurements = [
+  { id: 'a', metal: 'Na', frequency: 8, kineticEnergy: '0.560', instrument },
+  { id: 'b', metal: 'Na', frequency: 8, kineticEnergy: '0.580', instrument },
+  { id: 'c', metal: 'Na', frequency: 8, kineticEnergy: '0.600', instrument },
+  { id: 'd', metal: 'Na', frequency: 9, kineticEnergy: '0.970' },
+  { id: 'e', metal: 'Na', frequency: 8, kineticEnergy: '0.900', excluded: true },
+  { id: 'f', metal: 'Na', frequency: 8, kineticEnergy: '0.610', dataset: 'Fototubo' }
+];
+
+describe('summarizeRepeats', () => {
+  test('agrupa por serie, metal y frecuencia sin las excluidas', () => {
+    const groups = summarizeRepeats(measurements);
+    expect(groups.map(g => [g.dataset, g.frequency, g.n])).toEqual([[null, 8, 3], [null, 9, 1], ['Fototubo', 8, 1]]);
+    expect(groups[0].ids).toEqual(['a', 'b', 'c']);
+    expect(groups[0].mean).toBeCloseTo(0.58, 12);
+    expect(groups[0].sd).toBeCloseTo(0.02, 12);
+    expect(groups[0].se).toBeCloseTo(0.02 / Math.sqrt(3), 12);
+    expect(groups[0].instrument).toBe(instrument);
+  });
+
+  test('una sola medición no tiene dispersión', () => {
+    const [, single] = summarizeRepeats(measurements);
+    expect(single.sd).toBeNull();
+    expect(single.se).toBeNull();
+    expect(single.instrument).toBeNull();
+  });
+});
+
+describe('incertidumbre de las medias', () => {
+  const groups = summarizeRepeats(measurements);
+
+  test('desviación combinada', () => {
+    expect(pooledStandardDeviation(groups)).toBeCloseTo(0.02, 12);
+    expect(pooledStandardDeviation(groups.slice(1))).toBeNull();
+  });
+
+  test('error típico con el voltímetro como mínimo', () => {
+    expect(meanUncertainty(groups[0])).toBeCloseTo(0.02 / Math.sqrt(3), 12);
+    const identical = { ...groups[0], sd: 0, se: 0 };
+    expect(meanUncertainty(identical)).toBeCloseTo(voltageUncertainty(instrument) / Math.sqrt(3), 12);
+  });
+
+  test('una sola medición usa la desviación combinada', () => {
+    expect(meanUncertainty(groups[1], 0.02)).toBeCloseTo(0.02, 12);
+    expect(meanUncertainty(groups[1])).toBeNull();
+  });
+});
@@ -0,0 +1,123 @@
+// Dibujo de la escena de simulación sobre un contexto 2D de canvas.
+import {
+  BEAM_Y,
+  BEAM_HEIGHT,
+  SOURCE_X,
+  CATHODE_X,
+  PLATE_WIDTH,
+  PLATE_HEIGHT,
+  anodeX
+} from './particles';
+
+const ELECTRON_COLOR = '#60A5FA';
+const ANODE_COLOR = '#4B5563';
+
+// Rectángulo con esquinas redondeadas sólo en el lado indicado
+const roundedRect = (ctx, x, y, w, h, r, side) => {
+  const left = side === 'left' ? r : 0;
+  const right = side === 'right' ? r : 0;
+  ctx.beginPath();
+  ctx.moveTo(x + left, y);
+  ctx.lineTo(x + w - right, y);
+  ctx.arcTo(x + w, y, x + w, y + right, right);
+  ctx.lineTo(x + w, y + h - right);
+  ctx.arcTo(x + w, y + h, x + w - right, y + h, right);
+  ctx.lineTo(x + left, y + h);
+  ctx.arcTo(x, y + h, x, y + h - left, left);
+  ctx.lineTo(x, y + left);
+  ctx.arcTo(x, y, x + left, y, left);
+  ctx.closePath();
+};
+
+const drawSource = (ctx) => {
+  ctx.fillStyle = '#FACC15';
+  roundedRect(ctx, SOURCE_X, BEAM_Y - 24, 32, 48, 8, 'right');
+  ctx.fill();
+  ctx.fillStyle = '#FFFFFF';
+  ctx.beginPath();
+  ctx.arc(SOURCE_X + 16, BEAM_Y, 4, 0, Math.PI * 2);
+  ctx.fill();
+};
+
+const drawBeam = (ctx, color) => {
+  ctx.save();
+  ctx.globalAlpha = 0.35;
+  ctx.shadowColor = color;
+  ctx.shadowBlur = 20;
+  ctx.fillStyle = color;
+  ctx.fillRect(SOURCE_X + 32, BEAM_Y - BEAM_HEIGHT / 2, CATHODE_X - SOURCE_X - 32, BEAM_HEIGHT);
+  ctx.restore();
+};
+
+// Fotones como pequeñas flechas, un único trazado por color
+const drawPhotonGroup = (ctx, photons, color) => {
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  photons.forEach(p => {
+    const x = p.x - 6;
+    const y = p.y - 3;
+    ctx.moveTo(x, y + 2);
+    ctx.lineTo(x + 8, y + 2);
+    ctx.lineTo(x + 8, y);
+    ctx.lineTo(x + 12, y + 3);
+    ctx.lineTo(x + 8, y + 6);
+    ctx.lineTo(x + 8, y + 4);
+    ctx.lineTo(x, y + 4);
+    ctx.closePath();
+  });
+  ctx.fill();
+};
+
+const drawPhotons = (ctx, photons, fallbackColor) => {
+  const groups = new Map();
+  photons.forEach(p => {
+    const color = p.color || fallbackColor;
+    if (!groups.has(color)) groups.set(color, []);
+    groups.get(color).push(p);
+  });
+  groups.forEach((group, color) => drawPhotonGroup(ctx, group, color));
+};
+
+const drawElectrons = (ctx, electrons) => {
+  ctx.fillStyle = ELECTRON_COLOR;
+  ctx.beginPath();
+  electrons.forEach(e => {
+    ctx.moveTo(e.x + 4, e.y);
+    ctx.arc(e.x, e.y, 4, 0, Math.PI * 2);
+  });
+  ctx.fill();
+};
+
+const drawPlates = (ctx, width, metalColor) => {
+  const top = BEAM_Y - PLATE_HEIGHT / 2;
+  ctx.fillStyle = metalColor;
+  roundedRect(ctx, CATHODE_X, top, PLATE_WIDTH, PLATE_HEIGHT, 8, 'left');
+  ctx.fill();
+  ctx.fillStyle = ANODE_COLOR;
+  roundedRect(ctx, anodeX(width), top, PLATE_WIDTH, PLATE_HEIGHT, 8, 'right');
+  ctx.fill();
+};
+
+/**
+ * Dibuja la escena completa.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{photons: object[], electrons: object[]}} system
+ * @param {object} params
+ * @param {number} params.width Ancho de la escena en px.
+ * @param {number} params.height Alto de la escena en px.
+ * @param {boolean} params.isRunning Si la fuente está encendida.
+ * @param {string} params.lightColor Color de la mezcla de luz (haz y fotones sin color propio).
+ * @param {string} params.metalColor Color del cátodo.
+ */
+export const drawScene = (ctx, system, { width, height, isRunning, lightColor, metalColor }) => {
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, width, height);
+
+  drawSource(ctx);
+  if (isRunning) {
+    drawBeam(ctx, lightColor);
+  }
+  drawPhotons(ctx, system.photons, lightColor);
+  drawPlates(ctx, width, metalColor);
+  drawElectrons(ctx, system.electrons);
+};
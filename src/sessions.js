@@ -0,0 +1,339 @@
+// Sesiones de trabajo: controles, mediciones, materiales del usuario y notas,
+// guardadas con nombre en el navegador o intercambiadas como un único JSON.
+import { validateMaterial } from './materials';
+import {
+  DEFAULT_OPTICS,
+  OPTICAL_ELEMENTS,
+  INTERFERENCE_FILTERS,
+  MONOCHROMATOR_RANGE,
+  MONOCHROMATOR_BANDWIDTH,
+  ND_DENSITIES
+} from './optics';
+import { SOURCE_TYPES, LINE_SPECTRA, LED_SPECTRA } from './spectra';
+import { DEFAULT_INSTRUMENT, validateInstrument } from './instrument';
+import { DEFAULT_SEED, normalizeSeed } from './random';
+import { LIGHT_INPUTS } from './units';
+import { DEFAULT_METAL } from './physics';
+import { messageError } from './i18n';
+import { resolveStorage } from './storage';
+
+export const SESSION_INDEX_KEY = 'photoelectric.sessions';
+export const SESSION_KEY_PREFIX = 'photoelectric.session.';
+export const AUTOSAVE_KEY = 'photoelectric.autosave';
+export const SESSION_FORMAT = 'photoelectric-session';
+export const SESSION_FORMAT_VERSION = 1;
+
+export const DEFAULT_CONTROLS = {
+  frequency: 6.0, // ×10¹⁴ Hz
+  lightInput: 'frequency',
+  lightSource: { type: 'monochromatic', lamp: 'Hg', led: 'white', temperature: 3000 },
+  optics: DEFAULT_OPTICS,
+  intensity: 50, // %
+  biasVoltage: 0, // V
+  selectedMetal: DEFAULT_METAL,
+  seed: DEFAULT_SEED,
+  instrument: DEFAULT_INSTRUMENT,
+  thermalSmearing: false,
+  temperature: 300, // K
+  viewMode: 'table',
+  ivSettings: { vMin: -3, vMax: 3, step: 0.05 }
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const hasKey = (table) => (value) => Object.prototype.hasOwnProperty.call(table, value);
+const inRange = ({ min, max }) => (value) => Number.isFinite(value) && value >= min && value <= max;
+
+// Valores admitidos en los controles compuestos; los que no cumplan su
+// condición toman el valor por defecto
+const NESTED_CONTROLS = {
+  lightSource: {
+    type: (value) => SOURCE_TYPES.includes(value),
+    lamp: hasKey(LINE_SPECTRA),
+    led: hasKey(LED_SPECTRA),
+    temperature: (value) => Number.isFinite(value) && value > 0
+  },
+  optics: {
+    element: (value) => OPTICAL_ELEMENTS.includes(value),
+    filter: hasKey(INTERFERENCE_FILTERS),
+    center: inRange(MONOCHROMATOR_RANGE),
+    bandwidth: inRange(MONOCHROMATOR_BANDWIDTH),
+    density: (value) => ND_DENSITIES.includes(value)
+  },
+  ivSettings: {
+    vMin: Number.isFinite,
+    vMax: Number.isFinite,
+    step: (value) => Number.isFinite(value) && value > 0
+  }
+};
+
+const normalizeNested = (key, value) => {
+  const fallback = DEFAULT_CONTROLS[key];
+  const checks = NESTED_CONTROLS[key];
+  if (!checks) return { ...fallback, ...value };
+  return Object.fromEntries(Object.keys(fallback).map(field => [
+    field,
+    checks[field](value[field]) ? value[field] : fallback[field]
+  ]));
+};
+
+// Conserva sólo los controles conocidos, completando los que falten
+const normalizeControls = (controls) => {
+  const merged = { ...DEFAULT_CONTROLS };
+  if (!isObject(controls)) return merged;
+  Object.keys(DEFAULT_CONTROLS).forEach(key => {
+    const value = controls[key];
+    if (value === undefined) return;
+    const fallback = DEFAULT_CONTROLS[key];
+    if (isObject(fallback)) {
+      if (isObject(value)) merged[key] = normalizeNested(key, value);
+    } else if (typeof value === typeof fallback) {
+      merged[key] = value;
+    }
+  });
+  merged.seed = normalizeSeed(merged.seed);
+  merged.instrument = validateInstrument(merged.instrument);
+  if (!Object.prototype.hasOwnProperty.call(LIGHT_INPUTS, merged.lightInput)) {
+    merged.lightInput = DEFAULT_CONTROLS.lightInput;
+  }
+  return merged;
+};
+
+// Comprobaciones de las mediciones guardadas, para que la tabla y la gráfica
+// puedan mostrarlas. Las importadas llevan la fuente { type: 'imported' }
+const isNumeric = (value) => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== ''))
+  && Number.isFinite(Number(value));
+
+const isMeasuredSource = (source) => {
+  if (source === undefined || source === null) return true;
+  if (!isObject(source) || ![...SOURCE_TYPES, 'imported'].includes(source.type)) return false;
+  if (source.type === 'lines') return hasKey(LINE_SPECTRA)(source.lamp);
+  if (source.type === 'led') return hasKey(LED_SPECTRA)(source.led);
+  return true;
+};
+
+const isMeasuredOptics = (optics) => {
+  if (optics === undefined || optics === null) return true;
+  if (!isObject(optics) || !OPTICAL_ELEMENTS.includes(optics.element)) return false;
+  return optics.element !== 'filter' || hasKey(INTERFERENCE_FILTERS)(optics.filter);
+};
+
+const isMeasurement = (m) => isObject(m)
+  && typeof m.id === 'string' && m.id !== ''
+  && typeof m.metal === 'string' && m.metal !== ''
+  && isNumeric(m.frequency)
+  && isNumeric(m.kineticEnergy)
+  && isMeasuredSource(m.source)
+  && isMeasuredOptics(m.filter);
+
+/**
+ * Crea el documento de una sesión.
+ * @param {object} data
+ * @param {string} data.name Nombre de la sesión.
+ * @param {object} data.controls Estado de los controles (ver DEFAULT_CONTROLS).
+ * @param {object[]} data.measurements Mediciones registradas.
+ * @param {object} data.customMaterials Tabla de materiales del usuario.
+ * @param {string} [data.notes=''] Notas libres.
+ * @returns {object}
+ */
+export const createSession = ({ name, controls, measurements, customMaterials, notes = '' }) => ({
+  format: SESSION_FORMAT,
+  version: SESSION_FORMAT_VERSION,
+  name: String(name || '').trim(),
+  savedAt: new Date().toISOString(),
+  controls: normalizeControls(controls),
+  measurements,
+  customMaterials: Object.entries(customMaterials).map(([symbol, { custom, ...material }]) => ({
+    symbol,
+    ...material
+  })),
+  notes
+});
+
+/**
+ * Valida el documento de una sesión y devuelve una copia normalizada, con
+ * customMaterials como tabla indexada por símbolo. Lanza un Error con un
+ * mensaje para el usuario si no es válido o si alguna medición no tiene un id
+ * único, un metal, frecuencia y energía numéricas o una fuente y unos
+ * elementos ópticos conocidos.
+ * @param {object} data
+ * @returns {object}
+ */
+export const validateSession = (data) => {
+  if (!isObject(data) || data.format !== SESSION_FORMAT) {
+    throw messageError('error.session.notSession');
+  }
+  if (data.version > SESSION_FORMAT_VERSION) {
+    throw messageError('error.session.newerVersion');
+  }
+  if (!Array.isArray(data.measurements)) {
+    throw messageError('error.session.measurements');
+  }
+  const ids = new Set();
+  data.measurements.forEach((m, i) => {
+    if (!isMeasurement(m) || ids.has(m.id)) {
+      throw messageError('error.session.measurement', { index: i + 1 });
+    }
+    ids.add(m.id);
+  });
+  const materials = Array.isArray(data.customMaterials) ? data.customMaterials : [];
+  const customMaterials = {};
+  materials.forEach((entry, i) => {
+    let material;
+    try {
+      material = validateMaterial(entry);
+    } catch (err) {
+      throw messageError('error.materials.entry', { index: i + 1 }, err);
+    }
+    const { symbol, ...rest } = material;
+    customMaterials[symbol] = { ...rest, custom: true };
+  });
+
+  return {
+    name: String(data.name || '').trim(),
+    savedAt: data.savedAt || null,
+    controls: normalizeControls(data.controls),
+    measurements: data.measurements,
+    customMaterials,
+    notes: typeof data.notes === 'string' ? data.notes : ''
+  };
+};
+
+/**
+ * Documento JSON de una sesión, para descargarlo.
+ * @param {object} session Resultado de createSession.
+ * @returns {string}
+ */
+export const serializeSession = (session) => JSON.stringify(session, null, 2);
+
+/**
+ * Interpreta un documento de sesión.
+ * @param {string} text
+ * @returns {object} Sesión validada (ver validateSession).
+ */
+export const parseSession = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw messageError('error.file.invalidJson');
+  }
+  return validateSession(data);
+};
+
+// Almacenamiento de las sesiones, traduciendo el error si el navegador lo bloquea
+const openStorage = (storage) => {
+  try {
+    return resolveStorage(storage);
+  } catch (err) {
+    throw messageError('error.session.storageBlocked');
+  }
+};
+
+// Escribe en el almacenamiento traduciendo el error de cuota
+const writeItem = (storage, key, value) => {
+  try {
+    storage.setItem(key, value);
+  } catch (err) {
+    throw messageError('error.session.storageFull');
+  }
+};
+
+/**
+ * Sesiones guardadas, de la más reciente a la más antigua.
+ * @param {Storage} [storage=window.localStorage]
+ * @returns {{id: string, name: string, savedAt: string, count: number}[]}
+ */
+export const listSessions = (storage) => {
+  try {
+    const index = JSON.parse(resolveStorage(storage).getItem(SESSION_INDEX_KEY) || '[]');
+    return Array.isArray(index) ? index : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+// Identificador de una sesión nueva: la hora, con un número si ya hay otra
+// guardada en el mismo milisegundo
+const newSessionId = (index) => {
+  const base = Date.now().toString(36);
+  const ids = new Set(index.map(entry => entry.id));
+  let id = base;
+  for (let n = 2; ids.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+};
+
+/**
+ * Guarda una sesión con su nombre; si ya existe una con el mismo nombre la
+ * sustituye.
+ * @param {object} session Resultado de createSession.
+ * @param {Storage} [storage=window.localStorage]
+ * @returns {string} Identificador de la sesión guardada.
+ */
+export const saveSession = (session, storage) => {
+  if (!session.name) {
+    throw messageError('error.session.name');
+  }
+  const store = openStorage(storage);
+  const index = listSessions(store);
+  const existing = index.find(entry => entry.name === session.name);
+  const id = existing ? existing.id : newSessionId(index);
+  writeItem(store, SESSION_KEY_PREFIX + id, serializeSession(session));
+  const entry = { id, name: session.name, savedAt: session.savedAt, count: session.measurements.length };
+  writeItem(store, SESSION_INDEX_KEY, JSON.stringify([entry, ...index.filter(e => e.id !== id)]));
+  return id;
+};
+
+/**
+ * Lee una sesión guardada.
+ * @param {string} id
+ * @param {Storage} [storage=window.localStorage]
+ * @returns {object} Sesión validada (ver validateSession).
+ */
+export const loadSession = (id, storage) => {
+  const text = openStorage(storage).getItem(SESSION_KEY_PREFIX + id);
+  if (text === null) {
+    throw messageError('error.session.missing');
+  }
+  return parseSession(text);
+};
+
+/**
+ * Elimina una sesión guardada.
+ * @param {string} id
+ * @param {Storage} [storage=window.localStorage]
+ */
+export const deleteSession = (id, storage) => {
+  const store = openStorage(storage);
+  store.removeItem(SESSION_KEY_PREFIX + id);
+  writeItem(store, SESSION_INDEX_KEY, JSON.stringify(listSessions(store).filter(e => e.id !== id)));
+};
+
+/**
+ * Guarda el estado actual para recuperarlo al recargar la página. Los errores
+ * de almacenamiento se ignoran: el guardado automático es sólo una ayuda.
+ * @param {object} session Resultado de createSession.
+ * @param {Storage} [storage=window.localStorage]
+ */
+export const saveAutosave = (session, storage) => {
+  try {
+    resolveStorage(storage).setItem(AUTOSAVE_KEY, serializeSession(session));
+  } catch (err) {
+    // Sin espacio o sin acceso: se conserva el guardado anterior
+  }
+};
+
+/**
+ * Estado guardado automáticamente, o null si no hay uno válido.
+ * @param {Storage} [storage=window.localStorage]
+ * @returns {object|null}
+ */
+export const loadAutosave = (storage) => {
+  try {
+    const text = resolveStorage(storage).getItem(AUTOSAVE_KEY);
+    return text === null ? null : parseSession(text);
+  } catch (err) {
+    return null;
+  }
+};
@@ -0,0 +1,173 @@
+import {
+  DEFAULT_CONTROLS,
+  SESSION_INDEX_KEY,
+  createSession,
+  validateSession,
+  serializeSession,
+  parseSession,
+  listSessions,
+  saveSession,
+  loadSession,
+  deleteSession,
+  saveAutosave,
+  loadAutosave
+} from './sessions';
+import { DEFAULT_FERMI_ENERGY } from './energyDistribution';
+import { createStorage } from './testStorage';
+
+const gaas = {
+  name: 'Arseniuro de galio',
+  workFunction: 4.07,
+  fermiEnergy: DEFAULT_FERMI_ENERGY,
+  quantumEfficiency: 0.2,
+  color: '#336699',
+  custom: true
+};
+
+const data = {
+  name: 'Práctica 3',
+  controls: { ...DEFAULT_CONTROLS, frequency: 8.5, selectedMetal: 'GaAs' },
+  measurements: [{ id: '1', frequency: 8.5, metal: 'GaAs', kineticEnergy: '0.250' }],
+  customMaterials: { GaAs: gaas },
+  notes: 'Lámpara recién encendida'
+};
+
+describe('documento de sesión', () => {
+  test('ida y vuelta por JSON', () => {
+    const session = parseSession(serializeSession(createSession(data)));
+    expect(session.name).toBe('Práctica 3');
+    expect(session.controls.frequency).toBe(8.5);
+    expect(session.measurements).toEqual(data.measurements);
+    expect(session.customMaterials).toEqual({ GaAs: gaas });
+    expect(session.notes).toBe(data.notes);
+  });
+
+  test('completa los controles que faltan e ignora los desconocidos', () => {
+    const doc = createSession(data);
+    const session = validateSession({
+      ...doc,
+      controls: { intensity: 80, optics: { density: 1 }, unknown: true, biasVoltage: 'alto' }
+    });
+    expect(session.controls.intensity).toBe(80);
+    expect(session.controls.optics).toEqual({ ...DEFAULT_CONTROLS.optics, density: 1 });
+    expect(session.controls.biasVoltage).toBe(DEFAULT_CONTROLS.biasVoltage);
+    expect(session.controls).not.toHaveProperty('unknown');
+  });
+
+  test('sustituye por los de defecto los valores desconocidos de los controles compuestos', () => {
+    const doc = createSession(data);
+    const session = validateSession({
+      ...doc,
+      controls: {
+        lightSource: { type: 'laser', lamp: 'Xe', led: 'red', temperature: -5 },
+        optics: { element: 'filter', filter: 'bogus', center: 5000, bandwidth: 0, density: 0.7 },
+        ivSettings: { vMin: 'bajo', vMax: 2, step: 0 }
+      }
+    });
+    expect(session.controls.lightSource).toEqual({ ...DEFAULT_CONTROLS.lightSource, led: 'red' });
+    expect(session.controls.optics).toEqual({ ...DEFAULT_CONTROLS.optics, element: 'filter' });
+    expect(session.controls.ivSettings).toEqual({ ...DEFAULT_CONTROLS.ivSettings, vMax: 2 });
+  });
+
+  test('conserva la magnitud de control de la luz si es válida', () => {
+    const doc = createSession(data);
+    expect(validateSession({ ...doc, controls: { lightInput: 'wavelength' } }).controls.lightInput)
+      .toBe('wavelength');
+    expect(validateSession({ ...doc, controls: { lightInput: 'toString' } }).controls.lightInput)
+      .toBe('frequency');
+  });
+
+  test('rechaza mediciones que no se pueden mostrar', () => {
+    const doc = createSession(data);
+    const [valid] = data.measurements;
+    const invalid = [
+      { ...valid, source: { type: 'laser' } },
+      { ...valid, source: { type: 'lines', lamp: 'Xe' } },
+      { ...valid, filter: { element: 'filter', filter: 'bogus', density: 0 } },
+      { ...valid, id: undefined },
+      { ...valid, frequency: 'alta' },
+      { ...valid, kineticEnergy: '' }
+    ];
+    invalid.forEach(m => {
+      expect(() => validateSession({ ...doc, measurements: [valid, { ...m, id: m.id && '2' }] })).toThrow('medición 2');
+    });
+    expect(() => validateSession({ ...doc, measurements: [valid, valid] })).toThrow('medición 2');
+    const imported = { ...valid, id: '2', source: { type: 'imported' }, filter: null };
+    expect(validateSession({ ...doc, measurements: [valid, imported] }).measurements).toHaveLength(2);
+  });
+
+  test('rechaza documentos que no son sesiones', () => {
+    expect(() => parseSession('{')).toThrow('JSON válido');
+    expect(() => parseSession('{"format":"otro"}')).toThrow('no es una sesión');
+    const doc = createSession(data);
+    expect(() => validateSession({ ...doc, version: 99 })).toThrow('más reciente');
+    expect(() => validateSession({ ...doc, measurements: {} })).toThrow('mediciones');
+    expect(() => validateSession({ ...doc, measurements: [{}] })).toThrow('medición 1');
+    expect(() => validateSession({ ...doc, customMaterials: [{ symbol: 'Na' }] })).toThrow('Material 1');
+  });
+});
+
+describe('sesiones guardadas', () => {
+  test('guarda, lista, abre y elimina', () => {
+    const storage = createStorage();
+    const id = saveSession(createSession(data), storage);
+    expect(listSessions(storage)).toEqual([
+      expect.objectContaining({ id, name: 'Práctica 3', count: 1 })
+    ]);
+    expect(loadSession(id, storage).controls.frequency).toBe(8.5);
+    deleteSession(id, storage);
+    expect(listSessions(storage)).toEqual([]);
+    expect(() => loadSession(id, storage)).toThrow('ya no existe');
+  });
+
+  test('guardar con el mismo nombre sustituye la sesión', () => {
+    const storage = createStorage();
+    const first = saveSession(createSession(data), storage);
+    saveSession(createSession({ ...data, name: 'Otra' }), storage);
+    const again = saveSession(createSession({ ...data, measurements: [] }), storage);
+    expect(again).toBe(first);
+    expect(listSessions(storage).map(e => e.name)).toEqual(['Práctica 3', 'Otra']);
+    expect(loadSession(first, storage).measurements).toEqual([]);
+  });
+
+  test('ids distintos y sin azar', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const random = jest.spyOn(Math, 'random');
+    const storage = createStorage();
+    const first = saveSession(createSession(data), storage);
+    const second = saveSession(createSession({ ...data, name: 'Otra' }), storage);
+    expect(first).toBe((1000).toString(36));
+    expect(second).not.toBe(first);
+    expect(random).not.toHaveBeenCalled();
+    now.mockRestore();
+    random.mockRestore();
+  });
+
+  test('exige un nombre e informa si no hay espacio', () => {
+    expect(() => saveSession(createSession({ ...data, name: ' ' }), createStorage())).toThrow('nombre');
+    const full = { ...createStorage(), setItem: () => { throw new Error('QuotaExceededError'); } };
+    expect(() => saveSession(createSession(data), full)).toThrow('espacio');
+  });
+
+  test('no falla al cargar si el navegador bloquea el almacenamiento', () => {
+    const blocked = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+    expect(listSessions()).toEqual([]);
+    expect(loadAutosave()).toBeNull();
+    expect(() => saveAutosave(createSession(data))).not.toThrow();
+    expect(() => saveSession(createSession(data))).toThrow('no permite');
+    blocked.mockRestore();
+  });
+
+  test('un índice corrupto no rompe la lista', () => {
+    expect(listSessions(createStorage({ [SESSION_INDEX_KEY]: '{roto' }))).toEqual([]);
+  });
+
+  test('guardado automático', () => {
+    const storage = createStorage();
+    expect(loadAutosave(storage)).toBeNull();
+    saveAutosave(createSession({ ...data, name: '' }), storage);
+    expect(loadAutosave(storage).measurements).toHaveLength(1);
+  });
+});
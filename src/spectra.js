@@ -0,0 +1,358 @@
+// Fuentes de luz y espectros.
+//
+// Un espectro es una lista de componentes { wavelength (nm), frequency (Hz),
+// weight }, donde weight es la fracción del flujo de fotones de la fuente que
+// lleva cada componente. En la fuente los pesos suman 1; los elementos ópticos
+// pueden reducirlos, y la suma pasa a ser la fracción transmitida.
+import {
+  PLANCK_CONSTANT,
+  SPEED_OF_LIGHT,
+  FREQUENCY_UNIT,
+  frequencyFromWavelength,
+  wavelengthFromFrequency,
+  photonEnergyFromFrequency,
+  getWavelengthColor,
+  photocurrent
+} from './physics';
+import { DEFAULT_LANGUAGE, formatNumber, translate } from './i18n';
+import { DEFAULT_UNITS, formatQuantity, unitLabel } from './units';
+
+// Tipos de fuente; su nombre es el mensaje source.<tipo>
+export const SOURCE_TYPES = ['monochromatic', 'lines', 'led', 'blackbody'];
+
+// Líneas de emisión: longitud de onda (nm) e intensidad relativa aproximada.
+// El nombre de cada lámpara es el mensaje lamp.<clave>, y measured.lamp.<clave>
+// dentro de la descripción de una medición
+export const LINE_SPECTRA = {
+  Hg: {
+    lines: [
+      [365.0, 0.26],
+      [404.7, 0.14],
+      [435.8, 0.22],
+      [546.1, 0.2],
+      [577.0, 0.09],
+      [579.1, 0.09]
+    ]
+  },
+  Na: {
+    lines: [
+      [330.3, 0.02],
+      [568.8, 0.02],
+      [589.0, 0.58],
+      [589.6, 0.38]
+    ]
+  },
+  H: {
+    lines: [
+      [410.2, 0.08],
+      [434.0, 0.14],
+      [486.1, 0.26],
+      [656.3, 0.52]
+    ]
+  }
+};
+
+// LED: bandas gaussianas (centro y anchura a media altura en nm, peso
+// relativo). El nombre de cada LED es el mensaje led.<clave> (measured.led.<clave>
+// dentro de la descripción de una medición), seguido de su longitud de onda
+// nominal (peak, nm) si la tiene
+export const LED_SPECTRA = {
+  uv: { peak: 365, bands: [[365, 10, 1]] },
+  blue: { peak: 470, bands: [[470, 25, 1]] },
+  green: { peak: 525, bands: [[525, 35, 1]] },
+  red: { peak: 630, bands: [[630, 20, 1]] },
+  white: { bands: [[450, 20, 0.35], [560, 110, 0.65]] }
+};
+
+// Rejilla para espectros continuos (nm)
+export const GRID_MIN = 200;
+export const GRID_MAX = 2500;
+export const GRID_STEP = 5;
+
+// Fracción del flujo, en el extremo más energético del espectro, que no se
+// tiene en cuenta al fijar el potencial de frenado. Evita que la cola
+// ultravioleta de un espectro continuo, con unos pocos fotones, lo domine.
+export const CUTOFF_FLUX_FRACTION = 1e-3;
+
+const BOLTZMANN = 1.380649e-23; // J/K
+
+const component = (wavelength, weight) => ({
+  wavelength,
+  frequency: frequencyFromWavelength(wavelength),
+  weight
+});
+
+// Nombre de un LED, en la forma que toma dentro de la descripción
+// (measured.led.<clave>), con su longitud de onda nominal en la unidad elegida
+const ledName = (led, language, units) => {
+  const name = translate(language, `measured.led.${led}`);
+  const { peak } = LED_SPECTRA[led];
+  if (!peak) return name;
+  return translate(language, 'led.peak', {
+    name,
+    value: formatNumber(language, formatQuantity(peak, 'wavelength', units)),
+    unit: unitLabel('wavelength', units)
+  });
+};
+
+// Parámetros del mensaje measured.source.<tipo> que describe cada fuente
+const SOURCE_DESCRIPTIONS = {
+  monochromatic: (source, language, units) => ({
+    value: formatNumber(language, formatQuantity(source.frequency, 'frequency', units, 1)),
+    unit: unitLabel('frequency', units)
+  }),
+  lines: (source, language) => ({ lamp: translate(language, `measured.lamp.${source.lamp}`) }),
+  led: (source, language, units) => ({ led: ledName(source.led, language, units) }),
+  blackbody: (source) => ({ temperature: source.temperature }),
+  imported: () => ({})
+};
+
+// Parámetro que distingue cada tipo de fuente
+const SOURCE_PARAMS = {
+  monochromatic: 'frequency',
+  lines: 'lamp',
+  led: 'led',
+  blackbody: 'temperature'
+};
+
+const hasKey = (table, key) => Object.prototype.hasOwnProperty.call(table, key);
+
+// Si la fuente guardada es de un tipo, lámpara o LED conocidos
+const isKnownSource = (source) => {
+  if (!source || !hasKey(SOURCE_DESCRIPTIONS, source.type)) return false;
+  if (source.type === 'lines') return hasKey(LINE_SPECTRA, source.lamp);
+  if (source.type === 'led') return hasKey(LED_SPECTRA, source.led);
+  return true;
+};
+
+/**
+ * Fuente tal como se guarda con una medición: el tipo y su parámetro, sin
+ * textos, para describirla después en las unidades elegidas.
+ * @param {object} source Ver buildSpectrum.
+ * @returns {object}
+ */
+export const measuredSource = (source) => {
+  const param = SOURCE_PARAMS[source.type];
+  return { type: source.type, [param]: source[param] };
+};
+
+/**
+ * Descripción breve de una fuente para tablas y exportaciones.
+ * @param {object} source Ver measuredSource; las mediciones importadas
+ *   llevan { type: 'imported' }.
+ * @param {string} [language=DEFAULT_LANGUAGE]
+ * @param {object} [units=DEFAULT_UNITS] Unidades elegidas (ver units.js).
+ * @returns {string} El mensaje measured.source.unknown si la fuente no se
+ *   reconoce.
+ */
+export const describeSource = (source, language = DEFAULT_LANGUAGE, units = DEFAULT_UNITS) => {
+  if (!isKnownSource(source)) return translate(language, 'measured.source.unknown');
+  return translate(language, `measured.source.${source.type}`, SOURCE_DESCRIPTIONS[source.type](source, language, units));
+};
+
+const normalize = (spectrum) => {
+  const total = spectrum.reduce((sum, c) => sum + c.weight, 0);
+  return total > 0 ? spectrum.map(c => ({ ...c, weight: c.weight / total })) : spectrum;
+};
+
+const grid = () => {
+  const wavelengths = [];
+  for (let wl = GRID_MIN; wl <= GRID_MAX; wl += GRID_STEP) {
+    wavelengths.push(wl);
+  }
+  return wavelengths;
+};
+
+/**
+ * Flujo espectral de fotones de un cuerpo negro (sin normalizar), por unidad
+ * de longitud de onda: ∝ λ⁻⁴ / (exp(hc/λkT) − 1).
+ * @param {number} wavelength nm
+ * @param {number} temperature K
+ * @returns {number}
+ */
+export const blackbodyPhotonFlux = (wavelength, temperature) => {
+  const lambda = wavelength * 1e-9;
+  const exponent = (PLANCK_CONSTANT * SPEED_OF_LIGHT) / (lambda * BOLTZMANN * temperature);
+  if (exponent > 700) return 0;
+  return 1 / (Math.pow(wavelength, 4) * Math.expm1(exponent));
+};
+
+/**
+ * Construye el espectro normalizado de una fuente.
+ * @param {object} source
+ * @param {string} source.type 'monochromatic' | 'lines' | 'led' | 'blackbody'.
+ * @param {number} [source.frequency] Frecuencia en ×10¹⁴ Hz (monocromática).
+ * @param {string} [source.lamp] Clave de LINE_SPECTRA.
+ * @param {string} [source.led] Clave de LED_SPECTRA.
+ * @param {number} [source.temperature] Temperatura del cuerpo negro en K.
+ * @returns {{wavelength: number, frequency: number, weight: number}[]}
+ */
+export const buildSpectrum = (source) => {
+  switch (source.type) {
+    case 'monochromatic': {
+      // Se conserva la frecuencia exacta, sin pasar por la longitud de onda
+      const frequency = source.frequency * FREQUENCY_UNIT;
+      return [{ wavelength: wavelengthFromFrequency(frequency), frequency, weight: 1 }];
+    }
+    case 'lines': {
+      const lamp = LINE_SPECTRA[source.lamp];
+      if (!lamp) throw new Error(`Lámpara desconocida: ${source.lamp}`);
+      return normalize(lamp.lines.map(([wl, weight]) => component(wl, weight)));
+    }
+    case 'led': {
+      const led = LED_SPECTRA[source.led];
+      if (!led) throw new Error(`LED desconocido: ${source.led}`);
+      return normalize(grid().map(wl => component(wl, led.bands.reduce((sum, [center, fwhm, weight]) => {
+        const sigma = fwhm / 2.3548;
+        return sum + weight * Math.exp(-0.5 * ((wl - center) / sigma) ** 2) / sigma;
+      }, 0))).filter(c => c.weight > 0));
+    }
+    case 'blackbody': {
+      if (!(source.temperature > 0)) throw new Error('La temperatura debe ser positiva');
+      return normalize(grid().map(wl => component(wl, blackbodyPhotonFlux(wl, source.temperature))))
+        .filter(c => c.weight > 0);
+    }
+    default:
+      throw new Error(`Tipo de fuente desconocido: ${source.type}`);
+  }
+};
+
+// Fracción total del flujo presente en el espectro
+export const totalWeight = (spectrum) => spectrum.reduce((sum, c) => sum + c.weight, 0);
+
+/**
+ * Resumen de la emisión que produce un espectro sobre un cátodo.
+ * @param {object[]} spectrum
+ * @param {number} workFunction eV
+ * @returns {{canEmit: boolean, emittingFraction: number, maxPhotonEnergy: number,
+ *   maxKineticEnergy: number, cutoffFrequency: number, meanPhotonEnergy: number}}
+ *   cutoffFrequency es la frecuencia (Hz) de la componente más energética que
+ *   no pertenece a la cola descartada (CUTOFF_FLUX_FRACTION): la que fija el
+ *   potencial de frenado.
+ */
+export const spectrumEmission = (spectrum, workFunction) => {
+  const total = totalWeight(spectrum);
+  const byFrequency = [...spectrum].sort((a, b) => b.frequency - a.frequency);
+  let tail = 0;
+  const cutoff = byFrequency.find(c => {
+    tail += c.weight;
+    return tail > CUTOFF_FLUX_FRACTION * total;
+  });
+  const cutoffFrequency = cutoff ? cutoff.frequency : 0;
+  const maxPhotonEnergy = photonEnergyFromFrequency(cutoffFrequency);
+  const emittingFraction = spectrum
+    .filter(c => photonEnergyFromFrequency(c.frequency) > workFunction)
+    .reduce((sum, c) => sum + c.weight, 0);
+  const meanPhotonEnergy = total > 0
+    ? spectrum.reduce((sum, c) => sum + c.weight * photonEnergyFromFrequency(c.frequency), 0) / total
+    : 0;
+
+  return {
+    canEmit: maxPhotonEnergy > workFunction,
+    emittingFraction,
+    maxPhotonEnergy,
+    maxKineticEnergy: Math.max(0, maxPhotonEnergy - workFunction),
+    cutoffFrequency,
+    meanPhotonEnergy
+  };
+};
+
+/**
+ * Fotocorriente (nA) integrada sobre el espectro.
+ * @param {object[]} spectrum
+ * @param {number} workFunction eV
+ * @param {number} intensity %
+ * @param {number} bias V
+ * @param {number} [quantumEfficiency=1]
+ * @returns {number}
+ */
+export const spectralPhotocurrent = (spectrum, workFunction, intensity, bias, quantumEfficiency = 1) =>
+  spectrum.reduce(
+    (sum, c) => sum + photocurrent(c.frequency, workFunction, intensity * c.weight, bias, quantumEfficiency),
+    0
+  );
+
+/**
+ * Prepara un muestreador de longitudes de onda según los pesos del espectro.
+ * @param {object[]} spectrum
+ * @returns {(random: () => number) => object} Devuelve una componente del espectro.
+ */
+export const createSpectrumSampler = (spectrum) => {
+  const cumulative = [];
+  let total = 0;
+  spectrum.forEach(c => {
+    total += c.weight;
+    cumulative.push(total);
+  });
+  return (random) => {
+    const target = random() * total;
+    let lo = 0;
+    let hi = cumulative.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] <= target) lo = mid + 1;
+      else hi = mid;
+    }
+    return spectrum[lo];
+  };
+};
+
+/**
+ * Color RGB (0–255) aproximado de una longitud de onda visible; negro fuera
+ * de 380–780 nm.
+ * @param {number} wavelength nm
+ * @returns {number[]}
+ */
+export const wavelengthToRGB = (wavelength) => {
+  const wl = wavelength;
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  if (wl >= 380 && wl < 440) {
+    r = (440 - wl) / 60;
+    b = 1;
+  } else if (wl >= 440 && wl < 490) {
+    g = (wl - 440) / 50;
+    b = 1;
+  } else if (wl >= 490 && wl < 510) {
+    g = 1;
+    b = (510 - wl) / 20;
+  } else if (wl >= 510 && wl < 580) {
+    r = (wl - 510) / 70;
+    g = 1;
+  } else if (wl >= 580 && wl < 645) {
+    r = 1;
+    g = (645 - wl) / 65;
+  } else if (wl >= 645 && wl <= 780) {
+    r = 1;
+  }
+  // Atenuación en los extremos del visible
+  let factor = 0;
+  if (wl >= 380 && wl < 420) factor = 0.3 + (0.7 * (wl - 380)) / 40;
+  else if (wl >= 420 && wl <= 700) factor = 1;
+  else if (wl > 700 && wl <= 780) factor = 0.3 + (0.7 * (780 - wl)) / 80;
+  return [r, g, b].map(c => Math.round(255 * c * factor));
+};
+
+const toHex = (rgb) => `#${rgb.map(c => c.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+
+/**
+ * Color de la mezcla de luz de un espectro, para el haz de la escena. Si no
+ * hay componentes visibles se usa el color de la componente dominante.
+ * @param {object[]} spectrum
+ * @returns {string} Color #RRGGBB.
+ */
+export const spectrumColor = (spectrum) => {
+  if (spectrum.length === 0) return '#000000';
+  const mix = [0, 0, 0];
+  spectrum.forEach(c => {
+    const rgb = wavelengthToRGB(c.wavelength);
+    rgb.forEach((value, i) => { mix[i] += value * c.weight; });
+  });
+  const peak = Math.max(...mix);
+  if (peak <= 0) {
+    const dominant = spectrum.reduce((best, c) => (c.weight > best.weight ? c : best));
+    return getWavelengthColor(dominant.wavelength);
+  }
+  return toHex(mix.map(value => Math.round((255 * value) / peak)));
+};
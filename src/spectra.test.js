@@ -0,0 +1,159 @@
+import {
+  LINE_SPECTRA,
+  LED_SPECTRA,
+  buildSpectrum,
+  describeSource,
+  measuredSource,
+  totalWeight,
+  spectrumEmission,
+  spectralPhotocurrent,
+  createSpectrumSampler,
+  wavelengthToRGB,
+  spectrumColor
+} from './spectra';
+import { photocurrent, photonEnergyFromFrequency, metals } from './physics';
+import { createRandom } from './random';
+import { DEFAULT_UNITS } from './units';
+
+describe('buildSpectrum', () => {
+  test('la fuente monocromática conserva la frecuencia exacta', () => {
+    const spectrum = buildSpectrum({ type: 'monochromatic', frequency: 6 });
+    expect(spectrum).toHaveLength(1);
+    expect(spectrum[0].frequency).toBe(6e14);
+    expect(spectrum[0].wavelength).toBeCloseTo(499.65, 1);
+    expect(spectrum[0].weight).toBe(1);
+  });
+
+  test.each(Object.keys(LINE_SPECTRA))('la lámpara %s está normalizada', (lamp) => {
+    const spectrum = buildSpectrum({ type: 'lines', lamp });
+    expect(spectrum).toHaveLength(LINE_SPECTRA[lamp].lines.length);
+    expect(totalWeight(spectrum)).toBeCloseTo(1, 12);
+  });
+
+  test.each(Object.keys(LED_SPECTRA))('el LED %s está normalizado', (led) => {
+    expect(totalWeight(buildSpectrum({ type: 'led', led }))).toBeCloseTo(1, 12);
+  });
+
+  test('el máximo del cuerpo negro se desplaza con la temperatura', () => {
+    const peak = (temperature) => buildSpectrum({ type: 'blackbody', temperature })
+      .reduce((best, c) => (c.weight > best.weight ? c : best)).wavelength;
+    // Máximo del flujo de fotones por unidad de λ: λ·T ≈ 3670 µm·K
+    expect(peak(3000)).toBeCloseTo(3670e3 / 3000, -1);
+    expect(peak(6000)).toBeLessThan(peak(3000));
+  });
+
+  test('rechaza fuentes desconocidas', () => {
+    expect(() => buildSpectrum({ type: 'laser' })).toThrow('Tipo de fuente desconocido');
+    expect(() => buildSpectrum({ type: 'lines', lamp: 'Xe' })).toThrow('Lámpara desconocida');
+    expect(() => buildSpectrum({ type: 'blackbody', temperature: 0 })).toThrow();
+  });
+});
+
+describe('describeSource', () => {
+  test('nombra cada tipo de fuente', () => {
+    expect(describeSource({ type: 'monochromatic', frequency: 7.5 })).toBe('Monocromática 7,5 ×10¹⁴ Hz');
+    expect(describeSource({ type: 'lines', lamp: 'Hg' })).toBe('Lámpara de mercurio');
+    expect(describeSource({ type: 'blackbody', temperature: 2800 })).toBe('Cuerpo negro 2800 K');
+  });
+
+  test('en el idioma indicado', () => {
+    expect(describeSource({ type: 'lines', lamp: 'Na' }, 'en')).toBe('sodium lamp');
+    expect(describeSource({ type: 'led', led: 'red' }, 'pt')).toBe('LED vermelho 630 nm');
+    expect(describeSource({ type: 'imported' }, 'en')).toBe('Imported');
+  });
+
+  test('no falla con fuentes desconocidas', () => {
+    expect(describeSource({ type: 'laser' }, 'en')).toBe('Unknown source');
+    expect(describeSource({ type: 'lines', lamp: 'Xe' })).toBe('Fuente desconocida');
+    expect(describeSource({ type: 'toString' })).toBe('Fuente desconocida');
+  });
+
+  test('usa la unidad de frecuencia elegida al describir', () => {
+    const source = measuredSource({ type: 'monochromatic', frequency: 7.5, lamp: 'Hg', led: 'white' });
+    expect(source).toEqual({ type: 'monochromatic', frequency: 7.5 });
+    expect(describeSource(source, 'es', { ...DEFAULT_UNITS, frequency: 'THz' })).toBe('Monocromática 750 THz');
+    expect(describeSource({ type: 'led', led: 'red' }, 'en', { ...DEFAULT_UNITS, wavelength: 'um' }))
+      .toBe('LED red 0.63 µm');
+  });
+});
+
+describe('spectrumEmission', () => {
+  test('con luz monocromática coincide con el modelo de una frecuencia', () => {
+    const spectrum = buildSpectrum({ type: 'monochromatic', frequency: 8 });
+    const emission = spectrumEmission(spectrum, metals.Na.workFunction);
+    expect(emission.canEmit).toBe(true);
+    expect(emission.cutoffFrequency).toBe(8e14);
+    expect(emission.maxKineticEnergy).toBeCloseTo(photonEnergyFromFrequency(8e14) - metals.Na.workFunction, 12);
+    expect(emission.emittingFraction).toBe(1);
+  });
+
+  test('la línea más energética fija Ec,max', () => {
+    const spectrum = buildSpectrum({ type: 'lines', lamp: 'Hg' });
+    const emission = spectrumEmission(spectrum, metals.Na.workFunction);
+    // 365,0 nm → 3,397 eV
+    expect(emission.maxPhotonEnergy).toBeCloseTo(3.397, 2);
+    expect(emission.emittingFraction).toBeGreaterThan(0);
+    expect(emission.emittingFraction).toBeLessThan(1);
+  });
+
+  test('la cola ultravioleta del cuerpo negro no domina el corte', () => {
+    const spectrum = buildSpectrum({ type: 'blackbody', temperature: 3000 });
+    const emission = spectrumEmission(spectrum, metals.Cs.workFunction);
+    expect(emission.maxPhotonEnergy).toBeLessThan(4);
+    expect(emission.maxPhotonEnergy).toBeGreaterThan(emission.meanPhotonEnergy);
+  });
+
+  test('sin componentes por encima del umbral no hay emisión', () => {
+    const spectrum = buildSpectrum({ type: 'led', led: 'red' });
+    expect(spectrumEmission(spectrum, metals.Zn.workFunction).canEmit).toBe(false);
+  });
+});
+
+describe('spectralPhotocurrent', () => {
+  test('con una sola línea coincide con photocurrent', () => {
+    const spectrum = buildSpectrum({ type: 'monochromatic', frequency: 7 });
+    expect(spectralPhotocurrent(spectrum, 2.28, 60, 0.5, 0.15))
+      .toBeCloseTo(photocurrent(7e14, 2.28, 60, 0.5, 0.15), 12);
+  });
+
+  test('sólo contribuyen las componentes por encima del umbral', () => {
+    const spectrum = [
+      { wavelength: 400, frequency: 7.5e14, weight: 0.5 },
+      { wavelength: 700, frequency: 4.3e14, weight: 0.5 }
+    ];
+    expect(spectralPhotocurrent(spectrum, 2.28, 100, 5))
+      .toBeCloseTo(photocurrent(7.5e14, 2.28, 50, 5), 12);
+  });
+});
+
+describe('createSpectrumSampler', () => {
+  test('elige las componentes en proporción a su peso', () => {
+    const spectrum = [
+      { wavelength: 400, weight: 0.2 },
+      { wavelength: 500, weight: 0.8 }
+    ];
+    const sample = createSpectrumSampler(spectrum);
+    const random = createRandom(9);
+    let blue = 0;
+    for (let i = 0; i < 5000; i++) {
+      if (sample(random).wavelength === 400) blue += 1;
+    }
+    expect(blue / 5000).toBeCloseTo(0.2, 1);
+  });
+});
+
+describe('colores', () => {
+  test('fuera del visible el color es negro', () => {
+    expect(wavelengthToRGB(300)).toEqual([0, 0, 0]);
+    expect(wavelengthToRGB(900)).toEqual([0, 0, 0]);
+    expect(wavelengthToRGB(650)).toEqual([255, 0, 0]);
+  });
+
+  test('la mezcla refleja las componentes', () => {
+    expect(spectrumColor(buildSpectrum({ type: 'led', led: 'red' }))).toMatch(/^#FF/);
+    expect(spectrumColor([{ wavelength: 300, weight: 1 }])).toBe('#8B00FF');
+    const white = spectrumColor(buildSpectrum({ type: 'led', led: 'white' }));
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(white.slice(i, i + 2), 16));
+    expect(Math.min(r, g, b)).toBeGreaterThan(100);
+  });
+});
@@ -0,0 +1,11 @@
+// Acceso al almacenamiento local del navegador.
+
+/**
+ * Almacenamiento indicado o, sin él, el del navegador. Leer
+ * window.localStorage lanza un SecurityError si el navegador lo bloquea (por
+ * ejemplo, en un iframe aislado), así que se llama dentro del try de quien lo
+ * usa.
+ * @param {Storage} [storage]
+ * @returns {Storage}
+ */
+export const resolveStorage = (storage) => storage || window.localStorage;
@@ -0,0 +1,108 @@
+// Barridos automáticos de mediciones: frecuencias × metales × intensidades ×
+// repeticiones.
+import { messageError } from './i18n';
+
+export const MAX_SWEEP_POINTS = 5000;
+export const SWEEP_BATCH_SIZE = 25; // mediciones entre pausas para refrescar la interfaz
+
+/**
+ * Interpreta una lista de números separados por comas o espacios.
+ * @param {string} text
+ * @returns {number[]}
+ */
+export const parseNumberList = (text) => String(text)
+  .split(/[\s,;]+/)
+  .filter(Boolean)
+  .map(Number);
+
+/**
+ * Frecuencias de fMin a fMax (incluidas) con el paso indicado, en ×10¹⁴ Hz.
+ * @param {number} fMin
+ * @param {number} fMax
+ * @param {number} fStep
+ * @returns {number[]}
+ */
+export const frequencyGrid = (fMin, fMax, fStep) => {
+  if (!(fStep > 0 && Number.isFinite(fStep))) {
+    throw messageError('error.sweep.step');
+  }
+  if (!(Number.isFinite(fMin) && Number.isFinite(fMax) && fMax >= fMin)) {
+    throw messageError('error.sweep.range');
+  }
+  const count = Math.floor((fMax - fMin) / fStep + 1e-9);
+  // Se comprueba antes de crear la rejilla: un paso diminuto la haría enorme
+  if (count + 1 > MAX_SWEEP_POINTS) {
+    throw messageError('error.sweep.tooManyFrequencies', { count: count + 1, max: MAX_SWEEP_POINTS });
+  }
+  // Redondeo para evitar acumular error de coma flotante en la rejilla
+  return Array.from({ length: count + 1 }, (_, i) => Math.round((fMin + i * fStep) * 1e6) / 1e6);
+};
+
+/**
+ * Lista de puntos que recorrerá el barrido. Lanza un Error con un mensaje
+ * para el usuario si la configuración no es válida.
+ * @param {object} config
+ * @param {number} config.fMin Frecuencia inicial (×10¹⁴ Hz).
+ * @param {number} config.fMax Frecuencia final (×10¹⁴ Hz).
+ * @param {number} config.fStep Paso (×10¹⁴ Hz).
+ * @param {string[]} config.metals Símbolos de los materiales.
+ * @param {number[]} config.intensities Intensidades en %.
+ * @param {number} config.repeats Repeticiones por punto.
+ * @returns {{frequency: number, metal: string, intensity: number, repeat: number}[]}
+ */
+export const buildSweepPlan = ({ fMin, fMax, fStep, metals, intensities, repeats }) => {
+  const frequencies = frequencyGrid(fMin, fMax, fStep);
+  if (!metals || metals.length === 0) {
+    throw messageError('error.sweep.noMetals');
+  }
+  if (!intensities || intensities.length === 0 || intensities.some(i => !(i > 0 && i <= 100))) {
+    throw messageError('error.sweep.intensities');
+  }
+  if (!(Number.isInteger(repeats) && repeats >= 1)) {
+    throw messageError('error.sweep.repeats');
+  }
+  const total = frequencies.length * metals.length * intensities.length * repeats;
+  if (total > MAX_SWEEP_POINTS) {
+    throw messageError('error.sweep.tooManyMeasurements', { count: total, max: MAX_SWEEP_POINTS });
+  }
+
+  const plan = [];
+  metals.forEach(metal => {
+    intensities.forEach(intensity => {
+      frequencies.forEach(frequency => {
+        for (let repeat = 1; repeat <= repeats; repeat++) {
+          plan.push({ frequency, metal, intensity, repeat });
+        }
+      });
+    });
+  });
+  return plan;
+};
+
+// Cede el control al navegador para que se actualice la interfaz
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Ejecuta un barrido por lotes. Entre lote y lote entrega las mediciones
+ * nuevas y el progreso, y comprueba si se ha cancelado.
+ * @param {object[]} plan Puntos de buildSweepPlan.
+ * @param {(point: object) => object} measure Toma la medición de un punto.
+ * @param {object} [options]
+ * @param {(batch: object[], done: number, total: number) => void} [options.onBatch]
+ * @param {AbortSignal} [options.signal] Permite cancelar el barrido.
+ * @param {number} [options.batchSize=SWEEP_BATCH_SIZE]
+ * @returns {Promise<{completed: number, cancelled: boolean}>}
+ */
+export const runSweep = async (plan, measure, { onBatch = () => {}, signal, batchSize = SWEEP_BATCH_SIZE } = {}) => {
+  let completed = 0;
+  while (completed < plan.length) {
+    if (signal && signal.aborted) {
+      return { completed, cancelled: true };
+    }
+    const batch = plan.slice(completed, completed + batchSize).map(measure);
+    completed += batch.length;
+    onBatch(batch, completed, plan.length);
+    await nextTick();
+  }
+  return { completed, cancelled: false };
+};
@@ -0,0 +1,72 @@
+import { parseNumberList, frequencyGrid, buildSweepPlan, runSweep, MAX_SWEEP_POINTS } from './sweep';
+
+const config = { fMin: 6, fMax: 8, fStep: 0.5, metals: ['Na', 'K'], intensities: [50], repeats: 3 };
+
+describe('buildSweepPlan', () => {
+  test('interpreta listas de números', () => {
+    expect(parseNumberList('25, 50;100  75')).toEqual([25, 50, 100, 75]);
+    expect(parseNumberList('')).toEqual([]);
+  });
+
+  test('la rejilla incluye los extremos sin error de redondeo', () => {
+    expect(frequencyGrid(6, 7, 0.1)).toHaveLength(11);
+    expect(frequencyGrid(6, 7, 0.1)[3]).toBe(6.3);
+    expect(frequencyGrid(6, 6, 1)).toEqual([6]);
+  });
+
+  test('recorre todas las combinaciones con sus repeticiones', () => {
+    const plan = buildSweepPlan(config);
+    expect(plan).toHaveLength(5 * 2 * 1 * 3);
+    expect(plan[0]).toEqual({ frequency: 6, metal: 'Na', intensity: 50, repeat: 1 });
+    expect(plan.filter(p => p.metal === 'K' && p.frequency === 7.5)).toHaveLength(3);
+  });
+
+  test('rechaza configuraciones inválidas', () => {
+    expect(() => buildSweepPlan({ ...config, fStep: 0 })).toThrow('paso');
+    expect(() => buildSweepPlan({ ...config, fMax: 5 })).toThrow('frecuencia final');
+    expect(() => buildSweepPlan({ ...config, metals: [] })).toThrow('material');
+    expect(() => buildSweepPlan({ ...config, intensities: [150] })).toThrow('intensidades');
+    expect(() => buildSweepPlan({ ...config, repeats: 0 })).toThrow('repeticiones');
+    expect(() => buildSweepPlan({ ...config, fStep: 0.001, repeats: 10 })).toThrow(String(MAX_SWEEP_POINTS));
+  });
+
+  test('rechaza pasos diminutos sin crear la rejilla', () => {
+    const from = jest.spyOn(Array, 'from');
+    expect(() => frequencyGrid(4, 7.5, 1e-7)).toThrow(String(MAX_SWEEP_POINTS));
+    expect(from).not.toHaveBeenCalled();
+    from.mockRestore();
+    expect(() => buildSweepPlan({ ...config, fMin: NaN })).toThrow('frecuencia final');
+  });
+});
+
+describe('runSweep', () => {
+  test('mide cada punto y avisa del progreso por lotes', async () => {
+    const plan = buildSweepPlan(config);
+    const progress = [];
+    const results = [];
+    const outcome = await runSweep(plan, p => ({ ...p }), {
+      batchSize: 7,
+      onBatch: (batch, done, total) => {
+        results.push(...batch);
+        progress.push([done, total]);
+      }
+    });
+    expect(outcome).toEqual({ completed: 30, cancelled: false });
+    expect(results).toEqual(plan);
+    expect(progress[0]).toEqual([7, 30]);
+    expect(progress[progress.length - 1]).toEqual([30, 30]);
+  });
+
+  test('se detiene al cancelar', async () => {
+    const plan = buildSweepPlan(config);
+    const controller = new AbortController();
+    const outcome = await runSweep(plan, p => p, {
+      batchSize: 4,
+      onBatch: (batch, done) => {
+        if (done >= 8) controller.abort();
+      },
+      signal: controller.signal
+    });
+    expect(outcome).toEqual({ completed: 8, cancelled: true });
+  });
+});
@@ -0,0 +1,130 @@
+// Deshacer y rehacer las ediciones de la tabla de mediciones.
+//
+// El historial guarda operaciones (cambios de campos, borrados y
+// reinserciones) en vez de copias de la lista, así que deshacer una edición
+// no se lleva por delante las mediciones registradas después.
+
+export const HISTORY_LIMIT = 100;
+
+/**
+ * Historial vacío.
+ * @returns {{past: object[], future: object[]}}
+ */
+export const createHistory = () => ({ past: [], future: [] });
+
+/**
+ * Operación que cambia campos de una medición.
+ * @param {object} measurement Medición actual.
+ * @param {object} changes Campos nuevos.
+ * @returns {object}
+ */
+export const updateOperation = (measurement, changes) => ({
+  type: 'update',
+  id: measurement.id,
+  before: Object.fromEntries(Object.keys(changes).map(key => [key, measurement[key]])),
+  after: { ...changes }
+});
+
+/**
+ * Operación que borra las mediciones que cumplen la condición, recordando su
+ * posición para poder reinsertarlas.
+ * @param {object[]} measurements Lista actual.
+ * @param {(m: object) => boolean} predicate
+ * @returns {object}
+ */
+export const removeOperation = (measurements, predicate) => ({
+  type: 'remove',
+  entries: measurements
+    .map((measurement, index) => ({ index, measurement }))
+    .filter(({ measurement }) => predicate(measurement))
+});
+
+/**
+ * Aplica una operación a la lista de mediciones.
+ * @param {object[]} measurements
+ * @param {object} operation
+ * @returns {object[]} Lista nueva.
+ */
+export const applyOperation = (measurements, operation) => {
+  switch (operation.type) {
+    case 'update':
+      return measurements.map(m => (m.id === operation.id ? { ...m, ...operation.after } : m));
+    case 'remove': {
+      const ids = new Set(operation.entries.map(e => e.measurement.id));
+      return measurements.filter(m => !ids.has(m.id));
+    }
+    case 'insert': {
+      const present = new Set(measurements.map(m => m.id));
+      const result = [...measurements];
+      operation.entries
+        .filter(e => !present.has(e.measurement.id))
+        .sort((a, b) => a.index - b.index)
+        .forEach(({ index, measurement }) => result.splice(Math.min(index, result.length), 0, measurement));
+      return result;
+    }
+    default:
+      throw new Error(`Operación desconocida: ${operation.type}`);
+  }
+};
+
+/**
+ * Operación que deshace la indicada.
+ * @param {object} operation
+ * @returns {object}
+ */
+export const invertOperation = (operation) => {
+  switch (operation.type) {
+    case 'update':
+      return { ...operation, before: operation.after, after: operation.before };
+    case 'remove':
+      return { ...operation, type: 'insert' };
+    case 'insert':
+      return { ...operation, type: 'remove' };
+    default:
+      throw new Error(`Operación desconocida: ${operation.type}`);
+  }
+};
+
+/**
+ * Añade una operación ya aplicada al historial y descarta lo que se podía
+ * rehacer.
+ * @param {{past: object[], future: object[]}} history
+ * @param {object} operation
+ * @returns {{past: object[], future: object[]}}
+ */
+export const commitOperation = (history, operation) => ({
+  past: [...history.past, operation].slice(-HISTORY_LIMIT),
+  future: []
+});
+
+/**
+ * Deshace la última operación.
+ * @param {{past: object[], future: object[]}} history
+ * @param {object[]} measurements Lista actual.
+ * @returns {{history: object, measurements: object[]}|null} null si no hay
+ *   nada que deshacer.
+ */
+export const undoOperation = (history, measurements) => {
+  if (history.past.length === 0) return null;
+  const operation = history.past[history.past.length - 1];
+  return {
+    history: { past: history.past.slice(0, -1), future: [operation, ...history.future] },
+    measurements: applyOperation(measurements, invertOperation(operation))
+  };
+};
+
+/**
+ * Rehace la última operación deshecha.
+ * @param {{past: object[], future: object[]}} history
+ * @param {object[]} measurements Lista actual.
+ * @returns {{history: object, measurements: object[]}|null} null si no hay
+ *   nada que rehacer.
+ */
+export const redoOperation = (history, measurements) => {
+  if (history.future.length === 0) return null;
+  const [operation, ...future] = history.future;
+  return {
+    history: { past: [...history.past, operation], future },
+    measurements: applyOperation(measurements, operation)
+  };
+};
@@ -0,0 +1,60 @@
+import {
+  createHistory,
+  updateOperation,
+  removeOperation,
+  applyOperation,
+  commitOperation,
+  undoOperation,
+  redoOperation,
+  HISTORY_LIMIT
+} from './tableHistory';
+
+const list = [{ id: 'a', note: '' }, { id: 'b' }, { id: 'c' }, { id: 'd' }];
+const ids = (measurements) => measurements.map(m => m.id);
+
+// Aplica una operación y la guarda en el historial, como hace el simulador
+const edit = ({ history, measurements }, operation) => ({
+  history: commitOperation(history, operation),
+  measurements: applyOperation(measurements, operation)
+});
+
+test('deshacer y rehacer un cambio de campos', () => {
+  let state = edit({ history: createHistory(), measurements: list }, updateOperation(list[1], { excluded: true }));
+  expect(state.measurements[1].excluded).toBe(true);
+  state = undoOperation(state.history, state.measurements);
+  expect(state.measurements[1].excluded).toBeUndefined();
+  state = redoOperation(state.history, state.measurements);
+  expect(state.measurements[1].excluded).toBe(true);
+  expect(redoOperation(state.history, state.measurements)).toBeNull();
+});
+
+test('deshacer un borrado reinserta las filas en su sitio', () => {
+  let state = edit({ history: createHistory(), measurements: list }, removeOperation(list, m => m.id !== 'c'));
+  expect(ids(state.measurements)).toEqual(['c']);
+  state = undoOperation(state.history, state.measurements);
+  expect(ids(state.measurements)).toEqual(['a', 'b', 'c', 'd']);
+  expect(undoOperation(state.history, state.measurements)).toBeNull();
+});
+
+test('las mediciones registradas después se conservan al deshacer', () => {
+  let state = edit({ history: createHistory(), measurements: list }, removeOperation(list, m => m.id === 'b'));
+  state = { ...state, measurements: [...state.measurements, { id: 'e' }] };
+  state = undoOperation(state.history, state.measurements);
+  expect(ids(state.measurements)).toEqual(['a', 'b', 'c', 'd', 'e']);
+});
+
+test('una edición nueva descarta lo que se podía rehacer', () => {
+  let state = edit({ history: createHistory(), measurements: list }, updateOperation(list[0], { note: 'x' }));
+  state = undoOperation(state.history, state.measurements);
+  state = edit(state, updateOperation(state.measurements[0], { note: 'y' }));
+  expect(state.history.future).toEqual([]);
+  expect(state.measurements[0].note).toBe('y');
+});
+
+test('el historial está limitado', () => {
+  let history = createHistory();
+  for (let i = 0; i < HISTORY_LIMIT + 5; i++) history = commitOperation(history, updateOperation(list[0], { note: String(i) }));
+  expect(history.past).toHaveLength(HISTORY_LIMIT);
+  expect(history.past[0].after.note).toBe('5');
+  expect(() => applyOperation(list, { type: 'mover' })).toThrow('desconocida');
+});
@@ -0,0 +1,14 @@
+// Almacenamiento en memoria con la interfaz de localStorage, para las pruebas.
+
+/**
+ * @param {object} [initial={}] Contenido inicial, clave → texto.
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function}}
+ */
+export const createStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    removeItem: (key) => { delete data[key]; }
+  };
+};
@@ -0,0 +1,198 @@
+// Unidades en las que se muestran y exportan las magnitudes, y magnitud con
+// la que se controla la fuente monocromática.
+//
+// Los valores se guardan siempre en las unidades base de la aplicación:
+// energías en eV, frecuencias en ×10¹⁴ Hz, longitudes de onda en nm y la
+// constante de Planck en eV·s. Sólo se convierten al mostrarlos.
+import {
+  ELEMENTARY_CHARGE,
+  FREQUENCY_UNIT,
+  frequencyFromWavelength,
+  photonEnergyFromFrequency,
+  wavelengthFromFrequency,
+  PLANCK_CONSTANT_EV
+} from './physics';
+import { resolveStorage } from './storage';
+
+// Unidades de cada magnitud: factor desde la unidad base y si se escriben en
+// notación científica. La primera es la de referencia para los decimales
+export const UNITS = {
+  energy: {
+    eV: { label: 'eV', factor: 1 },
+    J: { label: 'J', factor: ELEMENTARY_CHARGE, scientific: true }
+  },
+  frequency: {
+    e14: { label: '×10¹⁴ Hz', factor: 1 },
+    THz: { label: 'THz', factor: 100 },
+    Hz: { label: 'Hz', factor: FREQUENCY_UNIT, scientific: true }
+  },
+  wavelength: {
+    nm: { label: 'nm', factor: 1 },
+    um: { label: 'µm', factor: 1e-3 }
+  },
+  // La constante de Planck sigue a la unidad de energía
+  planck: {
+    eV: { label: '×10⁻¹⁵ eV·s', factor: 1e15 },
+    J: { label: 'J·s', factor: ELEMENTARY_CHARGE, scientific: true }
+  }
+};
+
+export const DEFAULT_UNITS = { energy: 'eV', frequency: 'e14', wavelength: 'nm' };
+
+export const STORAGE_KEY = 'photoelectric.units';
+
+// Intervalo de la fuente monocromática (×10¹⁴ Hz)
+export const FREQUENCY_RANGE = { min: 3, max: 12 };
+
+// Magnitudes con las que se puede controlar la fuente, con el paso del
+// deslizador en su unidad base
+export const LIGHT_INPUTS = {
+  frequency: { step: 0.1 },
+  wavelength: { step: 1 },
+  energy: { step: 0.01 }
+};
+
+const unitOf = (quantity, units) => {
+  const options = UNITS[quantity];
+  if (!options) throw new Error(`Magnitud desconocida: ${quantity}`);
+  const selected = quantity === 'planck' ? units.energy : units[quantity];
+  return options[selected] || Object.values(options)[0];
+};
+
+const referenceFactor = (quantity) => Object.values(UNITS[quantity])[0].factor;
+
+/**
+ * Nombre de la unidad elegida para una magnitud.
+ * @param {string} quantity 'energy', 'frequency', 'wavelength' o 'planck'.
+ * @param {object} units Unidades elegidas (ver DEFAULT_UNITS).
+ * @returns {string}
+ */
+export const unitLabel = (quantity, units) => unitOf(quantity, units).label;
+
+/**
+ * Convierte un valor de la unidad elegida a la unidad base.
+ * @param {number} value
+ * @param {string} quantity
+ * @param {object} units
+ * @returns {number}
+ */
+export const toBaseUnit = (value, quantity, units) => value / unitOf(quantity, units).factor;
+
+/**
+ * Valor en la unidad elegida, como texto con punto decimal.
+ * @param {number|string} value Valor en la unidad base. Los textos numéricos
+ *   conservan su precisión (sus decimales se refieren a la unidad base).
+ * @param {string} quantity
+ * @param {object} units
+ * @param {number} [decimals] Decimales en la unidad de referencia; se
+ *   ajustan al cambiar de escala (7.408 ×10¹⁴ Hz son 740.8 THz). Sin ellos,
+ *   un número se convierte sin redondear.
+ * @returns {string} Vacío si no hay valor; el texto tal cual si no es numérico.
+ */
+export const formatQuantity = (value, quantity, units, decimals) => {
+  if (value === undefined || value === null || value === '') return '';
+  const number = Number(value);
+  if (!Number.isFinite(number)) return String(value);
+  const unit = unitOf(quantity, units);
+  const converted = number * unit.factor;
+  let places = decimals;
+  if (places === undefined) {
+    if (typeof value !== 'string') {
+      // Sin redondear, pero sin el ruido de la multiplicación en coma flotante
+      const clean = Number(converted.toPrecision(12));
+      return unit.scientific ? clean.toExponential() : String(clean);
+    }
+    const [, fraction = ''] = value.trim().split('.');
+    places = fraction.length;
+  }
+  if (unit.scientific) return converted.toExponential(Math.max(places, 2));
+  const shift = Math.round(Math.log10(unit.factor / referenceFactor(quantity)));
+  return converted.toFixed(Math.max(0, places - shift));
+};
+
+/**
+ * Número de un campo de texto; admite coma decimal. NaN si no es un número.
+ * @param {string} text
+ * @returns {number}
+ */
+export const parseNumber = (text) => {
+  const clean = String(text).trim().replace(/\s+/g, '');
+  if (clean === '') return NaN;
+  return Number(clean.includes('.') ? clean : clean.replace(',', '.'));
+};
+
+/**
+ * Valor de la magnitud de control de la fuente para una frecuencia.
+ * @param {number} frequency ×10¹⁴ Hz.
+ * @param {string} input Clave de LIGHT_INPUTS.
+ * @returns {number} En la unidad base de la magnitud (×10¹⁴ Hz, nm o eV).
+ */
+export const lightInputFromFrequency = (frequency, input) => {
+  if (input === 'wavelength') return wavelengthFromFrequency(frequency * FREQUENCY_UNIT);
+  if (input === 'energy') return photonEnergyFromFrequency(frequency * FREQUENCY_UNIT);
+  return frequency;
+};
+
+/**
+ * Frecuencia de la fuente para un valor de la magnitud de control, limitada
+ * a FREQUENCY_RANGE.
+ * @param {number} value En la unidad base de la magnitud.
+ * @param {string} input Clave de LIGHT_INPUTS.
+ * @returns {number} ×10¹⁴ Hz.
+ */
+export const frequencyFromLightInput = (value, input) => {
+  let frequency = value;
+  if (input === 'wavelength') frequency = frequencyFromWavelength(value) / FREQUENCY_UNIT;
+  if (input === 'energy') frequency = value / PLANCK_CONSTANT_EV / FREQUENCY_UNIT;
+  return Math.min(FREQUENCY_RANGE.max, Math.max(FREQUENCY_RANGE.min, frequency));
+};
+
+/**
+ * Intervalo del deslizador de una magnitud de control, en su unidad base y
+ * de menor a mayor (la longitud de onda decrece al crecer la frecuencia).
+ * @param {string} input Clave de LIGHT_INPUTS.
+ * @returns {{min: number, max: number, step: number}}
+ */
+export const lightInputRange = (input) => {
+  const { step } = LIGHT_INPUTS[input];
+  const ends = [FREQUENCY_RANGE.min, FREQUENCY_RANGE.max].map(f => lightInputFromFrequency(f, input));
+  // Redondeado hacia dentro para no salir del intervalo de frecuencias
+  return {
+    min: Math.ceil(Math.min(...ends) / step - 1e-9) * step,
+    max: Math.floor(Math.max(...ends) / step + 1e-9) * step,
+    step
+  };
+};
+
+/**
+ * Unidades guardadas en el navegador.
+ * @param {Storage} [storage=window.localStorage]
+ * @returns {object} Las de DEFAULT_UNITS para las que falten o no sean válidas.
+ */
+export const loadUnits = (storage) => {
+  let saved;
+  try {
+    saved = JSON.parse(resolveStorage(storage).getItem(STORAGE_KEY));
+  } catch (err) {
+    saved = null;
+  }
+  return Object.fromEntries(Object.entries(DEFAULT_UNITS).map(([quantity, fallback]) => [
+    quantity,
+    saved && Object.prototype.hasOwnProperty.call(UNITS[quantity], saved[quantity]) ? saved[quantity] : fallback
+  ]));
+};
+
+/**
+ * Guarda las unidades elegidas.
+ * @param {object} units
+ * @param {Storage} [storage=window.localStorage]
+ * @returns {boolean} false si el navegador no permite guardarlas.
+ */
+export const saveUnits = (units, storage) => {
+  try {
+    resolveStorage(storage).setItem(STORAGE_KEY, JSON.stringify(units));
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
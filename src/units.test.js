@@ -0,0 +1,104 @@
+import {
+  DEFAULT_UNITS,
+  STORAGE_KEY,
+  formatQuantity,
+  frequencyFromLightInput,
+  lightInputFromFrequency,
+  lightInputRange,
+  loadUnits,
+  parseNumber,
+  saveUnits,
+  toBaseUnit,
+  unitLabel
+} from './units';
+import { PLANCK_CONSTANT_EV } from './physics';
+import { createStorage } from './testStorage';
+
+const units = (changes) => ({ ...DEFAULT_UNITS, ...changes });
+
+describe('formatQuantity', () => {
+  test('en las unidades base deja el valor como está', () => {
+    expect(formatQuantity('0.822', 'energy', DEFAULT_UNITS)).toBe('0.822');
+    expect(formatQuantity(7.408, 'frequency', DEFAULT_UNITS, 2)).toBe('7.41');
+    expect(formatQuantity(4.1e-15, 'planck', DEFAULT_UNITS, 3)).toBe('4.100');
+    expect(formatQuantity('', 'energy', DEFAULT_UNITS)).toBe('');
+    expect(formatQuantity('—', 'energy', DEFAULT_UNITS)).toBe('—');
+  });
+
+  test('ajusta los decimales al cambiar de escala', () => {
+    expect(formatQuantity(7.408, 'frequency', units({ frequency: 'THz' }), 3)).toBe('740.8');
+    expect(formatQuantity('599.6', 'wavelength', units({ wavelength: 'um' }))).toBe('0.5996');
+    expect(formatQuantity(7.408, 'frequency', units({ frequency: 'THz' }))).toBe('740.8');
+  });
+
+  test('notación científica para julios y hercios', () => {
+    expect(formatQuantity('1.000', 'energy', units({ energy: 'J' }))).toBe('1.602e-19');
+    expect(formatQuantity(7.5, 'frequency', units({ frequency: 'Hz' }))).toBe('7.5e+14');
+    expect(formatQuantity(PLANCK_CONSTANT_EV, 'planck', units({ energy: 'J' }), 4)).toBe('6.6261e-34');
+  });
+
+  test('nombres de las unidades y conversión inversa', () => {
+    expect(unitLabel('frequency', DEFAULT_UNITS)).toBe('×10¹⁴ Hz');
+    expect(unitLabel('planck', units({ energy: 'J' }))).toBe('J·s');
+    expect(toBaseUnit(500, 'frequency', units({ frequency: 'THz' }))).toBe(5);
+    expect(() => unitLabel('masa', DEFAULT_UNITS)).toThrow('desconocida');
+  });
+});
+
+test('parseNumber admite coma decimal y notación científica', () => {
+  expect(parseNumber('1,5')).toBe(1.5);
+  expect(parseNumber(' 6.5e14 ')).toBe(6.5e14);
+  expect(parseNumber('abc')).toBeNaN();
+  expect(parseNumber('')).toBeNaN();
+});
+
+describe('control de la fuente', () => {
+  test('frecuencia, longitud de onda y energía son equivalentes', () => {
+    const wavelength = lightInputFromFrequency(6, 'wavelength');
+    const energy = lightInputFromFrequency(6, 'energy');
+    expect(wavelength).toBeCloseTo(499.65, 2);
+    expect(energy).toBeCloseTo(2.481, 3);
+    expect(frequencyFromLightInput(wavelength, 'wavelength')).toBeCloseTo(6, 10);
+    expect(frequencyFromLightInput(energy, 'energy')).toBeCloseTo(6, 10);
+  });
+
+  test('limita la frecuencia al intervalo de la fuente', () => {
+    expect(frequencyFromLightInput(2000, 'wavelength')).toBe(3);
+    expect(frequencyFromLightInput(10, 'energy')).toBe(12);
+    expect(frequencyFromLightInput(5.5, 'frequency')).toBe(5.5);
+  });
+
+  test('intervalo del deslizador dentro del de frecuencias', () => {
+    expect(lightInputRange('frequency')).toEqual({ min: 3, max: 12, step: 0.1 });
+    const { min, max } = lightInputRange('wavelength');
+    expect([min, max]).toEqual([250, 999]);
+    const energy = lightInputRange('energy');
+    expect(frequencyFromLightInput(energy.min, 'energy')).toBeGreaterThanOrEqual(3);
+    expect(frequencyFromLightInput(energy.max, 'energy')).toBeLessThanOrEqual(12);
+  });
+});
+
+describe('unidades guardadas', () => {
+  test('guarda y recupera las unidades', () => {
+    const storage = createStorage();
+    expect(saveUnits(units({ energy: 'J' }), storage)).toBe(true);
+    expect(loadUnits(storage)).toEqual(units({ energy: 'J' }));
+    expect(saveUnits(DEFAULT_UNITS, { setItem: () => { throw new Error('lleno'); } })).toBe(false);
+  });
+
+  test('descarta las unidades no válidas', () => {
+    expect(loadUnits(createStorage())).toEqual(DEFAULT_UNITS);
+    expect(loadUnits(createStorage({ [STORAGE_KEY]: '{' }))).toEqual(DEFAULT_UNITS);
+    expect(loadUnits(createStorage({ [STORAGE_KEY]: '{"frequency":"toString","wavelength":"um"}' })))
+      .toEqual(units({ wavelength: 'um' }));
+  });
+
+  test('no falla si el navegador bloquea el almacenamiento', () => {
+    const blocked = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+    expect(loadUnits()).toEqual(DEFAULT_UNITS);
+    expect(saveUnits(DEFAULT_UNITS)).toBe(false);
+    blocked.mockRestore();
+  });
+});
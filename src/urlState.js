@@ -0,0 +1,95 @@
+// Configuración del simulador codificada en la URL, para compartir enlaces.
+//
+// Parámetros de la consulta:
+//   f      frecuencia (×10¹⁴ Hz)      i     intensidad (%)
+//   metal  símbolo del cátodo          v     tensión ánodo–cátodo (V)
+//   view   table | graph | iv
+//   lock   controles bloqueados, separados por comas
+//   hide   controles ocultos, separados por comas
+import { FREQUENCY_RANGE } from './units';
+
+// Controles que se pueden bloquear u ocultar; su nombre es el mensaje
+// share.controls.<id>
+export const SHAREABLE_CONTROLS = ['frequency', 'intensity', 'bias', 'metal', 'view'];
+
+export const VIEW_MODES = ['table', 'graph', 'iv'];
+
+// Rangos de los controles deslizantes (el de la frecuencia, en units.js)
+export const INTENSITY_RANGE = { min: 10, max: 100 }; // %
+export const BIAS_RANGE = { min: -5, max: 5 }; // V
+
+const SYMBOL_PATTERN = /^[A-Za-z0-9_-]{1,12}$/;
+
+// Número del parámetro si está dentro del rango; si no, undefined
+const numberParam = (params, key, { min, max }) => {
+  const text = (params.get(key) || '').trim();
+  if (text === '') return undefined;
+  const value = Number(text);
+  return Number.isFinite(value) && value >= min && value <= max ? value : undefined;
+};
+
+const listParam = (params, key) => (params.get(key) || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(id => SHAREABLE_CONTROLS.includes(id));
+
+/**
+ * Interpreta la consulta de la URL. Los parámetros ausentes o fuera de rango
+ * se omiten, de modo que se conservan los valores actuales.
+ * @param {string} search Consulta (con o sin "?").
+ * @returns {{controls: object, locked: string[], hidden: string[]}}
+ *   controls sólo incluye las claves presentes: frequency, intensity,
+ *   biasVoltage, selectedMetal y viewMode.
+ */
+export const parseUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const controls = {};
+  const frequency = numberParam(params, 'f', FREQUENCY_RANGE);
+  const intensity = numberParam(params, 'i', INTENSITY_RANGE);
+  const bias = numberParam(params, 'v', BIAS_RANGE);
+  const metal = params.get('metal');
+  const view = params.get('view');
+
+  if (frequency !== undefined) controls.frequency = frequency;
+  if (intensity !== undefined) controls.intensity = intensity;
+  if (bias !== undefined) controls.biasVoltage = bias;
+  if (metal && SYMBOL_PATTERN.test(metal)) controls.selectedMetal = metal;
+  if (VIEW_MODES.includes(view)) controls.viewMode = view;
+
+  return { controls, locked: listParam(params, 'lock'), hidden: listParam(params, 'hide') };
+};
+
+/**
+ * Consulta de la URL para un estado dado.
+ * @param {object} controls Con frequency, intensity, biasVoltage, selectedMetal y viewMode.
+ * @param {object} [access]
+ * @param {string[]} [access.locked=[]]
+ * @param {string[]} [access.hidden=[]]
+ * @returns {string} Consulta sin "?".
+ */
+export const buildUrlQuery = (controls, { locked = [], hidden = [] } = {}) => {
+  const params = new URLSearchParams();
+  params.set('f', String(controls.frequency));
+  params.set('i', String(controls.intensity));
+  params.set('metal', controls.selectedMetal);
+  params.set('v', String(controls.biasVoltage));
+  params.set('view', controls.viewMode);
+  if (locked.length > 0) params.set('lock', locked.join(','));
+  if (hidden.length > 0) params.set('hide', hidden.join(','));
+  // Las comas de las listas se dejan legibles
+  return params.toString().replace(/%2C/g, ',');
+};
+
+/**
+ * Enlace completo a la página actual con el estado indicado.
+ * @param {string} href URL actual.
+ * @param {object} controls
+ * @param {object} [access]
+ * @returns {string}
+ */
+export const buildShareUrl = (href, controls, access) => {
+  const url = new URL(href);
+  url.search = buildUrlQuery(controls, access);
+  url.hash = '';
+  return url.toString();
+};
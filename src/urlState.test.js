@@ -0,0 +1,38 @@
+import { parseUrlState, buildUrlQuery, buildShareUrl } from './urlState';
+
+const controls = { frequency: 7.5, intensity: 80, biasVoltage: -0.5, selectedMetal: 'Cs', viewMode: 'graph' };
+
+describe('parseUrlState', () => {
+  test('lee los controles presentes', () => {
+    expect(parseUrlState('?f=7.5&i=80&metal=Cs&v=-0.5&view=graph')).toEqual({
+      controls,
+      locked: [],
+      hidden: []
+    });
+  });
+
+  test('omite los parámetros ausentes o inválidos', () => {
+    expect(parseUrlState('').controls).toEqual({});
+    expect(parseUrlState('?f=99&i=abc&v=&metal=<b>&view=3d').controls).toEqual({});
+  });
+
+  test('lee los controles bloqueados y ocultos conocidos', () => {
+    const state = parseUrlState('lock=frequency,metal,nada&hide=view');
+    expect(state.locked).toEqual(['frequency', 'metal']);
+    expect(state.hidden).toEqual(['view']);
+  });
+});
+
+describe('buildUrlQuery', () => {
+  test('ida y vuelta', () => {
+    const access = { locked: ['metal', 'bias'], hidden: ['intensity'] };
+    const query = buildUrlQuery(controls, access);
+    expect(query).toContain('lock=metal,bias');
+    expect(parseUrlState(query)).toEqual({ controls, ...access });
+  });
+
+  test('el enlace sustituye la consulta y el fragmento de la página', () => {
+    const url = buildShareUrl('https://ejemplo.org/sim/?f=3#x', controls);
+    expect(url).toBe('https://ejemplo.org/sim/?f=7.5&i=80&metal=Cs&v=-0.5&view=graph');
+  });
+});